@@ -15,6 +15,14 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
+/**
+ * Parse a comma separated environment list
+ */
+const splitList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
 const config = {
   // Server
   nodeEnv: process.env.NODE_ENV || 'development',
@@ -29,6 +37,10 @@ const config = {
     refreshSecret: process.env.JWT_REFRESH_SECRET,
     expiration: process.env.JWT_EXPIRATION || '15m',
     refreshExpiration: process.env.JWT_REFRESH_EXPIRATION || '7d',
+    // Signing keyring (npm run jwt-keys); JWT_SECRET / JWT_REFRESH_SECRET are used until it exists
+    keysFile: process.env.JWT_KEYS_FILE || 'config/jwt-keys.json',
+    // How long retired keys still verify (default: lifetime of the tokens they signed)
+    keyGracePeriod: process.env.JWT_KEY_GRACE_PERIOD || '',
   },
   
   // Bcrypt
@@ -51,6 +63,105 @@ const config = {
   // MFA
   mfaEnabled: process.env.MFA_ENABLED === 'true',
   totpWindow: parseInt(process.env.TOTP_WINDOW || '1', 10),
+  
+  // Frontend base URL (used in emailed links)
+  appUrl: process.env.APP_URL || (process.env.CORS_ORIGIN || 'http://localhost:3000').split(',')[0],
+  
+  // Password policy (applied to every password-setting path)
+  passwordPolicy: {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || '8', 10),
+    maxLength: 72, // bcrypt ignores bytes beyond 72
+    requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+    requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+    requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+    requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL !== 'false',
+    bannedListFile: process.env.PASSWORD_BANNED_LIST_FILE || 'config/banned-passwords.txt',
+    historySize: parseInt(process.env.PASSWORD_HISTORY_SIZE || '5', 10), // 0 disables reuse check
+    maxAgeDays: parseInt(process.env.PASSWORD_MAX_AGE_DAYS || '0', 10), // 0 disables expiry
+  },
+  
+  // Brute-force lockout (password and MFA failures count alike)
+  loginLock: {
+    maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5', 10),
+    lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES || '120', 10),
+    historyDays: parseInt(process.env.LOGIN_HISTORY_DAYS || '90', 10), // Login attempt retention
+  },
+  
+  // Suspicious login detection (compared against the login attempt history)
+  loginAlerts: {
+    newDevice: process.env.LOGIN_ALERT_NEW_DEVICE !== 'false',
+    // Successful logins from this many different IPs within the window look like a shared account
+    burstDistinctIps: parseInt(process.env.LOGIN_ALERT_BURST_IPS || '3', 10),
+    burstWindowMinutes: parseInt(process.env.LOGIN_ALERT_BURST_WINDOW_MINUTES || '60', 10),
+  },
+  
+  // Admin "view as user" (support)
+  impersonation: {
+    tokenMinutes: parseInt(process.env.IMPERSONATION_TOKEN_MINUTES || '15', 10),
+    // Read-only unless explicitly enabled; account and credential endpoints stay blocked regardless
+    allowWrites: process.env.IMPERSONATION_ALLOW_WRITES === 'true',
+  },
+  
+  // Password reset
+  passwordResetExpirationMinutes: parseInt(process.env.PASSWORD_RESET_EXPIRATION_MINUTES || '30', 10),
+  
+  // Step-up re-authentication for sensitive operations (deletes, password resets)
+  stepUp: {
+    maxAgeMinutes: parseInt(process.env.STEP_UP_MAX_AGE_MINUTES || '5', 10),
+  },
+  
+  // User invitations (new accounts choose their own password)
+  invitationExpirationHours: parseInt(process.env.INVITATION_EXPIRATION_HOURS || '72', 10),
+  
+  // Mail (smtp | console | memory)
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'smtp',
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT || '1025', 10), // Local catcher (Mailpit/MailHog) by default
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.MAIL_FROM || 'PixelForge Nexus <no-reply@pixelforge.local>',
+  },
+  
+  // Refresh token delivery: 'body' (JSON, stored by client) or 'cookie' (HttpOnly + CSRF)
+  refreshTokenTransport: process.env.REFRESH_TOKEN_TRANSPORT || 'body',
+  
+  // Auth cookies (cookie transport only)
+  authCookie: {
+    refreshName: process.env.REFRESH_COOKIE_NAME || 'pfn_refresh',
+    csrfName: process.env.CSRF_COOKIE_NAME || 'pfn_csrf',
+    path: '/api/auth', // Only sent to the endpoints that consume it
+    domain: process.env.COOKIE_DOMAIN || undefined,
+    secure: process.env.COOKIE_SECURE
+      ? process.env.COOKIE_SECURE === 'true'
+      : process.env.NODE_ENV === 'production',
+    sameSite: process.env.COOKIE_SAMESITE || 'strict',
+  },
+  
+  // OpenID Connect single sign-on (enabled when an issuer is configured)
+  oidc: {
+    issuer: (process.env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET || '', // Empty = public client (PKCE only)
+    redirectUri: process.env.OIDC_REDIRECT_URI || 'http://localhost:5000/api/auth/oidc/callback',
+    scopes: process.env.OIDC_SCOPES || 'openid email profile',
+    providerName: process.env.OIDC_PROVIDER_NAME || 'SSO',
+    // Claim holding group names (string or array), e.g. 'groups' or 'roles'
+    roleClaim: process.env.OIDC_ROLE_CLAIM || 'groups',
+    roleMapping: {
+      admin: splitList(process.env.OIDC_ADMIN_GROUPS),
+      'project-lead': splitList(process.env.OIDC_PROJECT_LEAD_GROUPS),
+      developer: splitList(process.env.OIDC_DEVELOPER_GROUPS),
+    },
+    // Role when no group matches; empty = deny users without a mapped group
+    defaultRole: process.env.OIDC_DEFAULT_ROLE ?? 'developer',
+    // Create unknown users on first SSO login
+    jitProvisioning: process.env.OIDC_JIT_PROVISIONING !== 'false',
+    // Re-apply the mapped role on every SSO login
+    syncRoles: process.env.OIDC_SYNC_ROLES !== 'false',
+    loginTimeoutMinutes: 10,
+  },
 };
 
 /**
@@ -80,6 +191,16 @@ const validateConfig = () => {
     );
   }
   
+  // Token lifetimes and grace period must be parseable (keyring grace arithmetic)
+  const durationPattern = /^\d+\s*[smhd]?$/;
+  if (!durationPattern.test(config.jwt.expiration) || !durationPattern.test(config.jwt.refreshExpiration)) {
+    errors.push('JWT_EXPIRATION and JWT_REFRESH_EXPIRATION must look like 900, 15m, 12h or 7d');
+  }
+  
+  if (config.jwt.keyGracePeriod && !durationPattern.test(config.jwt.keyGracePeriod)) {
+    errors.push('JWT_KEY_GRACE_PERIOD must look like 900, 15m, 12h or 7d');
+  }
+  
   // CORS origin must be configured
   if (!config.corsOrigin) {
     errors.push('CORS_ORIGIN environment variable is required');
@@ -92,6 +213,69 @@ const validateConfig = () => {
     );
   }
   
+  // Password policy must not be weaker than the baseline
+  if (config.passwordPolicy.minLength < 8 || config.passwordPolicy.minLength > config.passwordPolicy.maxLength) {
+    errors.push(`PASSWORD_MIN_LENGTH must be between 8 and ${config.passwordPolicy.maxLength}`);
+  }
+  
+  if (config.passwordPolicy.historySize < 0 || config.passwordPolicy.maxAgeDays < 0) {
+    errors.push('PASSWORD_HISTORY_SIZE and PASSWORD_MAX_AGE_DAYS must not be negative');
+  }
+  
+  if (config.loginLock.maxAttempts < 1 || config.loginLock.lockMinutes < 1 || config.loginLock.historyDays < 1) {
+    errors.push('LOGIN_MAX_ATTEMPTS, LOGIN_LOCK_MINUTES and LOGIN_HISTORY_DAYS must be at least 1');
+  }
+  
+  if (config.loginAlerts.burstDistinctIps < 2 || config.loginAlerts.burstWindowMinutes < 1) {
+    errors.push('LOGIN_ALERT_BURST_IPS must be at least 2 and LOGIN_ALERT_BURST_WINDOW_MINUTES at least 1');
+  }
+  
+  if (config.impersonation.tokenMinutes < 1 || config.impersonation.tokenMinutes > 60) {
+    errors.push('IMPERSONATION_TOKEN_MINUTES must be between 1 and 60');
+  }
+  
+  if (config.stepUp.maxAgeMinutes < 1 || config.stepUp.maxAgeMinutes > 60) {
+    errors.push('STEP_UP_MAX_AGE_MINUTES must be between 1 and 60');
+  }
+  
+  if (config.invitationExpirationHours < 1 || config.invitationExpirationHours > 720) {
+    errors.push('INVITATION_EXPIRATION_HOURS must be between 1 and 720');
+  }
+  
+  // Mail transport must be a known type
+  if (!['smtp', 'console', 'memory'].includes(config.mail.transport)) {
+    errors.push('MAIL_TRANSPORT must be one of: smtp, console, memory');
+  }
+  
+  // Refresh token transport must be a known type
+  if (!['body', 'cookie'].includes(config.refreshTokenTransport)) {
+    errors.push('REFRESH_TOKEN_TRANSPORT must be one of: body, cookie');
+  }
+  
+  if (!['strict', 'lax', 'none'].includes(config.authCookie.sameSite)) {
+    errors.push('COOKIE_SAMESITE must be one of: strict, lax, none');
+  }
+  
+  // Browsers reject SameSite=None cookies without Secure
+  if (config.authCookie.sameSite === 'none' && !config.authCookie.secure) {
+    errors.push('COOKIE_SAMESITE=none requires COOKIE_SECURE=true');
+  }
+  
+  // SSO needs a client and must map onto an existing role
+  if (config.oidc.issuer) {
+    if (!/^https?:\/\//.test(config.oidc.issuer)) {
+      errors.push('OIDC_ISSUER must be an http(s) URL');
+    }
+    
+    if (!config.oidc.clientId) {
+      errors.push('OIDC_CLIENT_ID is required when OIDC_ISSUER is set');
+    }
+    
+    if (config.oidc.defaultRole && !['admin', 'project-lead', 'developer'].includes(config.oidc.defaultRole)) {
+      errors.push('OIDC_DEFAULT_ROLE must be empty or one of: admin, project-lead, developer');
+    }
+  }
+  
   // File upload size should reasonable
   if (config.maxFileSize < 1024) {
     errors.push('MAX_FILE_SIZE should be at least 1024 bytes');
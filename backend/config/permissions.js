@@ -0,0 +1,136 @@
+/**
+ * SECURITY DECISION: Permission Registry
+ *
+ * 1. Every access rule in the API is expressed as a permission, never a role name
+ * 2. Roles are named permission sets: three built-in ones below, plus custom
+ *    roles defined by admins (models/Role.js)
+ * 3. Scope says how a permission applies to a project:
+ *    - global: not tied to a project
+ *    - member: projects the user leads, created or is assigned to (directly or
+ *      through a team)
+ *    - lead: projects the user leads, co-leads or created
+ *    A ":any" permission lifts the project restriction of its base permission
+ * 4. Project membership roles (viewer, contributor, maintainer) grant
+ *    project-scoped permissions on one project, whatever the member's global role
+ * 5. Every permission applies inside the user's active organization only.
+ *    Platform permissions are held by super-admins, never by a role
+ *
+ * Helpers that evaluate permissions live in utils/permissions.js
+ */
+
+export const PERMISSIONS = {
+  'project:read': { scope: 'member', description: 'View projects they lead or are assigned to' },
+  'project:read:any': { scope: 'global', description: 'View every project' },
+  'project:create': { scope: 'global', description: 'Create projects' },
+  'project:update': { scope: 'lead', description: 'Edit projects they lead' },
+  'project:update:any': { scope: 'global', description: 'Edit every project' },
+  'project:delete': { scope: 'global', description: 'Delete projects' },
+  'project:lead': { scope: 'global', description: 'Can be made the lead of a project' },
+  'project:assignable': { scope: 'global', description: 'Can be assigned to projects as a team member' },
+
+  'document:read': { scope: 'global', description: 'View documents shared with them' },
+  'document:read:any': { scope: 'global', description: 'View every document' },
+  'document:upload': { scope: 'lead', description: 'Upload and manage documents in projects they lead' },
+  'document:upload:any': { scope: 'global', description: 'Upload and manage documents in every project' },
+
+  'message:send': { scope: 'global', description: 'Post messages in projects they can view' },
+  'message:request-completion': { scope: 'global', description: 'Ask for a project to be marked completed' },
+  'message:review': { scope: 'lead', description: 'Review completion requests in projects they lead' },
+  'message:review:any': { scope: 'global', description: 'Review completion requests in every project' },
+
+  'user:manage': { scope: 'global', description: 'Invite, edit, deactivate and delete users' },
+  'user:impersonate': { scope: 'global', description: 'View the app as another user' },
+  'security:audit': { scope: 'global', description: 'Review security events and receive sign-in alerts' },
+  'role:manage': { scope: 'global', description: 'Create, edit and delete custom roles' },
+  'team:manage': { scope: 'global', description: 'Create, edit and delete teams' },
+  'organization:settings': { scope: 'global', description: 'Edit the name and settings of their organization' },
+};
+
+export const PERMISSION_NAMES = Object.keys(PERMISSIONS);
+
+/**
+ * SECURITY: Platform permissions (User.isSuperAdmin), outside any role
+ */
+export const PLATFORM_PERMISSIONS = {
+  'organization:manage': { description: 'Create and suspend organizations, manage their members, enter any of them' },
+};
+
+export const PLATFORM_PERMISSION_NAMES = Object.keys(PLATFORM_PERMISSIONS);
+
+/**
+ * SECURITY: Permissions that make a user an administrator
+ * Holders cannot be impersonated (no privilege laundering)
+ */
+export const ADMIN_PERMISSIONS = ['user:manage', 'user:impersonate', 'role:manage'];
+
+/**
+ * SECURITY: Permissions that describe who a role is for (assignable developers)
+ * rather than what it may change. Admins lack them on purpose, and anyone
+ * giving roles may hand them out (see utils/permissions.js canGrantRole)
+ */
+export const ROLE_TRAIT_PERMISSIONS = ['project:assignable', 'message:request-completion'];
+
+/**
+ * SECURITY: Built-in roles (names are reserved, sets cannot be edited)
+ */
+export const BUILT_IN_ROLES = {
+  admin: {
+    description: 'Full access to projects, documents, users and security settings',
+    permissions: PERMISSION_NAMES.filter(name => !ROLE_TRAIT_PERMISSIONS.includes(name)),
+  },
+  'project-lead': {
+    description: 'Creates and runs projects, uploads documents, reviews completion requests',
+    permissions: [
+      'project:read',
+      'project:create',
+      'project:update',
+      'project:lead',
+      'document:read',
+      'document:upload',
+      'message:send',
+      'message:review',
+    ],
+  },
+  developer: {
+    description: 'Works on assigned projects and requests their completion',
+    permissions: [
+      'project:read',
+      'project:assignable',
+      'document:read',
+      'message:send',
+      'message:request-completion',
+    ],
+  },
+};
+
+export const BUILT_IN_ROLE_NAMES = Object.keys(BUILT_IN_ROLES);
+
+/**
+ * SECURITY: Project membership roles
+ * On a project where the user is a member, the membership role replaces the
+ * global role (see utils/permissions.js canOnProject)
+ */
+export const PROJECT_ROLES = {
+  viewer: {
+    description: 'Read-only access to the project, its documents and messages',
+    permissions: ['project:read', 'document:read'],
+  },
+  contributor: {
+    description: 'Posts messages and requests completion',
+    permissions: ['project:read', 'document:read', 'message:send', 'message:request-completion'],
+  },
+  maintainer: {
+    description: 'Edits the project and its members, manages documents, reviews completion requests',
+    permissions: [
+      'project:read',
+      'project:update',
+      'document:read',
+      'document:upload',
+      'message:send',
+      'message:request-completion',
+      'message:review',
+    ],
+  },
+};
+
+export const PROJECT_ROLE_NAMES = Object.keys(PROJECT_ROLES);
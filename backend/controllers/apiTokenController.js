@@ -0,0 +1,238 @@
+/**
+ * SECURITY DECISION: Personal Access Token Controller
+ *
+ * Handles:
+ * 1. Creating named, scoped tokens (plaintext returned once)
+ * 2. Listing and revoking own tokens
+ * 3. Admin review and revocation of tokens of users in their organization
+ *
+ * Token management itself requires an interactive session; API tokens
+ * are rejected on these endpoints by authenticate()
+ */
+
+import ApiToken, { API_TOKEN_SCOPES } from '../models/ApiToken.js';
+import User from '../models/User.js';
+import { canManageAccount, userTenantFilter } from '../utils/organizations.js';
+import { canActOnAccount } from '../utils/permissions.js';
+
+// SECURITY: Bound the number of live credentials per user
+const MAX_ACTIVE_TOKENS = 20;
+
+/**
+ * SECURITY: List own active tokens
+ */
+export const listTokens = async (req, res) => {
+  try {
+    const tokens = await ApiToken.findActiveForUser(req.user.id);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        count: tokens.length,
+        tokens,
+        availableScopes: API_TOKEN_SCOPES,
+      },
+    });
+  } catch (error) {
+    console.error('List API tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Create a personal access token
+ * The plaintext token is only ever returned in this response
+ */
+export const createToken = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+    
+    const activeCount = await ApiToken.countDocuments({
+      user: req.user.id,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    });
+    
+    if (activeCount >= MAX_ACTIVE_TOKENS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_ACTIVE_TOKENS} active API tokens. Revoke one first.`,
+      });
+    }
+    
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : null;
+    
+    const { token, apiToken } = await ApiToken.issue({
+      user: req.user.id,
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt,
+    });
+    
+    console.log(
+      `[${new Date().toISOString()}] API token "${apiToken.name}" created by user ${req.user.id} ` +
+      `with scopes ${apiToken.scopes.join(', ')}`
+    );
+    
+    res.status(201).json({
+      success: true,
+      message: 'API token created. Copy it now - it will not be shown again.',
+      data: {
+        token,
+        apiToken,
+      },
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message),
+      });
+    }
+    
+    console.error('Create API token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Revoke one of own tokens
+ */
+export const revokeToken = async (req, res) => {
+  try {
+    const apiToken = await ApiToken.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy: req.user.id } }
+    );
+    
+    if (!apiToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'API token not found',
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'API token revoked successfully',
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'API token not found',
+      });
+    }
+    
+    console.error('Revoke API token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: List a user's active tokens (admin only)
+ */
+export const listUserTokens = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const user = await User.findOne({ _id: id, ...userTenantFilter(req.user) });
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+    
+    const tokens = await ApiToken.findActiveForUser(id);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        count: tokens.length,
+        tokens,
+      },
+    });
+  } catch (error) {
+    console.error('List user API tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Revoke a user's token (admin only)
+ */
+export const revokeUserToken = async (req, res) => {
+  try {
+    const { id, tokenId } = req.params;
+    
+    const user = await User.findOne({ _id: id, ...userTenantFilter(req.user) });
+    
+    // SECURITY: Shared accounts and super-admins are managed by super-admins only
+    if (user && !canManageAccount(req.user, user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only a platform administrator can revoke tokens of this account',
+      });
+    }
+    
+    if (user && !(await canActOnAccount(req.user, user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot manage a user whose role has permissions you do not hold yourself',
+      });
+    }
+    
+    const apiToken = user && await ApiToken.findOneAndUpdate(
+      { _id: tokenId, user: id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy: req.user.id } }
+    );
+    
+    if (!apiToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'API token not found',
+      });
+    }
+    
+    // SECURITY: Log admin action
+    console.log(
+      `[${new Date().toISOString()}] Admin ${req.user.id} revoked API token "${apiToken.name}" ` +
+      `of user ${id}`
+    );
+    
+    res.status(200).json({
+      success: true,
+      message: 'API token revoked successfully',
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'API token not found',
+      });
+    }
+    
+    console.error('Revoke user API token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
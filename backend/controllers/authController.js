@@ -5,14 +5,137 @@
  * 1. User login with credential validation
  * 2. Token generation and refresh
  * 3. Account lockout after failed attempts (brute force protection)
- * 4. MFA support (optional)
+ * 4. TOTP MFA enrollment, verification and recovery codes; MFA challenge
+ *    tokens are single-use
+ * 5. Refresh token rotation with reuse detection and revocation
+ * 6. Per-device login sessions (list and revoke)
+ * 7. Self-service password reset via emailed single-use tokens
+ * 8. Refresh token delivery in JSON or HttpOnly cookie (configurable)
+ * 9. OpenID Connect single sign-on with role mapping and JIT provisioning
+ * 10. Login attempt history (IP, user agent, outcome) for admin review
+ * 11. Suspicious login alerts (new device, bursts, login after lockout)
+ * 12. Step-up re-authentication (password or TOTP) for sensitive operations
+ * 13. User payloads carry the role's permission set for permission-aware clients
  * 
  * All endpoints use HTTPS in production
  */
 
+import crypto from 'crypto';
+import QRCode from 'qrcode';
 import User from '../models/User.js';
-import { generateAccessToken, generateRefreshToken, verifyRefreshToken } from '../utils/jwt.js';
+import RefreshToken from '../models/RefreshToken.js';
+import Session from '../models/Session.js';
+import OidcLogin from '../models/OidcLogin.js';
+import MfaChallenge from '../models/MfaChallenge.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import config from '../config/config.js';
+import { sendMailInBackground } from '../utils/mailer.js';
+import { reportSuspiciousLogin } from '../utils/suspiciousLogin.js';
+import { deliverRefreshToken, readRefreshToken, clearAuthCookies } from '../utils/authCookies.js';
+import { withPermissions } from '../utils/permissions.js';
+import { organizationForEmail, resolveOrganization, ORGANIZATION_HEADER } from '../utils/organizations.js';
+import {
+  OidcError,
+  isOidcEnabled,
+  createAuthorizationRequest,
+  exchangeCode,
+  validateIdToken,
+  mapRole,
+  getProfile,
+  setStateCookie,
+  readStateCookie,
+  clearStateCookie,
+} from '../utils/oidc.js';
+import {
+  checkPassword,
+  sendPasswordPolicyError,
+  getPublicPasswordPolicy,
+} from '../utils/passwordPolicy.js';
+import {
+  generateAccessToken,
+  generateRefreshToken,
+  generateMfaToken,
+  verifyRefreshToken,
+  verifyMfaToken,
+  decodeToken,
+} from '../utils/jwt.js';
+import {
+  generateSecret,
+  verifyTOTP,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} from '../utils/totp.js';
 
+/**
+ * SECURITY: Sign a refresh token and persist its record
+ */
+const issueRefreshToken = async (userId, family) => {
+  const jti = crypto.randomUUID();
+  const token = generateRefreshToken(userId, { jti, family });
+  const expiresAt = new Date(decodeToken(token).exp * 1000);
+  
+  await RefreshToken.create({
+    jti,
+    family,
+    user: userId,
+    expiresAt,
+  });
+  
+  return { token, jti, expiresAt };
+};
+
+/**
+ * SECURITY: Bookkeeping for a fully authenticated login
+ * Clears the lockout counter, checks the login against the history
+ * (before it joins that history) and records it
+ */
+const recordSuccessfulLogin = async (req, user, method) => {
+  await user.resetLoginAttempts();
+  await reportSuspiciousLogin(req, user, method);
+  await LoginAttempt.record(req, user, { method, outcome: 'success' });
+};
+
+/**
+ * SECURITY: Issue access and refresh tokens for a fully authenticated user
+ * Starts a new session (refresh token family) recording the device.
+ * Shared by password login and MFA verification
+ */
+const sendAuthTokens = async (req, res, user, message, extra = {}) => {
+  const family = crypto.randomUUID();
+  const { token: refreshToken, expiresAt } = await issueRefreshToken(user._id, family);
+  
+  await Session.create({
+    user: user._id,
+    family,
+    userAgent: (req.get('user-agent') || '').slice(0, 512),
+    ip: req.ip,
+    lastIp: req.ip,
+    expiresAt,
+  });
+  
+  const accessToken = generateAccessToken(user._id, {
+    sessionId: family,
+    authTime: Math.floor(Date.now() / 1000),
+  });
+  
+  // Role and permissions of the organization the client asks for, else the first one
+  const tenant = await resolveOrganization(user, req.get(ORGANIZATION_HEADER)) ||
+    await resolveOrganization(user);
+  
+  // SECURITY: Refresh token goes in JSON or an HttpOnly cookie (config.refreshTokenTransport)
+  res.status(200).json({
+    success: true,
+    message,
+    data: {
+      user: await withPermissions(user, tenant?.organization), // Excludes sensitive fields
+      accessToken,
+      ...deliverRefreshToken(res, refreshToken, expiresAt),
+      expiresIn: 900, // 15 minutes in seconds
+      ...extra,
+    },
+  });
+};
 
 /**
  * SECURITY: Login endpoint
@@ -40,6 +163,8 @@ export const login = async (req, res) => {
     // console.log(user)
     // SECURITY: Check if account is locked due to too many failed attempts
     if (user.isLocked()) {
+      await LoginAttempt.record(req, user, { method: 'password', outcome: 'locked' });
+      
       return res.status(403).json({
         success: false,
         message: 'Account is locked due to too many failed login attempts. Please try again later.',
@@ -48,6 +173,8 @@ export const login = async (req, res) => {
     
     // SECURITY: Check if account is active
     if (!user.isActive) {
+      await LoginAttempt.record(req, user, { method: 'password', outcome: 'inactive' });
+      
       return res.status(403).json({
         success: false,
         message: 'Account has been deactivated',
@@ -59,7 +186,8 @@ export const login = async (req, res) => {
     // console.log(isPasswordValid)
     if (!isPasswordValid) {
       // SECURITY: Increment failed login attempts
-      await user.incLoginAttempts();
+      const lockedAccount = await user.incLoginAttempts();
+      await LoginAttempt.record(req, user, { method: 'password', outcome: 'invalid-password', lockedAccount });
       
       return res.status(401).json({
         success: false,
@@ -70,32 +198,19 @@ export const login = async (req, res) => {
     // SECURITY: Check if MFA is enabled (optional feature)
     if (user.mfaEnabled) {
       // Return flag to client to prompt for MFA
+      // SECURITY: Temp token is purpose-scoped and cannot access the API
       return res.status(200).json({
         success: true,
         message: 'MFA verification required',
         mfaRequired: true,
-        tempToken: generateAccessToken(user._id, user.role), // Short-lived temp token
+        tempToken: generateMfaToken(user._id),
       });
     }
     
     // SECURITY: Clear failed login attempts on successful login
-    await user.resetLoginAttempts();
-    
-    // SECURITY: Generate tokens
-    const accessToken = generateAccessToken(user._id, user.role);
-    const refreshToken = generateRefreshToken(user._id);
+    await recordSuccessfulLogin(req, user, 'password');
     
-    // SECURITY: Return tokens (refresh token should be HttpOnly cookie in production)
-    res.status(200).json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: user.toJSON(), // Excludes sensitive fields
-        accessToken,
-        refreshToken, // In production, set as HttpOnly cookie
-        expiresIn: 900, // 15 minutes in seconds
-      },
-    });
+    await sendAuthTokens(req, res, user, 'Login successful');
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -107,11 +222,12 @@ export const login = async (req, res) => {
 
 /**
  * SECURITY: Refresh token endpoint
- * Issues new access token without re-authenticating
+ * Rotates the refresh token on every call and issues a new access token.
+ * Re-use of a rotated token revokes the whole family (token theft response).
  */
 export const refreshToken = async (req, res) => {
   try {
-    const { refreshToken } = req.body;
+    const refreshToken = readRefreshToken(req);
     
     if (!refreshToken) {
       return res.status(400).json({
@@ -131,24 +247,84 @@ export const refreshToken = async (req, res) => {
       });
     }
     
+    // SECURITY: Only persisted tokens are accepted
+    const record = payload.jti && await RefreshToken.findOne({ jti: payload.jti });
+    
+    if (!record || record.user.toString() !== payload.sub) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has been revoked',
+      });
+    }
+    
+    if (record.revokedAt) {
+      // SECURITY: A rotated token was presented again - assume theft
+      if (record.revokedReason === 'rotated') {
+        await Session.revokeFamily(record.family, 'reuse-detected');
+        console.warn(
+          `[${new Date().toISOString()}] Refresh token reuse detected for user ${payload.sub} ` +
+          `(family ${record.family}) from IP ${req.ip}`
+        );
+        
+        return res.status(401).json({
+          success: false,
+          message: 'Refresh token reuse detected. Please login again.',
+        });
+      }
+      
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has been revoked',
+      });
+    }
+    
     // SECURITY: Verify user still exists
     const user = await User.findById(payload.sub);
     
     if (!user || !user.isActive) {
+      await Session.revokeFamily(record.family, 'account-disabled');
       return res.status(401).json({
         success: false,
         message: 'User not found or account is inactive',
       });
     }
     
+    // SECURITY: Rotate - issue successor, then atomically retire the presented token
+    const {
+      token: newRefreshToken,
+      jti: newJti,
+      expiresAt,
+    } = await issueRefreshToken(user._id, record.family);
+    
+    const rotated = await RefreshToken.findOneAndUpdate(
+      { _id: record._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'rotated', replacedBy: newJti } }
+    );
+    
+    // SECURITY: Lost a concurrent rotation race - treat as reuse
+    if (!rotated) {
+      await Session.revokeFamily(record.family, 'reuse-detected');
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token reuse detected. Please login again.',
+      });
+    }
+    
+    // Track device activity for the sessions page
+    await Session.updateOne(
+      { family: record.family },
+      { $set: { lastUsedAt: new Date(), lastIp: req.ip, expiresAt } }
+    );
+    
     // SECURITY: Generate new access token
-    const newAccessToken = generateAccessToken(user._id, user.role);
+    const newAccessToken = generateAccessToken(user._id, { sessionId: record.family });
     
     res.status(200).json({
       success: true,
       message: 'Token refreshed successfully',
       data: {
         accessToken: newAccessToken,
+        ...deliverRefreshToken(res, newRefreshToken, expiresAt),
         expiresIn: 900, // 15 minutes in seconds
       },
     });
@@ -163,22 +339,48 @@ export const refreshToken = async (req, res) => {
 
 /**
  * SECURITY: Logout endpoint
- * In production with token blacklisting:
- * 1. Store refresh token in blacklist (Redis)
- * 2. Invalidate all user sessions
- * For now, client-side handling is sufficient
+ * Revokes the presented refresh token's family server-side.
+ * The short-lived access token expires on its own.
  */
-export const logout = (req, res) => {
-  // SECURITY: Client should delete tokens from storage
-  // In production, invalidate refresh token in server-side blacklist
-  res.status(200).json({
-    success: true,
-    message: 'Logout successful',
-    data: {
-      // Client should remove stored tokens
-      instruction: 'Remove stored access and refresh tokens',
-    },
-  });
+export const logout = async (req, res) => {
+  try {
+    const refreshToken = readRefreshToken(req);
+    let family = req.user.sessionId;
+    
+    if (refreshToken) {
+      try {
+        const payload = verifyRefreshToken(refreshToken);
+        
+        // SECURITY: Users can only revoke their own tokens
+        if (payload.sub === req.user.id && payload.fam) {
+          family = payload.fam;
+        }
+      } catch (error) {
+        // Expired or invalid token needs no revocation
+      }
+    }
+    
+    if (family) {
+      await Session.revokeFamily(family, 'logout');
+    }
+    
+    clearAuthCookies(res);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Logout successful',
+      data: {
+        // Client should remove stored tokens
+        instruction: 'Remove stored access and refresh tokens',
+      },
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
 };
 
 /**
@@ -199,7 +401,7 @@ export const getCurrentUser = async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
-        user: user.toJSON(),
+        user: await withPermissions(user, req.user.organization),
       },
     });
   } catch (error) {
@@ -211,6 +413,19 @@ export const getCurrentUser = async (req, res) => {
   }
 };
 
+/**
+ * Password policy for client-side feedback (public)
+ * The server re-checks every rule; this only drives the UI
+ */
+export const getPasswordPolicy = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      policy: getPublicPasswordPolicy(),
+    },
+  });
+};
+
 /**
  * SECURITY: Change password endpoint
  * Requires proving old password to prevent CSRF attacks
@@ -247,15 +462,27 @@ export const changePassword = async (req, res) => {
       });
     }
     
+    // SECURITY: Central password policy, including reuse of recent passwords
+    const passwordErrors = await checkPassword(newPassword, { user });
+    if (passwordErrors.length > 0) {
+      return sendPasswordPolicyError(res, passwordErrors, 'newPassword');
+    }
+    
     // SECURITY: Update password (hash happens in pre-save middleware)
     user.password = newPassword;
+    user.mustChangePassword = false;
     await user.save();
     
+    // SECURITY: Sign out every other device, keep the current session
+    await Session.revokeAllForUser(user._id, 'password-changed', {
+      exceptFamily: req.user.sessionId,
+    });
+    
     res.status(200).json({
       success: true,
       message: 'Password changed successfully',
       data: {
-        user: user.toJSON(),
+        user: await withPermissions(user, req.user.organization),
       },
     });
   } catch (error) {
@@ -266,3 +493,843 @@ export const changePassword = async (req, res) => {
     });
   }
 };
+
+const MFA_CHALLENGE_USED = 'This MFA session has already been used. Please login again.';
+
+/**
+ * SECURITY: Complete login with a TOTP or recovery code
+ * Exchanges the restricted MFA temp token for real tokens
+ */
+export const verifyMfa = async (req, res) => {
+  try {
+    const { tempToken, code, recoveryCode } = req.body;
+    
+    // SECURITY: Verify purpose-scoped temp token
+    let payload;
+    try {
+      payload = verifyMfaToken(tempToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    
+    // SECURITY: A challenge token completes one login only
+    if (await MfaChallenge.isUsed(payload.jti)) {
+      return res.status(401).json({
+        success: false,
+        message: MFA_CHALLENGE_USED,
+      });
+    }
+    
+    const user = await User.findById(payload.sub)
+      .select('+mfaSecret +mfaRecoveryCodes +mfaLastUsedStep');
+    
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found or account is inactive',
+      });
+    }
+    
+    // SECURITY: Lockout also applies to the second factor
+    if (user.isLocked()) {
+      await LoginAttempt.record(req, user, { method: 'mfa', outcome: 'locked' });
+      
+      return res.status(403).json({
+        success: false,
+        message: 'Account is locked due to too many failed login attempts. Please try again later.',
+      });
+    }
+    
+    if (!user.mfaEnabled || !user.mfaSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'MFA is not enabled for this account',
+      });
+    }
+    
+    let verified = false;
+    let recoveryCodesRemaining;
+    
+    if (code) {
+      const step = verifyTOTP(user.mfaSecret, code, { window: config.totpWindow });
+      
+      // SECURITY: Reject replay of an already used code
+      if (step !== null && (user.mfaLastUsedStep == null || step > user.mfaLastUsedStep)) {
+        user.mfaLastUsedStep = step;
+        verified = true;
+      }
+    } else if (recoveryCode) {
+      const hash = hashRecoveryCode(recoveryCode);
+      const index = user.mfaRecoveryCodes?.indexOf(hash) ?? -1;
+      
+      // SECURITY: Recovery codes are single-use
+      if (index !== -1) {
+        user.mfaRecoveryCodes.splice(index, 1);
+        recoveryCodesRemaining = user.mfaRecoveryCodes.length;
+        verified = true;
+      }
+    }
+    
+    if (!verified) {
+      // SECURITY: Failed second factor counts toward lockout
+      const lockedAccount = await user.incLoginAttempts();
+      await LoginAttempt.record(req, user, { method: 'mfa', outcome: 'invalid-mfa', lockedAccount });
+      
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code',
+      });
+    }
+    
+    // SECURITY: Atomic, so two requests racing with the same token cannot both log in
+    if (!await MfaChallenge.consume(payload)) {
+      return res.status(401).json({
+        success: false,
+        message: MFA_CHALLENGE_USED,
+      });
+    }
+    
+    await user.save();
+    await recordSuccessfulLogin(req, user, 'mfa');
+    
+    await sendAuthTokens(
+      req,
+      res,
+      user,
+      'Login successful',
+      recoveryCodesRemaining !== undefined ? { recoveryCodesRemaining } : {}
+    );
+  } catch (error) {
+    console.error('MFA verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Start MFA enrollment
+ * Generates a secret and returns it with an otpauth URI and QR code.
+ * MFA is not enforced until the user confirms a code via enableMfa.
+ */
+export const setupMfa = async (req, res) => {
+  try {
+    if (!config.mfaEnabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'MFA is not enabled on this server',
+      });
+    }
+    
+    const user = await User.findById(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+    
+    if (user.mfaEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'MFA is already enabled',
+      });
+    }
+    
+    // SECURITY: Replace any previous unconfirmed secret
+    const secret = generateSecret();
+    user.mfaSecret = secret;
+    await user.save();
+    
+    const otpauthUri = buildOtpauthUri(secret, user.email);
+    const qrCode = await QRCode.toDataURL(otpauthUri);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code and confirm with a code to enable MFA',
+      data: {
+        secret,
+        otpauthUri,
+        qrCode,
+      },
+    });
+  } catch (error) {
+    console.error('MFA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Confirm MFA enrollment with a valid code
+ * Returns recovery codes exactly once
+ */
+export const enableMfa = async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    const user = await User.findById(req.user.id).select('+mfaSecret');
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+    
+    if (user.mfaEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'MFA is already enabled',
+      });
+    }
+    
+    if (!user.mfaSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start MFA setup before enabling',
+      });
+    }
+    
+    const step = verifyTOTP(user.mfaSecret, code, { window: config.totpWindow });
+    
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code',
+      });
+    }
+    
+    const { codes, hashes } = generateRecoveryCodes();
+    
+    user.mfaEnabled = true;
+    user.mfaLastUsedStep = step;
+    user.mfaRecoveryCodes = hashes;
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'MFA enabled successfully',
+      data: {
+        user: await withPermissions(user, req.user.organization),
+        recoveryCodes: codes, // SECURITY: Shown once, only hashes are stored
+      },
+    });
+  } catch (error) {
+    console.error('MFA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Disable MFA for own account (requires password)
+ */
+export const disableMfa = async (req, res) => {
+  try {
+    const { password } = req.body;
+    
+    const user = await User.findById(req.user.id).select('+password');
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+    
+    // SECURITY: Re-verify password before removing a factor
+    const isPasswordValid = await user.verifyPassword(password || '');
+    
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect',
+      });
+    }
+    
+    user.clearMfa();
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'MFA disabled successfully',
+      data: {
+        user: await withPermissions(user, req.user.organization),
+      },
+    });
+  } catch (error) {
+    console.error('MFA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Regenerate recovery codes (requires current TOTP code)
+ * Invalidates all previously issued recovery codes
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    const user = await User.findById(req.user.id).select('+mfaSecret +mfaLastUsedStep');
+    
+    if (!user || !user.mfaEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'MFA is not enabled for this account',
+      });
+    }
+    
+    const step = verifyTOTP(user.mfaSecret, code, { window: config.totpWindow });
+    
+    if (step === null || (user.mfaLastUsedStep != null && step <= user.mfaLastUsedStep)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code',
+      });
+    }
+    
+    const { codes, hashes } = generateRecoveryCodes();
+    
+    user.mfaLastUsedStep = step;
+    user.mfaRecoveryCodes = hashes;
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      data: {
+        recoveryCodes: codes,
+      },
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Step-up re-authentication
+ * Confirms the signed-in user with their password or a TOTP code and returns an
+ * access token for the same session carrying a fresh auth_time claim, which
+ * requireRecentAuth accepts for config.stepUp.maxAgeMinutes
+ */
+export const reauthenticate = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    
+    const user = await User.findById(req.user.id).select('+password +mfaSecret +mfaLastUsedStep');
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+    
+    if (code) {
+      if (!user.mfaEnabled || !user.mfaSecret) {
+        return res.status(400).json({
+          success: false,
+          message: 'MFA is not enabled for this account',
+        });
+      }
+      
+      // SECURITY: Same replay protection as login - each code works once
+      const step = verifyTOTP(user.mfaSecret, code, { window: config.totpWindow });
+      
+      if (step === null || (user.mfaLastUsedStep != null && step <= user.mfaLastUsedStep)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid verification code',
+        });
+      }
+      
+      user.mfaLastUsedStep = step;
+      await user.save();
+    } else {
+      // SSO-only accounts have no local password: authenticator code or a new SSO login
+      if (user.authProvider !== 'local') {
+        return res.status(400).json({
+          success: false,
+          message: 'Confirm with your authenticator code or sign in again with single sign-on',
+        });
+      }
+      
+      const isPasswordValid = await user.verifyPassword(password || '');
+      
+      if (!isPasswordValid) {
+        return res.status(401).json({
+          success: false,
+          message: 'Password is incorrect',
+        });
+      }
+    }
+    
+    const accessToken = generateAccessToken(user._id, {
+      sessionId: req.user.sessionId,
+      authTime: Math.floor(Date.now() / 1000),
+    });
+    
+    console.log(
+      `[${new Date().toISOString()}] User ${user._id} re-authenticated with ${code ? 'TOTP' : 'password'}`
+    );
+    
+    res.status(200).json({
+      success: true,
+      message: 'Identity confirmed',
+      data: {
+        accessToken,
+        expiresIn: 900,
+        recentAuthExpiresIn: config.stepUp.maxAgeMinutes * 60,
+      },
+    });
+  } catch (error) {
+    console.error('Re-authentication error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: List active sessions (devices) for the current user
+ */
+export const listSessions = async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user.id);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        count: sessions.length,
+        sessions: sessions.map(session => ({
+          ...session.toJSON(),
+          current: session.family === req.user.sessionId,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Revoke one of the current user's sessions (sign out a device)
+ */
+export const revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // SECURITY: Scope lookup to the owner - never reveal other users' sessions
+    const session = await Session.findOne({ _id: id, user: req.user.id, revokedAt: null });
+    
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+    
+    await Session.revokeFamily(session.family, 'logout');
+    
+    res.status(200).json({
+      success: true,
+      message: 'Session signed out successfully',
+      data: {
+        current: session.family === req.user.sessionId,
+      },
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+    
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Request a password reset email
+ * Always returns the same response so account existence is not revealed
+ */
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    const user = await User.findOne({ email });
+    
+    // SSO-only accounts have no local password to reset
+    if (user && user.isActive && user.authProvider === 'local') {
+      const token = user.createPasswordResetToken(config.passwordResetExpirationMinutes);
+      await user.save();
+      
+      const resetUrl = `${config.appUrl}/reset-password?token=${token}`;
+      
+      // SECURITY: Deliver in background so timing does not reveal account existence
+      sendMailInBackground({
+        to: user.email,
+        subject: 'Reset your PixelForge Nexus password',
+        text:
+          `Hello ${user.fullName},\n\n` +
+          'A password reset was requested for your account. ' +
+          `Use the link below within ${config.passwordResetExpirationMinutes} minutes:\n\n` +
+          `${resetUrl}\n\n` +
+          'If you did not request this, you can ignore this email. Your password will not change.',
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent.',
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Reset password with an emailed token
+ * Token is single-use, expiring and compared by hash only
+ */
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword, confirmPassword } = req.body;
+    
+    if (newPassword !== confirmPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Passwords do not match',
+      });
+    }
+    
+    const user = await User.findOne({
+      passwordResetToken: User.hashResetToken(token),
+      passwordResetExpires: { $gt: new Date() },
+    }).select('+passwordResetToken +passwordResetExpires');
+    
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token',
+      });
+    }
+    
+    const passwordErrors = await checkPassword(newPassword, { user });
+    if (passwordErrors.length > 0) {
+      return sendPasswordPolicyError(res, passwordErrors, 'newPassword');
+    }
+    
+    // SECURITY: Consume the token and update password (hash happens in pre-save)
+    user.password = newPassword;
+    user.mustChangePassword = false; // Chosen by the user, not an admin
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    
+    // Proving control of the mailbox also clears a brute-force lockout
+    user.loginAttempts = 0;
+    user.lockUntil = null;
+    
+    await user.save();
+    
+    // SECURITY: Sign out every existing session
+    await Session.revokeAllForUser(user._id, 'password-changed');
+    
+    sendMailInBackground({
+      to: user.email,
+      subject: 'Your PixelForge Nexus password was changed',
+      text:
+        `Hello ${user.fullName},\n\n` +
+        'Your password was just reset and all devices were signed out. ' +
+        'If this was not you, contact your administrator immediately.',
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully. Please login with your new password.',
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message),
+      });
+    }
+    
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Link or provision the local account for verified SSO claims
+ * 1. Known identity (issuer + sub) -> that account
+ * 2. Verified email of an existing account -> link the identity to it
+ * 3. Otherwise create an SSO-only account (JIT provisioning, if enabled) in the
+ *    organization that lists the email domain, or the default organization
+ * Mapped groups update the role in the organization of the email domain on
+ * every login when config.oidc.syncRoles is set
+ */
+const findOrProvisionOidcUser = async (claims) => {
+  const { issuer, defaultRole, jitProvisioning, syncRoles } = config.oidc;
+  const mappedRole = mapRole(claims);
+  const { email, emailVerified, fullName } = getProfile(claims);
+  
+  if (!mappedRole && !defaultRole) {
+    throw new OidcError(`Identity ${claims.sub} has no group mapped to a role`, 'not_allowed');
+  }
+  
+  let user = await User.findOne({ oidcIssuer: issuer, oidcSubject: claims.sub });
+  
+  if (!user) {
+    if (!email || !emailVerified) {
+      throw new OidcError(`Identity ${claims.sub} has no verified email address`, 'not_allowed');
+    }
+    
+    user = await User.findOne({ email });
+    
+    if (user) {
+      // SECURITY: Never re-link an account that belongs to another identity
+      if (user.oidcSubject) {
+        throw new OidcError(`Account ${email} is linked to a different SSO identity`, 'not_allowed');
+      }
+      
+      user.oidcIssuer = issuer;
+      user.oidcSubject = claims.sub;
+      console.log(`[${new Date().toISOString()}] SSO identity ${claims.sub} linked to user ${user._id}`);
+    } else {
+      if (!jitProvisioning) {
+        throw new OidcError(`No account exists for ${email}`, 'not_allowed');
+      }
+      
+      const role = mappedRole || defaultRole;
+      
+      user = new User({
+        username: email,
+        email,
+        fullName,
+        authProvider: 'oidc',
+        oidcIssuer: issuer,
+        oidcSubject: claims.sub,
+        memberships: [{ organization: await organizationForEmail(email), role }],
+      });
+      console.log(`[${new Date().toISOString()}] SSO user ${email} provisioned with role ${role}`);
+    }
+  }
+  
+  // SECURITY: The provider only speaks for the organization of the email domain
+  if (syncRoles && mappedRole) {
+    const organization = await organizationForEmail(user.email);
+    const membership = user.memberships.find(item => item.organization.toString() === organization);
+    
+    if (membership && membership.role !== mappedRole) {
+      console.log(
+        `[${new Date().toISOString()}] SSO role of user ${user._id} in organization ${organization} ` +
+        `changed from ${membership.role} to ${mappedRole}`
+      );
+      membership.role = mappedRole;
+    }
+  }
+  
+  if (user.isModified()) {
+    await user.save();
+  }
+  
+  return user;
+};
+
+/**
+ * SSO availability for the login page
+ */
+export const getOidcConfig = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      enabled: isOidcEnabled(),
+      providerName: config.oidc.providerName,
+    },
+  });
+};
+
+/**
+ * SECURITY: Start SSO login (browser navigation)
+ * Stores state/nonce/PKCE verifier server-side and redirects to the provider
+ */
+export const startOidcLogin = async (req, res) => {
+  if (!isOidcEnabled()) {
+    return res.status(404).json({
+      success: false,
+      message: 'Single sign-on is not configured',
+    });
+  }
+  
+  try {
+    const { url, state, nonce, codeVerifier } = await createAuthorizationRequest();
+    
+    await OidcLogin.start({
+      state,
+      nonce,
+      codeVerifier,
+      timeoutMinutes: config.oidc.loginTimeoutMinutes,
+    });
+    
+    setStateCookie(res, state);
+    res.redirect(url);
+  } catch (error) {
+    console.error('Start SSO login error:', error);
+    res.redirect(`${config.appUrl}/login?sso_error=${error.code || 'unavailable'}`);
+  }
+};
+
+/**
+ * SECURITY: Provider redirect target
+ * Validates state (cookie + server record), redeems the code with the PKCE verifier,
+ * verifies the ID token and hands the SPA a one-time login code in the URL fragment
+ */
+export const oidcCallback = async (req, res) => {
+  const fail = (code) => {
+    clearStateCookie(res);
+    res.redirect(`${config.appUrl}/login?sso_error=${code}`);
+  };
+  
+  try {
+    const { code, state, error } = req.query;
+    
+    if (!isOidcEnabled()) {
+      return fail('unavailable');
+    }
+    
+    if (error) {
+      console.warn(`[${new Date().toISOString()}] SSO login returned provider error: ${String(error).slice(0, 100)}`);
+      return fail('cancelled');
+    }
+    
+    // SECURITY: State must match the cookie of the browser that started the login
+    const cookieState = readStateCookie(req);
+    
+    if (typeof code !== 'string' || typeof state !== 'string' || !cookieState || cookieState !== state) {
+      return fail('expired');
+    }
+    
+    const login = await OidcLogin.claimByState(state);
+    
+    if (!login) {
+      return fail('expired');
+    }
+    
+    const tokens = await exchangeCode(code, login.codeVerifier);
+    const claims = await validateIdToken(tokens.id_token, { nonce: login.nonce });
+    const user = await findOrProvisionOidcUser(claims);
+    
+    if (!user.isActive) {
+      await LoginAttempt.record(req, user, { method: 'sso', outcome: 'inactive' });
+      throw new OidcError(`SSO login for deactivated user ${user._id}`, 'not_allowed');
+    }
+    
+    const loginCode = await login.issueLoginCode(user._id);
+    
+    clearStateCookie(res);
+    res.redirect(`${config.appUrl}/sso/callback#code=${loginCode}`);
+  } catch (error) {
+    if (error.name === 'OidcError') {
+      console.warn(`[${new Date().toISOString()}] SSO login rejected: ${error.message}`);
+      return fail(error.code);
+    }
+    
+    console.error('SSO callback error:', error);
+    fail('failed');
+  }
+};
+
+/**
+ * SECURITY: Redeem the one-time SSO login code for API tokens
+ * Same outcome as a password login, including the local MFA step if enrolled
+ */
+export const exchangeOidcLogin = async (req, res) => {
+  try {
+    const login = await OidcLogin.consumeLoginCode(req.body.code);
+    const user = login && await User.findById(login.user);
+    
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired SSO login. Please sign in again.',
+      });
+    }
+    
+    // SECURITY: Same account checks as a password login; the SSO provider does
+    // not know about local lockouts or a deactivation since the callback
+    if (user.isLocked()) {
+      await LoginAttempt.record(req, user, { method: 'sso', outcome: 'locked' });
+      
+      return res.status(403).json({
+        success: false,
+        message: 'Account is locked due to too many failed login attempts. Please try again later.',
+      });
+    }
+    
+    if (!user.isActive) {
+      await LoginAttempt.record(req, user, { method: 'sso', outcome: 'inactive' });
+      
+      return res.status(403).json({
+        success: false,
+        message: 'Account has been deactivated',
+      });
+    }
+    
+    if (user.mfaEnabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'MFA verification required',
+        mfaRequired: true,
+        tempToken: generateMfaToken(user._id),
+      });
+    }
+    
+    await recordSuccessfulLogin(req, user, 'sso');
+    
+    await sendAuthTokens(req, res, user, 'Login successful');
+  } catch (error) {
+    console.error('SSO exchange error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
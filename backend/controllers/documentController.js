@@ -2,19 +2,25 @@
  * SECURITY DECISION: Document Controller (File Management)
  * 
  * Security measures:
- * 1. Only admin and project-lead can upload
+ * 1. Only document:upload holders can upload (projects they lead, or any with :any)
  * 2. File type and size validation
  * 3. Checksum for integrity verification
- * 4. Access control - only assigned users can view
+ * 4. Access control - only assigned users, teams and project members can view
  * 5. Audit trail for all access
  * 6. Cloud storage via Cloudinary
+ * 7. Documents of other organizations are never found; uploads follow the
+ *    organization's allowed file types
  */
 
 import crypto from 'crypto';
 import path from 'path';
 import Document from '../models/Document.js';
 import Project from '../models/Project.js';
+import Organization from '../models/Organization.js';
 import config from '../config/config.js';
+import { canOnProject, hasPermission } from '../utils/permissions.js';
+import { teamMemberIds } from '../utils/documentAccess.js';
+import { tenantFilter } from '../utils/organizations.js';
 import { uploadToCloudinary, deleteFromCloudinary, isCloudinaryConfigured } from '../utils/cloudinary.js';
 
 /**
@@ -28,8 +34,10 @@ const calculateChecksumFromBuffer = (buffer) => {
 
 /**
  * SECURITY: Validate file safety
+ * @param {Object} file - Multer file
+ * @param {string[]} allowedFileTypes - Extensions the organization accepts
  */
-const validateUploadFile = (file) => {
+const validateUploadFile = (file, allowedFileTypes) => {
   // SECURITY: Check file size
   if (file.size > config.maxFileSize) {
     throw new Error(`File size exceeds maximum allowed (${config.maxFileSize} bytes)`);
@@ -37,7 +45,7 @@ const validateUploadFile = (file) => {
   
   // SECURITY: Check file extension
   const ext = path.extname(file.originalname).slice(1).toLowerCase();
-  if (!config.allowedFileTypes.includes(ext)) {
+  if (!allowedFileTypes.includes(ext)) {
     throw new Error(`File type .${ext} is not allowed`);
   }
   
@@ -87,7 +95,7 @@ export const listProjectDocuments = async (req, res) => {
     const { projectId } = req.params;
     
     // SECURITY: Verify user has access to project
-    const project = await Project.findById(projectId);
+    const project = await Project.findOne({ _id: projectId, ...tenantFilter(req.user) });
     
     if (!project) {
       return res.status(404).json({
@@ -97,27 +105,18 @@ export const listProjectDocuments = async (req, res) => {
     }
     
     // SECURITY: Check project access
-    if (!canAccessProject(req.user, project)) {
+    if (!canOnProject(req.user, 'project:read', project)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have access to this project',
       });
     }
     
-    // SECURITY: Find documents based on user role
-    // Admin and assigned project leads can see all documents in the project
-    // Helper to get ID string from populated or unpopulated field
-    const getId = (field) => {
-      if (!field) return null;
-      if (typeof field === 'object' && field._id) return field._id.toString();
-      return field.toString();
-    };
-    
+    // SECURITY: Find documents based on user permissions
+    // document:read:any and those who manage the project's documents see all of them
     let documents;
-    if (req.user.role === 'admin' || 
-        (req.user.role === 'project-lead' && 
-         (getId(project.projectLead) === req.user.id ||
-          getId(project.createdBy) === req.user.id))) {
+    if (hasPermission(req.user, 'document:read:any') ||
+        canOnProject(req.user, 'document:upload', project)) {
       // Admin and assigned project leads see all project documents
       documents = await Document.find({ project: projectId })
         .populate('uploadedBy', 'username email fullName')
@@ -164,7 +163,7 @@ export const uploadDocument = async (req, res) => {
     }
     
     // SECURITY: Verify project exists
-    const project = await Project.findById(projectId);
+    const project = await Project.findOne({ _id: projectId, ...tenantFilter(req.user) });
     
     if (!project) {
       return res.status(404).json({
@@ -174,7 +173,7 @@ export const uploadDocument = async (req, res) => {
     }
     
     // SECURITY: Check if user can upload to this project
-    if (!canUploadToProject(req.user, project)) {
+    if (!canOnProject(req.user, 'document:upload', project)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to upload documents to this project',
@@ -182,8 +181,9 @@ export const uploadDocument = async (req, res) => {
     }
     
     // SECURITY: Validate file
+    const organization = await Organization.findById(project.organization);
     try {
-      validateUploadFile(req.file);
+      validateUploadFile(req.file, organization.getAllowedFileTypes());
     } catch (error) {
       return res.status(400).json({
         success: false,
@@ -215,13 +215,13 @@ export const uploadDocument = async (req, res) => {
     // SECURITY: Build accessible users list (project team)
     const accessibleBy = [];
     
-    // Project lead has access
-    if (project.projectLead) {
+    // Project lead and co-leads have access
+    [project.projectLead, ...(project.coLeads || [])].filter(Boolean).forEach(leadId => {
       accessibleBy.push({
-        userId: project.projectLead,
+        userId: leadId,
         role: 'project-lead',
       });
-    }
+    });
     
     // Assigned developers have access
     if (project.assignedDevelopers) {
@@ -233,7 +233,23 @@ export const uploadDocument = async (req, res) => {
       });
     }
     
-    // Admin has implicit access (coded in canAccessDocument)
+    // Members of assigned teams have access (kept in sync when teams change)
+    (await teamMemberIds(project.teams)).forEach(userId => {
+      accessibleBy.push({
+        userId,
+        role: 'team',
+      });
+    });
+    
+    // Project members have access (their project role decides, see canAccessDocument)
+    project.members?.forEach(member => {
+      accessibleBy.push({
+        userId: member.user,
+        role: 'member',
+      });
+    });
+    
+    // Admin has implicit access (document:read:any, see canAccessDocument)
     
     // SECURITY: Create document record with Cloudinary info
     const document = new Document({
@@ -246,6 +262,7 @@ export const uploadDocument = async (req, res) => {
       fileSize: req.file.size,
       mimeType: req.file.mimetype,
       project: projectId,
+      organization: project.organization,
       uploadedBy: req.user.id,
       accessibleBy,
       checksum,
@@ -275,7 +292,7 @@ export const downloadDocument = async (req, res) => {
   try {
     const { id } = req.params;
     
-    const document = await Document.findById(id);
+    const document = await Document.findOne({ _id: id, ...tenantFilter(req.user) });
     
     if (!document) {
       return res.status(404).json({
@@ -285,7 +302,8 @@ export const downloadDocument = async (req, res) => {
     }
     
     // SECURITY: Check if user has access
-    if (!canAccessDocument(req.user, document)) {
+    const project = await Project.findById(document.project);
+    if (!canAccessDocument(req.user, document, project)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have access to this document',
@@ -318,7 +336,7 @@ export const viewDocument = async (req, res) => {
   try {
     const { id } = req.params;
     
-    const document = await Document.findById(id)
+    const document = await Document.findOne({ _id: id, ...tenantFilter(req.user) })
       .populate('uploadedBy', 'username email fullName');
     
     if (!document) {
@@ -329,7 +347,8 @@ export const viewDocument = async (req, res) => {
     }
     
     // SECURITY: Check access
-    if (!canAccessDocument(req.user, document)) {
+    const project = await Project.findById(document.project);
+    if (!canAccessDocument(req.user, document, project)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have access to this document',
@@ -360,7 +379,7 @@ export const updateDocument = async (req, res) => {
     const { id } = req.params;
     const { classification, accessibleBy: newAccessibleBy } = req.body;
     
-    const document = await Document.findById(id).populate('project');
+    const document = await Document.findOne({ _id: id, ...tenantFilter(req.user) }).populate('project');
     
     if (!document) {
       return res.status(404).json({
@@ -379,7 +398,7 @@ export const updateDocument = async (req, res) => {
     }
     
     // SECURITY: Check if user can update documents in this project
-    if (!canUploadToProject(req.user, project)) {
+    if (!canOnProject(req.user, 'document:upload', project)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to update documents in this project',
@@ -426,7 +445,7 @@ export const deleteDocument = async (req, res) => {
   try {
     const { id } = req.params;
     
-    const document = await Document.findById(id);
+    const document = await Document.findOne({ _id: id, ...tenantFilter(req.user) });
     
     if (!document) {
       return res.status(404).json({
@@ -438,24 +457,13 @@ export const deleteDocument = async (req, res) => {
     // Get the associated project to check project lead access
     const project = await Project.findById(document.project);
     
-    // Helper to get ID string from populated or unpopulated field
-    const getId = (field) => {
-      if (!field) return null;
-      if (typeof field === 'object' && field._id) return field._id.toString();
-      return field.toString();
-    };
-    
     // SECURITY: Check if user can delete
-    // Admin can delete any document
+    // document:upload:any can delete any document
     // Uploader can delete their own document
-    // Project lead assigned to the project can delete any document in the project
-    const isAdmin = req.user.role === 'admin';
+    // Project lead with document:upload can delete any document in the project
     const isUploader = document.uploadedBy.toString() === req.user.id;
-    const isAssignedProjectLead = req.user.role === 'project-lead' && project && 
-      (getId(project.projectLead) === req.user.id ||
-       getId(project.createdBy) === req.user.id);
     
-    if (!isAdmin && !isUploader && !isAssignedProjectLead) {
+    if (!isUploader && !canOnProject(req.user, 'document:upload', project)) {
       return res.status(403).json({
         success: false,
         message: 'Only admin, uploader, or assigned project lead can delete this document',
@@ -487,64 +495,17 @@ export const deleteDocument = async (req, res) => {
   }
 };
 
-/**
- * SECURITY: Check if user can access project
- */
-function canAccessProject(user, project) {
-  // Helper to get ID string from populated or unpopulated field
-  const getId = (field) => {
-    if (!field) return null;
-    if (typeof field === 'object' && field._id) return field._id.toString();
-    return field.toString();
-  };
-  
-  if (user.role === 'admin') return true;
-  if (user.role === 'project-lead') {
-    const projectLeadId = getId(project.projectLead);
-    const createdById = getId(project.createdBy);
-    if (projectLeadId === user.id || createdById === user.id) {
-      return true;
-    }
-  }
-  if (user.role === 'developer' &&
-      project.assignedDevelopers?.some(dev => getId(dev) === user.id)) {
-    return true;
-  }
-  return false;
-}
-
-/**
- * SECURITY: Check if user can upload to project
- */
-function canUploadToProject(user, project) {
-  // Helper to get ID string from populated or unpopulated field
-  const getId = (field) => {
-    if (!field) return null;
-    if (typeof field === 'object' && field._id) return field._id.toString();
-    return field.toString();
-  };
-  
-  // Only admin and project lead can upload
-  if (user.role === 'admin') return true;
-  if (user.role === 'project-lead') {
-    const projectLeadId = getId(project.projectLead);
-    const createdById = getId(project.createdBy);
-    if (projectLeadId === user.id || createdById === user.id) {
-      return true;
-    }
-  }
-  return false;
-}
-
 /**
  * SECURITY: Check if user can access document
+ * document:read on the project comes from the global role or, for members,
+ * the project role
  */
-function canAccessDocument(user, document) {
-  // Admin has access to everything
-  if (user.role === 'admin') return true;
+function canAccessDocument(user, document, project) {
+  // document:read:any has access to everything
+  if (hasPermission(user, 'document:read:any')) return true;
   
   // Check if user is in access list
-  return document.accessibleBy.some(access =>
+  return canOnProject(user, 'document:read', project) && document.accessibleBy.some(access =>
     access.userId.toString() === user.id
   );
 }
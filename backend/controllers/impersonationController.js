@@ -0,0 +1,260 @@
+/**
+ * SECURITY DECISION: Impersonation Controller ("view as user")
+ *
+ * Handles:
+ * 1. Starting a session: user:impersonate only, reason required, never another admin
+ *    or a user with permissions the admin does not hold (re-checked per request)
+ * 2. Reading and ending the current session
+ * 3. Audit review of sessions and every request made in them
+ * 4. Targets and audit records are limited to the active organization
+ *
+ * Impersonation tokens are short-lived access tokens without a refresh token.
+ * The policy applied to them lives in middleware/auth.js
+ */
+
+import User from '../models/User.js';
+import Impersonation from '../models/Impersonation.js';
+import ImpersonationRequest from '../models/ImpersonationRequest.js';
+import config from '../config/config.js';
+import { generateImpersonationToken } from '../utils/jwt.js';
+import {
+  ADMIN_PERMISSIONS,
+  getRolePermissions,
+  hasPermission,
+  permissionsBeyond,
+  withPermissions,
+} from '../utils/permissions.js';
+import { tenantFilter, userTenantFilter } from '../utils/organizations.js';
+
+/**
+ * SECURITY: Start viewing the app as another user (admin only)
+ * Replaces any open session of the same admin
+ */
+export const startImpersonation = async (req, res) => {
+  try {
+    const { userId, reason } = req.body;
+    
+    if (typeof userId !== 'string' || userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Select another user to view as',
+      });
+    }
+    
+    const target = await User.findOne({ _id: userId, ...userTenantFilter(req.user) });
+    
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+    
+    // SECURITY: No admin-to-admin impersonation (no privilege laundering)
+    // The session stays in this organization, so the target's role here decides
+    const targetPermissions = await getRolePermissions(target.roleIn(req.user.organization), req.user.organization);
+    if (target.isSuperAdmin || targetPermissions.some(permission => ADMIN_PERMISSIONS.includes(permission))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Administrators cannot be impersonated',
+      });
+    }
+    
+    // SECURITY: Viewing as someone must not reach further than the admin's own access
+    if (permissionsBeyond(req.user, targetPermissions).length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot view as a user with permissions you do not hold yourself',
+      });
+    }
+    
+    if (!target.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot view as a deactivated user',
+      });
+    }
+    
+    await Impersonation.endAllForAdmin(req.user.id, 'replaced');
+    
+    const impersonation = await Impersonation.create({
+      admin: req.user.id,
+      target: target._id,
+      organization: req.user.organization,
+      reason: typeof reason === 'string' ? reason : undefined,
+      allowWrites: config.impersonation.allowWrites,
+      ip: req.ip,
+      userAgent: (req.get('user-agent') || '').slice(0, 512),
+      expiresAt: new Date(Date.now() + config.impersonation.tokenMinutes * 60 * 1000),
+    });
+    
+    const accessToken = generateImpersonationToken(target._id, {
+      adminId: req.user.id,
+      impersonationId: impersonation._id,
+    });
+    
+    console.log(
+      `[${new Date().toISOString()}] Impersonation ${impersonation._id} started by admin ${req.user.id} ` +
+      `as user ${target._id}: ${impersonation.reason}`
+    );
+    
+    res.status(201).json({
+      success: true,
+      message: `Viewing as ${target.fullName}`,
+      data: {
+        accessToken,
+        user: await withPermissions(target, req.user.organization),
+        impersonation,
+      },
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message),
+      });
+    }
+    
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+    
+    console.error('Start impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Current impersonation session of the caller (null when not impersonating)
+ */
+export const getCurrentImpersonation = async (req, res) => {
+  try {
+    const impersonation = req.user.impersonationId
+      ? await Impersonation.findById(req.user.impersonationId).populate('admin', 'username fullName')
+      : null;
+    
+    res.status(200).json({
+      success: true,
+      data: { impersonation },
+    });
+  } catch (error) {
+    console.error('Get impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: End the current impersonation session
+ * Works with the impersonation token itself or with the admin's own token
+ */
+export const endImpersonation = async (req, res) => {
+  try {
+    const adminId = req.user.impersonatedBy ||
+      (hasPermission(req.user, 'user:impersonate') && req.user.id);
+    
+    if (!adminId) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active impersonation session',
+      });
+    }
+    
+    const result = await Impersonation.endAllForAdmin(adminId, 'ended');
+    
+    console.log(
+      `[${new Date().toISOString()}] Impersonation ended by admin ${adminId} ` +
+      `(${result.modifiedCount} session(s))`
+    );
+    
+    res.status(200).json({
+      success: true,
+      message: 'Impersonation ended',
+    });
+  } catch (error) {
+    console.error('End impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Audit - recent impersonation sessions (admin only)
+ */
+export const listImpersonations = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    
+    const impersonations = await Impersonation.find(tenantFilter(req.user))
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate('admin', 'username fullName')
+      .populate('target', 'username fullName');
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        count: impersonations.length,
+        impersonations,
+      },
+    });
+  } catch (error) {
+    console.error('List impersonations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Audit - every request made in one session (admin only)
+ */
+export const listImpersonationRequests = async (req, res) => {
+  try {
+    const impersonation = await Impersonation.findOne({ _id: req.params.id, ...tenantFilter(req.user) });
+    
+    if (!impersonation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Impersonation session not found',
+      });
+    }
+    
+    const requests = await ImpersonationRequest.find({ impersonation: impersonation._id })
+      .sort({ createdAt: 1 })
+      .limit(1000);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        count: requests.length,
+        requests,
+      },
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Impersonation session not found',
+      });
+    }
+    
+    console.error('List impersonation requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
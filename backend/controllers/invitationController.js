@@ -0,0 +1,611 @@
+/**
+ * SECURITY DECISION: User Invitation Controller
+ *
+ * Admin-only operations:
+ * 1. Invite a user by email, name and role (replaces admin-chosen passwords)
+ * 2. List invitations (pending by default)
+ * 3. Resend an invitation (new link, previous link stops working)
+ * 4. Revoke a pending invitation
+ * 5. Import a CSV of people to invite, with a dry run that reports every
+ *    invalid row
+ *
+ * Public operations (token from the emailed link):
+ * 6. Look up an invitation to show who it is for
+ * 7. Accept it by choosing a password - creates the account
+ *
+ * Invitations belong to the inviter's active organization, which the new
+ * account joins; its allowed email domains apply. Teams named in the
+ * invitation are joined on acceptance. Nobody invites with a role that has
+ * permissions they do not hold themselves
+ */
+
+import validator from 'validator';
+import Invitation from '../models/Invitation.js';
+import User from '../models/User.js';
+import Organization from '../models/Organization.js';
+import Team from '../models/Team.js';
+import Project from '../models/Project.js';
+import config from '../config/config.js';
+import { sendMailInBackground } from '../utils/mailer.js';
+import { checkPassword, sendPasswordPolicyError } from '../utils/passwordPolicy.js';
+import { tenantFilter } from '../utils/organizations.js';
+import { canGrantRole } from '../utils/permissions.js';
+import { syncDocumentAccess } from '../utils/documentAccess.js';
+import { parseCsv } from '../utils/csv.js';
+
+/**
+ * SECURITY: Largest import accepted at once
+ */
+const IMPORT_MAX_ROWS = 500;
+
+/**
+ * Header names accepted for each import column (case-insensitive)
+ */
+const IMPORT_COLUMNS = {
+  email: ['email', 'e-mail', 'email address'],
+  fullName: ['full name', 'fullname', 'name'],
+  role: ['role'],
+  teams: ['team', 'teams'],
+};
+
+/**
+ * SECURITY: Email a freshly issued invitation link
+ * @param {Object} invitation - Invitation document
+ * @param {string} token - Plaintext token from issueToken()
+ * @param {Object} inviter - Admin sending the invitation
+ */
+const sendInvitationEmail = (invitation, token, inviter, organization) => {
+  const inviteUrl = `${config.appUrl}/accept-invite?token=${token}`;
+  
+  sendMailInBackground({
+    to: invitation.email,
+    subject: 'You have been invited to PixelForge Nexus',
+    text:
+      `Hello ${invitation.fullName},\n\n` +
+      `${inviter.fullName} invited you to ${organization.name} on PixelForge Nexus as ${invitation.role}. ` +
+      `Use the link below within ${config.invitationExpirationHours} hours to choose your password:\n\n` +
+      `${inviteUrl}\n\n` +
+      'The link can only be used once. If you did not expect this invitation, you can ignore this email.',
+  });
+};
+
+/**
+ * SECURITY: Invite a new user (admin only, no self-registration)
+ */
+export const createInvitation = async (req, res) => {
+  try {
+    const { email, fullName, role } = req.body;
+    
+    // SECURITY: No granting more than the inviter holds
+    if (!(await canGrantRole(req.user, role || 'developer'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot give a role with permissions you do not hold yourself',
+      });
+    }
+    
+    const organization = await Organization.findById(req.user.organization);
+    
+    // SECURITY: Organization settings may restrict who can be invited
+    if (!organization.allowsEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invitations are limited to ${organization.settings.allowedEmailDomains.join(', ')} addresses`,
+      });
+    }
+    
+    // SECURITY: Usernames are email addresses, so either match is a conflict
+    const existingUser = await User.findOne({
+      $or: [{ username: email }, { email }],
+    });
+    
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'Username or email already exists',
+      });
+    }
+    
+    const existingInvitation = await Invitation.findOne({
+      ...Invitation.openFilter(),
+      email,
+    });
+    
+    if (existingInvitation) {
+      return res.status(409).json({
+        success: false,
+        message: 'An invitation for this email is already open. Resend or revoke it instead.',
+      });
+    }
+    
+    const inviter = await User.findById(req.user.id);
+    
+    const invitation = new Invitation({
+      email,
+      fullName,
+      role: role || 'developer',
+      invitedBy: req.user.id,
+      organization: organization._id,
+    });
+    const token = invitation.issueToken(config.invitationExpirationHours);
+    await invitation.save();
+    
+    sendInvitationEmail(invitation, token, inviter, organization);
+    
+    console.log(
+      `[${new Date().toISOString()}] Invitation for ${invitation.email} (${invitation.role}) ` +
+      `sent by user ${req.user.id}`
+    );
+    
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${invitation.email}`,
+      data: {
+        invitation: invitation.toJSON(),
+      },
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message),
+      });
+    }
+    
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Invite users from a CSV file (admin only)
+ * Columns: email, full name, role (default developer), team (optional, several
+ * separated by ";"). Each row is checked like the account it will become,
+ * using the User schema. Nothing is sent unless every row is valid; with
+ * dryRun only the report is returned
+ */
+export const importUsers = async (req, res) => {
+  try {
+    const { csv, dryRun = false } = req.body;
+    
+    let rows;
+    try {
+      rows = parseCsv(csv);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid CSV: ${error.message}`,
+      });
+    }
+    
+    const [header = [], ...records] = rows;
+    const columns = Object.fromEntries(Object.entries(IMPORT_COLUMNS).map(([field, names]) => [
+      field,
+      header.findIndex(name => names.includes(name.toLowerCase())),
+    ]));
+    
+    if (columns.email === -1 || columns.fullName === -1) {
+      return res.status(400).json({
+        success: false,
+        message: 'The first row must name the columns, including email and full name',
+      });
+    }
+    
+    if (records.length === 0 || records.length > IMPORT_MAX_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `The CSV must contain between 1 and ${IMPORT_MAX_ROWS} users`,
+      });
+    }
+    
+    const entries = records.map((record, index) => {
+      const cell = (field) => (columns[field] === -1 ? '' : record[columns[field]] || '');
+      const email = cell('email').toLowerCase();
+      
+      return {
+        line: index + 2,
+        // SECURITY: Same normalization as a single invitation (validateInvitationInput)
+        email: validator.isEmail(email) ? validator.normalizeEmail(email) : email,
+        fullName: cell('fullName'),
+        role: cell('role') || 'developer',
+        teams: cell('teams').split(';').map(name => name.trim()).filter(Boolean),
+      };
+    });
+    
+    const emails = entries.map(entry => entry.email);
+    const [organization, existingUsers, openInvitations, teams] = await Promise.all([
+      Organization.findById(req.user.organization),
+      User.find({ $or: [{ username: { $in: emails } }, { email: { $in: emails } }] }).select('username email'),
+      Invitation.find({ ...Invitation.openFilter(), email: { $in: emails } }).select('email'),
+      Team.find(tenantFilter(req.user)).select('name'),
+    ]);
+    
+    const taken = new Set(existingUsers.flatMap(user => [user.username, user.email]));
+    const invited = new Set(openInvitations.map(invitation => invitation.email));
+    const seen = new Set();
+    
+    const results = await Promise.all(entries.map(async entry => {
+      const errors = [];
+      
+      if (seen.has(entry.email)) errors.push('This email appears more than once in the file');
+      seen.add(entry.email);
+      
+      if (taken.has(entry.email)) errors.push('Username or email already exists');
+      if (invited.has(entry.email)) errors.push('An invitation for this email is already open');
+      
+      if (!organization.allowsEmail(entry.email)) {
+        errors.push(`Invitations are limited to ${organization.settings.allowedEmailDomains.join(', ')} addresses`);
+      }
+      
+      if (!(await canGrantRole(req.user, entry.role))) {
+        errors.push(`You cannot give the role ${entry.role}: it has permissions you do not hold yourself`);
+      }
+      
+      const teamIds = entry.teams.map(name => {
+        const team = teams.find(candidate => candidate.name.toLowerCase() === name.toLowerCase());
+        if (!team) errors.push(`Unknown team: ${name}`);
+        return team?._id;
+      });
+      
+      // SECURITY: Validate as the account created on acceptance (password aside)
+      const account = new User({
+        username: entry.email,
+        email: entry.email,
+        fullName: entry.fullName,
+        memberships: [{ organization: organization._id, role: entry.role }],
+      });
+      try {
+        await account.validate(['username', 'email', 'fullName', 'memberships']);
+      } catch (error) {
+        if (error.name !== 'ValidationError') throw error;
+        errors.push(...Object.values(error.errors).map(e => e.message));
+      }
+      
+      return { ...entry, teamIds, errors: [...new Set(errors)] };
+    }));
+    
+    const invalid = results.filter(result => result.errors.length > 0).length;
+    const report = {
+      dryRun: Boolean(dryRun),
+      total: results.length,
+      valid: results.length - invalid,
+      invalid,
+      rows: results.map(({ teamIds, ...row }) => row),
+    };
+    
+    if (dryRun || invalid > 0) {
+      return res.status(dryRun ? 200 : 400).json({
+        success: Boolean(dryRun),
+        message: invalid > 0
+          ? `${invalid} of ${results.length} rows need to be fixed`
+          : `All ${results.length} rows can be imported`,
+        data: report,
+      });
+    }
+    
+    const inviter = await User.findById(req.user.id);
+    
+    for (const result of results) {
+      const invitation = new Invitation({
+        email: result.email,
+        fullName: result.fullName,
+        role: result.role,
+        teams: result.teamIds,
+        invitedBy: req.user.id,
+        organization: organization._id,
+      });
+      const token = invitation.issueToken(config.invitationExpirationHours);
+      await invitation.save();
+      
+      sendInvitationEmail(invitation, token, inviter, organization);
+    }
+    
+    console.log(
+      `[${new Date().toISOString()}] ${results.length} invitation(s) imported from CSV by user ${req.user.id}`
+    );
+    
+    res.status(201).json({
+      success: true,
+      message: `${results.length} invitation(s) sent`,
+      data: report,
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message),
+      });
+    }
+    
+    console.error('Import users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: List invitations (admin only)
+ * ?status=pending (default, includes expired ones that can be resent) | all
+ */
+export const listInvitations = async (req, res) => {
+  try {
+    const filter = {
+      ...tenantFilter(req.user),
+      ...(req.query.status !== 'all' && Invitation.openFilter()),
+    };
+    
+    const invitations = await Invitation.find(filter)
+      .populate('invitedBy', 'fullName username')
+      .populate('revokedBy', 'fullName username')
+      .sort({ createdAt: -1 })
+      .limit(200);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        count: invitations.length,
+        invitations,
+      },
+    });
+  } catch (error) {
+    console.error('List invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Resend an open invitation (admin only)
+ * Issues a new token and expiry, so the previously emailed link stops working
+ */
+export const resendInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findOne({ _id: req.params.id, ...tenantFilter(req.user) });
+    
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found',
+      });
+    }
+    
+    if (invitation.acceptedAt || invitation.revokedAt) {
+      return res.status(409).json({
+        success: false,
+        message: `Invitation has already been ${invitation.getStatus()}`,
+      });
+    }
+    
+    const [inviter, organization] = await Promise.all([
+      User.findById(req.user.id),
+      Organization.findById(invitation.organization),
+    ]);
+    
+    const token = invitation.issueToken(config.invitationExpirationHours);
+    await invitation.save();
+    
+    sendInvitationEmail(invitation, token, inviter, organization);
+    
+    res.status(200).json({
+      success: true,
+      message: `Invitation resent to ${invitation.email}`,
+      data: {
+        invitation: invitation.toJSON(),
+      },
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found',
+      });
+    }
+    
+    console.error('Resend invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Revoke an open invitation (admin only)
+ * The emailed link stops working immediately; the record is kept for audit
+ */
+export const revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: req.params.id, ...tenantFilter(req.user), ...Invitation.openFilter() },
+      { $set: { revokedAt: new Date(), revokedBy: req.user.id } },
+      { new: true }
+    );
+    
+    if (!invitation) {
+      const existing = await Invitation.findOne({ _id: req.params.id, ...tenantFilter(req.user) });
+      return res.status(existing ? 409 : 404).json({
+        success: false,
+        message: existing
+          ? `Invitation has already been ${existing.getStatus()}`
+          : 'Invitation not found',
+      });
+    }
+    
+    console.log(
+      `[${new Date().toISOString()}] Invitation for ${invitation.email} revoked by user ${req.user.id}`
+    );
+    
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked',
+      data: {
+        invitation: invitation.toJSON(),
+      },
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found',
+      });
+    }
+    
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Look up an invitation by its emailed token (public)
+ * Returns only what the accept page needs to show
+ */
+export const getInvitationByToken = async (req, res) => {
+  try {
+    const invitation = await Invitation.findUsableByToken(req.body.token);
+    
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation',
+      });
+    }
+    
+    const organization = await Organization.findById(invitation.organization).select('name');
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        invitation: {
+          email: invitation.email,
+          fullName: invitation.fullName,
+          role: invitation.role,
+          organization: organization?.name,
+          expiresAt: invitation.expiresAt,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Accept an invitation by choosing a password (public)
+ * Token is single-use, expiring and compared by hash only
+ */
+export const acceptInvitation = async (req, res) => {
+  try {
+    const { token, password, confirmPassword } = req.body;
+    
+    if (password !== confirmPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Passwords do not match',
+      });
+    }
+    
+    const invitation = await Invitation.findUsableByToken(token);
+    
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation',
+      });
+    }
+    
+    const passwordErrors = await checkPassword(password);
+    if (passwordErrors.length > 0) {
+      return sendPasswordPolicyError(res, passwordErrors);
+    }
+    
+    // SECURITY: An account may have been created for this email since the invite
+    const existingUser = await User.findOne({
+      $or: [{ username: invitation.email }, { email: invitation.email }],
+    });
+    
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'An account already exists for this email. Please login instead.',
+      });
+    }
+    
+    // SECURITY: Claim atomically so two parallel requests cannot both create an account
+    const claimed = await Invitation.claim(invitation._id);
+    
+    if (!claimed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation',
+      });
+    }
+    
+    let user;
+    try {
+      user = await User.create({
+        username: invitation.email,
+        email: invitation.email,
+        password, // Will be hashed in pre-save middleware
+        fullName: invitation.fullName,
+        memberships: [{ organization: invitation.organization, role: invitation.role }],
+      });
+    } catch (error) {
+      // Release the claim so the invitee can retry with the same link
+      await Invitation.updateOne({ _id: invitation._id }, { $set: { acceptedAt: null } });
+      throw error;
+    }
+    
+    await Invitation.updateOne({ _id: invitation._id }, { $set: { acceptedUser: user._id } });
+    
+    // SECURITY: Teams still in the organization only; their projects share documents as usual
+    if (invitation.teams.length > 0) {
+      const teamFilter = { _id: { $in: invitation.teams }, organization: invitation.organization };
+      await Team.updateMany(teamFilter, { $addToSet: { members: user._id } });
+      
+      const teamIds = await Team.find(teamFilter).distinct('_id');
+      const projects = await Project.find({ teams: { $in: teamIds } }).select('_id');
+      await Promise.all(projects.map(project =>
+        syncDocumentAccess(project._id, [], [user._id.toString()], 'team')
+      ));
+    }
+    
+    console.log(
+      `[${new Date().toISOString()}] Invitation for ${invitation.email} accepted (user ${user._id})`
+    );
+    
+    res.status(201).json({
+      success: true,
+      message: 'Account created. Please login with your new password.',
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message),
+      });
+    }
+    
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
@@ -1,39 +1,23 @@
 /**
  * SECURITY DECISION: Message Controller
  * 
- * Role-based access control:
- * - Developer: Can send messages and request completion in assigned projects
- * - Admin/Project Lead: Can view all messages, review completion requests, and mark project completed
+ * Permission-based access control (config/permissions.js):
+ * - Anyone who can view a project (project:read) reads its messages
+ * - message:send / message:request-completion: post and request completion
+ * - message:review / message:review:any: review completion requests and mark
+ *   the project completed (led or all projects)
+ * On projects where the user is a member, the project role grants these instead
+ * (viewers read, contributors post, maintainers also review)
+ * Messages of other organizations are never found
  */
 
 import Message from '../models/Message.js';
 import Project from '../models/Project.js';
+import { canOnProject, hasPermission, projectFilterFor } from '../utils/permissions.js';
+import { tenantFilter, userFieldsIn } from '../utils/organizations.js';
 
-/**
- * SECURITY: Check if user has access to project
- */
-const hasProjectAccess = (user, project) => {
-  if (user.role === 'admin') return true;
-  
-  const getId = (field) => {
-    if (!field) return null;
-    if (typeof field === 'object' && field._id) return field._id.toString();
-    return field.toString();
-  };
-  
-  if (user.role === 'project-lead') {
-    const projectLeadId = getId(project.projectLead);
-    const createdById = getId(project.createdBy);
-    if (projectLeadId === user.id || createdById === user.id) return true;
-  }
-  
-  if (user.role === 'developer') {
-    const devIds = project.assignedDevelopers?.map(dev => getId(dev)) || [];
-    if (devIds.includes(user.id)) return true;
-  }
-  
-  return false;
-};
+// Senders are shown with their role in the project's organization
+const senderFields = (req) => userFieldsIn(req.user.organization, 'username fullName deletedAt');
 
 /**
  * SECURITY: Get messages for a project
@@ -42,7 +26,7 @@ export const getProjectMessages = async (req, res) => {
   try {
     const { projectId } = req.params;
     
-    const project = await Project.findById(projectId);
+    const project = await Project.findOne({ _id: projectId, ...tenantFilter(req.user) });
     if (!project) {
       return res.status(404).json({
         success: false,
@@ -51,7 +35,7 @@ export const getProjectMessages = async (req, res) => {
     }
     
     // Check access
-    if (!hasProjectAccess(req.user, project)) {
+    if (!canOnProject(req.user, 'project:read', project)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have access to this project',
@@ -59,8 +43,8 @@ export const getProjectMessages = async (req, res) => {
     }
     
     const messages = await Message.find({ project: projectId })
-      .populate('sender', 'username fullName role')
-      .populate('reviewedBy', 'username fullName role')
+      .populate('sender', senderFields(req))
+      .populate('reviewedBy', 'username fullName')
       .sort({ createdAt: -1 })
       .limit(100);
     
@@ -92,7 +76,7 @@ export const sendMessage = async (req, res) => {
       });
     }
     
-    const project = await Project.findById(projectId);
+    const project = await Project.findOne({ _id: projectId, ...tenantFilter(req.user) });
     if (!project) {
       return res.status(404).json({
         success: false,
@@ -101,21 +85,30 @@ export const sendMessage = async (req, res) => {
     }
     
     // Check access
-    if (!hasProjectAccess(req.user, project)) {
+    if (!canOnProject(req.user, 'project:read', project) ||
+        !canOnProject(req.user, 'message:send', project)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have access to this project',
       });
     }
     
-    // Validate message type based on role
+    // Validate message type based on permissions
+    // Review outcomes and system messages are only created by the server
+    if (!['message', 'completion-request'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid message type',
+      });
+    }
+    
     let messageType = type;
     if (type === 'completion-request') {
-      // Only developers can request completion
-      if (req.user.role !== 'developer') {
+      // Only developers and contributors (message:request-completion) can request completion
+      if (!canOnProject(req.user, 'message:request-completion', project)) {
         return res.status(403).json({
           success: false,
-          message: 'Only developers can request project completion',
+          message: 'Only developers and contributors can request project completion',
         });
       }
       
@@ -136,13 +129,14 @@ export const sendMessage = async (req, res) => {
     
     const message = new Message({
       project: projectId,
+      organization: project.organization,
       sender: req.user.id,
       content: content.trim(),
       type: messageType,
     });
     
     await message.save();
-    await message.populate('sender', 'username fullName role');
+    await message.populate('sender', senderFields(req));
     
     res.status(201).json({
       success: true,
@@ -159,22 +153,14 @@ export const sendMessage = async (req, res) => {
 };
 
 /**
- * SECURITY: Review completion request (Admin/Project Lead only)
+ * SECURITY: Review completion request (message:review)
  */
 export const reviewCompletionRequest = async (req, res) => {
   try {
     const { messageId } = req.params;
     const { approved, response } = req.body;
     
-    // Only admin and project-lead can review
-    if (!['admin', 'project-lead'].includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Only admins and project leads can review completion requests',
-      });
-    }
-    
-    const message = await Message.findById(messageId).populate('project');
+    const message = await Message.findOne({ _id: messageId, ...tenantFilter(req.user) }).populate('project');
     if (!message) {
       return res.status(404).json({
         success: false,
@@ -196,12 +182,12 @@ export const reviewCompletionRequest = async (req, res) => {
       });
     }
     
-    // Check access to project
+    // Only admins, project leads and maintainers (message:review) can review
     const project = await Project.findById(message.project);
-    if (!hasProjectAccess(req.user, project)) {
+    if (!canOnProject(req.user, 'message:review', project)) {
       return res.status(403).json({
         success: false,
-        message: 'You do not have access to this project',
+        message: 'Only admins, project leads and maintainers can review completion requests',
       });
     }
     
@@ -220,8 +206,8 @@ export const reviewCompletionRequest = async (req, res) => {
       });
     }
     
-    await message.populate('sender', 'username fullName role');
-    await message.populate('reviewedBy', 'username fullName role');
+    await message.populate('sender', senderFields(req));
+    await message.populate('reviewedBy', 'username fullName');
     
     res.status(200).json({
       success: true,
@@ -238,12 +224,14 @@ export const reviewCompletionRequest = async (req, res) => {
 };
 
 /**
- * SECURITY: Get pending completion requests (Admin/Project Lead)
+ * SECURITY: Get pending completion requests (message:review)
  */
 export const getPendingCompletionRequests = async (req, res) => {
   try {
-    // Only admin and project-lead can view pending requests
-    if (!['admin', 'project-lead'].includes(req.user.role)) {
+    // Only admins, project leads and maintainers (message:review) can view pending requests
+    const reviewableFilter = projectFilterFor(req.user, 'message:review');
+    
+    if (!reviewableFilter) {
       return res.status(403).json({
         success: false,
         message: 'Access denied',
@@ -252,24 +240,20 @@ export const getPendingCompletionRequests = async (req, res) => {
     
     let projectFilter = {};
     
-    // Project leads only see requests for their projects
-    if (req.user.role === 'project-lead') {
-      const userProjects = await Project.find({
-        $or: [
-          { projectLead: req.user.id },
-          { createdBy: req.user.id },
-        ],
-      }).select('_id');
+    // Project leads and maintainers only see requests for their projects
+    if (!hasPermission(req.user, 'message:review:any')) {
+      const userProjects = await Project.find(reviewableFilter).select('_id');
       
       projectFilter = { project: { $in: userProjects.map(p => p._id) } };
     }
     
     const requests = await Message.find({
+      ...tenantFilter(req.user),
       ...projectFilter,
       type: 'completion-request',
       reviewedBy: null,
     })
-      .populate('sender', 'username fullName role')
+      .populate('sender', senderFields(req))
       .populate('project', 'name status')
       .sort({ createdAt: -1 });
     
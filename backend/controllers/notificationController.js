@@ -0,0 +1,98 @@
+/**
+ * SECURITY DECISION: Notification Controller
+ *
+ * Handles:
+ * 1. Listing own in-app notifications with the unread count
+ * 2. Marking own notifications as read (one or all)
+ *
+ * Every query is scoped to req.user.id, so one user can never read or
+ * change another user's notifications
+ */
+
+import Notification from '../models/Notification.js';
+
+/**
+ * SECURITY: List own notifications (newest first)
+ */
+export const listNotifications = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find({ user: req.user.id }).sort({ createdAt: -1 }).limit(limit),
+      Notification.countDocuments({ user: req.user.id, readAt: null }),
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        count: notifications.length,
+        unreadCount,
+        notifications,
+      },
+    });
+  } catch (error) {
+    console.error('List notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Mark one own notification as read
+ */
+export const markNotificationRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user.id });
+    
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found',
+      });
+    }
+    
+    await Notification.markRead(req.user.id, [notification._id]);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Notification marked as read',
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found',
+      });
+    }
+    
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Mark all own notifications as read
+ */
+export const markAllNotificationsRead = async (req, res) => {
+  try {
+    const result = await Notification.markRead(req.user.id);
+    
+    res.status(200).json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { updated: result.modifiedCount },
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
@@ -0,0 +1,458 @@
+/**
+ * SECURITY DECISION: Organization Controller
+ *
+ * Any authenticated user:
+ * 1. List the organizations they can switch to
+ * 2. Read the active organization and its settings
+ *
+ * Org admins (organization:settings):
+ * 3. Edit the name and settings of the active organization
+ * 4. Generate or revoke its SCIM provisioning token (also user:manage and
+ *    role:manage, since the token gives any role)
+ *
+ * Super-admins (organization:manage):
+ * 5. Create, rename and suspend organizations
+ * 6. Add existing users to an organization or remove them from it
+ */
+
+import Organization from '../models/Organization.js';
+import User from '../models/User.js';
+import config from '../config/config.js';
+import { hasPermission } from '../utils/permissions.js';
+
+/**
+ * SECURITY: Only whitelisted settings reach the document
+ */
+const applySettings = (organization, settings) => {
+  if (!settings || typeof settings !== 'object') return;
+  
+  ['allowedEmailDomains', 'allowedFileTypes'].forEach(key => {
+    if (settings[key] !== undefined) {
+      organization.settings[key] = settings[key];
+    }
+  });
+};
+
+/**
+ * SECURITY: Shared error responses for organization writes
+ */
+const sendOrganizationError = (res, error, context) => {
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'An organization with this slug already exists',
+    });
+  }
+  
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(e => e.message),
+    });
+  }
+  
+  if (error.name === 'CastError') {
+    return res.status(404).json({
+      success: false,
+      message: 'Organization not found',
+    });
+  }
+  
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+  });
+};
+
+/**
+ * SECURITY: Organizations the user can switch to
+ * Super-admins see every organization, including suspended ones
+ */
+export const listOrganizations = async (req, res) => {
+  try {
+    const manager = hasPermission(req.user, 'organization:manage');
+    const filter = manager ? {} : { _id: { $in: req.user.organizations } };
+    
+    const organizations = await Organization.find(filter)
+      .select(manager ? '' : 'name slug')
+      .sort({ name: 1 });
+    
+    const memberCounts = manager
+      ? await User.aggregate([
+          { $unwind: '$memberships' },
+          { $group: { _id: '$memberships.organization', count: { $sum: 1 } } },
+        ])
+      : [];
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        current: req.user.organization,
+        organizations: organizations.map(organization => ({
+          ...organization.toJSON(),
+          ...(manager && {
+            memberCount: memberCounts.find(entry => entry._id.equals(organization._id))?.count || 0,
+          }),
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('List organizations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Active organization with its settings
+ * Includes the server's file types, the most the organization can allow
+ */
+export const getCurrentOrganization = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.user.organization);
+    
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found',
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        organization,
+        availableFileTypes: config.allowedFileTypes,
+      },
+    });
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Edit the active organization (organization:settings)
+ * The slug and suspension are left to super-admins
+ */
+export const updateCurrentOrganization = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.user.organization);
+    
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found',
+      });
+    }
+    
+    if (req.body.name) organization.name = req.body.name;
+    applySettings(organization, req.body.settings);
+    organization.lastModifiedBy = req.user.id;
+    await organization.save();
+    
+    console.log(
+      `[${new Date().toISOString()}] Organization ${organization.slug} settings updated by user ${req.user.id}`
+    );
+    
+    res.status(200).json({
+      success: true,
+      message: 'Organization settings saved',
+      data: { organization },
+    });
+  } catch (error) {
+    sendOrganizationError(res, error, 'Update organization settings');
+  }
+};
+
+/**
+ * SECURITY: Generate the SCIM token of the active organization (see organizationRoutes)
+ * Replaces any previous token; the plaintext is only ever returned in this response
+ */
+export const issueScimToken = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.user.organization);
+    
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found',
+      });
+    }
+    
+    const rotated = Boolean(organization.scimTokenCreatedAt);
+    const token = await organization.issueScimToken();
+    
+    console.log(
+      `[${new Date().toISOString()}] SCIM token of organization ${organization.slug} ` +
+      `${rotated ? 'rotated' : 'created'} by user ${req.user.id}`
+    );
+    
+    res.status(201).json({
+      success: true,
+      message: 'SCIM token generated. Copy it now; it will not be shown again.',
+      data: {
+        token,
+        organization,
+      },
+    });
+  } catch (error) {
+    console.error('Issue SCIM token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Revoke the SCIM token of the active organization (see organizationRoutes)
+ * Provisioning stops until a new token is generated
+ */
+export const revokeScimToken = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.user.organization);
+    
+    if (!organization || !organization.scimTokenCreatedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'No SCIM token to revoke',
+      });
+    }
+    
+    await organization.revokeScimToken();
+    
+    console.log(
+      `[${new Date().toISOString()}] SCIM token of organization ${organization.slug} revoked by user ${req.user.id}`
+    );
+    
+    res.status(200).json({
+      success: true,
+      message: 'SCIM token revoked',
+      data: { organization },
+    });
+  } catch (error) {
+    console.error('Revoke SCIM token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Create an organization (organization:manage)
+ */
+export const createOrganization = async (req, res) => {
+  try {
+    const organization = new Organization({
+      name: req.body.name,
+      slug: req.body.slug,
+      createdBy: req.user.id,
+    });
+    applySettings(organization, req.body.settings);
+    await organization.save();
+    
+    console.log(
+      `[${new Date().toISOString()}] Organization ${organization.slug} created by user ${req.user.id}`
+    );
+    
+    res.status(201).json({
+      success: true,
+      message: `Organization ${organization.name} created`,
+      data: { organization },
+    });
+  } catch (error) {
+    sendOrganizationError(res, error, 'Create organization');
+  }
+};
+
+/**
+ * SECURITY: Rename, re-slug, suspend or reactivate an organization (organization:manage)
+ * The default organization keeps its slug and cannot be suspended
+ */
+export const updateOrganization = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.params.id);
+    
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found',
+      });
+    }
+    
+    const { name, slug, isActive, settings } = req.body;
+    
+    // SECURITY: The default organization is found by its slug and must stay reachable
+    if (organization._id.toString() === await Organization.getDefaultId() &&
+        (isActive === false || (slug && slug !== organization.slug))) {
+      return res.status(400).json({
+        success: false,
+        message: 'The default organization cannot be suspended or re-slugged',
+      });
+    }
+    
+    if (name) organization.name = name;
+    if (slug) organization.slug = slug;
+    if (isActive !== undefined) organization.isActive = isActive;
+    applySettings(organization, settings);
+    organization.lastModifiedBy = req.user.id;
+    await organization.save();
+    
+    console.log(
+      `[${new Date().toISOString()}] Organization ${organization.slug} updated by user ${req.user.id}` +
+      `${isActive === undefined ? '' : ` (${isActive ? 'active' : 'suspended'})`}`
+    );
+    
+    res.status(200).json({
+      success: true,
+      message: `Organization ${organization.name} saved`,
+      data: { organization },
+    });
+  } catch (error) {
+    sendOrganizationError(res, error, 'Update organization');
+  }
+};
+
+/**
+ * SECURITY: Members of an organization (organization:manage)
+ */
+export const listOrganizationMembers = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.params.id);
+    
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found',
+      });
+    }
+    
+    const users = await User.find({ 'memberships.organization': organization._id })
+      .select('username email fullName isActive memberships')
+      .sort({ fullName: 1 });
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        count: users.length,
+        // Role in this organization, and how many organizations share the account
+        users: users.map(user => ({
+          ...user.toOrganizationJSON(organization._id),
+          organizations: user.organizationIds(),
+        })),
+      },
+    });
+  } catch (error) {
+    sendOrganizationError(res, error, 'List organization members');
+  }
+};
+
+/**
+ * SECURITY: Add an existing user to an organization (organization:manage)
+ * They join as developers; the organization's admins choose their role there.
+ * New people are invited from inside the organization instead
+ */
+export const addOrganizationMember = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.params.id);
+    
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found',
+      });
+    }
+    
+    const user = await User.findOne({ email: req.body.email });
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'No user with this email exists',
+      });
+    }
+    
+    if (user.organizationIds().includes(organization._id.toString())) {
+      return res.status(409).json({
+        success: false,
+        message: 'This user already belongs to the organization',
+      });
+    }
+    
+    await User.updateOne(
+      { _id: user._id, 'memberships.organization': { $ne: organization._id } },
+      { $push: { memberships: { organization: organization._id, role: 'developer' } } }
+    );
+    
+    console.log(
+      `[${new Date().toISOString()}] User ${user._id} added to organization ${organization.slug} ` +
+      `by user ${req.user.id}`
+    );
+    
+    res.status(200).json({
+      success: true,
+      message: `${user.fullName} added to ${organization.name}`,
+    });
+  } catch (error) {
+    sendOrganizationError(res, error, 'Add organization member');
+  }
+};
+
+/**
+ * SECURITY: Remove a user from an organization (organization:manage)
+ * Users always keep at least one organization
+ */
+export const removeOrganizationMember = async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+    
+    const user = await User.findOne({ _id: userId, 'memberships.organization': id });
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found in this organization',
+      });
+    }
+    
+    if (user.memberships.length === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Users must belong to at least one organization. Delete the user instead.',
+      });
+    }
+    
+    await User.updateOne({ _id: user._id }, { $pull: { memberships: { organization: id } } });
+    
+    console.log(
+      `[${new Date().toISOString()}] User ${user._id} removed from organization ${id} by user ${req.user.id}`
+    );
+    
+    res.status(200).json({
+      success: true,
+      message: `${user.fullName} removed from the organization`,
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found in this organization',
+      });
+    }
+    
+    console.error('Remove organization member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
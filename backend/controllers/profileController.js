@@ -0,0 +1,175 @@
+/**
+ * SECURITY DECISION: Own Profile Controller
+ *
+ * Handles:
+ * 1. Editing own job title, skills, time zone, weekly capacity and
+ *    out-of-office ranges (validateProfileInput)
+ * 2. Uploading and removing own avatar image (cloud storage)
+ *
+ * Every endpoint acts on req.user only; there is no way to edit someone else's
+ * profile. Mounted under /auth, so API tokens and impersonation never reach it
+ */
+
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { withPermissions } from '../utils/permissions.js';
+import { uploadToCloudinary } from '../utils/cloudinary.js';
+import { detectImageType, deleteStoredAvatar } from '../utils/profile.js';
+
+// Avatars are stored square, large enough for high-density screens
+const AVATAR_SIZE = 256;
+
+/**
+ * SECURITY: Update own profile
+ * Omitted fields stay unchanged; null or an empty value clears a field
+ */
+export const updateProfile = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+    
+    const { title, skills, timezone, weeklyCapacity, outOfOffice } = req.body;
+    
+    if (title !== undefined) user.profile.title = title || undefined;
+    if (skills !== undefined) user.profile.skills = skills;
+    if (timezone !== undefined) user.profile.timezone = timezone || undefined;
+    if (weeklyCapacity !== undefined) user.profile.weeklyCapacity = weeklyCapacity ?? undefined;
+    
+    // SECURITY: Copy known fields only
+    if (outOfOffice !== undefined) {
+      user.profile.outOfOffice = outOfOffice.map(({ start, end, note }) => ({ start, end, note }));
+    }
+    
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: {
+        user: await withPermissions(user, req.user.organization),
+      },
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message),
+      });
+    }
+    
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Upload own avatar (replaces the previous image)
+ */
+export const uploadAvatar = async (req, res) => {
+  try {
+    // SECURITY: Content must be an accepted image, whatever the upload claims
+    if (!req.file || !detectImageType(req.file.buffer)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a PNG, JPEG or WebP image',
+      });
+    }
+    
+    const user = await User.findById(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+    
+    let cloudinaryResult;
+    
+    try {
+      cloudinaryResult = await uploadToCloudinary(req.file.buffer, {
+        // SECURITY: Random name - the image is public, its URL should not be guessable
+        public_id: crypto.randomBytes(16).toString('hex'),
+        resource_type: 'image',
+        folder: 'pixelforge-avatars',
+        transformation: [{ width: AVATAR_SIZE, height: AVATAR_SIZE, crop: 'fill', gravity: 'face' }],
+      });
+    } catch (uploadError) {
+      console.error('Cloudinary upload error:', uploadError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to upload image to cloud storage',
+      });
+    }
+    
+    const previousPublicId = user.profile.avatarPublicId;
+    
+    user.profile.avatarUrl = cloudinaryResult.secure_url;
+    user.profile.avatarPublicId = cloudinaryResult.public_id;
+    await user.save();
+    
+    await deleteStoredAvatar(previousPublicId);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Avatar updated successfully',
+      data: {
+        user: await withPermissions(user, req.user.organization),
+      },
+    });
+  } catch (error) {
+    console.error('Upload avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Remove own avatar (also from storage)
+ */
+export const deleteAvatar = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+    
+    const previousPublicId = user.profile.avatarPublicId;
+    
+    user.profile.avatarUrl = undefined;
+    user.profile.avatarPublicId = undefined;
+    await user.save();
+    
+    await deleteStoredAvatar(previousPublicId);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Avatar removed successfully',
+      data: {
+        user: await withPermissions(user, req.user.organization),
+      },
+    });
+  } catch (error) {
+    console.error('Delete avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
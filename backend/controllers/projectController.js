@@ -1,39 +1,155 @@
 /**
  * SECURITY DECISION: Project Controller
  * 
- * Role-based access control:
- * - Admin: Create, read, update, delete any project
- * - Project Lead: Manage own projects and assign developers
- * - Developer: View only assigned projects
+ * Permission-based access control (config/permissions.js):
+ * - project:read / project:read:any: View own or all projects
+ * - project:update / project:update:any: Manage led or all projects, assign developers
+ * - project:delete: Delete projects
+ * Leads need project:lead, assigned users project:assignable
+ * Members (viewer, contributor, maintainer) can be any active user; their
+ * project role applies instead of their global role on that project
+ * Co-leads share the lead's access; leadership changes update document access,
+ * post a system message and are kept in the project history. Only the leads
+ * and project:update:any holders change the lead, co-leads and members (a
+ * maintainer membership edits the rest of the project)
+ * Assigned teams give their members the access of assigned developers
+ * The project page shows the profiles (title, skills, availability) of its team
+ * Projects, and the users and teams they reference, belong to the active organization
  */
 
+import mongoose from 'mongoose';
 import Project from '../models/Project.js';
 import User from '../models/User.js';
+import Team from '../models/Team.js';
+import {
+  canOnProject,
+  hasPermission,
+  isProjectLead,
+  projectFilterFor,
+  rolesWithPermission,
+  PROJECT_ROLES,
+} from '../utils/permissions.js';
+import { syncDocumentAccess, teamMemberIds } from '../utils/documentAccess.js';
+import { leadershipOf, recordLeadershipChange } from '../utils/projectLeadership.js';
+import { tenantFilter, userTenantFilter, userRoleFilter } from '../utils/organizations.js';
+import { PROFILE_SUMMARY_FIELDS } from '../utils/profile.js';
+
+// Project team as shown on the project page: name and profile for staffing
+const TEAM_MEMBER_FIELDS = `username email fullName ${PROFILE_SUMMARY_FIELDS}`;
+
+/**
+ * SECURITY: Check that a user of the organization may lead projects
+ */
+const isValidProjectLead = async (userId, organization) => {
+  const leadRoles = await rolesWithPermission('project:lead', organization);
+  return Boolean(await User.exists({ _id: userId, ...userRoleFilter(organization, { $in: leadRoles }) }));
+};
+
+/**
+ * SECURITY: Load the users to assign, only if every one may be assigned
+ * @returns {Promise<Array|null>} - null when an ID is unknown or not assignable
+ */
+const findAssignableUsers = async (userIds, organization) => {
+  const users = await User.find({
+    _id: { $in: userIds },
+    ...userRoleFilter(organization, { $in: await rolesWithPermission('project:assignable', organization) }),
+  });
+  
+  return users.length === userIds.length ? users : null;
+};
 
 /**
- * SECURITY: List projects based on user role
+ * SECURITY: Check that every team to assign exists in the organization
+ * @returns {Promise<string[]|null>} - Unique team IDs, or null when one is unknown
+ */
+const findTeamIds = async (teamIds, organization) => {
+  const uniqueIds = [...new Set(teamIds.map(String))];
+  
+  if (!uniqueIds.every(id => mongoose.isValidObjectId(id))) return null;
+  
+  const count = await Team.countDocuments({ _id: { $in: uniqueIds }, organization });
+  return count === uniqueIds.length ? uniqueIds : null;
+};
+
+/**
+ * SECURITY: Whether a user may change who leads the project and its members
+ * A maintainer membership grants project:update, but not over leadership
+ */
+const canChangeLeadership = (user, project) =>
+  hasPermission(user, 'project:update:any') || isProjectLead(user, project);
+
+/**
+ * Whether a requested ID list (co-leads, "user:role" members) matches the current one
+ */
+const sameIds = (requested, current) => {
+  if (!Array.isArray(requested)) return false;
+  const ids = new Set(requested.map(String));
+  return ids.size === new Set(current.map(String)).size && current.every(id => ids.has(String(id)));
+};
+
+const memberKeys = (members) =>
+  Array.isArray(members) ? members.map(member => `${member?.user?._id ?? member?.user}:${member?.role}`) : members;
+
+/**
+ * SECURITY: Validate a membership list against the project's lead and assignees
+ * @returns {Promise<string|null>} - Error message, or null when valid
+ */
+const validateMembers = async (members, team, organization) => {
+  if (!Array.isArray(members)) return 'Members must be a list';
+  
+  if (members.some(member => !Object.hasOwn(PROJECT_ROLES, member?.role))) {
+    return 'Invalid project role';
+  }
+  
+  const userIds = members.map(member => String(member.user));
+  if (new Set(userIds).size !== userIds.length) {
+    return 'A user can only be added once';
+  }
+  
+  // SECURITY: One relationship per user, so precedence never hides a role
+  const teamIds = team.filter(Boolean).map(String);
+  if (userIds.some(id => teamIds.includes(id))) {
+    return 'The project lead and assigned developers cannot also be members';
+  }
+  
+  if (!userIds.every(id => mongoose.isValidObjectId(id))) {
+    return 'Some members are not active users';
+  }
+  
+  const activeCount = await User.countDocuments({
+    _id: { $in: userIds },
+    isActive: true,
+    'memberships.organization': organization,
+  });
+  return activeCount === userIds.length ? null : 'Some members are not active users';
+};
+
+/**
+ * SECURITY: List projects based on user permissions
  */
 export const listProjects = async (req, res) => {
   try {
-    let filter = {};
+    // SECURITY: project:read:any sees all, project:read only led and assigned projects
+    const filter = projectFilterFor(req.user, 'project:read');
     
-    // SECURITY: Role-based filtering
-    if (req.user.role === 'developer') {
-      // Developers only see assigned projects
-      filter.assignedDevelopers = req.user.id;
-    } else if (req.user.role === 'project-lead') {
-      // Project leads see their projects
-      filter.$or = [
-        { projectLead: req.user.id },
-        { createdBy: req.user.id },
-      ];
+    if (!filter) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          count: 0,
+          projects: [],
+        },
+      });
     }
-    // Admins see all projects (empty filter)
     
     const projects = await Project.find(filter)
-      .populate('createdBy', 'username email fullName role')
-      .populate('projectLead', 'username email fullName role')
-      .populate('assignedDevelopers', 'username email fullName');
+      .select('-history')
+      .populate('createdBy', 'username email fullName')
+      .populate('projectLead', 'username email fullName')
+      .populate('coLeads', 'username email fullName')
+      .populate('assignedDevelopers', 'username email fullName')
+      .populate('teams', 'name')
+      .populate('members.user', 'username email fullName');
     
     res.status(200).json({
       success: true,
@@ -58,10 +174,11 @@ export const getProject = async (req, res) => {
   try {
     const { id } = req.params;
     
-    const project = await Project.findById(id)
-      .populate('createdBy', 'username email fullName role')
-      .populate('projectLead', 'username email fullName role')
-      .populate('assignedDevelopers', 'username email fullName');
+    const project = await Project.findOne({ _id: id, ...tenantFilter(req.user) })
+      .populate('createdBy', 'username email fullName')
+      .populate('projectLead coLeads assignedDevelopers members.user', TEAM_MEMBER_FIELDS)
+      .populate('teams', 'name')
+      .populate('history.actor history.from history.to', 'fullName');
     
     if (!project) {
       return res.status(404).json({
@@ -71,7 +188,7 @@ export const getProject = async (req, res) => {
     }
     
     // SECURITY: Check if user has access to this project
-    if (!hasProjectAccess(req.user, project)) {
+    if (!canOnProject(req.user, 'project:read', project)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have access to this project',
@@ -92,16 +209,23 @@ export const getProject = async (req, res) => {
 };
 
 /**
- * SECURITY: Create project (admin or project lead)
+ * SECURITY: Create project (project:create)
  */
 export const createProject = async (req, res) => {
   try {
-    const { name, description, deadline, priority, projectLead, assignedDevelopers } = req.body;
+    const {
+      name,
+      description,
+      deadline,
+      priority,
+      projectLead,
+      assignedDevelopers,
+      teams,
+    } = req.body;
     
     // SECURITY: Validate project lead if provided
     if (projectLead) {
-      const lead = await User.findById(projectLead);
-      if (!lead || !['admin', 'project-lead'].includes(lead.role)) {
+      if (!(await isValidProjectLead(projectLead, req.user.organization))) {
         return res.status(400).json({
           success: false,
           message: 'Invalid project lead',
@@ -112,12 +236,9 @@ export const createProject = async (req, res) => {
     // SECURITY: Validate assigned developers
     let validDevelopers = [];
     if (assignedDevelopers && Array.isArray(assignedDevelopers)) {
-      const developers = await User.find({
-        _id: { $in: assignedDevelopers },
-        role: 'developer',
-      });
+      const developers = await findAssignableUsers(assignedDevelopers, req.user.organization);
       
-      if (developers.length !== assignedDevelopers.length) {
+      if (!developers) {
         return res.status(400).json({
           success: false,
           message: 'Some assigned users are not developers',
@@ -127,24 +248,40 @@ export const createProject = async (req, res) => {
       validDevelopers = developers.map(d => d._id);
     }
     
+    // SECURITY: Validate assigned teams
+    let validTeams = [];
+    if (teams && Array.isArray(teams)) {
+      validTeams = await findTeamIds(teams, req.user.organization);
+      
+      if (!validTeams) {
+        return res.status(400).json({
+          success: false,
+          message: 'Some assigned teams do not exist',
+        });
+      }
+    }
+    
     // SECURITY: Create project with creator info
     const newProject = new Project({
       name,
       description,
       deadline,
       priority: priority || 'medium',
+      organization: req.user.organization,
       createdBy: req.user.id,
       projectLead: projectLead || req.user.id,
       assignedDevelopers: validDevelopers,
+      teams: validTeams,
       lastModifiedBy: req.user.id,
     });
     
     await newProject.save();
     
     // Populate references
-    await newProject.populate('createdBy', 'username email fullName role');
-    await newProject.populate('projectLead', 'username email fullName role');
+    await newProject.populate('createdBy', 'username email fullName');
+    await newProject.populate('projectLead', 'username email fullName');
     await newProject.populate('assignedDevelopers', 'username email fullName');
+    await newProject.populate('teams', 'name');
     
     res.status(201).json({
       success: true,
@@ -174,9 +311,20 @@ export const createProject = async (req, res) => {
 export const updateProject = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, description, deadline, status, priority, projectLead, assignedDevelopers } = req.body;
+    const {
+      name,
+      description,
+      deadline,
+      status,
+      priority,
+      projectLead,
+      coLeads,
+      assignedDevelopers,
+      teams,
+      members,
+    } = req.body;
     
-    const project = await Project.findById(id);
+    const project = await Project.findOne({ _id: id, ...tenantFilter(req.user) });
     
     if (!project) {
       return res.status(404).json({
@@ -186,13 +334,25 @@ export const updateProject = async (req, res) => {
     }
     
     // SECURITY: Check access control
-    if (!canModifyProject(req.user, project)) {
+    if (!canOnProject(req.user, 'project:update', project)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to modify this project',
       });
     }
     
+    const changesLeadership =
+      (projectLead && String(projectLead) !== String(project.projectLead)) ||
+      (coLeads !== undefined && !sameIds(coLeads, project.coLeads)) ||
+      (members !== undefined && !sameIds(memberKeys(members), memberKeys(project.members)));
+    
+    if (changesLeadership && !canChangeLeadership(req.user, project)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the project leads can change its lead, co-leads and members',
+      });
+    }
+    
     // SECURITY: Build safe update object
     const updateData = { lastModifiedBy: req.user.id };
     
@@ -208,8 +368,7 @@ export const updateProject = async (req, res) => {
     
     // SECURITY: Validate and update projectLead
     if (projectLead) {
-      const lead = await User.findById(projectLead);
-      if (!lead || !['admin', 'project-lead'].includes(lead.role)) {
+      if (!(await isValidProjectLead(projectLead, req.user.organization))) {
         return res.status(400).json({
           success: false,
           message: 'Invalid project lead',
@@ -218,14 +377,45 @@ export const updateProject = async (req, res) => {
       updateData.projectLead = projectLead;
     }
     
+    // SECURITY: Validate and update co-leads (the lead is never also a co-lead)
+    const finalLead = String(updateData.projectLead || project.projectLead || '');
+    
+    if (coLeads !== undefined) {
+      if (!Array.isArray(coLeads)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Co-leads must be a list',
+        });
+      }
+      
+      const coLeadIds = [...new Set(coLeads.map(String))];
+      
+      if (coLeadIds.includes(finalLead)) {
+        return res.status(400).json({
+          success: false,
+          message: 'The project lead cannot also be a co-lead',
+        });
+      }
+      
+      for (const coLeadId of coLeadIds) {
+        if (!mongoose.isValidObjectId(coLeadId) || !(await isValidProjectLead(coLeadId, req.user.organization))) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid co-lead',
+          });
+        }
+      }
+      
+      updateData.coLeads = coLeadIds;
+    } else if (updateData.projectLead) {
+      updateData.coLeads = project.coLeads.filter(coLead => coLead.toString() !== finalLead);
+    }
+    
     // SECURITY: Validate and update assignedDevelopers
     if (assignedDevelopers && Array.isArray(assignedDevelopers)) {
-      const developers = await User.find({
-        _id: { $in: assignedDevelopers },
-        role: 'developer',
-      });
+      const developers = await findAssignableUsers(assignedDevelopers, req.user.organization);
       
-      if (developers.length !== assignedDevelopers.length) {
+      if (!developers) {
         return res.status(400).json({
           success: false,
           message: 'Some assigned users are not developers',
@@ -235,11 +425,73 @@ export const updateProject = async (req, res) => {
       updateData.assignedDevelopers = assignedDevelopers;
     }
     
+    // SECURITY: Validate and update assigned teams
+    if (teams && Array.isArray(teams)) {
+      updateData.teams = await findTeamIds(teams, req.user.organization);
+      
+      if (!updateData.teams) {
+        return res.status(400).json({
+          success: false,
+          message: 'Some assigned teams do not exist',
+        });
+      }
+    }
+    
+    // SECURITY: Validate and update memberships (replaces the whole list)
+    const previousMemberIds = project.members.map(member => member.user.toString());
+    let nextMemberIds = previousMemberIds;
+    
+    if (members !== undefined) {
+      const membersError = await validateMembers(members, [
+        finalLead,
+        ...(updateData.coLeads || project.coLeads),
+        project.createdBy,
+        ...(updateData.assignedDevelopers || project.assignedDevelopers),
+      ], req.user.organization);
+      
+      if (membersError) {
+        return res.status(400).json({
+          success: false,
+          message: membersError,
+        });
+      }
+      
+      const current = new Map(project.members.map(member => [member.user.toString(), member]));
+      
+      updateData.members = members.map(({ user, role }) => {
+        const existing = current.get(String(user));
+        return existing
+          ? { ...existing.toObject(), role }
+          : { user, role, addedBy: req.user.id, addedAt: new Date() };
+      });
+      nextMemberIds = updateData.members.map(member => String(member.user));
+    }
+    
+    const previousTeamMemberIds = await teamMemberIds(project.teams);
+    
     const updatedProject = await Project.findByIdAndUpdate(
       id,
       updateData,
       { new: true, runValidators: true }
-    ).populate('createdBy projectLead assignedDevelopers', 'username email fullName role');
+    )
+      .populate('createdBy projectLead coLeads assignedDevelopers', 'username email fullName')
+      .populate('teams', 'name')
+      .populate('members.user', 'username email fullName');
+    
+    await recordLeadershipChange(id, leadershipOf(project), leadershipOf(updatedProject), req.user.id);
+    
+    if (updateData.teams) {
+      await syncDocumentAccess(id, previousTeamMemberIds, await teamMemberIds(updateData.teams), 'team');
+    }
+    
+    if (members !== undefined) {
+      await syncDocumentAccess(id, previousMemberIds, nextMemberIds, 'member');
+      
+      console.log(
+        `[${new Date().toISOString()}] Project ${id} members set by user ${req.user.id}: ` +
+        `${updateData.members.map(member => `${member.user}=${member.role}`).join(', ') || 'none'}`
+      );
+    }
     
     res.status(200).json({
       success: true,
@@ -264,13 +516,13 @@ export const updateProject = async (req, res) => {
 };
 
 /**
- * SECURITY: Delete project (admin only)
+ * SECURITY: Users who can be added as members (project:update on the project)
+ * Any active user qualifies, whatever their global role; ?permission=project:lead
+ * lists the users who can lead or co-lead it
  */
-export const deleteProject = async (req, res) => {
+export const listMemberCandidates = async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    const project = await Project.findById(id);
+    const project = await Project.findOne({ _id: req.params.id, ...tenantFilter(req.user) });
     
     if (!project) {
       return res.status(404).json({
@@ -279,22 +531,29 @@ export const deleteProject = async (req, res) => {
       });
     }
     
-    // SECURITY: Only admin can delete projects
-    if (req.user.role !== 'admin') {
+    if (!canOnProject(req.user, 'project:update', project)) {
       return res.status(403).json({
         success: false,
-        message: 'Only admins can delete projects',
+        message: 'You do not have permission to modify this project',
       });
     }
     
-    await Project.findByIdAndDelete(id);
+    const filter = { isActive: true, ...userTenantFilter(req.user) };
+    if (req.query.permission === 'project:lead') {
+      const leadRoles = await rolesWithPermission('project:lead', req.user.organization);
+      Object.assign(filter, userRoleFilter(req.user.organization, { $in: leadRoles }));
+    }
+    
+    const users = await User.find(filter)
+      .select('username email fullName')
+      .sort({ fullName: 1 });
     
     res.status(200).json({
       success: true,
-      message: 'Project deleted successfully',
+      data: { users },
     });
   } catch (error) {
-    console.error('Delete project error:', error);
+    console.error('List member candidates error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -303,62 +562,144 @@ export const deleteProject = async (req, res) => {
 };
 
 /**
- * SECURITY: Check if user has read access to project
+ * SECURITY: Hand project leadership over (a lead of the project, or project:update:any)
+ * Lets a co-lead or admin take over when the lead is away; the previous lead
+ * can stay on as a co-lead
  */
-function hasProjectAccess(user, project) {
-  // Admin has access to everything
-  if (user.role === 'admin') return true;
-  
-  // Helper to get ID string from populated or unpopulated field
-  const getId = (field) => {
-    if (!field) return null;
-    if (typeof field === 'object' && field._id) return field._id.toString();
-    return field.toString();
-  };
-  
-  // Project lead sees own projects
-  if (user.role === 'project-lead') {
-    const projectLeadId = getId(project.projectLead);
-    const createdById = getId(project.createdBy);
-    if (projectLeadId === user.id || createdById === user.id) {
-      return true;
+export const handOverProject = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { newLead, keepPreviousLead = false, note } = req.body;
+    
+    const project = await Project.findOne({ _id: id, ...tenantFilter(req.user) });
+    
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found',
+      });
     }
-  }
-  
-  // Developers see assigned projects
-  if (user.role === 'developer') {
-    const devIds = project.assignedDevelopers?.map(dev => getId(dev)) || [];
-    if (devIds.includes(user.id)) {
-      return true;
+    
+    if (!canOnProject(req.user, 'project:update', project) || !canChangeLeadership(req.user, project)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the project leads can hand leadership over',
+      });
+    }
+    
+    const before = leadershipOf(project);
+    
+    if (before.lead === newLead) {
+      return res.status(400).json({
+        success: false,
+        message: 'This user already leads the project',
+      });
+    }
+    
+    if (!(await isValidProjectLead(newLead, req.user.organization))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid project lead',
+      });
+    }
+    
+    const coLeads = before.coLeads.filter(coLead => coLead !== newLead);
+    if (keepPreviousLead && before.lead && !coLeads.includes(before.lead)) {
+      coLeads.push(before.lead);
+    }
+    
+    // SECURITY: One relationship per user, so a member who takes over loses the membership
+    const wasMember = project.members.some(member => member.user.toString() === newLead);
+    
+    const updatedProject = await Project.findByIdAndUpdate(
+      id,
+      {
+        projectLead: newLead,
+        coLeads,
+        members: project.members.filter(member => member.user.toString() !== newLead),
+        lastModifiedBy: req.user.id,
+      },
+      { new: true, runValidators: true }
+    )
+      .populate('createdBy projectLead coLeads assignedDevelopers', 'username email fullName')
+      .populate('teams', 'name')
+      .populate('members.user', 'username email fullName');
+    
+    if (wasMember) {
+      await syncDocumentAccess(id, [newLead], [], 'member');
+    }
+    
+    await recordLeadershipChange(id, before, leadershipOf(updatedProject), req.user.id, note);
+    
+    console.log(
+      `[${new Date().toISOString()}] Project ${id} handed over from ${before.lead || 'nobody'} ` +
+      `to ${newLead} by user ${req.user.id}`
+    );
+    
+    res.status(200).json({
+      success: true,
+      message: 'Project leadership handed over',
+      data: { project: updatedProject },
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message),
+      });
     }
+    
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found',
+      });
+    }
+    
+    console.error('Hand over project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
   }
-  
-  return false;
-}
+};
 
 /**
- * SECURITY: Check if user can modify project
+ * SECURITY: Delete project (project:delete)
  */
-function canModifyProject(user, project) {
-  // Admin can modify anything
-  if (user.role === 'admin') return true;
-  
-  // Helper to get ID string from populated or unpopulated field
-  const getId = (field) => {
-    if (!field) return null;
-    if (typeof field === 'object' && field._id) return field._id.toString();
-    return field.toString();
-  };
-  
-  // Project lead can modify their own projects
-  if (user.role === 'project-lead') {
-    const projectLeadId = getId(project.projectLead);
-    const createdById = getId(project.createdBy);
-    if (projectLeadId === user.id || createdById === user.id) {
-      return true;
+export const deleteProject = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const project = await Project.findOne({ _id: id, ...tenantFilter(req.user) });
+    
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found',
+      });
     }
+    
+    // SECURITY: Only admins (project:delete) can delete projects
+    if (!hasPermission(req.user, 'project:delete')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can delete projects',
+      });
+    }
+    
+    await Project.findByIdAndDelete(id);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Project deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
   }
-  
-  // Developers cannot modify
-  return false;
-}
+};
@@ -0,0 +1,248 @@
+/**
+ * SECURITY DECISION: Role Controller
+ *
+ * 1. Lists the permission registry with built-in and custom roles
+ *    (role:manage, or user:manage to pick a role for a user)
+ * 2. Creates, edits and deletes custom roles (role:manage only)
+ * 3. Built-in roles are read-only; a role still held by users or open
+ *    invitations cannot be deleted
+ * 4. Custom roles belong to the active organization: other organizations'
+ *    roles look missing (404), and user counts cover this organization only
+ * 5. Nobody defines or edits a role with permissions they do not hold
+ *    themselves, so role:manage cannot be turned into any other permission
+ */
+
+import mongoose from 'mongoose';
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import Invitation from '../models/Invitation.js';
+import { PERMISSIONS, BUILT_IN_ROLES, permissionsBeyond } from '../utils/permissions.js';
+import { tenantFilter, userRoleFilter } from '../utils/organizations.js';
+
+/**
+ * SECURITY: Refuse permissions the user does not hold (no self-escalation)
+ * @returns {boolean} - true when a response was sent
+ */
+const refuseEscalation = (req, res, permissions) => {
+  const missing = permissionsBeyond(req.user, permissions);
+  
+  if (missing.length === 0) {
+    return false;
+  }
+  
+  res.status(403).json({
+    success: false,
+    message: `You cannot manage roles with permissions you do not hold yourself: ${missing.join(', ')}`,
+  });
+  return true;
+};
+
+/**
+ * SECURITY: List permissions and roles with how many users hold each role
+ */
+export const listRoles = async (req, res) => {
+  try {
+    const [customRoles, counts] = await Promise.all([
+      Role.find(tenantFilter(req.user)).sort({ name: 1 }),
+      // Aggregations are not cast by Mongoose
+      User.aggregate([
+        { $unwind: '$memberships' },
+        { $match: { 'memberships.organization': new mongoose.Types.ObjectId(req.user.organization) } },
+        { $group: { _id: '$memberships.role', count: { $sum: 1 } } },
+      ]),
+    ]);
+    
+    const userCounts = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+    
+    const roles = [
+      ...Object.entries(BUILT_IN_ROLES).map(([name, role]) => ({
+        name,
+        description: role.description,
+        permissions: role.permissions,
+        builtIn: true,
+      })),
+      ...customRoles.map(role => role.toJSON()),
+    ].map(role => ({ ...role, userCount: userCounts[role.name] || 0 }));
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        permissions: Object.entries(PERMISSIONS).map(([name, { scope, description }]) => ({
+          name,
+          scope,
+          description,
+        })),
+        roles,
+      },
+    });
+  } catch (error) {
+    console.error('List roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Create a custom role (role:manage)
+ */
+export const createRole = async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+    
+    if (refuseEscalation(req, res, permissions)) return;
+    
+    const role = await Role.create({
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      organization: req.user.organization,
+      createdBy: req.user.id,
+    });
+    
+    console.log(
+      `[${new Date().toISOString()}] Role ${role.name} created by user ${req.user.id}: ` +
+      `${role.permissions.join(', ') || 'no permissions'}`
+    );
+    
+    res.status(201).json({
+      success: true,
+      message: `Role ${role.name} created`,
+      data: { role },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A role with this name already exists in the organization',
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message),
+      });
+    }
+    
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Update a custom role's description and permissions (role:manage)
+ * Takes effect on the next request of every user holding the role
+ */
+export const updateRole = async (req, res) => {
+  try {
+    const role = await Role.findOne({ _id: req.params.id, ...tenantFilter(req.user) });
+    
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found',
+      });
+    }
+    
+    // SECURITY: Both the role as it is and as it would be must be within reach
+    if (refuseEscalation(req, res, [...new Set([...role.permissions, ...req.body.permissions])])) return;
+    
+    if (req.body.description !== undefined) {
+      role.description = req.body.description;
+    }
+    role.permissions = [...new Set(req.body.permissions)];
+    role.lastModifiedBy = req.user.id;
+    await role.save();
+    
+    console.log(
+      `[${new Date().toISOString()}] Role ${role.name} updated by user ${req.user.id}: ` +
+      `${role.permissions.join(', ') || 'no permissions'}`
+    );
+    
+    res.status(200).json({
+      success: true,
+      message: `Role ${role.name} updated`,
+      data: { role },
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message),
+      });
+    }
+    
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found',
+      });
+    }
+    
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Delete an unused custom role (role:manage)
+ * Users must be moved to another role first, so nobody silently loses access
+ */
+export const deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findOne({ _id: req.params.id, ...tenantFilter(req.user) });
+    
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found',
+      });
+    }
+    
+    const [userCount, invitationCount] = await Promise.all([
+      User.countDocuments(userRoleFilter(req.user.organization, role.name)),
+      Invitation.countDocuments({ ...Invitation.openFilter(), ...tenantFilter(req.user), role: role.name }),
+    ]);
+    
+    if (userCount > 0 || invitationCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message:
+          `Role ${role.name} is still assigned to ${userCount} user(s) and ` +
+          `${invitationCount} open invitation(s). Reassign them first.`,
+      });
+    }
+    
+    await Role.deleteOne({ _id: role._id });
+    
+    console.log(`[${new Date().toISOString()}] Role ${role.name} deleted by user ${req.user.id}`);
+    
+    res.status(200).json({
+      success: true,
+      message: `Role ${role.name} deleted`,
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found',
+      });
+    }
+    
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
@@ -0,0 +1,525 @@
+/**
+ * SECURITY DECISION: SCIM 2.0 Provisioning Controller
+ *
+ * The identity provider of an organization (authenticated by its SCIM token,
+ * see authenticateScim) keeps the organization's users in sync:
+ * 1. Users: list, filter, create, replace, patch and deactivate. SCIM maps
+ *    onto username, email, fullName and isActive
+ * 2. Groups are the app's roles (built-in and custom); adding a user to a
+ *    group gives them that role in the organization, removing them returns
+ *    them to developer there
+ * 3. New users are SSO-only accounts (no password) in the organization and
+ *    must match its allowed email domains
+ * 4. Deactivation (active=false or DELETE) ends sessions and revokes API
+ *    tokens at once. Users are never deleted: their records need a successor,
+ *    which only an admin can choose
+ * 5. Accounts shared with other organizations, and super-admins, are not the
+ *    provider's to change: deactivating them only removes them from this
+ *    organization, any other change is refused. Their role in this
+ *    organization is its own (except for super-admins)
+ * 6. Only users and custom roles of the token's organization are visible;
+ *    others look missing
+ */
+
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Role from '../models/Role.js';
+import Session from '../models/Session.js';
+import ApiToken from '../models/ApiToken.js';
+import { BUILT_IN_ROLE_NAMES, isValidRole } from '../utils/permissions.js';
+import { userRoleFilter } from '../utils/organizations.js';
+import {
+  ScimError,
+  SCIM_CONTENT_TYPE,
+  SCIM_SCHEMAS,
+  SCIM_MAX_RESULTS,
+  sendScimError,
+  parseBoolean,
+  parseFilter,
+  listParams,
+  listResponse,
+  patchOperations,
+  applyUserPatch,
+  userFields,
+  groupMemberChanges,
+} from '../utils/scim.js';
+
+// Role of users removed from a group
+const DEFAULT_ROLE = 'developer';
+
+const USER_FILTERS = ['userName', 'emails.value', 'active'];
+const GROUP_FILTERS = ['displayName'];
+
+const USER_FILTER_FIELDS = {
+  userName: 'username',
+  'emails.value': 'email',
+  active: 'isActive',
+};
+
+const sendScim = (res, status, body) => res.status(status).type(SCIM_CONTENT_TYPE).json(body);
+
+const resourceUrl = (req, path) => `${req.protocol}://${req.get('host')}${req.baseUrl}/${path}`;
+
+/**
+ * SECURITY: Users of the token's organization
+ */
+const scimUserFilter = (req) => ({ 'memberships.organization': req.scim.organization._id });
+
+/**
+ * SECURITY: Whether the provider may change the account itself
+ */
+const isProvisioned = (user, organization) =>
+  !user.isSuperAdmin && user.organizationIds().every(id => id === organization._id.toString());
+
+/**
+ * SECURITY: Users of the token's organization holding a role there
+ */
+const scimRoleFilter = (req, role) => userRoleFilter(req.scim.organization._id, role);
+
+/**
+ * SECURITY: Validation and duplicate-key errors become SCIM errors
+ */
+const handleScimError = (res, error, context) => {
+  if (error.name === 'ValidationError') {
+    return sendScimError(
+      res,
+      new ScimError(400, Object.values(error.errors).map(e => e.message).join('. '), 'invalidValue')
+    );
+  }
+  
+  if (error.code === 11000) {
+    return sendScimError(res, new ScimError(409, 'A user with this userName or email already exists', 'uniqueness'));
+  }
+  
+  sendScimError(res, error, context);
+};
+
+/**
+ * SCIM User representation of an account
+ */
+const toScimUser = (req, user) => {
+  const [givenName, ...familyName] = user.fullName.split(' ');
+  const role = user.roleIn(req.scim.organization._id);
+  
+  return {
+    schemas: [SCIM_SCHEMAS.user],
+    id: user._id.toString(),
+    userName: user.username,
+    name: {
+      formatted: user.fullName,
+      givenName,
+      familyName: familyName.join(' '),
+    },
+    displayName: user.fullName,
+    emails: [{ value: user.email, type: 'work', primary: true }],
+    active: user.isActive,
+    groups: role ? [{ value: role, display: role, $ref: resourceUrl(req, `Groups/${role}`) }] : [],
+    meta: {
+      resourceType: 'User',
+      created: user.createdAt,
+      lastModified: user.updatedAt,
+      location: resourceUrl(req, `Users/${user._id}`),
+    },
+  };
+};
+
+/**
+ * SCIM Group representation of a role
+ * @param {Object[]|null} members - Users with the role; null leaves members out
+ */
+const toScimGroup = (req, role, members) => ({
+  schemas: [SCIM_SCHEMAS.group],
+  id: role,
+  displayName: role,
+  ...(members && {
+    members: members.map(user => ({
+      value: user._id.toString(),
+      display: user.fullName,
+      $ref: resourceUrl(req, `Users/${user._id}`),
+    })),
+  }),
+  meta: {
+    resourceType: 'Group',
+    location: resourceUrl(req, `Groups/${role}`),
+  },
+});
+
+/**
+ * User of the organization named in the path
+ * @throws {ScimError} - 404 for unknown IDs and users of other organizations
+ */
+const findScimUser = async (req) => {
+  const user = mongoose.isValidObjectId(req.params.id)
+    ? await User.findOne({ _id: req.params.id, ...scimUserFilter(req) })
+    : null;
+  
+  if (!user) {
+    throw new ScimError(404, `User ${req.params.id} not found`);
+  }
+  
+  return user;
+};
+
+/**
+ * Role named in the path
+ * @throws {ScimError} - 404 for unknown roles
+ */
+const findScimGroup = async (req) => {
+  if (!(await isValidRole(req.params.id, req.scim.organization._id.toString()))) {
+    throw new ScimError(404, `Group ${req.params.id} not found`);
+  }
+  
+  return req.params.id;
+};
+
+/**
+ * SECURITY: Apply provider-supplied fields to an account
+ * @returns {Promise<Object|null>} - The saved user, or null when a shared
+ *   account was removed from the organization instead of deactivated
+ */
+const applyUserFields = async (req, user, fields) => {
+  const { organization } = req.scim;
+  const changes = Object.keys(fields).filter(key => fields[key] !== user[key]);
+  
+  if (changes.length === 0) {
+    return user;
+  }
+  
+  if (!isProvisioned(user, organization)) {
+    if (fields.isActive === false) {
+      await User.updateOne({ _id: user._id }, { $pull: { memberships: { organization: organization._id } } });
+      console.log(
+        `[${new Date().toISOString()}] SCIM ${organization.slug}: shared user ${user._id} removed from the organization`
+      );
+      return null;
+    }
+    
+    throw new ScimError(403, 'This account is shared with other organizations; only a platform administrator can change it');
+  }
+  
+  if (changes.includes('email') && !organization.allowsEmail(fields.email)) {
+    throw new ScimError(400, 'This email domain is not allowed in the organization', 'invalidValue');
+  }
+  
+  changes.forEach(key => {
+    user[key] = fields[key];
+  });
+  await user.save();
+  
+  // SECURITY: Leavers lose every session and API token immediately
+  if (changes.includes('isActive') && !user.isActive) {
+    await Session.revokeAllForUser(user._id, 'account-disabled');
+    await ApiToken.revokeAllForUser(user._id);
+  }
+  
+  console.log(
+    `[${new Date().toISOString()}] SCIM ${organization.slug}: user ${user._id} updated (${changes.join(', ')})` +
+    `${changes.includes('isActive') ? ` - ${user.isActive ? 'reactivated' : 'deactivated'}` : ''}`
+  );
+  
+  return user;
+};
+
+/**
+ * Capabilities of this SCIM service
+ */
+export const getServiceProviderConfig = (req, res) => {
+  sendScim(res, 200, {
+    schemas: [SCIM_SCHEMAS.serviceProviderConfig],
+    patch: { supported: true },
+    bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+    filter: { supported: true, maxResults: SCIM_MAX_RESULTS },
+    changePassword: { supported: false },
+    sort: { supported: false },
+    etag: { supported: false },
+    authenticationSchemes: [
+      {
+        type: 'oauthbearertoken',
+        name: 'OAuth Bearer Token',
+        description: 'SCIM token of the organization, generated on its Workspace page',
+      },
+    ],
+    meta: {
+      resourceType: 'ServiceProviderConfig',
+      location: resourceUrl(req, 'ServiceProviderConfig'),
+    },
+  });
+};
+
+/**
+ * SECURITY: List users of the organization
+ * Filters: userName eq, emails.value eq, active eq
+ */
+export const listUsers = async (req, res) => {
+  try {
+    const filter = parseFilter(req.query.filter, USER_FILTERS);
+    const { startIndex, count } = listParams(req.query);
+    const query = scimUserFilter(req);
+    
+    if (filter) {
+      const value = filter.attribute === 'active'
+        ? parseBoolean(filter.value)
+        : String(filter.value).trim().toLowerCase();
+      
+      if (value === undefined) {
+        throw new ScimError(400, 'active can only be compared with true or false', 'invalidFilter');
+      }
+      
+      query[USER_FILTER_FIELDS[filter.attribute]] = value;
+    }
+    
+    // limit(0) would mean "no limit"
+    const [users, totalResults] = await Promise.all([
+      count > 0 ? User.find(query).sort({ createdAt: 1 }).skip(startIndex - 1).limit(count) : [],
+      User.countDocuments(query),
+    ]);
+    
+    sendScim(res, 200, listResponse(users.map(user => toScimUser(req, user)), totalResults, startIndex));
+  } catch (error) {
+    sendScimError(res, error, 'SCIM list users');
+  }
+};
+
+/**
+ * SECURITY: One user of the organization
+ */
+export const getUser = async (req, res) => {
+  try {
+    const user = await findScimUser(req);
+    
+    sendScim(res, 200, toScimUser(req, user));
+  } catch (error) {
+    sendScimError(res, error, 'SCIM get user');
+  }
+};
+
+/**
+ * SECURITY: Provision an SSO-only account in the organization
+ * Accounts that already exist (here or elsewhere) are never taken over
+ */
+export const createUser = async (req, res) => {
+  try {
+    const { organization } = req.scim;
+    const fields = userFields(req.body || {});
+    
+    if (!fields.username || !fields.fullName) {
+      throw new ScimError(400, 'userName and a name or displayName are required', 'invalidValue');
+    }
+    
+    if (!organization.allowsEmail(fields.email)) {
+      throw new ScimError(400, 'This email domain is not allowed in the organization', 'invalidValue');
+    }
+    
+    const existing = await User.exists({ $or: [{ email: fields.email }, { username: fields.username }] });
+    
+    if (existing) {
+      throw new ScimError(409, 'A user with this userName or email already exists', 'uniqueness');
+    }
+    
+    const user = await User.create({
+      ...fields,
+      authProvider: 'oidc',
+      memberships: [{ organization: organization._id, role: DEFAULT_ROLE }],
+    });
+    
+    console.log(
+      `[${new Date().toISOString()}] SCIM ${organization.slug}: user ${user._id} (${user.email}) provisioned`
+    );
+    
+    sendScim(res, 201, toScimUser(req, user));
+  } catch (error) {
+    handleScimError(res, error, 'SCIM create user');
+  }
+};
+
+/**
+ * SECURITY: Replace a user's attributes (PUT)
+ * Attributes the request leaves out keep their current value
+ */
+export const replaceUser = async (req, res) => {
+  try {
+    const user = await findScimUser(req);
+    const updated = await applyUserFields(req, user, userFields(req.body || {}));
+    
+    sendScim(res, 200, toScimUser(req, updated || Object.assign(user, { isActive: false })));
+  } catch (error) {
+    handleScimError(res, error, 'SCIM replace user');
+  }
+};
+
+/**
+ * SECURITY: Patch a user (PATCH), e.g. { op: 'replace', path: 'active', value: false }
+ */
+export const patchUser = async (req, res) => {
+  try {
+    const operations = patchOperations(req.body);
+    const user = await findScimUser(req);
+    const patched = applyUserPatch(toScimUser(req, user), operations);
+    const updated = await applyUserFields(req, user, userFields(patched));
+    
+    sendScim(res, 200, toScimUser(req, updated || Object.assign(user, { isActive: false })));
+  } catch (error) {
+    handleScimError(res, error, 'SCIM patch user');
+  }
+};
+
+/**
+ * SECURITY: Deprovision a user (DELETE)
+ * Deactivates the account; deleting it stays an admin decision (successor)
+ */
+export const deactivateUser = async (req, res) => {
+  try {
+    const user = await findScimUser(req);
+    await applyUserFields(req, user, { isActive: false });
+    
+    res.status(204).end();
+  } catch (error) {
+    handleScimError(res, error, 'SCIM deactivate user');
+  }
+};
+
+/**
+ * SECURITY: Roles as groups, with the organization's users holding them
+ * Filter: displayName eq. excludedAttributes=members leaves members out
+ */
+export const listGroups = async (req, res) => {
+  try {
+    const filter = parseFilter(req.query.filter, GROUP_FILTERS);
+    const { startIndex, count } = listParams(req.query);
+    // SECURITY: Only this organization's custom roles
+    const customRoles = await Role.find({ organization: req.scim.organization._id }).select('name').sort({ name: 1 });
+    
+    const roles = [...BUILT_IN_ROLE_NAMES, ...customRoles.map(role => role.name)]
+      .filter(role => !filter || role === String(filter.value).toLowerCase());
+    const page = roles.slice(startIndex - 1, startIndex - 1 + count);
+    
+    const withMembers = !/\bmembers\b/.test(req.query.excludedAttributes || '');
+    const members = withMembers && page.length > 0
+      ? await User.find(scimRoleFilter(req, { $in: page })).select('fullName memberships')
+      : [];
+    
+    const groups = page.map(role => toScimGroup(
+      req,
+      role,
+      withMembers ? members.filter(user => user.roleIn(req.scim.organization._id) === role) : null
+    ));
+    
+    sendScim(res, 200, listResponse(groups, roles.length, startIndex));
+  } catch (error) {
+    sendScimError(res, error, 'SCIM list groups');
+  }
+};
+
+/**
+ * SECURITY: One role as a group
+ */
+export const getGroup = async (req, res) => {
+  try {
+    const role = await findScimGroup(req);
+    const members = await User.find(scimRoleFilter(req, role)).select('fullName');
+    
+    sendScim(res, 200, toScimGroup(req, role, members));
+  } catch (error) {
+    sendScimError(res, error, 'SCIM get group');
+  }
+};
+
+/**
+ * SECURITY: Groups cannot be created over SCIM: roles and their permissions are
+ * defined by admins. An existing role answers 409 so the provider links to it
+ */
+export const createGroup = async (req, res) => {
+  try {
+    const name = String(req.body?.displayName || '').trim().toLowerCase();
+    
+    if (name && (await isValidRole(name, req.scim.organization._id.toString()))) {
+      throw new ScimError(409, `Group ${name} already exists`, 'uniqueness');
+    }
+    
+    throw new ScimError(403, 'Groups are the roles defined in the app; ask an admin to create the role first');
+  } catch (error) {
+    sendScimError(res, error, 'SCIM create group');
+  }
+};
+
+/**
+ * SECURITY: Give or take away a role in the organization through group membership
+ * Members must be users of the organization; super-admins' roles are not the
+ * provider's to change
+ */
+const updateGroupMembers = async (req, changes) => {
+  const { organization } = req.scim;
+  const role = await findScimGroup(req);
+  const ids = [...new Set([...changes.add, ...changes.remove, ...(changes.replace || [])])];
+  
+  const users = ids.every(id => mongoose.isValidObjectId(id))
+    ? await User.find({ _id: { $in: ids }, ...scimUserFilter(req) })
+    : [];
+  
+  if (users.length !== ids.length) {
+    throw new ScimError(400, 'Every member must be a user of this organization', 'invalidValue');
+  }
+  
+  // SECURITY: Replacing the members also takes the role away from everyone left out
+  const holders = changes.replace
+    ? await User.find({ ...scimRoleFilter(req, role), _id: { $nin: ids } })
+    : [];
+  const roleOf = (user) => user.roleIn(organization._id);
+  const assign = [...changes.add, ...(changes.replace || [])];
+  const removed = (user) => Boolean(changes.replace) || changes.remove.includes(user._id.toString());
+  
+  const toAssign = users.filter(user => assign.includes(user._id.toString()) && roleOf(user) !== role);
+  const toUnassign = [...users, ...holders].filter(user =>
+    roleOf(user) === role && role !== DEFAULT_ROLE && !assign.includes(user._id.toString()) && removed(user)
+  );
+  
+  if ([...toAssign, ...toUnassign].some(user => user.isSuperAdmin)) {
+    throw new ScimError(403, 'Roles of platform administrators can only be changed by a platform administrator');
+  }
+  
+  // SECURITY: Only the membership in this organization changes
+  const setRole = (changed, value) => User.updateMany(
+    { _id: { $in: changed.map(user => user._id) }, 'memberships.organization': organization._id },
+    { $set: { 'memberships.$.role': value } }
+  );
+  await setRole(toAssign, role);
+  await setRole(toUnassign, DEFAULT_ROLE);
+  
+  if (toAssign.length > 0 || toUnassign.length > 0) {
+    console.log(
+      `[${new Date().toISOString()}] SCIM ${organization.slug}: role ${role} given to ` +
+      `${toAssign.length} user(s), removed from ${toUnassign.length}`
+    );
+  }
+  
+  return role;
+};
+
+/**
+ * SECURITY: Replace the members of a group (PUT)
+ */
+export const replaceGroup = async (req, res) => {
+  try {
+    const role = await updateGroupMembers(req, groupMemberChanges([
+      { op: 'replace', path: 'members', value: req.body?.members || [] },
+    ]));
+    const members = await User.find(scimRoleFilter(req, role)).select('fullName');
+    
+    sendScim(res, 200, toScimGroup(req, role, members));
+  } catch (error) {
+    sendScimError(res, error, 'SCIM replace group');
+  }
+};
+
+/**
+ * SECURITY: Add or remove group members (PATCH)
+ */
+export const patchGroup = async (req, res) => {
+  try {
+    await updateGroupMembers(req, groupMemberChanges(patchOperations(req.body)));
+    
+    res.status(204).end();
+  } catch (error) {
+    sendScimError(res, error, 'SCIM patch group');
+  }
+};
@@ -0,0 +1,138 @@
+/**
+ * SECURITY DECISION: Security Event Controller (admin only)
+ *
+ * Handles:
+ * 1. Reviewing suspicious login events, open ones first
+ * 2. Acknowledging an event with an optional note
+ *
+ * Events are created by utils/suspiciousLogin.js, never through the API.
+ * Only events of users in the active organization are visible
+ */
+
+import SecurityEvent, { SECURITY_EVENT_TYPES, SECURITY_EVENT_SEVERITIES } from '../models/SecurityEvent.js';
+import { organizationUserIds } from '../utils/organizations.js';
+
+const EVENT_STATUSES = ['open', 'acknowledged', 'all'];
+
+/**
+ * SECURITY: List security events
+ * Query: status (open|acknowledged|all, default open), severity, type, user, limit
+ */
+export const listSecurityEvents = async (req, res) => {
+  try {
+    const { status = 'open', severity, type, user } = req.query;
+    
+    if (!EVENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${EVENT_STATUSES.join(', ')}`,
+      });
+    }
+    
+    // SECURITY: Only whitelisted values reach the query (no operator injection)
+    if ((severity && !SECURITY_EVENT_SEVERITIES.includes(severity)) ||
+        (type && !Object.keys(SECURITY_EVENT_TYPES).includes(type))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid severity or type filter',
+      });
+    }
+    
+    const memberFilter = { user: { $in: await organizationUserIds(req.user) } };
+    const filter = {
+      ...memberFilter,
+      ...(status === 'open' && { acknowledgedAt: null }),
+      ...(status === 'acknowledged' && { acknowledgedAt: { $ne: null } }),
+      ...(severity && { severity }),
+      ...(type && { type }),
+      ...(typeof user === 'string' && user && { user: { ...memberFilter.user, $eq: user } }),
+    };
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    
+    const [events, openCount] = await Promise.all([
+      SecurityEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .populate('user', 'username fullName email')
+        .populate('acknowledgedBy', 'username fullName'),
+      SecurityEvent.countDocuments({ ...memberFilter, acknowledgedAt: null }),
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        count: events.length,
+        openCount,
+        events,
+      },
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user filter',
+      });
+    }
+    
+    console.error('List security events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Acknowledge a security event
+ */
+export const acknowledgeSecurityEvent = async (req, res) => {
+  try {
+    const note = typeof req.body.note === 'string' ? req.body.note.trim() : undefined;
+    
+    const exists = await SecurityEvent.exists({
+      _id: req.params.id,
+      user: { $in: await organizationUserIds(req.user) },
+    });
+    const event = exists && await SecurityEvent.acknowledge(req.params.id, req.user.id, note || undefined);
+    
+    if (!event) {
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists ? 'Security event was already acknowledged' : 'Security event not found',
+      });
+    }
+    
+    console.log(
+      `[${new Date().toISOString()}] Security event ${event._id} (${event.type}) ` +
+      `acknowledged by admin ${req.user.id}`
+    );
+    
+    res.status(200).json({
+      success: true,
+      message: 'Security event acknowledged',
+      data: { event },
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message),
+      });
+    }
+    
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Security event not found',
+      });
+    }
+    
+    console.error('Acknowledge security event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
@@ -0,0 +1,298 @@
+/**
+ * SECURITY DECISION: Team Controller
+ *
+ * 1. Lists teams for team managers and for project owners picking teams
+ * 2. Creates, edits and deletes teams (team:manage only)
+ * 3. Membership changes are applied to every project the team is assigned to:
+ *    access follows at once (teams are resolved per request) and document
+ *    accessibleBy lists are updated here
+ * 4. Teams, their members and their projects belong to the active organization
+ */
+
+import mongoose from 'mongoose';
+import Team from '../models/Team.js';
+import User from '../models/User.js';
+import Project from '../models/Project.js';
+import { syncDocumentAccess, teamMemberIds } from '../utils/documentAccess.js';
+import { tenantFilter, userTenantFilter } from '../utils/organizations.js';
+
+/**
+ * SECURITY: Check that every user to add is an active user of the organization
+ * @returns {Promise<boolean>}
+ */
+const areActiveUsers = async (userIds, organization) => {
+  if (!userIds.every(id => mongoose.isValidObjectId(id))) return false;
+  
+  const count = await User.countDocuments({
+    _id: { $in: userIds },
+    isActive: true,
+    'memberships.organization': organization,
+  });
+  return count === userIds.length;
+};
+
+/**
+ * SECURITY: Team members of every project the team works on, before a change
+ */
+const snapshotProjectTeamMembers = async (teamId) => {
+  const projects = await Project.find({ teams: teamId }).select('teams');
+  
+  return Promise.all(projects.map(async project => ({
+    projectId: project._id,
+    teams: project.teams,
+    memberIds: await teamMemberIds(project.teams),
+  })));
+};
+
+/**
+ * SECURITY: Update document access of those projects after the change
+ */
+const syncProjectTeamMembers = (snapshots, removedTeamId = null) =>
+  Promise.all(snapshots.map(async ({ projectId, teams, memberIds }) => {
+    const remainingTeams = teams.filter(team => !team.equals(removedTeamId));
+    
+    await syncDocumentAccess(projectId, memberIds, await teamMemberIds(remainingTeams), 'team');
+  }));
+
+/**
+ * SECURITY: List teams with the number of projects each works on
+ */
+export const listTeams = async (req, res) => {
+  try {
+    const [teams, counts] = await Promise.all([
+      Team.find(tenantFilter(req.user))
+        .populate('lead', 'username email fullName')
+        .populate('members', 'username email fullName')
+        .sort({ name: 1 }),
+      Project.aggregate([
+        { $match: { organization: new mongoose.Types.ObjectId(req.user.organization) } },
+        { $unwind: '$teams' },
+        { $group: { _id: '$teams', count: { $sum: 1 } } },
+      ]),
+    ]);
+    
+    const projectCounts = Object.fromEntries(counts.map(({ _id, count }) => [_id.toString(), count]));
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        teams: teams.map(team => ({
+          ...team.toJSON(),
+          projectCount: projectCounts[team._id.toString()] || 0,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('List teams error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Active users that can be added to teams (team:manage)
+ */
+export const listTeamCandidates = async (req, res) => {
+  try {
+    const users = await User.find({ isActive: true, ...userTenantFilter(req.user) })
+      .select('username email fullName')
+      .sort({ fullName: 1 });
+    
+    res.status(200).json({
+      success: true,
+      data: { users },
+    });
+  } catch (error) {
+    console.error('List team candidates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Create a team (team:manage)
+ */
+export const createTeam = async (req, res) => {
+  try {
+    const { name, description, lead, members = [] } = req.body;
+    
+    const memberIds = [...new Set([...members, ...(lead ? [lead] : [])].map(String))];
+    
+    if (!(await areActiveUsers(memberIds, req.user.organization))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some team members are not active users',
+      });
+    }
+    
+    const team = await Team.create({
+      name,
+      description,
+      lead: lead || undefined,
+      members: memberIds,
+      organization: req.user.organization,
+      createdBy: req.user.id,
+    });
+    
+    console.log(
+      `[${new Date().toISOString()}] Team ${team.name} created by user ${req.user.id} ` +
+      `with ${team.members.length} member(s)`
+    );
+    
+    res.status(201).json({
+      success: true,
+      message: `Team ${team.name} created`,
+      data: { team },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A team with this name already exists',
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message),
+      });
+    }
+    
+    console.error('Create team error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Update a team (team:manage)
+ * Membership changes reach every project the team is assigned to
+ */
+export const updateTeam = async (req, res) => {
+  try {
+    const { name, description, lead, members } = req.body;
+    
+    const team = await Team.findOne({ _id: req.params.id, ...tenantFilter(req.user) });
+    
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found',
+      });
+    }
+    
+    if (name !== undefined) team.name = name;
+    if (description !== undefined) team.description = description;
+    if (lead !== undefined) team.lead = lead || undefined;
+    if (members !== undefined) team.members = [...new Set(members.map(String))];
+    
+    const memberIds = team.members.map(String);
+    
+    if (!(await areActiveUsers(memberIds.concat(team.lead ? [team.lead.toString()] : []), req.user.organization))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some team members are not active users',
+      });
+    }
+    
+    const snapshots = await snapshotProjectTeamMembers(team._id);
+    
+    team.lastModifiedBy = req.user.id;
+    await team.save();
+    
+    await syncProjectTeamMembers(snapshots);
+    
+    console.log(
+      `[${new Date().toISOString()}] Team ${team.name} updated by user ${req.user.id}: ` +
+      `${team.members.length} member(s), ${snapshots.length} project(s) affected`
+    );
+    
+    res.status(200).json({
+      success: true,
+      message: `Team ${team.name} updated`,
+      data: { team },
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A team with this name already exists',
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message),
+      });
+    }
+    
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found',
+      });
+    }
+    
+    console.error('Update team error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Delete a team (team:manage)
+ * Its projects lose the team and its members lose the access it gave them
+ */
+export const deleteTeam = async (req, res) => {
+  try {
+    const team = await Team.findOne({ _id: req.params.id, ...tenantFilter(req.user) });
+    
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found',
+      });
+    }
+    
+    const snapshots = await snapshotProjectTeamMembers(team._id);
+    
+    await Project.updateMany({ teams: team._id }, { $pull: { teams: team._id } });
+    await syncProjectTeamMembers(snapshots, team._id);
+    await Team.deleteOne({ _id: team._id });
+    
+    console.log(
+      `[${new Date().toISOString()}] Team ${team.name} deleted by user ${req.user.id}, ` +
+      `removed from ${snapshots.length} project(s)`
+    );
+    
+    res.status(200).json({
+      success: true,
+      message: `Team ${team.name} deleted`,
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found',
+      });
+    }
+    
+    console.error('Delete team error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
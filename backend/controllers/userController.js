@@ -2,37 +2,97 @@
  * SECURITY DECISION: User Management Controller
  * 
  * Admin-only operations:
- * 1. Create users (no self-registration)
+ * 1. Create users by invitation (see invitationController)
  * 2. Update user information
  * 3. Delete users
- * 4. List users with role filtering
+ * 4. List users a page at a time, with search, filters and sorting
  * 5. Reset user passwords
+ * 6. Force-disable MFA (lost authenticator device)
+ * 7. Review and revoke user sessions
+ * 8. Export the users of the organization (CSV or JSON)
+ * 
+ * Deactivation and deletion also revoke the user's API tokens
+ * Deletion is previewed first, hands owned projects and documents to a
+ * successor and leaves a tombstone so history still shows the name
+ * Only users of the active organization are visible, with their role in it.
+ * Accounts that also belong to other organizations, and super-admins, are
+ * changed by super-admins only (including unlocking and revoking sessions),
+ * except for their role in this organization; deleting one just removes it
+ * from the active organization
+ * Roles with permissions the admin does not hold cannot be given, and users
+ * holding them cannot be changed (no escalation)
  */
 
+import mongoose from 'mongoose';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import ApiToken from '../models/ApiToken.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import Notification from '../models/Notification.js';
+import Team from '../models/Team.js';
+import { checkPassword, sendPasswordPolicyError } from '../utils/passwordPolicy.js';
+import { canActOnAccount, canGrantRole, isValidRole, rolesWithPermission, roleHasPermission, PERMISSIONS } from '../utils/permissions.js';
+import { canManageAccount, tenantFilter, userTenantFilter, userRoleFilter } from '../utils/organizations.js';
+import { previewUserDeletion, reassignUserRecords } from '../utils/userDeletion.js';
+import { toCsv } from '../utils/csv.js';
+import { findUserPage, userListFilter } from '../utils/userQuery.js';
+import { deleteStoredAvatar } from '../utils/profile.js';
+
+/**
+ * SECURITY: Response body for accounts shared with other organizations
+ */
+const SHARED_ACCOUNT_DENIED = {
+  success: false,
+  message: 'This account is shared with other organizations or operates the platform. Only a platform administrator can change it.',
+};
+
+/**
+ * SECURITY: Response body for roles beyond the admin's own permissions
+ */
+const ROLE_GRANT_DENIED = {
+  success: false,
+  message: 'You cannot give a role with permissions you do not hold yourself',
+};
+
+/**
+ * SECURITY: Response body for accounts whose role goes beyond the admin's own
+ * permissions (e.g. a user:manage holder acting on an admin)
+ */
+const ROLE_HOLDER_DENIED = {
+  success: false,
+  message: 'You cannot manage a user whose role has permissions you do not hold yourself',
+};
 
 /**
- * SECURITY: List all users (admin only)
- * Supports filtering by role
+ * SECURITY: List users of the organization, one page at a time (admin only)
+ * Query (validateUserListInput): search (name, email), role, or permission
+ * their role grants (e.g. ?permission=project:lead for the lead picker),
+ * active, locked, sort, page, limit
  */
 export const listUsers = async (req, res) => {
   try {
-    const { role } = req.query;
+    const { role, permission, sort, page, limit } = req.query;
     
-    // SECURITY: Build filter object safely
-    const filter = {};
-    if (role && ['admin', 'project-lead', 'developer'].includes(role)) {
-      filter.role = role;
+    // SECURITY: Build filter object safely; roles are the ones held in this organization
+    const { organization } = req.user;
+    const filter = { ...userListFilter(req.query), ...userTenantFilter(req.user) };
+    if (role && await isValidRole(role, organization)) {
+      Object.assign(filter, userRoleFilter(organization, role));
+    } else if (typeof permission === 'string' && Object.hasOwn(PERMISSIONS, permission)) {
+      Object.assign(filter, userRoleFilter(organization, { $in: await rolesWithPermission(permission, organization) }));
     }
     
-    const users = await User.find(filter).select('-password -mfaSecret');
+    const result = await findUserPage(filter, {
+      sort,
+      page,
+      limit,
+      select: '-password -mfaSecret',
+      organization,
+    });
     
     res.status(200).json({
       success: true,
-      data: {
-        count: users.length,
-        users,
-      },
+      data: result,
     });
   } catch (error) {
     console.error('List users error:', error);
@@ -44,25 +104,63 @@ export const listUsers = async (req, res) => {
 };
 
 /**
- * SECURITY: Get user by ID
+ * SECURITY: Export the users of the organization (admin only)
+ * ?format=csv (default, same columns as the import) | json
+ * Account details only - never credentials or MFA material
  */
-export const getUser = async (req, res) => {
+export const exportUsers = async (req, res) => {
   try {
-    const user = await User.findById(req.params.id).select('-password -mfaSecret');
+    const format = req.query.format === 'json' ? 'json' : 'csv';
     
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found',
+    const [users, teams] = await Promise.all([
+      User.find(userTenantFilter(req.user))
+        .select('email fullName memberships isActive mfaEnabled lastLogin createdAt')
+        .sort({ fullName: 1 }),
+      Team.find(tenantFilter(req.user)).select('name members'),
+    ]);
+    
+    const records = users.map(user => ({
+      email: user.email,
+      fullName: user.fullName,
+      role: user.roleIn(req.user.organization),
+      teams: teams.filter(team => team.members.some(id => id.equals(user._id))).map(team => team.name),
+      isActive: user.isActive,
+      mfaEnabled: user.mfaEnabled,
+      lastLogin: user.lastLogin,
+      createdAt: user.createdAt,
+    }));
+    
+    console.log(
+      `[${new Date().toISOString()}] ${records.length} user(s) exported as ${format} by user ${req.user.id}`
+    );
+    
+    res.attachment(`users-${new Date().toISOString().slice(0, 10)}.${format}`);
+    
+    if (format === 'json') {
+      return res.status(200).json({
+        success: true,
+        data: {
+          count: records.length,
+          users: records,
+        },
       });
     }
     
-    res.status(200).json({
-      success: true,
-      data: { user },
-    });
+    res.status(200).type('text/csv').send(toCsv([
+      ['email', 'full name', 'role', 'team', 'status', 'mfa', 'last login', 'created'],
+      ...records.map(record => [
+        record.email,
+        record.fullName,
+        record.role,
+        record.teams.join('; '),
+        record.isActive ? 'active' : 'inactive',
+        record.mfaEnabled ? 'enabled' : 'disabled',
+        record.lastLogin ? record.lastLogin.toISOString() : '',
+        record.createdAt.toISOString(),
+      ]),
+    ]));
   } catch (error) {
-    console.error('Get user error:', error);
+    console.error('Export users error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -71,54 +169,26 @@ export const getUser = async (req, res) => {
 };
 
 /**
- * SECURITY: Create user (admin only)
- * No self-registration to prevent unauthorized access
+ * SECURITY: Get user by ID
  */
-export const createUser = async (req, res) => {
+export const getUser = async (req, res) => {
   try {
-    const { username, email, password, fullName, role } = req.body;
-    
-    // SECURITY: Check if user already exists
-    const existingUser = await User.findOne({
-      $or: [{ username }, { email }],
-    });
+    const user = await User.findOne({ _id: req.params.id, ...userTenantFilter(req.user) })
+      .select('-password -mfaSecret');
     
-    if (existingUser) {
-      return res.status(409).json({
+    if (!user) {
+      return res.status(404).json({
         success: false,
-        message: 'Username or email already exists',
+        message: 'User not found',
       });
     }
     
-    // SECURITY: Create new user with validated inputs
-    const newUser = new User({
-      username,
-      email,
-      password, // Will be hashed in pre-save middleware
-      fullName,
-      role: role || 'developer',
-    });
-    
-    await newUser.save();
-    
-    res.status(201).json({
+    res.status(200).json({
       success: true,
-      message: 'User created successfully',
-      data: {
-        user: newUser.toJSON(),
-      },
+      data: { user: user.toOrganizationJSON(req.user.organization) },
     });
   } catch (error) {
-    // Handle Mongoose validation errors
-    if (error.name === 'ValidationError') {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        errors: Object.values(error.errors).map(e => e.message),
-      });
-    }
-    
-    console.error('Create user error:', error);
+    console.error('Get user error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -128,7 +198,7 @@ export const createUser = async (req, res) => {
 
 /**
  * SECURITY: Update user (admin only)
- * Can update: fullName, role, email, and account status
+ * Can update: fullName, email, account status, and the role in this organization
  * Cannot update: password (use changePassword endpoint)
  */
 export const updateUser = async (req, res) => {
@@ -144,20 +214,15 @@ export const updateUser = async (req, res) => {
       });
     }
     
-    // SECURITY: Build safe update object
-    const updateData = {};
-    if (fullName) updateData.fullName = fullName;
-    if (email) updateData.email = email;
-    if (role && ['admin', 'project-lead', 'developer'].includes(role)) {
-      updateData.role = role;
+    // SECURITY: Built-in or existing custom role of this organization only
+    if (role && !(await isValidRole(role, req.user.organization))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid role',
+      });
     }
-    if (isActive !== undefined) updateData.isActive = isActive;
     
-    const user = await User.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true, runValidators: true }
-    );
+    const user = await User.findOne({ _id: id, ...userTenantFilter(req.user) });
     
     if (!user) {
       return res.status(404).json({
@@ -166,10 +231,40 @@ export const updateUser = async (req, res) => {
       });
     }
     
+    // SECURITY: No acting on, or granting, more than the admin holds
+    if (!(await canActOnAccount(req.user, user))) {
+      return res.status(403).json(ROLE_HOLDER_DENIED);
+    }
+    
+    if (role && role !== user.roleIn(req.user.organization) && !(await canGrantRole(req.user, role))) {
+      return res.status(403).json(ROLE_GRANT_DENIED);
+    }
+    
+    // SECURITY: Name, email and status are shared with the account's other
+    // organizations; the role only applies in this one
+    const changesAccount = Boolean(fullName || email || isActive !== undefined);
+    if ((changesAccount || user.isSuperAdmin) && !canManageAccount(req.user, user)) {
+      return res.status(403).json(SHARED_ACCOUNT_DENIED);
+    }
+    
+    if (fullName) user.fullName = fullName;
+    if (email) user.email = email;
+    if (isActive !== undefined) user.isActive = isActive;
+    if (role) {
+      user.memberships.find(item => item.organization.toString() === req.user.organization).role = role;
+    }
+    await user.save();
+    
+    // SECURITY: Deactivated users lose all refresh tokens immediately
+    if (isActive === false) {
+      await Session.revokeAllForUser(user._id, 'account-disabled');
+      await ApiToken.revokeAllForUser(user._id, req.user.id);
+    }
+    
     res.status(200).json({
       success: true,
       message: 'User updated successfully',
-      data: { user: user.toJSON() },
+      data: { user: user.toOrganizationJSON(req.user.organization) },
     });
   } catch (error) {
     if (error.name === 'ValidationError') {
@@ -188,13 +283,58 @@ export const updateUser = async (req, res) => {
   }
 };
 
+/**
+ * SECURITY: Preview a deletion (admin only)
+ * Lists the records that change and, when the user owns projects or
+ * documents, the users who can take them over
+ */
+export const getUserDeletionPreview = async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id, ...userTenantFilter(req.user) });
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+    
+    const preview = await previewUserDeletion(user, req.user.organization);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        user: { _id: user._id, fullName: user.fullName, email: user.email },
+        // Shared accounts only leave this organization
+        removesFromOrganizationOnly: !canManageAccount(req.user, user),
+        ...preview,
+      },
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+    
+    console.error('User deletion preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
 /**
  * SECURITY: Delete user (admin only)
- * Soft or hard delete depends on data retention policy
+ * Owned projects and documents go to the successor from the request body;
+ * the account becomes a tombstone instead of leaving dangling references
  */
 export const deleteUser = async (req, res) => {
   try {
     const { id } = req.params;
+    const { successor } = req.body || {};
     
     // SECURITY: Prevent admin from deleting themselves
     if (req.user.id === id) {
@@ -204,7 +344,7 @@ export const deleteUser = async (req, res) => {
       });
     }
     
-    const user = await User.findByIdAndDelete(id);
+    const user = await User.findOne({ _id: id, ...userTenantFilter(req.user) });
     
     if (!user) {
       return res.status(404).json({
@@ -213,11 +353,81 @@ export const deleteUser = async (req, res) => {
       });
     }
     
+    if (!(await canActOnAccount(req.user, user))) {
+      return res.status(403).json(ROLE_HOLDER_DENIED);
+    }
+    
+    const preview = await previewUserDeletion(user, req.user.organization);
+    
+    if (preview.requiresSuccessor) {
+      if (!successor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Choose a successor for the projects and documents this user owns',
+          data: preview,
+        });
+      }
+      
+      const candidate = successor !== id && mongoose.isValidObjectId(successor) &&
+        await User.findOne({ _id: successor, isActive: true, ...userTenantFilter(req.user) });
+      
+      if (
+        !candidate ||
+        (preview.ownedProjects.length > 0 &&
+          !(await roleHasPermission(candidate.roleIn(req.user.organization), 'project:lead', req.user.organization)))
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid successor',
+        });
+      }
+    }
+    
+    const projectCount = await reassignUserRecords(
+      user,
+      preview.requiresSuccessor ? successor : null,
+      req.user.id,
+      req.user.organization
+    );
+    
+    // SECURITY: A shared account only leaves this organization
+    if (!canManageAccount(req.user, user)) {
+      await User.updateOne({ _id: user._id }, { $pull: { memberships: { organization: req.user.organization } } });
+      
+      console.log(
+        `[${new Date().toISOString()}] User ${id} removed from organization ${req.user.organization} ` +
+        `by admin ${req.user.id} (${projectCount} project(s) updated)`
+      );
+      
+      return res.status(200).json({
+        success: true,
+        message: 'User removed from this organization',
+      });
+    }
+    
+    await deleteStoredAvatar(user.profile?.avatarPublicId);
+    await User.tombstone(user._id, req.user.id);
+    await Session.revokeAllForUser(user._id, 'account-disabled');
+    await ApiToken.revokeAllForUser(user._id, req.user.id);
+    await Notification.deleteMany({ user: user._id });
+    
+    console.log(
+      `[${new Date().toISOString()}] User ${id} deleted by admin ${req.user.id}` +
+      `${preview.requiresSuccessor ? `, records handed to ${successor}` : ''} (${projectCount} project(s) updated)`
+    );
+    
     res.status(200).json({
       success: true,
       message: 'User deleted successfully',
     });
   } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+    
     console.error('Delete user error:', error);
     res.status(500).json({
       success: false,
@@ -229,21 +439,14 @@ export const deleteUser = async (req, res) => {
 /**
  * SECURITY: Reset user password
  * Admin function to reset user password
- * User should change this on first login
+ * The user must replace the temporary password on next login (mustChangePassword)
  */
 export const resetUserPassword = async (req, res) => {
   try {
     const { id } = req.params;
     const { tempPassword } = req.body;
     
-    if (!tempPassword || tempPassword.length < 8) {
-      return res.status(400).json({
-        success: false,
-        message: 'Temporary password must be at least 8 characters',
-      });
-    }
-    
-    const user = await User.findById(id);
+    const user = await User.findOne({ _id: id, ...userTenantFilter(req.user) });
     
     if (!user) {
       return res.status(404).json({
@@ -252,16 +455,34 @@ export const resetUserPassword = async (req, res) => {
       });
     }
     
+    if (!canManageAccount(req.user, user)) {
+      return res.status(403).json(SHARED_ACCOUNT_DENIED);
+    }
+    
+    if (!(await canActOnAccount(req.user, user))) {
+      return res.status(403).json(ROLE_HOLDER_DENIED);
+    }
+    
+    // SECURITY: Temporary passwords follow the same policy, including history
+    const passwordErrors = await checkPassword(tempPassword, { user });
+    if (passwordErrors.length > 0) {
+      return sendPasswordPolicyError(res, passwordErrors, 'tempPassword');
+    }
+    
     // SECURITY: Update password (will be hashed in pre-save)
     user.password = tempPassword;
+    user.mustChangePassword = true;
     await user.save();
     
+    // SECURITY: Existing sessions must not survive an admin reset
+    await Session.revokeAllForUser(user._id, 'password-changed');
+    
     res.status(200).json({
       success: true,
       message: 'Password reset successfully',
       data: {
         user: user.toJSON(),
-        instruction: 'User should change password on next login',
+        instruction: 'User must change password on next login',
       },
     });
   } catch (error) {
@@ -289,12 +510,57 @@ export const deactivateUser = async (req, res) => {
       });
     }
     
+    const existing = await User.findOne({ _id: id, ...userTenantFilter(req.user) });
+    
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+    
+    if (!canManageAccount(req.user, existing)) {
+      return res.status(403).json(SHARED_ACCOUNT_DENIED);
+    }
+    
+    if (!(await canActOnAccount(req.user, existing))) {
+      return res.status(403).json(ROLE_HOLDER_DENIED);
+    }
+    
     const user = await User.findByIdAndUpdate(
       id,
       { isActive: false },
       { new: true }
     );
     
+    // SECURITY: Deactivated users lose all refresh tokens immediately
+    await Session.revokeAllForUser(user._id, 'account-disabled');
+    await ApiToken.revokeAllForUser(user._id, req.user.id);
+    
+    res.status(200).json({
+      success: true,
+      message: 'User account deactivated successfully',
+      data: { user: user.toJSON() },
+    });
+  } catch (error) {
+    console.error('Deactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Force-disable MFA for a user (admin only)
+ * Used when a user has lost their authenticator and recovery codes
+ */
+export const disableUserMfa = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const user = await User.findOne({ _id: id, ...userTenantFilter(req.user) });
+    
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -302,13 +568,228 @@ export const deactivateUser = async (req, res) => {
       });
     }
     
+    if (!canManageAccount(req.user, user)) {
+      return res.status(403).json(SHARED_ACCOUNT_DENIED);
+    }
+    
+    if (!(await canActOnAccount(req.user, user))) {
+      return res.status(403).json(ROLE_HOLDER_DENIED);
+    }
+    
+    user.clearMfa();
+    await user.save();
+    
+    console.log(`[${new Date().toISOString()}] MFA disabled for user ${id} by admin ${req.user.id}`);
+    
     res.status(200).json({
       success: true,
-      message: 'User account deactivated successfully',
+      message: 'MFA disabled successfully',
       data: { user: user.toJSON() },
     });
   } catch (error) {
-    console.error('Deactivate user error:', error);
+    console.error('Disable user MFA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Unlock an account locked by failed login attempts (admin only)
+ * Resets the failure counter; the password is left unchanged
+ */
+export const unlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const user = await User.findOne({ _id: id, ...userTenantFilter(req.user) });
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+    
+    if (!canManageAccount(req.user, user)) {
+      return res.status(403).json(SHARED_ACCOUNT_DENIED);
+    }
+    
+    if (!(await canActOnAccount(req.user, user))) {
+      return res.status(403).json(ROLE_HOLDER_DENIED);
+    }
+    
+    await user.unlock();
+    
+    console.log(`[${new Date().toISOString()}] Account ${id} unlocked by admin ${req.user.id}`);
+    
+    res.status(200).json({
+      success: true,
+      message: 'User account unlocked successfully',
+      data: { user: user.toJSON() },
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Recent login attempts of a user (admin only)
+ * Lets admins tell a forgotten password from an attack before unlocking
+ */
+export const listUserLoginAttempts = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const user = await User.findOne({ _id: id, ...userTenantFilter(req.user) });
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const attempts = await LoginAttempt.findRecentForUser(id, limit);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        isLocked: Boolean(user.isLocked()),
+        lockUntil: user.isLocked() ? user.lockUntil : null,
+        count: attempts.length,
+        attempts,
+      },
+    });
+  } catch (error) {
+    console.error('List login attempts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: List a user's active sessions (admin only)
+ */
+export const listUserSessions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const user = await User.findOne({ _id: id, ...userTenantFilter(req.user) });
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+    
+    const sessions = await Session.findActiveForUser(id);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        count: sessions.length,
+        sessions,
+      },
+    });
+  } catch (error) {
+    console.error('List user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Revoke one session for a user (admin only)
+ */
+export const revokeUserSession = async (req, res) => {
+  try {
+    const { id, sessionId } = req.params;
+    
+    const user = await User.findOne({ _id: id, ...userTenantFilter(req.user) });
+    const session = user && await Session.findOne({ _id: sessionId, user: id, revokedAt: null });
+    
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+    
+    if (!canManageAccount(req.user, user)) {
+      return res.status(403).json(SHARED_ACCOUNT_DENIED);
+    }
+    
+    if (!(await canActOnAccount(req.user, user))) {
+      return res.status(403).json(ROLE_HOLDER_DENIED);
+    }
+    
+    await Session.revokeFamily(session.family, 'admin');
+    
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully',
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+    
+    console.error('Revoke user session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+/**
+ * SECURITY: Revoke all sessions for a user (admin only)
+ * Signs the user out everywhere without resetting their password
+ */
+export const revokeAllUserSessions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const user = await User.findOne({ _id: id, ...userTenantFilter(req.user) });
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+    
+    if (!canManageAccount(req.user, user)) {
+      return res.status(403).json(SHARED_ACCOUNT_DENIED);
+    }
+    
+    if (!(await canActOnAccount(req.user, user))) {
+      return res.status(403).json(ROLE_HOLDER_DENIED);
+    }
+    
+    await Session.revokeAllForUser(user._id, 'admin');
+    
+    res.status(200).json({
+      success: true,
+      message: 'All sessions revoked successfully',
+    });
+  } catch (error) {
+    console.error('Revoke all user sessions error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
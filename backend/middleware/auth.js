@@ -6,17 +6,306 @@
  * 3. Validates token signature and expiration
  * 4. Injects user context into request for downstream handlers
  * 5. Handles multiple error scenarios with detailed logging
+ * 6. Restricts expired or admin-reset passwords to the change-password endpoint
+ * 7. Accepts scoped personal access tokens (pfn_...) for scripts and CI
+ * 8. Accepts admin impersonation tokens: read-only by default, no account
+ *    endpoints, every request logged; the session ends once the target gains
+ *    admin permissions or permissions the admin does not hold
+ * 9. Step-up: sensitive routes require a recent password/TOTP confirmation
+ * 10. Resolves the role in the active organization to its permission set
+ *     (req.user.role, req.user.permissions); authorize() checks permissions,
+ *     never role names
+ * 11. Resolves the user's teams (req.user.teams) for project access
+ * 12. Resolves the active organization (req.user.organization) from the
+ *     X-Organization header; other organizations' records are out of reach
+ * 13. SCIM provisioning uses a separate organization token (scim_...), which
+ *     only authenticateScim() accepts
  * 
  * Why Bearer tokens: Standard HTTP authentication mechanism,
  * prevents tokens being sent in query params (which get logged)
  */
 
+import config from '../config/config.js';
 import { verifyAccessToken, decodeToken } from '../utils/jwt.js';
+import { isPasswordExpired } from '../utils/passwordPolicy.js';
+import {
+  ADMIN_PERMISSIONS,
+  getRolePermissions,
+  getUserPermissions,
+  getUserTeamIds,
+  hasPermission,
+  permissionsBeyond,
+} from '../utils/permissions.js';
+import { resolveOrganization, ORGANIZATION_HEADER } from '../utils/organizations.js';
+import { ScimError, sendScimError } from '../utils/scim.js';
 import User from '../models/User.js';
+import Organization, { SCIM_TOKEN_PREFIX } from '../models/Organization.js';
+import ApiToken, { API_TOKEN_PREFIX, API_TOKEN_RESOURCES } from '../models/ApiToken.js';
+import Impersonation from '../models/Impersonation.js';
+import ImpersonationRequest from '../models/ImpersonationRequest.js';
+
+/**
+ * SECURITY: Endpoints reachable while a password change is required
+ */
+const PASSWORD_CHANGE_ALLOWED_PATHS = [
+  '/api/auth/change-password',
+  '/api/auth/me',
+  '/api/auth/logout',
+];
+
+/**
+ * SECURITY: Impersonation policy
+ * Account, credential and impersonation endpoints are never reachable while
+ * viewing as another user, except reading the profile and ending the session.
+ * Deletes are always blocked; other writes only pass with IMPERSONATION_ALLOW_WRITES
+ */
+const IMPERSONATION_ALLOWED_PATHS = [
+  '/api/auth/me',
+  '/api/impersonation/current',
+];
+const IMPERSONATION_BLOCKED_PREFIXES = ['/api/auth', '/api/impersonation'];
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * SECURITY: Response body when the requested organization is not available
+ */
+const ORGANIZATION_DENIED = {
+  success: false,
+  code: 'ORGANIZATION_FORBIDDEN',
+  message: 'You do not have access to this organization',
+};
+
+/**
+ * SECURITY: Response body when the user must change their password first
+ * @returns {Object|null} - null when the request may proceed
+ */
+const passwordChangeRestriction = (user, req) => {
+  if (PASSWORD_CHANGE_ALLOWED_PATHS.includes(`${req.baseUrl}${req.path}`)) {
+    return null;
+  }
+  
+  if (user.mustChangePassword) {
+    return {
+      success: false,
+      code: 'PASSWORD_CHANGE_REQUIRED',
+      message: 'You must set a new password before continuing.',
+    };
+  }
+  
+  if (isPasswordExpired(user)) {
+    return {
+      success: false,
+      code: 'PASSWORD_EXPIRED',
+      message: 'Your password has expired. Please change it to continue.',
+    };
+  }
+  
+  return null;
+};
+
+/**
+ * SECURITY: Authenticate a personal access token
+ * Scope is derived from the API mount path (resource) and HTTP method (read/write)
+ */
+const authenticateApiToken = async (req, res, next, token) => {
+  const apiToken = await ApiToken.findActiveByToken(token);
+  
+  if (!apiToken) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid, expired or revoked API token',
+    });
+  }
+  
+  // SECURITY: Tokens only reach resource APIs, never account or user management
+  const resource = Object.keys(API_TOKEN_RESOURCES)
+    .find(name => API_TOKEN_RESOURCES[name] === req.baseUrl);
+  
+  if (!resource) {
+    return res.status(403).json({
+      success: false,
+      message: 'API tokens cannot access this endpoint',
+    });
+  }
+  
+  const scope = `${resource}:${['GET', 'HEAD'].includes(req.method) ? 'read' : 'write'}`;
+  
+  if (!apiToken.hasScope(scope)) {
+    return res.status(403).json({
+      success: false,
+      message: `API token is missing the ${scope} scope`,
+    });
+  }
+  
+  const user = await User.findById(apiToken.user);
+  
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: 'User not found or account is inactive',
+    });
+  }
+  
+  const restriction = passwordChangeRestriction(user, req);
+  if (restriction) {
+    return res.status(403).json(restriction);
+  }
+  
+  const tenant = await resolveOrganization(user, req.get(ORGANIZATION_HEADER));
+  if (!tenant) {
+    return res.status(403).json(ORGANIZATION_DENIED);
+  }
+  
+  await ApiToken.updateOne(
+    { _id: apiToken._id },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip } }
+  );
+  
+  // SECURITY: Token acts with the owner's current role in the organization
+  req.user = {
+    id: user._id.toString(),
+    permissions: await getUserPermissions(user, tenant.organization),
+    teams: await getUserTeamIds(user._id),
+    ...tenant,
+    email: user.email,
+    apiTokenId: apiToken._id.toString(),
+  };
+  
+  next();
+};
+
+/**
+ * SECURITY: Audit one impersonated request once its response is sent
+ */
+const logImpersonatedRequest = (req, res, impersonation, { blocked = false } = {}) => {
+  res.on('finish', () => {
+    ImpersonationRequest.create({
+      impersonation: impersonation._id,
+      admin: impersonation.admin,
+      target: impersonation.target,
+      method: req.method,
+      path: req.originalUrl.split('?')[0].slice(0, 2048),
+      statusCode: res.statusCode,
+      blocked,
+      ip: req.ip,
+    })
+      .then(() => Impersonation.updateOne(
+        { _id: impersonation._id },
+        { $inc: { requestCount: 1, ...(blocked && { blockedCount: 1 }) } }
+      ))
+      .catch(error => console.error('Impersonation audit error:', error));
+  });
+  
+  console.log(
+    `[${new Date().toISOString()}] IMPERSONATION admin ${impersonation.admin} as user ` +
+    `${impersonation.target}: ${req.method} ${req.originalUrl.split('?')[0]}${blocked ? ' (blocked)' : ''}`
+  );
+};
+
+/**
+ * SECURITY: Authenticate an impersonation token (verified JWT with an imp claim)
+ * The session record, the admin and the target are all re-checked per request
+ * A target who became an admin, or holds permissions the admin lacks, ends it
+ */
+const authenticateImpersonation = async (req, res, next, payload) => {
+  const impersonation = await Impersonation.findById(payload.imp);
+  
+  if (
+    !impersonation ||
+    !impersonation.isActive() ||
+    impersonation.admin.toString() !== payload.act?.sub ||
+    impersonation.target.toString() !== payload.sub
+  ) {
+    return res.status(401).json({
+      success: false,
+      code: 'IMPERSONATION_ENDED',
+      message: 'Impersonation session has ended',
+    });
+  }
+  
+  // SECURITY: Admin must still be active and allowed to impersonate, target still active
+  const [admin, target] = await Promise.all([
+    User.findById(impersonation.admin),
+    User.findById(impersonation.target),
+  ]);
+  // SECURITY: The session stays in the organization it was started from
+  const organization = impersonation.organization?.toString();
+  const adminPermissions = admin ? await getUserPermissions(admin, organization) : [];
+  const tenant = target && await resolveOrganization(target, organization);
+  const targetPermissions = tenant ? await getRolePermissions(tenant.role, tenant.organization) : [];
+  
+  if (
+    !admin ||
+    !admin.isActive ||
+    !adminPermissions.includes('user:impersonate') ||
+    !target ||
+    !target.isActive ||
+    !tenant
+  ) {
+    return res.status(401).json({
+      success: false,
+      code: 'IMPERSONATION_ENDED',
+      message: 'Impersonation session has ended',
+    });
+  }
+  
+  // SECURITY: Same rule as at the start (no admin targets), plus no permission
+  // the admin does not hold; a role change mid-session ends the session
+  if (
+    target.isSuperAdmin ||
+    targetPermissions.some(permission => ADMIN_PERMISSIONS.includes(permission)) ||
+    permissionsBeyond({ permissions: adminPermissions }, targetPermissions).length > 0
+  ) {
+    await Impersonation.updateOne(
+      { _id: impersonation._id, endedAt: null },
+      { $set: { endedAt: new Date(), endedReason: 'target-privileged' } }
+    );
+    
+    return res.status(401).json({
+      success: false,
+      code: 'IMPERSONATION_ENDED',
+      message: 'Impersonation session has ended',
+    });
+  }
+  
+  const fullPath = `${req.baseUrl}${req.path}`;
+  let denial = null;
+  
+  if (!IMPERSONATION_ALLOWED_PATHS.includes(fullPath)) {
+    if (IMPERSONATION_BLOCKED_PREFIXES.some(prefix => fullPath.startsWith(prefix))) {
+      denial = 'Account settings are not available while viewing as another user';
+    } else if (req.method === 'DELETE' || (!READ_METHODS.includes(req.method) && !impersonation.allowWrites)) {
+      denial = 'Changes are not allowed while viewing as another user';
+    }
+  }
+  
+  logImpersonatedRequest(req, res, impersonation, { blocked: Boolean(denial) });
+  
+  if (denial) {
+    return res.status(403).json({
+      success: false,
+      code: 'IMPERSONATION_READ_ONLY',
+      message: denial,
+    });
+  }
+  
+  // SECURITY: Acts with the target's current role; the admin stays attached for auditing
+  req.user = {
+    id: target._id.toString(),
+    permissions: targetPermissions,
+    teams: await getUserTeamIds(target._id),
+    ...tenant,
+    email: target.email,
+    impersonatedBy: admin._id.toString(),
+    impersonationId: impersonation._id.toString(),
+  };
+  
+  next();
+};
 
 /**
  * SECURITY: Protect routes that require authentication
- * Extract and validate JWT from Authorization header
+ * Extract and validate JWT (or personal access token) from Authorization header
  */
 export const authenticate = async (req, res, next) => {
   try {
@@ -33,6 +322,11 @@ export const authenticate = async (req, res, next) => {
     // Extract token (skip "Bearer " prefix)
     const token = authHeader.slice(7);
     
+    // SECURITY: Personal access tokens are opaque and looked up by hash
+    if (token.startsWith(API_TOKEN_PREFIX)) {
+      return await authenticateApiToken(req, res, next, token);
+    }
+    
     // SECURITY: Verify token signature and expiration
     let payload;
     try {
@@ -45,6 +339,11 @@ export const authenticate = async (req, res, next) => {
       });
     }
     
+    // SECURITY: "View as user" tokens follow their own policy
+    if (payload.imp) {
+      return await authenticateImpersonation(req, res, next, payload);
+    }
+    
     // SECURITY: Verify user still exists and is active
     const user = await User.findById(payload.sub);
     
@@ -63,11 +362,27 @@ export const authenticate = async (req, res, next) => {
       });
     }
     
+    // SECURITY: Admin-reset or expired password must be changed before using the API
+    const restriction = passwordChangeRestriction(user, req);
+    if (restriction) {
+      return res.status(403).json(restriction);
+    }
+    
+    const tenant = await resolveOrganization(user, req.get(ORGANIZATION_HEADER));
+    if (!tenant) {
+      return res.status(403).json(ORGANIZATION_DENIED);
+    }
+    
     // SECURITY: Attach user to request context for downstream handlers
+    // The role is the one of the active organization (tenant.role), never a token claim
     req.user = {
       id: payload.sub,
-      role: payload.role,
+      permissions: await getUserPermissions(user, tenant.organization),
+      teams: await getUserTeamIds(user._id),
+      ...tenant,
       email: user.email,
+      sessionId: payload.sid,
+      authTime: payload.auth_time,
     };
     
     next();
@@ -81,12 +396,45 @@ export const authenticate = async (req, res, next) => {
 };
 
 /**
- * SECURITY: Middleware factory for role-based access control
- * Restricts routes to specific roles
+ * SECURITY: Authenticate an identity provider with an organization's SCIM token
+ * The token acts for the organization, not for a user: req.scim.organization
+ * is the Organization document, and SCIM endpoints only ever touch its users
+ */
+export const authenticateScim = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    const token = authHeader?.startsWith('Bearer ') ? authHeader.slice(7) : '';
+    
+    // SECURITY: User credentials (JWTs, personal access tokens) are never accepted here
+    const organization = token.startsWith(SCIM_TOKEN_PREFIX)
+      ? await Organization.findByScimToken(token)
+      : null;
+    
+    if (!organization) {
+      return sendScimError(res, new ScimError(401, 'Invalid or revoked SCIM token'));
+    }
+    
+    await Organization.updateOne(
+      { _id: organization._id },
+      { $set: { scimTokenLastUsedAt: new Date() } }
+    );
+    
+    req.scim = { organization };
+    
+    next();
+  } catch (error) {
+    sendScimError(res, error, 'SCIM authentication');
+  }
+};
+
+/**
+ * SECURITY: Middleware factory for permission-based access control
+ * Passes when the user holds any of the listed permissions (config/permissions.js)
+ * Project-scoped permissions are re-checked against the project in controllers
  * 
- * Usage: app.get('/admin', authorize('admin'), handler)
+ * Usage: app.get('/users', authorize('user:manage'), handler)
  */
-export const authorize = (...allowedRoles) => {
+export const authorize = (...requiredPermissions) => {
   return (req, res, next) => {
     // authenticate() must run first to set req.user
     if (!req.user) {
@@ -96,11 +444,11 @@ export const authorize = (...allowedRoles) => {
       });
     }
     
-    // Check if user's role is in allowed roles
-    if (!allowedRoles.includes(req.user.role)) {
+    // Check if the user's role grants one of the permissions
+    if (!hasPermission(req.user, ...requiredPermissions)) {
       return res.status(403).json({
         success: false,
-        message: `Access denied. Required roles: ${allowedRoles.join(', ')}`,
+        message: `Access denied. Required permission: ${requiredPermissions.join(' or ')}`,
       });
     }
     
@@ -108,6 +456,30 @@ export const authorize = (...allowedRoles) => {
   };
 };
 
+/**
+ * SECURITY: Step-up check for sensitive operations
+ * Requires an access token issued by a login or POST /auth/reauthenticate within
+ * config.stepUp.maxAgeMinutes. Refreshed, API and impersonation tokens never
+ * carry auth_time, so they always need a fresh confirmation.
+ * 403 (not 401) so clients prompt for identity instead of refreshing the token
+ * 
+ * Usage: router.delete('/:id', authenticate, requireRecentAuth, handler)
+ */
+export const requireRecentAuth = (req, res, next) => {
+  const maxAgeSeconds = config.stepUp.maxAgeMinutes * 60;
+  const authAge = Math.floor(Date.now() / 1000) - (req.user?.authTime || 0);
+  
+  if (authAge > maxAgeSeconds) {
+    return res.status(403).json({
+      success: false,
+      code: 'REAUTH_REQUIRED',
+      message: 'Please confirm your identity to continue.',
+    });
+  }
+  
+  next();
+};
+
 /**
  * SECURITY: Optional authentication - allows request even without token
  * Useful for endpoints that have different behavior for auth'd users
@@ -122,11 +494,15 @@ export const optionalAuth = async (req, res, next) => {
       try {
         const payload = verifyAccessToken(token);
         const user = await User.findById(payload.sub);
+        const tenant = user && await resolveOrganization(user, req.get(ORGANIZATION_HEADER));
         
-        if (user && user.isActive) {
+        // SECURITY: Impersonation tokens only work through authenticate()
+        if (user && user.isActive && !payload.imp && tenant) {
           req.user = {
             id: payload.sub,
-            role: payload.role,
+            permissions: await getUserPermissions(user, tenant.organization),
+            teams: await getUserTeamIds(user._id),
+            ...tenant,
             email: user.email,
           };
         }
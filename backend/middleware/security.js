@@ -6,14 +6,22 @@
  * 3. Rate Limiting: Prevent brute force and DoS attacks
  * 4. Input Validation: Sanitize and validate all inputs
  * 5. Request Logging: Track request patterns for security analysis
+ * 6. CSRF: Double-submit token for cookie-authenticated auth endpoints
  * 
  * Applies to all routes by default
  */
 
+import mongoose from 'mongoose';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import { body, param, query, validationResult } from 'express-validator';
 import config from '../config/config.js';
+import { isCookieTransport, isValidCsrfRequest } from '../utils/authCookies.js';
+import { validatePasswordRules } from '../utils/passwordPolicy.js';
+import { API_TOKEN_SCOPES } from '../models/ApiToken.js';
+import { isValidRole, PERMISSIONS } from '../utils/permissions.js';
+import { USER_SORTS, MAX_USER_PAGE_SIZE } from '../utils/userQuery.js';
+import { PROFILE_LIMITS, isValidTimezone } from '../utils/profile.js';
 
 /**
  * SECURITY: Helmet middleware sets secure HTTP headers
@@ -65,10 +73,23 @@ export const authRateLimit = rateLimit({
   legacyHeaders: false,
   // SECURITY: Use IP + username to identify attacker
   keyGenerator: (req) => {
-    return `${req.ip}:${req.body.username}`;
+    return `${req.ip}:${req.body.username || req.body.email || ''}`;
   },
 });
 
+/**
+ * SECURITY: Rate limiting for step-up re-authentication
+ * Runs after authenticate(), so guesses are limited per signed-in user
+ */
+export const reauthRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5,
+  message: 'Too many confirmation attempts. Please try again after 15 minutes.',
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `${req.ip}:${req.user?.id || ''}`,
+});
+
 /**
  * SECURITY: Middleware for handling validation errors
  * Should be called after validation chains
@@ -94,28 +115,33 @@ export const handleValidationErrors = (req, res, next) => {
 };
 
 /**
- * SECURITY: Input validation chain for user creation/update
+ * SECURITY: Password strength rule shared by all password-setting endpoints
+ * Delegates to the central password policy (utils/passwordPolicy.js)
  */
-export const validateUserInput = [
-  body('username')
-    .trim()
-    .isLength({ min: 3, max: 50 })
-    .withMessage('Username must be 3-50 characters')
-    .matches(/^[a-z0-9._-]+@[a-z0-9.-]+\.[a-z]{2,}$/)
-    .withMessage('Username must be a valid email format')
-    .normalizeEmail(),
-  
+const strongPassword = (field) =>
+  body(field)
+    .custom((value) => {
+      const errors = validatePasswordRules(value);
+      if (errors.length > 0) {
+        throw new Error(errors.join('. '));
+      }
+      return true;
+    });
+
+/**
+ * SECURITY: Input validation for inviting a user
+ * Admins never choose passwords; the invitee sets one when accepting
+ */
+export const validateInvitationInput = [
   body('email')
     .isEmail()
     .withMessage('Invalid email format')
     .normalizeEmail(),
   
   body('password')
-    .optional()
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-    .withMessage('Password must contain uppercase, lowercase, number, and special character'),
+    .not()
+    .exists()
+    .withMessage('Passwords are chosen by the invited user when accepting the invitation'),
   
   body('fullName')
     .trim()
@@ -124,9 +150,146 @@ export const validateUserInput = [
     .matches(/^[a-zA-Z\s'-]+$/)
     .withMessage('Full name contains invalid characters'),
   
+  // Built-in or custom role of the admin's organization
+  // (express-validator only fails async checks that throw)
   body('role')
-    .isIn(['admin', 'project-lead', 'developer'])
-    .withMessage('Invalid role'),
+    .custom(async (value, { req }) => {
+      if (!(await isValidRole(value, req.user?.organization))) {
+        throw new Error('Invalid role');
+      }
+      return true;
+    }),
+];
+
+/**
+ * SECURITY: Input validation for viewing an invitation by its emailed token
+ */
+export const validateInvitationTokenInput = [
+  body('token')
+    .isString()
+    .matches(/^[a-f0-9]{64}$/)
+    .withMessage('Invalid or expired invitation'),
+];
+
+/**
+ * SECURITY: Input validation for a CSV user import
+ * Rows are validated one by one in the controller
+ */
+export const validateUserImportInput = [
+  body('csv')
+    .isString()
+    .withMessage('CSV content is required')
+    .isLength({ min: 1, max: 1000000 })
+    .withMessage('CSV content must be between 1 byte and 1 MB'),
+  
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean')
+    .toBoolean(),
+];
+
+/**
+ * SECURITY: Input validation for user lists (directory and pickers)
+ * Search text is matched literally; sort orders and filters are whitelisted
+ */
+export const validateUserListInput = [
+  query('search')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search must not exceed 100 characters'),
+  
+  query(['active', 'locked'])
+    .optional()
+    .isBoolean()
+    .withMessage('active and locked must be true or false')
+    .toBoolean(),
+  
+  query('sort')
+    .optional()
+    .isIn(Object.keys(USER_SORTS))
+    .withMessage(`sort must be one of: ${Object.keys(USER_SORTS).join(', ')}`),
+  
+  query('page')
+    .optional()
+    .isInt({ min: 1, max: 10000 })
+    .withMessage('page must be a positive number')
+    .toInt(),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_USER_PAGE_SIZE })
+    .withMessage(`limit must be between 1 and ${MAX_USER_PAGE_SIZE}`)
+    .toInt(),
+];
+
+/**
+ * SECURITY: Input validation for own profile changes
+ * Omitted fields stay unchanged; null or an empty value clears a field
+ */
+export const validateProfileInput = [
+  body('title')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: PROFILE_LIMITS.title })
+    .withMessage(`Job title must not exceed ${PROFILE_LIMITS.title} characters`),
+  
+  body('skills')
+    .optional()
+    .isArray({ max: PROFILE_LIMITS.skills })
+    .withMessage(`Skills must be a list of at most ${PROFILE_LIMITS.skills}`),
+  
+  body('skills.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: PROFILE_LIMITS.skillLength })
+    .withMessage(`Each skill must be 1-${PROFILE_LIMITS.skillLength} characters`),
+  
+  body('timezone')
+    .optional({ values: 'falsy' })
+    .custom(isValidTimezone)
+    .withMessage('Unknown time zone'),
+  
+  body('weeklyCapacity')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: PROFILE_LIMITS.weeklyCapacity })
+    .withMessage(`Weekly capacity must be 0-${PROFILE_LIMITS.weeklyCapacity} hours`)
+    .toFloat(),
+  
+  body('outOfOffice')
+    .optional()
+    .isArray({ max: PROFILE_LIMITS.outOfOffice })
+    .withMessage(`Out-of-office must be a list of at most ${PROFILE_LIMITS.outOfOffice} ranges`),
+  
+  body(['outOfOffice.*.start', 'outOfOffice.*.end'])
+    .isISO8601()
+    .withMessage('Out-of-office dates must be valid dates'),
+  
+  body('outOfOffice.*.end')
+    .custom((end, { req, path }) => {
+      const index = Number(path.match(/\[(\d+)\]/)[1]);
+      return new Date(end) >= new Date(req.body.outOfOffice[index].start);
+    })
+    .withMessage('Out-of-office end date must not be before the start date'),
+  
+  body('outOfOffice.*.note')
+    .optional({ values: 'falsy' })
+    .isString()
+    .trim()
+    .isLength({ max: PROFILE_LIMITS.outOfOfficeNote })
+    .withMessage(`Out-of-office notes must not exceed ${PROFILE_LIMITS.outOfOfficeNote} characters`),
+];
+
+/**
+ * SECURITY: Input validation for accepting an invitation
+ */
+export const validateAcceptInvitationInput = [
+  ...validateInvitationTokenInput,
+  
+  strongPassword('password'),
 ];
 
 /**
@@ -144,6 +307,245 @@ export const validateLoginInput = [
     .withMessage('Password is required'),
 ];
 
+/**
+ * SECURITY: Input validation for forgot-password request
+ */
+export const validateForgotPasswordInput = [
+  body('email')
+    .isEmail()
+    .withMessage('Invalid email format')
+    .normalizeEmail(),
+];
+
+/**
+ * SECURITY: Input validation for password reset with emailed token
+ */
+export const validateResetPasswordInput = [
+  body('token')
+    .isString()
+    .matches(/^[a-f0-9]{64}$/)
+    .withMessage('Invalid or expired reset token'),
+  
+  strongPassword('newPassword'),
+];
+
+/**
+ * SECURITY: Input validation for the SSO login code exchange
+ */
+export const validateOidcExchangeInput = [
+  body('code')
+    .isString()
+    .matches(/^[A-Za-z0-9_-]{43}$/)
+    .withMessage('Invalid or expired SSO login'),
+];
+
+/**
+ * SECURITY: Input validation for MFA login step
+ * Requires the temp token plus either a TOTP code or a recovery code
+ */
+export const validateMfaVerifyInput = [
+  body('tempToken')
+    .isString()
+    .notEmpty()
+    .withMessage('MFA token is required'),
+  
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Verification code must be 6 digits'),
+  
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 10, max: 11 })
+    .withMessage('Invalid recovery code format'),
+  
+  body()
+    .custom(value => {
+      if (!value.code && !value.recoveryCode) {
+        throw new Error('Verification code or recovery code is required');
+      }
+      return true;
+    }),
+];
+
+/**
+ * SECURITY: Input validation for TOTP code confirmation
+ */
+export const validateMfaCodeInput = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Verification code must be 6 digits'),
+];
+
+/**
+ * SECURITY: Input validation for step-up re-authentication (password or TOTP code)
+ */
+export const validateReauthInput = [
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Verification code must be 6 digits'),
+  
+  body('password')
+    .if(body('code').not().exists())
+    .isString()
+    .notEmpty()
+    .withMessage('Password or verification code is required'),
+];
+
+/**
+ * SECURITY: Input validation for personal access token creation
+ */
+export const validateApiTokenInput = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Token name must be 1-100 characters'),
+  
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  
+  body('scopes.*')
+    .isIn(API_TOKEN_SCOPES)
+    .withMessage(`Scopes must be one of: ${API_TOKEN_SCOPES.join(', ')}`),
+  
+  body('expiresInDays')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Expiry must be between 1 and 365 days')
+    .toInt(),
+];
+
+/**
+ * SECURITY: Input validation for custom role create/update
+ * Names are only accepted on create (users reference roles by name)
+ */
+const rolePermissionRules = [
+  body('description')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description must not exceed 200 characters'),
+  
+  body('permissions')
+    .isArray()
+    .withMessage('Permissions must be a list'),
+  
+  body('permissions.*')
+    .isIn(Object.keys(PERMISSIONS))
+    .withMessage('Unknown permission'),
+];
+
+export const validateRoleInput = [
+  body('name')
+    .isString()
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9-]{1,39}$/)
+    .withMessage('Role name must be 2-40 lowercase letters, digits or dashes'),
+  
+  ...rolePermissionRules,
+];
+
+export const validateRoleUpdateInput = [
+  body('name')
+    .not()
+    .exists()
+    .withMessage('Role names cannot be changed'),
+  
+  ...rolePermissionRules,
+];
+
+/**
+ * SECURITY: Input validation for team create/update
+ */
+export const validateTeamInput = [
+  body('name')
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Team name must be 2-100 characters'),
+  
+  body('description')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters'),
+  
+  body('lead')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid team lead'),
+  
+  body('members')
+    .optional()
+    .isArray()
+    .withMessage('Members must be a list'),
+  
+  body('members.*')
+    .isMongoId()
+    .withMessage('Invalid team member'),
+];
+
+/**
+ * SECURITY: Input validation for organizations (create, edit, settings)
+ * Name and slug are required when creating
+ */
+export const validateOrganizationInput = [
+  body('name')
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Organization name must be 2-100 characters'),
+  
+  body('slug')
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .isString()
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+    .isLength({ max: 50 })
+    .withMessage('Slug may only contain letters, digits and dashes (max 50)'),
+  
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+    .toBoolean(),
+  
+  body(['settings.allowedEmailDomains', 'settings.allowedFileTypes'])
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Settings lists must have at most 50 entries'),
+  
+  body(['settings.allowedEmailDomains.*', 'settings.allowedFileTypes.*'])
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Settings entries must be non-empty text'),
+];
+
+/**
+ * SECURITY: Input validation for adding a user to an organization
+ */
+export const validateOrganizationMemberInput = [
+  body('email')
+    .isEmail()
+    .withMessage('Invalid email format')
+    .normalizeEmail(),
+];
+
 /**
  * SECURITY: Input validation for project creation
  */
@@ -174,6 +576,29 @@ export const validateProjectInput = [
     .withMessage('Invalid priority level'),
 ];
 
+/**
+ * SECURITY: Input validation for project lead hand-over
+ */
+export const validateHandOverInput = [
+  // SECURITY: A user ID string; anything else would fail later as a missing project
+  body('newLead')
+    .custom(value => typeof value === 'string' && mongoose.isValidObjectId(value))
+    .withMessage('Invalid project lead'),
+  
+  body('keepPreviousLead')
+    .optional()
+    .isBoolean()
+    .withMessage('keepPreviousLead must be true or false')
+    .toBoolean(),
+  
+  body('note')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must not exceed 500 characters'),
+];
+
 /**
  * SECURITY: Prevent parameter pollution and injection
  */
@@ -197,6 +622,28 @@ export const sanitizeParams = (req, res, next) => {
   next();
 };
 
+/**
+ * SECURITY: Double-submit CSRF protection (refresh token cookie mode)
+ * Applied to state-changing endpoints that read the refresh token cookie.
+ * Other endpoints authenticate with a Bearer header, which browsers never
+ * attach on their own, so they are not exposed to CSRF.
+ */
+export const csrfProtection = (req, res, next) => {
+  if (!isCookieTransport() || ['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+    return next();
+  }
+  
+  if (!isValidCsrfRequest(req)) {
+    console.warn(`[${new Date().toISOString()}] CSRF token mismatch on ${req.path} from IP: ${req.ip}`);
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid CSRF token',
+    });
+  }
+  
+  next();
+};
+
 /**
  * SECURITY: Request logging for audit trail
  */
@@ -211,7 +658,8 @@ export const requestLogger = (req, res, next) => {
       console.log(
         `[${new Date().toISOString()}] ${req.method} ${req.path} - ` +
         `Status: ${res.statusCode} - ` +
-        `User: ${req.user?.id || 'anonymous'} - ` +
+        `User: ${req.user?.id || 'anonymous'}` +
+        `${req.user?.apiTokenId ? ` (API token ${req.user.apiTokenId})` : ''} - ` +
         `IP: ${req.ip} - ` +
         `Duration: ${duration}ms`
       );
@@ -0,0 +1,177 @@
+/**
+ * SECURITY DECISION: Personal Access Token Model
+ *
+ * 1. User-owned, named tokens for scripts and CI (no interactive login needed)
+ * 2. Only a SHA-256 hash is stored; the plaintext is shown once at creation
+ * 3. Scoped to read/write per resource (projects, documents, messages)
+ * 4. Optional expiry, last-use tracking and revocation (owner or admin)
+ * 5. A token acts with its owner's current role and can never exceed it
+ *
+ * Why SHA-256 instead of bcrypt: tokens are 256-bit random values, so a fast
+ * hash is not brute-forceable and allows an indexed lookup on every request
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+/**
+ * SECURITY: Resources reachable with a token, keyed by API mount path
+ * Account, user and token management stay session-only
+ */
+export const API_TOKEN_RESOURCES = {
+  projects: '/api/projects',
+  documents: '/api/documents',
+  messages: '/api/messages',
+};
+
+export const API_TOKEN_SCOPES = Object.keys(API_TOKEN_RESOURCES)
+  .flatMap(resource => [`${resource}:read`, `${resource}:write`]);
+
+// Recognisable prefix (secret scanners, log redaction, auth routing)
+export const API_TOKEN_PREFIX = 'pfn_';
+
+const apiTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    name: {
+      type: String,
+      required: [true, 'Token name is required'],
+      trim: true,
+      maxlength: [100, 'Token name must not exceed 100 characters'],
+    },
+
+    // SECURITY: SHA-256 of the full token (never the plaintext)
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+
+    // First characters of the token, to help users recognise it
+    displayPrefix: {
+      type: String,
+      required: true,
+    },
+
+    scopes: {
+      type: [{ type: String, enum: API_TOKEN_SCOPES }],
+      validate: {
+        validator: v => v.length > 0,
+        message: 'At least one scope is required',
+      },
+    },
+
+    // null = no expiry
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: '',
+    },
+
+    // SECURITY: Revocation state
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * SECURITY: Hash a presented token for storage/lookup
+ */
+apiTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * SECURITY: Create a token record and return the plaintext once
+ * @returns {Promise<{ token: string, apiToken: Object }>}
+ */
+apiTokenSchema.statics.issue = async function({ user, name, scopes, expiresAt = null }) {
+  const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiToken = await this.create({
+    user,
+    name,
+    scopes,
+    expiresAt,
+    tokenHash: this.hashToken(token),
+    displayPrefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+  });
+
+  return { token, apiToken };
+};
+
+/**
+ * SECURITY: Resolve a presented token to an active (not revoked, not expired) record
+ */
+apiTokenSchema.statics.findActiveByToken = function(token) {
+  return this.findOne({
+    tokenHash: this.hashToken(token),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  });
+};
+
+/**
+ * Active tokens for a user, newest first
+ */
+apiTokenSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  }).sort({ createdAt: -1 });
+};
+
+/**
+ * SECURITY: Revoke every active token for a user (deactivation, deletion)
+ */
+apiTokenSchema.statics.revokeAllForUser = function(userId, revokedBy = null) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedBy } }
+  );
+};
+
+/**
+ * SECURITY: Whether the token grants a scope
+ */
+apiTokenSchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+/**
+ * SECURITY: Custom JSON serialization
+ */
+apiTokenSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.tokenHash;
+  delete obj.__v;
+  return obj;
+};
+
+export default mongoose.model('ApiToken', apiTokenSchema);
@@ -6,9 +6,11 @@
  * 3. Upload by restricted roles only (admin, project lead)
  * 4. Downloaded/accessed tracked for audit
  * 5. File names sanitized and stored separately from access control
+ * 6. Belongs to the organization of its project
  */
 
 import mongoose from 'mongoose';
+import { assignProjectOrganization } from './Organization.js';
 
 const documentSchema = new mongoose.Schema(
   {
@@ -101,6 +103,14 @@ const documentSchema = new mongoose.Schema(
       required: [true, 'Project is required'],
     },
     
+    // SECURITY: Tenant boundary (same as the project)
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+      index: true,
+    },
+    
     // SECURITY: Who uploaded the document
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -117,7 +127,7 @@ const documentSchema = new mongoose.Schema(
         },
         role: {
           type: String,
-          enum: ['admin', 'project-lead', 'developer'],
+          enum: ['admin', 'project-lead', 'developer', 'member', 'team'],
         },
       },
     ],
@@ -166,6 +176,8 @@ documentSchema.index({ uploadedBy: 1 });
 documentSchema.index({ 'accessibleBy.userId': 1 });
 documentSchema.index({ filePath: 1 }, { unique: true });
 
+documentSchema.pre('validate', assignProjectOrganization);
+
 /**
  * SECURITY: Virtual for checking if a user has access
  */
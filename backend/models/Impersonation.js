@@ -0,0 +1,117 @@
+/**
+ * SECURITY DECISION: Impersonation Session Model
+ *
+ * 1. One record per "view as user" session, created by an admin with a reason
+ * 2. Impersonation tokens name this record (imp claim); it is checked on every
+ *    request, so ending the session invalidates the token immediately
+ * 3. Every request made with the token is logged (ImpersonationRequest)
+ * 4. Records are never deleted automatically - they are the audit trail
+ * 5. The session stays in the organization it was started from
+ */
+
+import mongoose from 'mongoose';
+import { assignDefaultOrganization } from './Organization.js';
+
+const impersonationSchema = new mongoose.Schema(
+  {
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    reason: {
+      type: String,
+      required: [true, 'A reason is required to view as another user'],
+      trim: true,
+      maxlength: [500, 'Reason must not exceed 500 characters'],
+    },
+    // SECURITY: Tenant boundary - the admin's active organization at start time
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+      index: true,
+    },
+    // SECURITY: Writes allowed (config.impersonation.allowWrites at start time)
+    allowWrites: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Admin device context
+    ip: {
+      type: String,
+      default: '',
+    },
+    userAgent: {
+      type: String,
+      maxlength: 512,
+      default: '',
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+    endedReason: {
+      type: String,
+    },
+
+    // Request counters (details in ImpersonationRequest)
+    requestCount: {
+      type: Number,
+      default: 0,
+    },
+    blockedCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+impersonationSchema.index({ createdAt: -1 });
+
+impersonationSchema.pre('validate', assignDefaultOrganization);
+
+/**
+ * SECURITY: Whether the session can still authenticate requests
+ */
+impersonationSchema.methods.isActive = function() {
+  return !this.endedAt && this.expiresAt > new Date();
+};
+
+/**
+ * SECURITY: End all open sessions of an admin (a new session replaces them)
+ */
+impersonationSchema.statics.endAllForAdmin = function(adminId, reason) {
+  return this.updateMany(
+    { admin: adminId, endedAt: null },
+    { $set: { endedAt: new Date(), endedReason: reason } }
+  );
+};
+
+/**
+ * SECURITY: Custom JSON serialization
+ */
+impersonationSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  obj.active = this.isActive();
+  delete obj.__v;
+  return obj;
+};
+
+export default mongoose.model('Impersonation', impersonationSchema);
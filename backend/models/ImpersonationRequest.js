@@ -0,0 +1,68 @@
+/**
+ * SECURITY DECISION: Impersonation Request Log
+ *
+ * 1. One record per API request made with an impersonation token,
+ *    including requests that were blocked
+ * 2. Stores the path without its query string (queries may carry search terms
+ *    or tokens) and the response status
+ * 3. Never deleted automatically - part of the impersonation audit trail
+ */
+
+import mongoose from 'mongoose';
+
+const impersonationRequestSchema = new mongoose.Schema(
+  {
+    impersonation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Impersonation',
+      required: true,
+    },
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    method: {
+      type: String,
+      required: true,
+    },
+    path: {
+      type: String,
+      required: true,
+      maxlength: 2048,
+    },
+    statusCode: {
+      type: Number,
+    },
+    // SECURITY: Rejected by the impersonation policy
+    blocked: {
+      type: Boolean,
+      default: false,
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+impersonationRequestSchema.index({ impersonation: 1, createdAt: 1 });
+
+/**
+ * SECURITY: Custom JSON serialization
+ */
+impersonationRequestSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+export default mongoose.model('ImpersonationRequest', impersonationRequestSchema);
@@ -0,0 +1,188 @@
+/**
+ * SECURITY DECISION: User Invitation Model
+ *
+ * 1. Admins invite new users by email, name and role - they never choose a password
+ * 2. The invitee sets their own password through a single-use, expiring link
+ * 3. Only a SHA-256 hash of the link token is stored; resending issues a new
+ *    token and invalidates the previous link
+ * 4. Accepted and revoked invitations are kept as an onboarding audit trail
+ * 5. The invitee joins the organization the invitation was sent from, and the
+ *    teams chosen by the admin (e.g. from a CSV import)
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { isValidRole } from '../utils/permissions.js';
+import { assignDefaultOrganization } from './Organization.js';
+
+export const INVITATION_STATUSES = ['pending', 'expired', 'accepted', 'revoked'];
+
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      lowercase: true,
+      trim: true,
+      match: [/^\S+@\S+\.\S+$/, 'Invalid email format'],
+      index: true,
+    },
+    fullName: {
+      type: String,
+      required: [true, 'Full name is required'],
+      trim: true,
+      maxlength: [100, 'Full name must not exceed 100 characters'],
+    },
+    role: {
+      type: String,
+      default: 'developer',
+      validate: {
+        // SECURITY: Custom roles are only valid in the organization that defines them
+        validator: function(role) {
+          return isValidRole(role, this.organization?.toString());
+        },
+        message: 'Invalid role',
+      },
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // SECURITY: Tenant boundary - the organization the invitee joins
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+      index: true,
+    },
+    // Teams of that organization the invitee joins on acceptance
+    teams: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Team',
+      },
+    ],
+
+    // SECURITY: SHA-256 of the emailed token (never the plaintext)
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    sentCount: {
+      type: Number,
+      default: 0,
+    },
+    lastSentAt: {
+      type: Date,
+      default: null,
+    },
+
+    acceptedAt: {
+      type: Date,
+      default: null,
+    },
+    acceptedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+invitationSchema.pre('validate', assignDefaultOrganization);
+
+/**
+ * SECURITY: Hash an invitation token for storage/lookup
+ */
+invitationSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * SECURITY: Issue a fresh link token (creation and resend)
+ * Replaces any previous token, so older links stop working
+ * @param {number} expirationHours
+ * @returns {string} - Plaintext token to email (never stored)
+ */
+invitationSchema.methods.issueToken = function(expirationHours) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.tokenHash = this.constructor.hashToken(token);
+  this.expiresAt = new Date(Date.now() + expirationHours * 60 * 60 * 1000);
+  this.sentCount += 1;
+  this.lastSentAt = new Date();
+  return token;
+};
+
+/**
+ * Current state derived from the timestamps
+ * @returns {string} - One of INVITATION_STATUSES
+ */
+invitationSchema.methods.getStatus = function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+};
+
+/**
+ * Filter for invitations that are neither accepted nor revoked
+ * (expired ones included - they can still be resent)
+ */
+invitationSchema.statics.openFilter = function() {
+  return { acceptedAt: null, revokedAt: null };
+};
+
+/**
+ * SECURITY: Resolve a presented token to a usable (open, unexpired) invitation
+ */
+invitationSchema.statics.findUsableByToken = function(token) {
+  return this.findOne({
+    ...this.openFilter(),
+    tokenHash: this.hashToken(token),
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+/**
+ * SECURITY: Atomically mark an invitation accepted so a link can only be used once
+ * @returns {Promise<Object|null>} - The claimed invitation, or null if already used
+ */
+invitationSchema.statics.claim = function(invitationId) {
+  return this.findOneAndUpdate(
+    { _id: invitationId, ...this.openFilter(), expiresAt: { $gt: new Date() } },
+    { $set: { acceptedAt: new Date() } },
+    { new: true }
+  );
+};
+
+/**
+ * SECURITY: Custom JSON serialization
+ */
+invitationSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.__v;
+  delete obj.tokenHash;
+  obj.status = this.getStatus();
+  return obj;
+};
+
+export default mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,108 @@
+/**
+ * SECURITY DECISION: Login Attempt History Model
+ *
+ * 1. One record per sign-in attempt against an existing account
+ *    (password, MFA and SSO steps), successful or not
+ * 2. Device context (IP, user agent) is kept so admins can tell a forgotten
+ *    password from a brute-force attack before unlocking an account
+ * 3. lockedAccount marks the failure that triggered a lockout
+ * 4. Records expire after config.loginLock.historyDays (TTL index)
+ *
+ * Why only existing accounts: attempts for unknown usernames often contain a
+ * password typed into the wrong field and must not be stored
+ */
+
+import mongoose from 'mongoose';
+import config from '../config/config.js';
+
+export const LOGIN_METHODS = ['password', 'mfa', 'sso'];
+
+export const LOGIN_OUTCOMES = [
+  'success',
+  'invalid-password',
+  'invalid-mfa',
+  'locked', // Rejected because the account was already locked
+  'inactive',
+];
+
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    method: {
+      type: String,
+      enum: LOGIN_METHODS,
+      required: true,
+    },
+    outcome: {
+      type: String,
+      enum: LOGIN_OUTCOMES,
+      required: true,
+    },
+
+    // SECURITY: This failure locked the account
+    lockedAccount: {
+      type: Boolean,
+      default: false,
+    },
+
+    ip: {
+      type: String,
+      default: '',
+    },
+    userAgent: {
+      type: String,
+      maxlength: 512,
+      default: '',
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: config.loginLock.historyDays * 24 * 60 * 60 }
+);
+
+/**
+ * SECURITY: Record an attempt from a request
+ * Never throws - a history write must not decide whether a login succeeds
+ */
+loginAttemptSchema.statics.record = async function(req, user, { method, outcome, lockedAccount = false }) {
+  try {
+    await this.create({
+      user: user._id,
+      method,
+      outcome,
+      lockedAccount,
+      ip: req.ip,
+      userAgent: (req.get('user-agent') || '').slice(0, 512),
+    });
+  } catch (error) {
+    console.error('Login attempt record error:', error);
+  }
+};
+
+/**
+ * Newest attempts for a user (admin review)
+ */
+loginAttemptSchema.statics.findRecentForUser = function(userId, limit = 20) {
+  return this.find({ user: userId }).sort({ createdAt: -1 }).limit(limit);
+};
+
+/**
+ * SECURITY: Custom JSON serialization
+ */
+loginAttemptSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+export default mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -4,10 +4,13 @@
  * 1. Messages are tied to specific projects
  * 2. Developers can send messages and request completion
  * 3. Admin/Project Lead can review and respond
- * 4. Audit trail via timestamps
+ * 4. System messages record project events (e.g. lead hand-over) in the thread
+ * 5. Audit trail via timestamps
+ * 6. Belongs to the organization of its project
  */
 
 import mongoose from 'mongoose';
+import { assignProjectOrganization } from './Organization.js';
 
 const messageSchema = new mongoose.Schema(
   {
@@ -19,6 +22,14 @@ const messageSchema = new mongoose.Schema(
       index: true,
     },
     
+    // SECURITY: Tenant boundary (same as the project)
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+      index: true,
+    },
+    
     // Message sender
     sender: {
       type: mongoose.Schema.Types.ObjectId,
@@ -38,7 +49,7 @@ const messageSchema = new mongoose.Schema(
     // Message type
     type: {
       type: String,
-      enum: ['message', 'completion-request', 'completion-approved', 'completion-rejected'],
+      enum: ['message', 'completion-request', 'completion-approved', 'completion-rejected', 'system'],
       default: 'message',
     },
     
@@ -72,6 +83,8 @@ const messageSchema = new mongoose.Schema(
 // Index for efficient project message queries
 messageSchema.index({ project: 1, createdAt: -1 });
 
+messageSchema.pre('validate', assignProjectOrganization);
+
 // Virtual for formatted date
 messageSchema.virtual('formattedDate').get(function() {
   return this.createdAt.toLocaleDateString('en-US', {
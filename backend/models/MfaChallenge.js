@@ -0,0 +1,59 @@
+/**
+ * SECURITY DECISION: Used MFA Challenge Tokens
+ *
+ * 1. Every MFA challenge token (utils/jwt.js generateMfaToken) carries a jti
+ * 2. Completing the second factor records the jti; a recorded token is
+ *    refused, so a captured challenge token cannot log in a second time
+ * 3. Records are removed by a TTL index once the token has expired anyway
+ */
+
+import mongoose from 'mongoose';
+
+const mfaChallengeSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+mfaChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * SECURITY: Whether a challenge token was already used
+ */
+mfaChallengeSchema.statics.isUsed = async function(jti) {
+  return Boolean(await this.exists({ jti }));
+};
+
+/**
+ * SECURITY: Mark a challenge token as used (atomic, single-use)
+ * @param {Object} payload - Verified token claims (jti, sub, exp)
+ * @returns {Promise<boolean>} - false when it had been used already
+ */
+mfaChallengeSchema.statics.consume = async function(payload) {
+  try {
+    await this.create({
+      jti: payload.jti,
+      user: payload.sub,
+      expiresAt: new Date(payload.exp * 1000),
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+export default mongoose.model('MfaChallenge', mfaChallengeSchema);
@@ -0,0 +1,95 @@
+/**
+ * SECURITY DECISION: In-App Notification Model
+ *
+ * 1. Notifications belong to exactly one user and are only listed for them
+ * 2. Content is plain text (rendered escaped by React, never as HTML)
+ * 3. link is an app-relative path, never an external URL
+ * 4. Read notifications expire after 90 days (TTL on expiresAt)
+ */
+
+import mongoose from 'mongoose';
+
+const READ_RETENTION_DAYS = 90;
+
+export const NOTIFICATION_TYPES = ['security-alert'];
+
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      maxlength: 200,
+    },
+    body: {
+      type: String,
+      maxlength: 2000,
+      default: '',
+    },
+    // SECURITY: Internal route only (e.g. /account-settings)
+    link: {
+      type: String,
+      default: '',
+      validate: {
+        validator: value => value === '' || /^\/(?!\/)[\w\-/?=&]*$/.test(value),
+        message: 'Notification link must be an app-relative path',
+      },
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+    // Set when read; unread notifications never expire
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Send the same notification to several users
+ */
+notificationSchema.statics.notify = function(userIds, { type, title, body = '', link = '' }) {
+  return this.insertMany(userIds.map(user => ({ user, type, title, body, link })));
+};
+
+/**
+ * Mark notifications of a user as read (all when ids is omitted)
+ * @returns {Promise<Object>} - Update result
+ */
+notificationSchema.statics.markRead = function(userId, ids) {
+  const readAt = new Date();
+
+  return this.updateMany(
+    { user: userId, readAt: null, ...(ids && { _id: { $in: ids } }) },
+    { $set: { readAt, expiresAt: new Date(readAt.getTime() + READ_RETENTION_DAYS * 24 * 60 * 60 * 1000) } }
+  );
+};
+
+/**
+ * Custom JSON serialization
+ */
+notificationSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.expiresAt;
+  delete obj.__v;
+  return obj;
+};
+
+export default mongoose.model('Notification', notificationSchema);
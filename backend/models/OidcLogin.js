@@ -0,0 +1,130 @@
+/**
+ * SECURITY DECISION: SSO Login Transactions
+ *
+ * 1. Each SSO attempt stores its state (hashed), nonce and PKCE verifier server-side
+ * 2. The state is single-use and expires after config.oidc.loginTimeoutMinutes
+ * 3. After the provider callback, the SPA receives a one-time login code
+ *    (hashed here, valid for one minute) and exchanges it for API tokens
+ * 4. Records are removed automatically by a TTL index
+ *
+ * Why a login code: JWTs never appear in redirect URLs, browser history or
+ * proxy logs - the SPA redeems the code over XHR like a password login
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+const LOGIN_CODE_TTL_MS = 60 * 1000;
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const oidcLoginSchema = new mongoose.Schema(
+  {
+    // SECURITY: SHA-256 of the state parameter
+    stateHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    nonce: {
+      type: String,
+      required: true,
+    },
+
+    codeVerifier: {
+      type: String,
+      required: true,
+    },
+
+    // pending -> authenticated (callback succeeded) -> consumed (tokens issued)
+    status: {
+      type: String,
+      enum: ['pending', 'authenticated', 'consumed'],
+      default: 'pending',
+    },
+
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    // SECURITY: SHA-256 of the one-time login code handed to the SPA
+    loginCodeHash: {
+      type: String,
+      default: undefined,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+oidcLoginSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+oidcLoginSchema.index(
+  { loginCodeHash: 1 },
+  { unique: true, partialFilterExpression: { loginCodeHash: { $type: 'string' } } }
+);
+
+/**
+ * SECURITY: Record a new login attempt
+ */
+oidcLoginSchema.statics.start = function({ state, nonce, codeVerifier, timeoutMinutes }) {
+  return this.create({
+    stateHash: hash(state),
+    nonce,
+    codeVerifier,
+    expiresAt: new Date(Date.now() + timeoutMinutes * 60 * 1000),
+  });
+};
+
+/**
+ * SECURITY: Claim a pending attempt by its state (atomic, single-use)
+ * A replayed state finds no pending record; the claimed one has a minute left
+ */
+oidcLoginSchema.statics.claimByState = function(state) {
+  return this.findOneAndUpdate(
+    { stateHash: hash(state), status: 'pending', expiresAt: { $gt: new Date() } },
+    { $set: { status: 'authenticated', expiresAt: new Date(Date.now() + LOGIN_CODE_TTL_MS) } },
+    { new: true }
+  );
+};
+
+/**
+ * SECURITY: Attach the authenticated user and return a one-time login code
+ * @returns {Promise<string>} - Plaintext code (only hash stored)
+ */
+oidcLoginSchema.methods.issueLoginCode = async function(userId) {
+  const code = crypto.randomBytes(32).toString('base64url');
+
+  this.user = userId;
+  this.loginCodeHash = hash(code);
+  await this.save();
+
+  return code;
+};
+
+/**
+ * SECURITY: Redeem a login code (atomic, single-use)
+ * @returns {Promise<Object|null>} - Login record with user id, or null
+ */
+oidcLoginSchema.statics.consumeLoginCode = function(code) {
+  return this.findOneAndUpdate(
+    {
+      loginCodeHash: hash(code),
+      status: 'authenticated',
+      user: { $ne: null },
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { status: 'consumed' } },
+    { new: true }
+  );
+};
+
+export default mongoose.model('OidcLogin', oidcLoginSchema);
@@ -0,0 +1,241 @@
+/**
+ * SECURITY DECISION: Organization (Workspace) Model
+ *
+ * 1. Tenant boundary: every user, project, document, message, team and
+ *    invitation belongs to an organization, and queries are limited to the
+ *    active one (utils/organizations.js)
+ * 2. Created and suspended by super-admins only; org admins edit the name and
+ *    settings of their own organization
+ * 3. Settings narrow the server-wide configuration, they never widen it
+ * 4. Records created before workspaces existed belong to the default
+ *    organization, which cannot be suspended
+ * 5. An identity provider provisions users over SCIM with the organization's
+ *    own bearer token (scim_...); only its SHA-256 hash is stored
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import config from '../config/config.js';
+
+export const DEFAULT_ORGANIZATION_SLUG = 'default';
+
+// Recognisable prefix (secret scanners, log redaction)
+export const SCIM_TOKEN_PREFIX = 'scim_';
+
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Organization name is required'],
+      trim: true,
+      minlength: [2, 'Organization name must be at least 2 characters'],
+      maxlength: [100, 'Organization name must not exceed 100 characters'],
+    },
+
+    // URL-safe identifier, unique across the platform
+    slug: {
+      type: String,
+      required: [true, 'Organization slug is required'],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Slug may only contain letters, digits and dashes'],
+      maxlength: [50, 'Slug must not exceed 50 characters'],
+    },
+
+    // SECURITY: Suspended organizations cannot be entered by their members
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    settings: {
+      // SECURITY: Invitations (and SSO sign-ups) only for these email domains; empty allows any
+      allowedEmailDomains: {
+        type: [String],
+        default: [],
+        validate: {
+          validator: domains => domains.every(domain => /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain)),
+          message: 'Invalid email domain',
+        },
+      },
+      // SECURITY: Subset of the server's ALLOWED_FILE_TYPES; empty allows all of them
+      allowedFileTypes: {
+        type: [String],
+        default: [],
+        validate: {
+          validator: types => types.every(type => config.allowedFileTypes.includes(type)),
+          message: 'File type is not allowed by the server configuration',
+        },
+      },
+    },
+
+    // SECURITY: SCIM provisioning token - SHA-256 of the token, never the plaintext
+    scimTokenHash: {
+      type: String,
+      unique: true,
+      sparse: true,
+      select: false,
+    },
+    // First characters of the token, to help admins recognise it
+    scimTokenPrefix: {
+      type: String,
+      default: null,
+    },
+    scimTokenCreatedAt: {
+      type: Date,
+      default: null,
+    },
+    scimTokenLastUsedAt: {
+      type: Date,
+      default: null,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    lastModifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * SECURITY: Normalize settings lists before validation
+ */
+organizationSchema.pre('validate', function(next) {
+  const normalize = values => [...new Set(values.map(value => value.trim().toLowerCase()).filter(Boolean))];
+
+  this.settings.allowedEmailDomains = normalize(this.settings.allowedEmailDomains);
+  this.settings.allowedFileTypes = normalize(this.settings.allowedFileTypes)
+    .map(type => type.replace(/^\./, ''));
+  next();
+});
+
+/**
+ * Whether an email address may join the organization
+ */
+organizationSchema.methods.allowsEmail = function(email) {
+  const domains = this.settings.allowedEmailDomains;
+  return domains.length === 0 || domains.includes(email.split('@').pop().toLowerCase());
+};
+
+/**
+ * File types accepted for uploads in the organization
+ */
+organizationSchema.methods.getAllowedFileTypes = function() {
+  const types = this.settings.allowedFileTypes;
+  return types.length > 0 ? types : config.allowedFileTypes;
+};
+
+/**
+ * SECURITY: Hash a presented SCIM token for storage/lookup
+ */
+const hashScimToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * SECURITY: Replace the SCIM token (the previous one stops working) and return
+ * the plaintext once
+ * @returns {Promise<string>}
+ */
+organizationSchema.methods.issueScimToken = async function() {
+  const token = `${SCIM_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  this.scimTokenHash = hashScimToken(token);
+  this.scimTokenPrefix = token.slice(0, SCIM_TOKEN_PREFIX.length + 6);
+  this.scimTokenCreatedAt = new Date();
+  this.scimTokenLastUsedAt = null;
+  await this.save();
+
+  return token;
+};
+
+/**
+ * SECURITY: Turn SCIM provisioning off
+ */
+organizationSchema.methods.revokeScimToken = function() {
+  this.scimTokenHash = undefined;
+  this.scimTokenPrefix = null;
+  this.scimTokenCreatedAt = null;
+  this.scimTokenLastUsedAt = null;
+  return this.save();
+};
+
+/**
+ * SECURITY: Resolve a presented SCIM token to an active organization
+ */
+organizationSchema.statics.findByScimToken = function(token) {
+  return this.findOne({ scimTokenHash: hashScimToken(token), isActive: true });
+};
+
+let defaultOrganizationId = null;
+
+/**
+ * ID of the default organization, created on first use
+ * @returns {Promise<string>}
+ */
+organizationSchema.statics.getDefaultId = async function() {
+  if (!defaultOrganizationId) {
+    const query = { slug: DEFAULT_ORGANIZATION_SLUG };
+    let organization;
+
+    try {
+      organization = await this.findOneAndUpdate(
+        query,
+        { $setOnInsert: { name: 'Default', isActive: true } },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // Another request created it first
+      if (error.code !== 11000) throw error;
+      organization = await this.findOne(query);
+    }
+
+    defaultOrganizationId = organization._id.toString();
+  }
+
+  return defaultOrganizationId;
+};
+
+/**
+ * SECURITY: Custom JSON serialization
+ */
+organizationSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.scimTokenHash;
+  delete obj.__v;
+  return obj;
+};
+
+const Organization = mongoose.model('Organization', organizationSchema);
+
+/**
+ * SECURITY: pre('validate') hook for tenant-owned models
+ * Controllers always set the organization; this covers records created by
+ * scripts and tests, which land in the default organization
+ */
+export async function assignDefaultOrganization() {
+  if (!this.organization) {
+    this.organization = await Organization.getDefaultId();
+  }
+}
+
+/**
+ * SECURITY: pre('validate') hook for records that live inside a project
+ * (documents, messages): they always share the project's organization
+ */
+export async function assignProjectOrganization() {
+  if (!this.organization && this.project) {
+    const project = await mongoose.model('Project').findById(this.project).select('organization');
+    this.organization = project?.organization;
+  }
+  await assignDefaultOrganization.call(this);
+}
+
+export default Organization;
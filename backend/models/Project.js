@@ -4,10 +4,47 @@
  * 1. Project has explicit ownership (admin or project lead)
  * 2. Status field controlled to prevent unauthorized state changes
  * 3. Assigned users tracked for access control checks
- * 4. Audit trail via timestamps
+ * 4. Per-project memberships (viewer, contributor, maintainer) for anyone,
+ *    independent of their global role
+ * 5. Co-leads share the lead's access; leadership changes are kept in history
+ * 6. Whole teams can be assigned; their members get the same access as
+ *    assigned developers, following team membership changes
+ * 7. Belongs to one organization; leads, assignees and teams come from it
+ * 8. Audit trail via timestamps
  */
 
 import mongoose from 'mongoose';
+import { PROJECT_ROLE_NAMES } from '../config/permissions.js';
+import { assignDefaultOrganization } from './Organization.js';
+
+/**
+ * SECURITY: Whether a user's role in the project's organization grants a permission
+ * @param {Object} context - Validated project, or the query of an update
+ */
+const holdsPermission = async (context, userId, permission) => {
+  const User = (await import('./User.js')).default;
+  const { roleHasPermission } = await import('../utils/permissions.js');
+  
+  const project = context instanceof mongoose.Query
+    ? await context.model.findOne(context.getFilter()).select('organization')
+    : context;
+  const organization = project?.organization?.toString();
+  const user = await User.findById(userId);
+  
+  return Boolean(user) && roleHasPermission(user.roleIn(organization), permission, organization);
+};
+
+/**
+ * SECURITY: Leads and co-leads need a role with project:lead
+ */
+const leadValidator = {
+  isAsync: true,
+  validator: async function(v) {
+    if (!v) return true; // Optional field
+    return holdsPermission(this, v, 'project:lead');
+  },
+  message: 'Project lead must have a role with the project:lead permission',
+};
 
 const projectSchema = new mongoose.Schema(
   {
@@ -44,6 +81,14 @@ const projectSchema = new mongoose.Schema(
       default: 'active',
     },
     
+    // SECURITY: Tenant boundary
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+      index: true,
+    },
+    
     // SECURITY: Project ownership with role separation
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -54,18 +99,18 @@ const projectSchema = new mongoose.Schema(
     projectLead: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      validate: {
-        isAsync: true,
-        validator: async function(v) {
-          if (!v) return true; // Optional field
-          const User = (await import('./User.js')).default;
-          const user = await User.findById(v);
-          return user && ['admin', 'project-lead'].includes(user.role);
-        },
-        message: 'Project lead must have admin or project-lead role',
-      },
+      validate: leadValidator,
     },
     
+    // SECURITY: Co-leads manage the project like the lead (cover for leave)
+    coLeads: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        validate: leadValidator,
+      },
+    ],
+    
     // SECURITY: Assigned developers (explicit access control)
     assignedDevelopers: [
       {
@@ -74,11 +119,45 @@ const projectSchema = new mongoose.Schema(
         validate: {
           isAsync: true,
           validator: async function(v) {
-            const User = (await import('./User.js')).default;
-            const user = await User.findById(v);
-            return user && user.role === 'developer';
+            return holdsPermission(this, v, 'project:assignable');
           },
-          message: 'Assigned users must have developer role',
+          message: 'Assigned users must have a role with the project:assignable permission',
+        },
+      },
+    ],
+    
+    // SECURITY: Assigned teams (members resolved at request time)
+    teams: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Team',
+      },
+    ],
+    
+    // SECURITY: Explicit memberships with a project role (see config/permissions.js)
+    members: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: [true, 'Member user is required'],
+        },
+        role: {
+          type: String,
+          enum: {
+            values: PROJECT_ROLE_NAMES,
+            message: 'Invalid project role',
+          },
+          required: [true, 'Project role is required'],
+        },
+        addedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        addedAt: {
+          type: Date,
+          default: Date.now,
         },
       },
     ],
@@ -95,6 +174,37 @@ const projectSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
     },
+    
+    // SECURITY: Leadership history (hand-overs and co-lead changes)
+    history: [
+      {
+        action: {
+          type: String,
+          enum: ['lead-handover', 'co-lead-added', 'co-lead-removed'],
+          required: true,
+        },
+        actor: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        from: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        to: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        note: {
+          type: String,
+          maxlength: [500, 'Note must not exceed 500 characters'],
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
   },
   {
     timestamps: true,
@@ -105,10 +215,15 @@ const projectSchema = new mongoose.Schema(
  * SECURITY: Index for faster access control queries
  */
 projectSchema.index({ projectLead: 1 });
+projectSchema.index({ coLeads: 1 });
 projectSchema.index({ createdBy: 1 });
 projectSchema.index({ assignedDevelopers: 1 });
+projectSchema.index({ 'members.user': 1 });
+projectSchema.index({ teams: 1 });
 projectSchema.index({ status: 1 });
 
+projectSchema.pre('validate', assignDefaultOrganization);
+
 /**
  * SECURITY: Ensure proper access control on updates
  */
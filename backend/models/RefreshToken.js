@@ -0,0 +1,100 @@
+/**
+ * SECURITY DECISION: Refresh Token Store
+ *
+ * 1. Every issued refresh token is persisted by its jti (never the raw token)
+ * 2. Tokens from one login share a family id
+ * 3. Each refresh rotates the token: the old record is revoked and linked to its successor
+ * 4. Presenting an already rotated token is treated as theft and revokes the whole family
+ * 5. Expired records are removed automatically by a TTL index
+ *
+ * Why server-side state: a signed JWT alone cannot be invalidated before expiry,
+ * so logout and stolen-token response need a revocation list
+ */
+
+import mongoose from 'mongoose';
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    // SECURITY: Unique token id (jti claim)
+    jti: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // SECURITY: Login lineage shared by all rotated tokens
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    // SECURITY: Revocation state
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: ['rotated', 'logout', 'reuse-detected', 'password-changed', 'account-disabled', 'admin'],
+    },
+
+    // SECURITY: Successor token after rotation (audit trail)
+    replacedBy: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * SECURITY: Remove records once the token could no longer be used anyway
+ */
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * SECURITY: Revoke every active token in a family
+ */
+refreshTokenSchema.statics.revokeFamily = function(family, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+/**
+ * SECURITY: Revoke every active token for a user (password change, deactivation)
+ * exceptFamily keeps the caller's own login alive
+ */
+refreshTokenSchema.statics.revokeAllForUser = function(userId, reason, { exceptFamily } = {}) {
+  return this.updateMany(
+    { user: userId, revokedAt: null, ...(exceptFamily && { family: { $ne: exceptFamily } }) },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+/**
+ * SECURITY: Custom JSON serialization
+ */
+refreshTokenSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+export default mongoose.model('RefreshToken', refreshTokenSchema);
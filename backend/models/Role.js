@@ -0,0 +1,81 @@
+/**
+ * SECURITY DECISION: Custom Role Model
+ *
+ * 1. Admins define extra roles as named sets of registered permissions
+ * 2. Built-in role names (admin, project-lead, developer) are reserved
+ * 3. Names are immutable: users reference their role by name
+ * 4. Unknown permissions are rejected, so a role can only grant what the
+ *    registry (config/permissions.js) defines
+ * 5. Custom roles belong to one organization: names are unique within it, and
+ *    only that organization's admins and users ever see or hold the role
+ */
+
+import mongoose from 'mongoose';
+import { PERMISSIONS, BUILT_IN_ROLES } from '../config/permissions.js';
+import { assignDefaultOrganization } from './Organization.js';
+
+const roleSchema = new mongoose.Schema(
+  {
+    // SECURITY: Owning organization (tenant)
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+      immutable: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Role name is required'],
+      lowercase: true,
+      trim: true,
+      immutable: true,
+      match: [/^[a-z][a-z0-9-]{1,39}$/, 'Role name must be 2-40 lowercase letters, digits or dashes'],
+      validate: {
+        validator: name => !Object.hasOwn(BUILT_IN_ROLES, name),
+        message: 'Role name is reserved for a built-in role',
+      },
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description must not exceed 200 characters'],
+      default: '',
+    },
+    permissions: {
+      type: [String],
+      validate: {
+        validator: permissions => permissions.every(name => Object.hasOwn(PERMISSIONS, name)),
+        message: 'Unknown permission',
+      },
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    lastModifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+roleSchema.index({ organization: 1, name: 1 }, { unique: true });
+
+roleSchema.pre('validate', assignDefaultOrganization);
+
+/**
+ * SECURITY: Custom JSON serialization
+ */
+roleSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.__v;
+  obj.builtIn = false;
+  return obj;
+};
+
+export default mongoose.model('Role', roleSchema);
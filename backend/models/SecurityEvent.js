@@ -0,0 +1,110 @@
+/**
+ * SECURITY DECISION: Security Event Model
+ *
+ * 1. One record per suspicious sign-in rule that fired (see utils/suspiciousLogin.js)
+ * 2. Severity is fixed per type, so admins can triage without reading details
+ * 3. Events stay open until an admin acknowledges them (who, when, optional note)
+ * 4. Device context (IP, user agent, login method) is copied from the login
+ *
+ * Why a separate collection: login attempts expire with the history retention,
+ * while an unreviewed alert must stay until someone has looked at it
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * SECURITY: Event types and their severity
+ */
+export const SECURITY_EVENT_TYPES = {
+  'new-device': 'low', // Known IP with a new device, or a new IP from a known device
+  'new-device-and-ip': 'medium',
+  'login-burst': 'high', // Many different IPs in a short window (impossible travel)
+  'login-after-lockout': 'high', // First sign-in after the account was locked
+};
+
+export const SECURITY_EVENT_SEVERITIES = ['low', 'medium', 'high'];
+
+const securityEventSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: Object.keys(SECURITY_EVENT_TYPES),
+      required: true,
+    },
+    severity: {
+      type: String,
+      enum: SECURITY_EVENT_SEVERITIES,
+      required: true,
+    },
+
+    // Login that triggered the event
+    method: {
+      type: String,
+      default: '',
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    userAgent: {
+      type: String,
+      maxlength: 512,
+      default: '',
+    },
+    // Rule specific facts (e.g. IPs seen in a burst)
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    // SECURITY: Review state
+    acknowledgedAt: {
+      type: Date,
+      default: null,
+    },
+    acknowledgedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    acknowledgeNote: {
+      type: String,
+      maxlength: 500,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+securityEventSchema.index({ acknowledgedAt: 1, createdAt: -1 });
+securityEventSchema.index({ user: 1, createdAt: -1 });
+
+/**
+ * SECURITY: Acknowledge an open event (atomic, first reviewer wins)
+ * @returns {Promise<Object|null>} - Updated event, or null if missing/already acknowledged
+ */
+securityEventSchema.statics.acknowledge = function(id, adminId, note) {
+  return this.findOneAndUpdate(
+    { _id: id, acknowledgedAt: null },
+    { $set: { acknowledgedAt: new Date(), acknowledgedBy: adminId, acknowledgeNote: note } },
+    { new: true, runValidators: true }
+  );
+};
+
+/**
+ * SECURITY: Custom JSON serialization
+ */
+securityEventSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+export default mongoose.model('SecurityEvent', securityEventSchema);
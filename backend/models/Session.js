@@ -0,0 +1,123 @@
+/**
+ * SECURITY DECISION: Login Session Model
+ *
+ * 1. One session per successful login (password or MFA)
+ * 2. A session owns exactly one refresh token family
+ * 3. Device context (user agent, IP) and last use are recorded for review
+ * 4. Revoking a session revokes its refresh tokens, so the device cannot refresh
+ * 5. Expired sessions are removed automatically by a TTL index
+ *
+ * Why: lets users sign out a lost device themselves, without an admin
+ * resetting their password
+ */
+
+import mongoose from 'mongoose';
+import RefreshToken from './RefreshToken.js';
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    // SECURITY: Refresh token family owned by this session
+    family: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // Device context captured at login
+    userAgent: {
+      type: String,
+      maxlength: 512,
+      default: '',
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+
+    // Updated on every refresh token rotation
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastIp: {
+      type: String,
+      default: '',
+    },
+
+    // Tracks expiry of the newest refresh token in the family
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    // SECURITY: Revocation state
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * SECURITY: Drop sessions once their last refresh token has expired
+ */
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * SECURITY: Revoke a session and its refresh token family
+ */
+sessionSchema.statics.revokeFamily = async function(family, reason) {
+  await this.updateOne(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return RefreshToken.revokeFamily(family, reason);
+};
+
+/**
+ * SECURITY: Revoke every session for a user (password change, deactivation)
+ * exceptFamily keeps the caller's own session alive
+ */
+sessionSchema.statics.revokeAllForUser = async function(userId, reason, { exceptFamily } = {}) {
+  await this.updateMany(
+    { user: userId, revokedAt: null, ...(exceptFamily && { family: { $ne: exceptFamily } }) },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return RefreshToken.revokeAllForUser(userId, reason, { exceptFamily });
+};
+
+/**
+ * SECURITY: Active (not revoked, not expired) sessions for a user
+ */
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+};
+
+/**
+ * SECURITY: Custom JSON serialization
+ */
+sessionSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.family; // Internal token lineage id
+  delete obj.__v;
+  return obj;
+};
+
+export default mongoose.model('Session', sessionSchema);
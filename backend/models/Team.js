@@ -0,0 +1,95 @@
+/**
+ * SECURITY DECISION: Team Model
+ *
+ * 1. Named group of users for assigning many people to projects at once
+ * 2. Projects reference teams, so membership changes apply to every project
+ *    the team works on (access and document accessibleBy)
+ * 3. The lead is always a member; leading a team grants no extra project rights
+ * 4. Managed by team:manage holders only
+ * 5. Belongs to one organization; names are unique within it
+ */
+
+import mongoose from 'mongoose';
+import { assignDefaultOrganization } from './Organization.js';
+
+const teamSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Team name is required'],
+      trim: true,
+      minlength: [2, 'Team name must be at least 2 characters'],
+      maxlength: [100, 'Team name must not exceed 100 characters'],
+    },
+
+    // SECURITY: Tenant boundary
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description must not exceed 500 characters'],
+      default: '',
+    },
+
+    lead: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    members: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+
+    // SECURITY: Audit trail
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    lastModifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * SECURITY: Index for resolving a user's teams on every request
+ */
+teamSchema.index({ members: 1 });
+teamSchema.index({ organization: 1, name: 1 }, { unique: true });
+
+teamSchema.pre('validate', assignDefaultOrganization);
+
+/**
+ * SECURITY: The lead is always a member
+ */
+teamSchema.pre('validate', function(next) {
+  if (this.lead && !this.members.some(member => member.equals(this.lead))) {
+    this.members.push(this.lead);
+  }
+  next();
+});
+
+/**
+ * SECURITY: Custom JSON serialization
+ */
+teamSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+export default mongoose.model('Team', teamSchema);
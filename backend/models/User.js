@@ -6,12 +6,77 @@
  * 3. Sensitive fields are excluded from serialization by default
  * 4. Password verification is constant-time to prevent timing attacks
  * 5. Email uniqueness enforced at database level
+ * 6. SSO-only accounts (authProvider 'oidc') have no local password
+ * 7. Belongs to one or more organizations with a role in each (memberships),
+ *    so an admin of one organization is not an admin of the others.
+ *    Super-admins manage organizations and may enter any of them
+ * 8. Deleted users become tombstones: the name stays for history (messages,
+ *    project history), everything that identifies or authenticates is removed
+ * 9. The profile (avatar, title, skills, availability) is edited by the user
+ *    only and grants no access (see utils/profile.js)
  * 
  * Why bcrypt: Slows down brute-force attacks through intentional slowness
  */
 
+import crypto from 'crypto';
 import mongoose from 'mongoose';
 import bcryptjs from 'bcryptjs';
+import config from '../config/config.js';
+import { validatePasswordRules, isPasswordExpired } from '../utils/passwordPolicy.js';
+import { isValidRole } from '../utils/permissions.js';
+import { PROFILE_LIMITS, isValidTimezone, normalizeSkills } from '../utils/profile.js';
+import Organization from './Organization.js';
+
+/**
+ * SECURITY: Membership of an organization with the user's role there
+ * (built-in or the organization's custom role, see models/Role.js)
+ */
+const membershipSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+    role: {
+      type: String,
+      default: 'developer',
+      required: true,
+      validate: {
+        validator: function(role) {
+          return isValidRole(role, this.organization?.toString());
+        },
+        message: 'Invalid role',
+      },
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Out-of-office range (whole days, end inclusive)
+ */
+const outOfOfficeSchema = new mongoose.Schema({
+  start: {
+    type: Date,
+    required: [true, 'Out-of-office start date is required'],
+  },
+  end: {
+    type: Date,
+    required: [true, 'Out-of-office end date is required'],
+    validate: {
+      validator: function(v) {
+        return !this.start || v >= this.start;
+      },
+      message: 'Out-of-office end date must not be before the start date',
+    },
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [PROFILE_LIMITS.outOfOfficeNote, `Note must not exceed ${PROFILE_LIMITS.outOfOfficeNote} characters`],
+  },
+});
 
 const userSchema = new mongoose.Schema(
   {
@@ -46,15 +111,31 @@ const userSchema = new mongoose.Schema(
     },
     password: {
       type: String,
-      required: [true, 'Password is required'],
-      minlength: [8, 'Password must be at least 8 characters'],
+      required: [
+        function() {
+          return this.authProvider === 'local';
+        },
+        'Password is required',
+      ],
+      // SECURITY: Central password policy (runs on plaintext, before hashing)
+      validate: {
+        validator: function(v) {
+          // Loaded hashes are re-validated on save; only check new plaintext
+          if (!this.isModified('password')) {
+            return true;
+          }
+          return validatePasswordRules(v).length === 0;
+        },
+        message: props => validatePasswordRules(props.value).join('. '),
+      },
       select: false, // SECURITY: Don't return password by default
     },
-    role: {
-      type: String,
-      enum: ['admin', 'project-lead', 'developer'],
-      default: 'developer',
-      required: true,
+    // SECURITY: Organizations (workspaces) the user belongs to, with a role in each
+    memberships: [membershipSchema],
+    // SECURITY: Platform operator - never granted through the API
+    isSuperAdmin: {
+      type: Boolean,
+      default: false,
     },
     fullName: {
       type: String,
@@ -63,13 +144,86 @@ const userSchema = new mongoose.Schema(
       maxlength: [100, 'Full name must not exceed 100 characters'],
     },
     
+    // Profile shown to colleagues (self-edited, see profileController)
+    profile: {
+      // Public image URL in cloud storage; the public ID is kept to delete it
+      avatarUrl: {
+        type: String,
+      },
+      avatarPublicId: {
+        type: String,
+      },
+      title: {
+        type: String,
+        trim: true,
+        maxlength: [PROFILE_LIMITS.title, `Job title must not exceed ${PROFILE_LIMITS.title} characters`],
+      },
+      skills: {
+        type: [String],
+        set: normalizeSkills,
+        validate: {
+          validator: function(v) {
+            return v.length <= PROFILE_LIMITS.skills &&
+              v.every(skill => skill.length <= PROFILE_LIMITS.skillLength);
+          },
+          message: `At most ${PROFILE_LIMITS.skills} skills of up to ${PROFILE_LIMITS.skillLength} characters`,
+        },
+      },
+      timezone: {
+        type: String,
+        validate: {
+          validator: isValidTimezone,
+          message: 'Unknown time zone',
+        },
+      },
+      // Hours per week available for project work
+      weeklyCapacity: {
+        type: Number,
+        min: [0, 'Weekly capacity must not be negative'],
+        max: [PROFILE_LIMITS.weeklyCapacity, `Weekly capacity must not exceed ${PROFILE_LIMITS.weeklyCapacity} hours`],
+      },
+      outOfOffice: {
+        type: [outOfOfficeSchema],
+        validate: {
+          validator: function(v) {
+            return v.length <= PROFILE_LIMITS.outOfOffice;
+          },
+          message: `At most ${PROFILE_LIMITS.outOfOffice} out-of-office ranges`,
+        },
+      },
+    },
+    
+    // SECURITY: How the account was created - 'oidc' accounts sign in through SSO only
+    authProvider: {
+      type: String,
+      enum: ['local', 'oidc'],
+      default: 'local',
+    },
+    // SECURITY: Linked identity at the OIDC provider (issuer + subject)
+    oidcIssuer: {
+      type: String,
+    },
+    oidcSubject: {
+      type: String,
+    },
+    
     // SECURITY: Account status for deactivation
     isActive: {
       type: Boolean,
       default: true,
     },
     
-    // SECURITY: Track last login for anomaly detection
+    // SECURITY: Set when the account was deleted (tombstone, see User.tombstone)
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    
+    // SECURITY: Last successful login (anomaly detection uses the LoginAttempt history)
     lastLogin: {
       type: Date,
       default: null,
@@ -84,6 +238,16 @@ const userSchema = new mongoose.Schema(
       type: String,
       select: false, // Never expose this
     },
+    // SECURITY: Hashed single-use recovery codes (plaintext shown once at enrollment)
+    mfaRecoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // SECURITY: Last accepted TOTP time step (prevents code replay)
+    mfaLastUsedStep: {
+      type: Number,
+      select: false,
+    },
     
     // SECURITY: Track password changes
     passwordChangedAt: {
@@ -91,6 +255,28 @@ const userSchema = new mongoose.Schema(
       default: null,
     },
     
+    // SECURITY: Set by admin reset - user must choose their own password before using the API
+    mustChangePassword: {
+      type: Boolean,
+      default: false,
+    },
+    
+    // SECURITY: Previous password hashes, newest first (reuse prevention)
+    passwordHistory: {
+      type: [String],
+      select: false,
+    },
+    
+    // SECURITY: Self-service password reset (SHA-256 hash of emailed token)
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    
     // SECURITY: Track multiple failed login attempts
     loginAttempts: {
       type: Number,
@@ -106,6 +292,32 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+/**
+ * SECURITY: One local account per provider identity
+ */
+userSchema.index(
+  { oidcIssuer: 1, oidcSubject: 1 },
+  { unique: true, partialFilterExpression: { oidcSubject: { $type: 'string' } } }
+);
+
+userSchema.index({ 'memberships.organization': 1, 'memberships.role': 1 });
+
+/**
+ * SECURITY: Every user belongs to at least one organization
+ * Accounts and memberships created without one (scripts, tests) join the
+ * default organization
+ */
+userSchema.pre('validate', async function() {
+  if (this.memberships.length === 0 && !this.deletedAt) {
+    this.memberships = [{}];
+  }
+  for (const membership of this.memberships) {
+    if (!membership.organization) {
+      membership.organization = await Organization.getDefaultId();
+    }
+  }
+});
+
 /**
  * SECURITY: Hash password before saving
  * This middleware executes whenever a document is saved
@@ -117,9 +329,20 @@ userSchema.pre('save', async function(next) {
   }
   
   try {
+    // SECURITY: Keep the replaced hash for reuse checks
+    if (!this.isNew && config.passwordPolicy.historySize > 0) {
+      const previous = await this.constructor
+        .findById(this._id)
+        .select('+password +passwordHistory');
+      
+      if (previous?.password) {
+        this.passwordHistory = [previous.password, ...(previous.passwordHistory || [])]
+          .slice(0, config.passwordPolicy.historySize);
+      }
+    }
+    
     // SECURITY: Generate salt and hash password
     // bcrypt automatically handles salt generation
-    const config = (await import('../config/config.js')).default;
     const salt = await bcryptjs.genSalt(config.bcryptRounds);
     this.password = await bcryptjs.hash(this.password, salt);
     this.passwordChangedAt = new Date();
@@ -134,6 +357,11 @@ userSchema.pre('save', async function(next) {
  * Uses constant-time comparison to prevent timing attacks
  */
 userSchema.methods.verifyPassword = async function(candidatePassword) {
+  // SSO-only accounts never match a password
+  if (!this.password) {
+    return false;
+  }
+  
   try {
     return await bcryptjs.compare(candidatePassword, this.password);
   } catch (error) {
@@ -141,6 +369,32 @@ userSchema.methods.verifyPassword = async function(candidatePassword) {
   }
 };
 
+/**
+ * SECURITY: Check a candidate against the current and previous password hashes
+ * Loads the hashes itself so callers do not need to select them
+ */
+userSchema.methods.isPasswordReused = async function(candidatePassword) {
+  const stored = await this.constructor
+    .findById(this._id)
+    .select('+password +passwordHistory');
+  
+  if (!stored) {
+    return false;
+  }
+  
+  const hashes = [stored.password, ...(stored.passwordHistory || [])]
+    .slice(0, config.passwordPolicy.historySize + 1)
+    .filter(Boolean);
+  
+  for (const hash of hashes) {
+    if (await bcryptjs.compare(candidatePassword, hash)) {
+      return true;
+    }
+  }
+  
+  return false;
+};
+
 /**
  * SECURITY: Check if password was changed after JWT was issued
  */
@@ -154,30 +408,48 @@ userSchema.methods.passwordChangedAfter = function(jwtTimestamp) {
   return false;
 };
 
+/**
+ * SECURITY: Hash a password reset token for storage/lookup
+ */
+userSchema.statics.hashResetToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * SECURITY: Create a single-use password reset token
+ * Only the hash is stored; the plaintext is returned once for emailing.
+ * Issuing a new token replaces any previous one.
+ */
+userSchema.methods.createPasswordResetToken = function(expirationMinutes) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = this.constructor.hashResetToken(token);
+  this.passwordResetExpires = new Date(Date.now() + expirationMinutes * 60 * 1000);
+  return token;
+};
+
 /**
  * SECURITY: Handle failed login attempts (brute force protection)
+ * Thresholds come from config.loginLock
+ * @returns {Promise<boolean>} - Whether this failure locked the account
  */
 userSchema.methods.incLoginAttempts = async function() {
-  // Reset attempts if lock has expired
-  if (this.lockUntil && this.lockUntil < new Date()) {
-    return this.updateOne({
-      $set: { loginAttempts: 1 },
-      $unset: { lockUntil: 1 },
-    });
-  }
+  const { maxAttempts, lockMinutes } = config.loginLock;
   
-  // Increment attempts
-  const updates = { $inc: { loginAttempts: 1 } };
+  // Start counting again if a previous lock has expired
+  const lockExpired = this.lockUntil && this.lockUntil < new Date();
+  const attempts = lockExpired ? 1 : this.loginAttempts + 1;
+  const locks = attempts >= maxAttempts;
   
-  // Lock account after 5 failed attempts for 2 hours
-  const maxAttempts = 5;
-  const lockTime = 2 * 60 * 60 * 1000; // 2 hours
+  const updates = lockExpired ? { $set: { loginAttempts: 1 } } : { $inc: { loginAttempts: 1 } };
   
-  if (this.loginAttempts + 1 >= maxAttempts) {
-    updates.$set = { lockUntil: new Date(Date.now() + lockTime) };
+  if (locks) {
+    updates.$set = { ...updates.$set, lockUntil: new Date(Date.now() + lockMinutes * 60 * 1000) };
+  } else if (lockExpired) {
+    updates.$unset = { lockUntil: 1 };
   }
   
-  return this.updateOne(updates);
+  await this.updateOne(updates);
+  return locks;
 };
 
 /**
@@ -190,6 +462,19 @@ userSchema.methods.resetLoginAttempts = async function() {
   });
 };
 
+/**
+ * SECURITY: Clear a lockout without signing in (admin unlock)
+ */
+userSchema.methods.unlock = async function() {
+  await this.updateOne({
+    $set: { loginAttempts: 0 },
+    $unset: { lockUntil: 1 },
+  });
+  
+  this.loginAttempts = 0;
+  this.lockUntil = null;
+};
+
 /**
  * SECURITY: Check if account is locked
  */
@@ -197,6 +482,79 @@ userSchema.methods.isLocked = function() {
   return this.lockUntil && this.lockUntil > new Date();
 };
 
+/**
+ * SECURITY: Remove all MFA material (used by self-disable and admin reset)
+ * Caller is responsible for saving the document
+ */
+userSchema.methods.clearMfa = function() {
+  this.mfaEnabled = false;
+  this.mfaSecret = undefined;
+  this.mfaRecoveryCodes = undefined;
+  this.mfaLastUsedStep = undefined;
+};
+
+/**
+ * IDs of the organizations the user belongs to
+ * @returns {string[]}
+ */
+userSchema.methods.organizationIds = function() {
+  return this.memberships.map(membership => membership.organization.toString());
+};
+
+/**
+ * SECURITY: Role of the user in an organization
+ * Super-admins act as admins in organizations they are not a member of
+ * @param {string} organization - Organization ID
+ * @returns {string|null} - null when the user does not belong to it
+ */
+userSchema.methods.roleIn = function(organization) {
+  const membership = organization && this.memberships.find(
+    item => item.organization.toString() === organization.toString()
+  );
+  if (membership) return membership.role;
+  return this.isSuperAdmin && organization ? 'admin' : null;
+};
+
+/**
+ * SECURITY: Turn a deleted account into a tombstone
+ * Keeps the ID and name so references still render; removes credentials,
+ * contact details, profile and organizations, so the account can never sign
+ * in or be found again. Bypasses validation on purpose (placeholder email, no organization)
+ * @param {string} userId
+ * @param {string} actorId - Admin who deleted the account
+ */
+userSchema.statics.tombstone = function(userId, actorId) {
+  const placeholder = `deleted-${userId}@deleted.invalid`;
+  
+  return this.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        username: placeholder,
+        email: placeholder,
+        memberships: [],
+        isActive: false,
+        isSuperAdmin: false,
+        mfaEnabled: false,
+        deletedAt: new Date(),
+        deletedBy: actorId,
+      },
+      $unset: {
+        password: 1,
+        passwordHistory: 1,
+        passwordResetToken: 1,
+        passwordResetExpires: 1,
+        mfaSecret: 1,
+        mfaRecoveryCodes: 1,
+        mfaLastUsedStep: 1,
+        oidcIssuer: 1,
+        oidcSubject: 1,
+        profile: 1,
+      },
+    }
+  );
+};
+
 /**
  * SECURITY: Custom JSON serialization - never expose sensitive fields
  */
@@ -204,9 +562,29 @@ userSchema.methods.toJSON = function() {
   const obj = this.toObject();
   delete obj.password;
   delete obj.mfaSecret;
+  delete obj.mfaRecoveryCodes;
+  delete obj.mfaLastUsedStep;
+  delete obj.passwordHistory;
+  obj.passwordExpired = isPasswordExpired(this); // Client redirects to change password
+  obj.isLocked = Boolean(this.isLocked()); // Server clock decides, not the client's
+  delete obj.passwordResetToken;
+  delete obj.passwordResetExpires;
   delete obj.loginAttempts;
   delete obj.__v;
   return obj;
 };
 
+/**
+ * SECURITY: JSON as seen from one organization
+ * Carries the role there instead of the memberships, so the account's other
+ * organizations stay hidden
+ * @param {string} organization - Organization ID
+ */
+userSchema.methods.toOrganizationJSON = function(organization) {
+  const obj = this.toJSON();
+  delete obj.memberships;
+  obj.role = this.roleIn(organization);
+  return obj;
+};
+
 export default mongoose.model('User', userSchema);
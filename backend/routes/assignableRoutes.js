@@ -1,29 +1,53 @@
 import express from 'express';
 import { authenticate, authorize } from '../middleware/auth.js';
-import * as userController from '../controllers/userController.js';
+import { validateUserListInput, handleValidationErrors } from '../middleware/security.js';
+import { rolesWithPermission } from '../utils/permissions.js';
+import { userRoleFilter } from '../utils/organizations.js';
+import { findUserPage, userListFilter } from '../utils/userQuery.js';
 
 const router = express.Router();
 
 /**
  * Route for project leads to get assignable developers
- * (developers only) they can add to their projects
+ * (roles with project:assignable in the active organization) they can add to their projects
+ * One page at a time, with search and sort (validateUserListInput); always active users only
  */
-router.get('/assignable', authenticate, authorize('admin', 'project-lead'), async (req, res) => {
-  try {
-    const User = (await import('../models/User.js')).default;
-    const users = await User.find({ role: 'developer', isActive: true }).select('-password -mfaSecret');
+router.get(
+  '/assignable',
+  authenticate,
+  authorize('project:create', 'project:update', 'project:update:any'),
+  validateUserListInput,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { search, sort, page, limit } = req.query;
+      const roles = await rolesWithPermission('project:assignable', req.user.organization);
+      const filter = {
+        ...userListFilter({ search }),
+        ...userRoleFilter(req.user.organization, { $in: roles }),
+        isActive: true,
+      };
 
-    res.status(200).json({
-      success: true,
-      data: { users },
-    });
-  } catch (error) {
-    console.error('Assignable users error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-    });
+      const result = await findUserPage(filter, {
+        sort,
+        page,
+        limit,
+        select: '-password -mfaSecret',
+        organization: req.user.organization,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      console.error('Assignable users error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
   }
-});
+);
 
 export default router;
@@ -3,41 +3,137 @@
  * 
  * Public endpoints with rate limiting:
  * - POST /auth/login (strict rate limit for brute force protection)
+ * - POST /auth/forgot-password, /auth/reset-password (self-service reset)
+ * - GET /auth/password-policy (password rules for client-side feedback)
+ * - GET /auth/oidc/config, /auth/oidc/login, /auth/oidc/callback (SSO redirects)
+ * - POST /auth/oidc/exchange (one-time SSO login code for tokens)
  * - POST /auth/register (if enabled)
  * 
  * Protected endpoints:
- * - POST /auth/refresh-token (all authenticated users)
- * - POST /auth/logout (all authenticated users)
+ * - POST /auth/refresh-token (all authenticated users, CSRF header in cookie mode)
+ * - POST /auth/logout (all authenticated users, CSRF header in cookie mode)
  * - GET /auth/me (all authenticated users)
  * - PUT /auth/change-password (all authenticated users)
+ * - POST /auth/mfa/setup, /auth/mfa/enable, /auth/mfa/disable (all authenticated users)
+ * - POST /auth/mfa/recovery-codes (all authenticated users)
+ * - POST /auth/reauthenticate (step-up: password or TOTP, rate limited)
+ * - GET /auth/sessions, DELETE /auth/sessions/:id (all authenticated users)
+ * - GET/POST /auth/tokens, DELETE /auth/tokens/:id (personal access tokens)
+ * - PUT /auth/profile, PUT/DELETE /auth/profile/avatar (own profile)
+ * 
+ * MFA login step (restricted temp token, rate limited):
+ * - POST /auth/mfa/verify
  */
 
 import express from 'express';
+import multer from 'multer';
 import { authenticate, authorize } from '../middleware/auth.js';
 import { 
   validateLoginInput, 
+  validateMfaVerifyInput,
+  validateMfaCodeInput,
+  validateForgotPasswordInput,
+  validateResetPasswordInput,
+  validateApiTokenInput,
+  validateOidcExchangeInput,
+  validateReauthInput,
+  validateProfileInput,
   handleValidationErrors,
-  authRateLimit
+  authRateLimit,
+  reauthRateLimit,
+  csrfProtection
 } from '../middleware/security.js';
 import * as authController from '../controllers/authController.js';
+import * as apiTokenController from '../controllers/apiTokenController.js';
+import * as profileController from '../controllers/profileController.js';
+import { AVATAR_MIME_TYPES, PROFILE_LIMITS } from '../utils/profile.js';
 
 const router = express.Router();
 
+/**
+ * SECURITY: Avatar uploads - in memory for cloud storage, small images only
+ * The controller checks the content as well
+ */
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => cb(null, AVATAR_MIME_TYPES.includes(file.mimetype)),
+  limits: {
+    fileSize: PROFILE_LIMITS.avatarSize,
+    files: 1,
+  },
+});
+
 /**
  * SECURITY: Login endpoint with strict rate limiting
  * Prevents credential stuffing and brute force attacks
  */
 router.post('/login', authRateLimit, validateLoginInput, handleValidationErrors, authController.login);
 
+/**
+ * SECURITY: MFA verification step (second factor of login)
+ * Accepts the restricted temp token issued by /login, never an access token
+ */
+router.post(
+  '/mfa/verify',
+  authRateLimit,
+  validateMfaVerifyInput,
+  handleValidationErrors,
+  authController.verifyMfa
+);
+
+/**
+ * SECURITY: OpenID Connect single sign-on
+ * login/callback are browser navigations (redirects); the SPA then redeems the
+ * one-time login code like a password login. Global rate limit only: the code
+ * is a 256-bit single-use value, so there is nothing to brute force
+ */
+router.get('/oidc/config', authController.getOidcConfig);
+router.get('/oidc/login', authController.startOidcLogin);
+router.get('/oidc/callback', authController.oidcCallback);
+router.post(
+  '/oidc/exchange',
+  validateOidcExchangeInput,
+  handleValidationErrors,
+  authController.exchangeOidcLogin
+);
+
+/**
+ * SECURITY: Request a password reset email (anti-enumeration response)
+ */
+router.post(
+  '/forgot-password',
+  authRateLimit,
+  validateForgotPasswordInput,
+  handleValidationErrors,
+  authController.forgotPassword
+);
+
+/**
+ * SECURITY: Reset password with single-use emailed token
+ */
+router.post(
+  '/reset-password',
+  authRateLimit,
+  validateResetPasswordInput,
+  handleValidationErrors,
+  authController.resetPassword
+);
+
+/**
+ * Password policy description for live feedback on password forms
+ */
+router.get('/password-policy', authController.getPasswordPolicy);
+
 /**
  * SECURITY: Refresh token endpoint (all authenticated users)
+ * Cookie mode requires the double-submit CSRF header
  */
-router.post('/refresh-token', authController.refreshToken);
+router.post('/refresh-token', csrfProtection, authController.refreshToken);
 
 /**
  * SECURITY: Logout endpoint
  */
-router.post('/logout', authenticate, authController.logout);
+router.post('/logout', authenticate, csrfProtection, authController.logout);
 
 /**
  * SECURITY: Get current user profile
@@ -49,4 +145,101 @@ router.get('/me', authenticate, authController.getCurrentUser);
  */
 router.put('/change-password', authenticate, authController.changePassword);
 
+/**
+ * SECURITY: MFA enrollment - generate secret and QR code
+ */
+router.post('/mfa/setup', authenticate, authController.setupMfa);
+
+/**
+ * SECURITY: MFA enrollment - confirm code and receive recovery codes
+ */
+router.post(
+  '/mfa/enable',
+  authenticate,
+  validateMfaCodeInput,
+  handleValidationErrors,
+  authController.enableMfa
+);
+
+/**
+ * SECURITY: Disable MFA (requires password)
+ * Rate limited like step-up, so a stolen access token cannot guess the password
+ */
+router.post('/mfa/disable', authenticate, reauthRateLimit, authController.disableMfa);
+
+/**
+ * SECURITY: Regenerate recovery codes (requires current TOTP code)
+ */
+router.post(
+  '/mfa/recovery-codes',
+  authenticate,
+  validateMfaCodeInput,
+  handleValidationErrors,
+  authController.regenerateRecoveryCodes
+);
+
+/**
+ * SECURITY: Step-up re-authentication for sensitive operations
+ * Returns an access token with a fresh auth_time claim (see requireRecentAuth)
+ */
+router.post(
+  '/reauthenticate',
+  authenticate,
+  reauthRateLimit,
+  validateReauthInput,
+  handleValidationErrors,
+  authController.reauthenticate
+);
+
+/**
+ * SECURITY: List own active sessions (devices)
+ */
+router.get('/sessions', authenticate, authController.listSessions);
+
+/**
+ * SECURITY: Sign out one of own sessions
+ */
+router.delete('/sessions/:id', authenticate, authController.revokeSession);
+
+/**
+ * SECURITY: Personal access tokens for scripts and CI
+ */
+router.get('/tokens', authenticate, apiTokenController.listTokens);
+router.post(
+  '/tokens',
+  authenticate,
+  validateApiTokenInput,
+  handleValidationErrors,
+  apiTokenController.createToken
+);
+router.delete('/tokens/:id', authenticate, apiTokenController.revokeToken);
+
+/**
+ * SECURITY: Own profile (title, skills, availability, avatar)
+ */
+router.put(
+  '/profile',
+  authenticate,
+  validateProfileInput,
+  handleValidationErrors,
+  profileController.updateProfile
+);
+router.put('/profile/avatar', authenticate, avatarUpload.single('avatar'), profileController.uploadAvatar);
+router.delete('/profile/avatar', authenticate, profileController.deleteAvatar);
+
+/**
+ * SECURITY: Error handling for avatar uploads
+ */
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    return res.status(400).json({
+      success: false,
+      message: error.code === 'LIMIT_FILE_SIZE'
+        ? `Image size exceeds maximum allowed (${PROFILE_LIMITS.avatarSize} bytes)`
+        : error.message,
+    });
+  }
+  next(error);
+});
+
 export default router;
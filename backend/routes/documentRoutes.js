@@ -2,16 +2,16 @@
  * SECURITY DECISION: Document Management Routes
  * 
  * File upload with security (Cloudinary integration):
- * - POST /projects/:projectId/documents/upload (admin, project-lead)
+ * - POST /projects/:projectId/documents/upload (document:upload, checked against the project)
  * - GET /projects/:projectId/documents (all assigned users)
  * - GET /documents/:id (view metadata)
  * - GET /documents/:id/download (download with access control)
- * - DELETE /documents/:id (uploader or admin)
+ * - DELETE /documents/:id (uploader or admin, recent re-authentication)
  */
 
 import express from 'express';
 import multer from 'multer';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requireRecentAuth } from '../middleware/auth.js';
 import config from '../config/config.js';
 import * as documentController from '../controllers/documentController.js';
 
@@ -66,11 +66,11 @@ router.get('/project/:projectId', documentController.listProjectDocuments);
 
 /**
  * SECURITY: Upload document to project
- * Only admin and project-lead can upload
+ * Requires document:upload on the project (lead, maintainer) or document:upload:any,
+ * checked in the controller
  */
 router.post(
   '/project/:projectId/upload',
-  authorize('admin', 'project-lead'),
   upload.single('file'),
   documentController.uploadDocument
 );
@@ -82,13 +82,10 @@ router.get('/:id', documentController.viewDocument);
 
 /**
  * SECURITY: Update document metadata
- * Only admin and assigned project-lead can update
+ * Requires document:upload on the project (lead, maintainer) or document:upload:any,
+ * checked in the controller
  */
-router.put(
-  '/:id',
-  authorize('admin', 'project-lead'),
-  documentController.updateDocument
-);
+router.put('/:id', documentController.updateDocument);
 
 /**
  * SECURITY: Download document (with audit logging)
@@ -96,9 +93,9 @@ router.put(
 router.get('/:id/download', documentController.downloadDocument);
 
 /**
- * SECURITY: Delete document
+ * SECURITY: Delete document (recent re-authentication required)
  */
-router.delete('/:id', documentController.deleteDocument);
+router.delete('/:id', requireRecentAuth, documentController.deleteDocument);
 
 /**
  * SECURITY: Error handling for multer
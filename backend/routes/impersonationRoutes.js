@@ -0,0 +1,36 @@
+/**
+ * SECURITY DECISION: Impersonation Routes ("view as user")
+ * 
+ * Admin-only endpoints (user:impersonate):
+ * - POST /impersonation (start, returns a short-lived impersonation token)
+ * - GET /impersonation (audit: recent sessions)
+ * - GET /impersonation/:id/requests (audit: requests of one session)
+ * 
+ * Current session (impersonation token or the admin's own token):
+ * - GET /impersonation/current
+ * - DELETE /impersonation/current (end)
+ */
+
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import * as impersonationController from '../controllers/impersonationController.js';
+
+const router = express.Router();
+
+/**
+ * SECURITY: All impersonation routes require authentication
+ */
+router.use(authenticate);
+
+router.get('/current', impersonationController.getCurrentImpersonation);
+router.delete('/current', impersonationController.endImpersonation);
+
+/**
+ * SECURITY: Starting and auditing is admin only
+ * (administrators cannot be impersonated, so impersonation tokens never carry this permission)
+ */
+router.post('/', authorize('user:impersonate'), impersonationController.startImpersonation);
+router.get('/', authorize('user:impersonate'), impersonationController.listImpersonations);
+router.get('/:id/requests', authorize('user:impersonate'), impersonationController.listImpersonationRequests);
+
+export default router;
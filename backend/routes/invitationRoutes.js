@@ -0,0 +1,56 @@
+/**
+ * SECURITY DECISION: User Invitation Routes
+ * 
+ * Admin-only endpoints (user:manage):
+ * - GET /invitations (pending by default, ?status=all for history)
+ * - POST /invitations (invite a user by email, name and role)
+ * - POST /invitations/:id/resend (new link, previous link stops working)
+ * - DELETE /invitations/:id (revoke)
+ * 
+ * Public endpoints (token from the emailed link):
+ * - POST /invitations/lookup (who the invitation is for)
+ * - POST /invitations/accept (choose a password, creates the account)
+ */
+
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import {
+  validateInvitationInput,
+  validateInvitationTokenInput,
+  validateAcceptInvitationInput,
+  handleValidationErrors,
+} from '../middleware/security.js';
+import * as invitationController from '../controllers/invitationController.js';
+
+const router = express.Router();
+
+/**
+ * SECURITY: Invitation link endpoints
+ * Token in the body (not the URL) so it stays out of access logs. Global rate
+ * limit only: the token is a 256-bit single-use value, so there is nothing to
+ * brute force
+ */
+router.post(
+  '/lookup',
+  validateInvitationTokenInput,
+  handleValidationErrors,
+  invitationController.getInvitationByToken
+);
+router.post(
+  '/accept',
+  validateAcceptInvitationInput,
+  handleValidationErrors,
+  invitationController.acceptInvitation
+);
+
+/**
+ * SECURITY: Everything else is admin only
+ */
+router.use(authenticate, authorize('user:manage'));
+
+router.get('/', invitationController.listInvitations);
+router.post('/', validateInvitationInput, handleValidationErrors, invitationController.createInvitation);
+router.post('/:id/resend', invitationController.resendInvitation);
+router.delete('/:id', invitationController.revokeInvitation);
+
+export default router;
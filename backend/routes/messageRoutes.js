@@ -1,14 +1,15 @@
 /**
  * SECURITY DECISION: Message Routes
  * 
- * Role-based access:
+ * Permission-based access (config/permissions.js):
  * - All authenticated: View messages in their accessible projects
- * - Developer: Send messages and request completion
- * - Admin/Project Lead: Review completion requests
+ * - message:send / message:request-completion: post and request completion
+ * - message:review / message:review:any: review completion requests
+ * Project-scoped checks run in the controller, where memberships apply
  */
 
 import express from 'express';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate } from '../middleware/auth.js';
 import * as messageController from '../controllers/messageController.js';
 
 const router = express.Router();
@@ -31,21 +32,13 @@ router.get('/project/:projectId', messageController.getProjectMessages);
 router.post('/project/:projectId', messageController.sendMessage);
 
 /**
- * SECURITY: Get pending completion requests (Admin/Project Lead only)
+ * SECURITY: Get pending completion requests (message:review on led or maintained projects)
  */
-router.get(
-  '/completion-requests',
-  authorize('admin', 'project-lead'),
-  messageController.getPendingCompletionRequests
-);
+router.get('/completion-requests', messageController.getPendingCompletionRequests);
 
 /**
- * SECURITY: Review a completion request (Admin/Project Lead only)
+ * SECURITY: Review a completion request (message:review on the project)
  */
-router.post(
-  '/:messageId/review',
-  authorize('admin', 'project-lead'),
-  messageController.reviewCompletionRequest
-);
+router.post('/:messageId/review', messageController.reviewCompletionRequest);
 
 export default router;
@@ -0,0 +1,25 @@
+/**
+ * SECURITY DECISION: Notification Routes
+ * 
+ * Authenticated users, own notifications only:
+ * - GET /notifications (list with unread count)
+ * - PATCH /notifications/:id/read (mark one as read)
+ * - POST /notifications/read-all (mark all as read)
+ */
+
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import * as notificationController from '../controllers/notificationController.js';
+
+const router = express.Router();
+
+/**
+ * SECURITY: All notification routes require authentication
+ */
+router.use(authenticate);
+
+router.get('/', notificationController.listNotifications);
+router.post('/read-all', notificationController.markAllNotificationsRead);
+router.patch('/:id/read', notificationController.markNotificationRead);
+
+export default router;
@@ -0,0 +1,100 @@
+/**
+ * SECURITY DECISION: Organization Routes
+ *
+ * - GET /organizations (organizations the user can switch to)
+ * - GET /organizations/current (active organization and settings)
+ * - PUT /organizations/current (name and settings; organization:settings)
+ * - POST/DELETE /organizations/current/scim-token (generate or revoke the SCIM
+ *   provisioning token; organization:settings plus user:manage and role:manage
+ *   or organization:manage, recent authentication)
+ * - POST /organizations (create; organization:manage)
+ * - PUT /organizations/:id (rename, suspend, settings; organization:manage)
+ * - GET/POST /organizations/:id/members, DELETE /organizations/:id/members/:userId
+ *   (membership of existing users; organization:manage)
+ */
+
+import express from 'express';
+import { authenticate, authorize, requireRecentAuth } from '../middleware/auth.js';
+import {
+  validateOrganizationInput,
+  validateOrganizationMemberInput,
+  handleValidationErrors,
+} from '../middleware/security.js';
+import * as organizationController from '../controllers/organizationController.js';
+
+const router = express.Router();
+
+/**
+ * SECURITY: All organization routes require authentication
+ */
+router.use(authenticate);
+
+router.get('/', organizationController.listOrganizations);
+router.get('/current', organizationController.getCurrentOrganization);
+
+/**
+ * SECURITY: Org admins edit their own organization
+ */
+router.put(
+  '/current',
+  authorize('organization:settings'),
+  validateOrganizationInput,
+  handleValidationErrors,
+  organizationController.updateCurrentOrganization
+);
+
+/**
+ * SECURITY: The SCIM token gives any role (the admin group included), so only
+ * those who manage users and roles, or super-admins, may hold it
+ */
+const authorizeScimToken = [
+  authorize('organization:settings'),
+  authorize('user:manage', 'organization:manage'),
+  authorize('role:manage', 'organization:manage'),
+];
+
+router.post(
+  '/current/scim-token',
+  ...authorizeScimToken,
+  requireRecentAuth,
+  organizationController.issueScimToken
+);
+router.delete(
+  '/current/scim-token',
+  ...authorizeScimToken,
+  requireRecentAuth,
+  organizationController.revokeScimToken
+);
+
+/**
+ * SECURITY: Super-admins manage every organization
+ */
+router.post(
+  '/',
+  authorize('organization:manage'),
+  validateOrganizationInput,
+  handleValidationErrors,
+  organizationController.createOrganization
+);
+router.put(
+  '/:id',
+  authorize('organization:manage'),
+  validateOrganizationInput,
+  handleValidationErrors,
+  organizationController.updateOrganization
+);
+router.get('/:id/members', authorize('organization:manage'), organizationController.listOrganizationMembers);
+router.post(
+  '/:id/members',
+  authorize('organization:manage'),
+  validateOrganizationMemberInput,
+  handleValidationErrors,
+  organizationController.addOrganizationMember
+);
+router.delete(
+  '/:id/members/:userId',
+  authorize('organization:manage'),
+  organizationController.removeOrganizationMember
+);
+
+export default router;
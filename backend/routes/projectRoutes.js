@@ -1,15 +1,22 @@
 /**
  * SECURITY DECISION: Project Management Routes
  * 
- * Role-based access:
- * - Admin: Full CRUD on all projects
- * - Project Lead: CRUD on own projects, assign developers
- * - Developer: Read-only (see assigned projects)
+ * Permission-based access (config/permissions.js):
+ * - project:read / project:read:any: see own or all projects
+ * - project:create: create projects
+ * - project:update / project:update:any: edit led or all projects, assign developers
+ *   (maintainers get project:update on their project only); members, co-leads and
+ *   lead hand-over stay with the project leads and project:update:any
+ * - project:delete: delete projects
  */
 
 import express from 'express';
-import { authenticate, authorize } from '../middleware/auth.js';
-import { validateProjectInput, handleValidationErrors } from '../middleware/security.js';
+import { authenticate, authorize, requireRecentAuth } from '../middleware/auth.js';
+import {
+  validateProjectInput,
+  validateHandOverInput,
+  handleValidationErrors,
+} from '../middleware/security.js';
 import * as projectController from '../controllers/projectController.js';
 
 const router = express.Router();
@@ -33,28 +40,40 @@ router.get('/', projectController.listProjects);
 router.get('/:id', projectController.getProject);
 
 /**
- * SECURITY: Create project (admin and project-lead only)
+ * SECURITY: Create project (project:create)
  */
 router.post(
   '/',
-  authorize('admin', 'project-lead'),
+  authorize('project:create'),
   validateProjectInput,
   handleValidationErrors,
   projectController.createProject
 );
 
 /**
- * SECURITY: Update project (admin and project-lead only)
+ * SECURITY: Users that can be added as members (project:update on the project)
+ */
+router.get('/:id/member-candidates', projectController.listMemberCandidates);
+
+/**
+ * SECURITY: Update project (project:update, checked against the project in the controller)
+ * No global permission check: a maintainer membership grants it on one project
  */
-router.put(
-  '/:id',
-  authorize('admin', 'project-lead'),
-  projectController.updateProject
+router.put('/:id', projectController.updateProject);
+
+/**
+ * SECURITY: Hand leadership over (project:update, checked against the project in the controller)
+ */
+router.post(
+  '/:id/hand-over',
+  validateHandOverInput,
+  handleValidationErrors,
+  projectController.handOverProject
 );
 
 /**
- * SECURITY: Delete project (admin only)
+ * SECURITY: Delete project (project:delete, recent re-authentication required)
  */
-router.delete('/:id', authorize('admin'), projectController.deleteProject);
+router.delete('/:id', authorize('project:delete'), requireRecentAuth, projectController.deleteProject);
 
 export default router;
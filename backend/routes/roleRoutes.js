@@ -0,0 +1,39 @@
+/**
+ * SECURITY DECISION: Role Routes
+ *
+ * - GET /roles (permission registry, built-in and custom roles;
+ *   role:manage or user:manage)
+ * - POST /roles (create a custom role; role:manage)
+ * - PUT /roles/:id (edit description and permissions; role:manage)
+ * - DELETE /roles/:id (delete an unused custom role; role:manage)
+ */
+
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import {
+  validateRoleInput,
+  validateRoleUpdateInput,
+  handleValidationErrors,
+} from '../middleware/security.js';
+import * as roleController from '../controllers/roleController.js';
+
+const router = express.Router();
+
+/**
+ * SECURITY: All role routes require authentication
+ */
+router.use(authenticate);
+
+/**
+ * SECURITY: User managers read roles to assign them
+ */
+router.get('/', authorize('role:manage', 'user:manage'), roleController.listRoles);
+
+/**
+ * SECURITY: Only role managers change role definitions
+ */
+router.post('/', authorize('role:manage'), validateRoleInput, handleValidationErrors, roleController.createRole);
+router.put('/:id', authorize('role:manage'), validateRoleUpdateInput, handleValidationErrors, roleController.updateRole);
+router.delete('/:id', authorize('role:manage'), roleController.deleteRole);
+
+export default router;
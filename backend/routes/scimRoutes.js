@@ -0,0 +1,39 @@
+/**
+ * SECURITY DECISION: SCIM 2.0 Routes (mounted at /scim/v2)
+ *
+ * - GET /ServiceProviderConfig
+ * - GET/POST /Users, GET/PUT/PATCH/DELETE /Users/:id (DELETE deactivates)
+ * - GET/POST /Groups, GET/PUT/PATCH /Groups/:id (groups are roles; POST only
+ *   links to an existing role)
+ *
+ * Authenticated with the organization's SCIM token only; user sessions and
+ * personal access tokens are rejected
+ */
+
+import express from 'express';
+import { authenticateScim } from '../middleware/auth.js';
+import * as scimController from '../controllers/scimController.js';
+
+const router = express.Router();
+
+/**
+ * SECURITY: All SCIM routes require the organization's SCIM token
+ */
+router.use(authenticateScim);
+
+router.get('/ServiceProviderConfig', scimController.getServiceProviderConfig);
+
+router.get('/Users', scimController.listUsers);
+router.post('/Users', scimController.createUser);
+router.get('/Users/:id', scimController.getUser);
+router.put('/Users/:id', scimController.replaceUser);
+router.patch('/Users/:id', scimController.patchUser);
+router.delete('/Users/:id', scimController.deactivateUser);
+
+router.get('/Groups', scimController.listGroups);
+router.post('/Groups', scimController.createGroup);
+router.get('/Groups/:id', scimController.getGroup);
+router.put('/Groups/:id', scimController.replaceGroup);
+router.patch('/Groups/:id', scimController.patchGroup);
+
+export default router;
@@ -0,0 +1,23 @@
+/**
+ * SECURITY DECISION: Security Event Routes
+ * 
+ * Admin-only endpoints (security:audit):
+ * - GET /security-events (review suspicious logins)
+ * - POST /security-events/:id/acknowledge (mark as reviewed)
+ */
+
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import * as securityEventController from '../controllers/securityEventController.js';
+
+const router = express.Router();
+
+/**
+ * SECURITY: All security event routes require an admin
+ */
+router.use(authenticate, authorize('security:audit'));
+
+router.get('/', securityEventController.listSecurityEvents);
+router.post('/:id/acknowledge', securityEventController.acknowledgeSecurityEvent);
+
+export default router;
@@ -0,0 +1,41 @@
+/**
+ * SECURITY DECISION: Team Routes
+ *
+ * - GET /teams (team:manage, or creating or editing projects to assign teams)
+ * - GET /teams/candidates (active users to add; team:manage)
+ * - POST /teams (create a team; team:manage)
+ * - PUT /teams/:id (edit name, lead and members; team:manage)
+ * - DELETE /teams/:id (delete and unassign from projects; team:manage)
+ */
+
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { validateTeamInput, handleValidationErrors } from '../middleware/security.js';
+import * as teamController from '../controllers/teamController.js';
+
+const router = express.Router();
+
+/**
+ * SECURITY: All team routes require authentication
+ */
+router.use(authenticate);
+
+/**
+ * SECURITY: Project owners read teams to assign them
+ */
+router.get(
+  '/',
+  authorize('team:manage', 'project:create', 'project:update', 'project:update:any'),
+  teamController.listTeams
+);
+
+router.get('/candidates', authorize('team:manage'), teamController.listTeamCandidates);
+
+/**
+ * SECURITY: Only team managers change teams
+ */
+router.post('/', authorize('team:manage'), validateTeamInput, handleValidationErrors, teamController.createTeam);
+router.put('/:id', authorize('team:manage'), validateTeamInput, handleValidationErrors, teamController.updateTeam);
+router.delete('/:id', authorize('team:manage'), teamController.deleteTeam);
+
+export default router;
@@ -1,33 +1,60 @@
 /**
  * SECURITY DECISION: User Management Routes
  * 
- * Admin-only endpoints:
- * - GET /users (list all users)
- * - POST /users (create user)
+ * Admin-only endpoints (user:manage):
+ * - GET /users (one page of users; search, role/active/locked filters, sort)
+ * - POST /users (create user - sends an invitation, see /invitations)
+ * - POST /users/import (invite users from CSV; dryRun reports invalid rows)
+ * - GET /users/export (users of the organization as CSV or ?format=json)
  * - GET /users/:id (get user details)
  * - PUT /users/:id (update user)
- * - DELETE /users/:id (delete user)
+ * - GET /users/:id/deletion-preview (records a deletion changes, successors)
+ * - DELETE /users/:id (delete user; body { successor } when they own records)
  * - PATCH /users/:id/deactivate (deactivate user)
  * - POST /users/:id/reset-password (reset password)
+ * - DELETE /users/:id/mfa (force-disable MFA)
+ * - POST /users/:id/unlock (clear a failed-login lockout)
+ * - GET /users/:id/login-attempts (recent login attempts)
+ * - GET /users/:id/sessions (list active sessions)
+ * - DELETE /users/:id/sessions (revoke all sessions)
+ * - DELETE /users/:id/sessions/:sessionId (revoke one session)
+ * - GET /users/:id/tokens (list active API tokens)
+ * - DELETE /users/:id/tokens/:tokenId (revoke an API token)
+ * 
+ * Deleting a user, resetting a password and removing MFA also require a
+ * recent re-authentication (POST /auth/reauthenticate)
  */
 
 import express from 'express';
-import { authenticate, authorize } from '../middleware/auth.js';
-import { validateUserInput, handleValidationErrors } from '../middleware/security.js';
+import { authenticate, authorize, requireRecentAuth } from '../middleware/auth.js';
+import {
+  validateInvitationInput,
+  validateUserImportInput,
+  validateUserListInput,
+  handleValidationErrors,
+} from '../middleware/security.js';
 import * as userController from '../controllers/userController.js';
+import * as apiTokenController from '../controllers/apiTokenController.js';
+import * as invitationController from '../controllers/invitationController.js';
 
 const router = express.Router();
 
 /**
  * SECURITY: All user routes require authentication
- * Only admins can access these endpoints
+ * Only admins (user:manage) can access these endpoints
+ */
+router.use(authenticate, authorize('user:manage'));
+
+/**
+ * SECURITY: List users with search, filters, sorting and pagination
  */
-router.use(authenticate, authorize('admin'));
+router.get('/', validateUserListInput, handleValidationErrors, userController.listUsers);
 
 /**
- * SECURITY: List users with optional role filtering
+ * SECURITY: Bulk onboarding and export (before /:id so the paths are not taken as IDs)
  */
-router.get('/', userController.listUsers);
+router.get('/export', userController.exportUsers);
+router.post('/import', validateUserImportInput, handleValidationErrors, invitationController.importUsers);
 
 /**
  * SECURITY: Get specific user
@@ -36,8 +63,9 @@ router.get('/:id', userController.getUser);
 
 /**
  * SECURITY: Create new user (no self-registration)
+ * Admins never choose passwords: the user is invited and sets their own
  */
-router.post('/', validateUserInput, handleValidationErrors, userController.createUser);
+router.post('/', validateInvitationInput, handleValidationErrors, invitationController.createInvitation);
 
 /**
  * SECURITY: Update user information
@@ -46,8 +74,10 @@ router.put('/:id', userController.updateUser);
 
 /**
  * SECURITY: Delete user account
+ * Preview first: owned projects and documents need a successor
  */
-router.delete('/:id', userController.deleteUser);
+router.get('/:id/deletion-preview', userController.getUserDeletionPreview);
+router.delete('/:id', requireRecentAuth, userController.deleteUser);
 
 /**
  * SECURITY: Deactivate user (soft delete)
@@ -57,6 +87,30 @@ router.patch('/:id/deactivate', userController.deactivateUser);
 /**
  * SECURITY: Reset user password
  */
-router.post('/:id/reset-password', userController.resetUserPassword);
+router.post('/:id/reset-password', requireRecentAuth, userController.resetUserPassword);
+
+/**
+ * SECURITY: Force-disable MFA (lost authenticator)
+ */
+router.delete('/:id/mfa', requireRecentAuth, userController.disableUserMfa);
+
+/**
+ * SECURITY: Lockout review and unlock
+ */
+router.post('/:id/unlock', userController.unlockUser);
+router.get('/:id/login-attempts', userController.listUserLoginAttempts);
+
+/**
+ * SECURITY: Session management (sign out devices)
+ */
+router.get('/:id/sessions', userController.listUserSessions);
+router.delete('/:id/sessions', userController.revokeAllUserSessions);
+router.delete('/:id/sessions/:sessionId', userController.revokeUserSession);
+
+/**
+ * SECURITY: API token review and revocation
+ */
+router.get('/:id/tokens', apiTokenController.listUserTokens);
+router.delete('/:id/tokens/:tokenId', apiTokenController.revokeUserToken);
 
 export default router;
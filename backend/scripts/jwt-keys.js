@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * SECURITY: JWT Signing Key Management
+ *
+ * Usage (from backend/):
+ *   npm run jwt-keys -- list
+ *   npm run jwt-keys -- rotate [--alg RS256|ES256|EdDSA|HS256] [--purpose access|refresh|all]
+ *   npm run jwt-keys -- prune
+ *
+ * rotate retires the active key of each purpose and adds a new one. Retired keys
+ * keep verifying for the grace period, so nobody is logged out. Running servers
+ * pick up the change within seconds; no restart needed.
+ */
+
+import {
+  KEY_PURPOSES,
+  getKeysFilePath,
+  getGracePeriodSeconds,
+  readKeyringFile,
+  rotateKeys,
+  pruneKeys,
+  summarizeKey,
+} from '../utils/keyring.js';
+
+const readOption = (args, name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  const inline = args.find(arg => arg.startsWith(`--${name}=`));
+
+  if (inline) {
+    return inline.split('=')[1];
+  }
+
+  return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+const printKeys = (keys) => {
+  if (keys.length === 0) {
+    console.log('  (none)');
+    return;
+  }
+
+  keys.forEach((key) => {
+    const state = key.retiredAt ? `retired ${key.retiredAt}` : 'active';
+    console.log(`  ${key.purpose.padEnd(8)} ${key.alg.padEnd(6)} ${String(key.kid).padEnd(26)} ${state}`);
+  });
+};
+
+const main = () => {
+  const [command = 'list', ...args] = process.argv.slice(2);
+
+  console.log(`Keyring: ${getKeysFilePath()}`);
+
+  if (command === 'list') {
+    const { keys } = readKeyringFile();
+    printKeys(keys.map(summarizeKey));
+
+    if (keys.length === 0) {
+      console.log('No keyring yet - JWT_SECRET / JWT_REFRESH_SECRET are signing tokens.');
+    }
+    return;
+  }
+
+  if (command === 'rotate') {
+    const alg = readOption(args, 'alg', 'RS256');
+    const purpose = readOption(args, 'purpose', 'all');
+
+    if (purpose !== 'all' && !KEY_PURPOSES.includes(purpose)) {
+      throw new Error(`--purpose must be one of: all, ${KEY_PURPOSES.join(', ')}`);
+    }
+
+    const purposes = purpose === 'all' ? KEY_PURPOSES : [purpose];
+    const { added, removed } = rotateKeys({ purposes, alg });
+
+    console.log('✓ New signing keys:');
+    printKeys(added);
+
+    purposes.forEach((item) => {
+      console.log(`  Previous ${item} keys verify for another ${getGracePeriodSeconds(item)}s`);
+    });
+
+    if (removed.length > 0) {
+      console.log('✓ Pruned expired keys:');
+      printKeys(removed);
+    }
+    return;
+  }
+
+  if (command === 'prune') {
+    const removed = pruneKeys();
+
+    if (removed.length === 0) {
+      console.log('Nothing to prune.');
+      return;
+    }
+
+    console.log('✓ Pruned expired keys:');
+    printKeys(removed);
+    return;
+  }
+
+  throw new Error(`Unknown command "${command}" (use list, rotate or prune)`);
+};
+
+try {
+  main();
+} catch (error) {
+  console.error(`✗ ${error.message}`);
+  process.exit(1);
+}
@@ -5,15 +5,16 @@
  * 
  * This script initializes the system by:
  * 1. Connecting to MongoDB
- * 2. Creating initial admin user
+ * 2. Creating initial admin user (super-admin, default organization)
  * 3. Verifying database indexes
  * 4. Setting up security configurations
  */
 
 import mongoose from 'mongoose';
 import bcryptjs from 'bcryptjs';
-import User from './models/User.js';
-import config from './config/config.js';
+import User from '../models/User.js';
+import config from '../config/config.js';
+import { validatePasswordRules, describePasswordPolicy } from '../utils/passwordPolicy.js';
 import readline from 'readline';
 
 const rl = readline.createInterface({
@@ -43,7 +44,7 @@ async function setupSystem() {
 
     // 2. Check if admin already exists
     console.log('2️⃣  Checking for existing admin accounts...');
-    const adminCount = await User.countDocuments({ role: 'admin' });
+    const adminCount = await User.countDocuments({ 'memberships.role': 'admin' });
     
     if (adminCount > 0) {
       console.log(`✓ Found ${adminCount} existing admin account(s)\n`);
@@ -58,7 +59,8 @@ async function setupSystem() {
     console.log('\n3️⃣  Creating initial admin account...');
     const adminUsername = await question('Admin username (email): ');
     const adminEmail = await question('Admin email: ');
-    const adminPassword = await question('Admin password (min 8 chars): ');
+    console.log(`Password policy: ${describePasswordPolicy()}`);
+    const adminPassword = await question('Admin password: ');
     const adminFullName = await question('Admin full name: ');
 
     // Validate inputs
@@ -66,8 +68,10 @@ async function setupSystem() {
       throw new Error('All fields are required');
     }
 
-    if (adminPassword.length < 8) {
-      throw new Error('Password must be at least 8 characters');
+    // SECURITY: Same password policy as the API
+    const passwordErrors = validatePasswordRules(adminPassword);
+    if (passwordErrors.length > 0) {
+      throw new Error(passwordErrors.join('. '));
     }
 
     // Create admin user
@@ -91,12 +95,13 @@ async function setupSystem() {
       email: adminEmail,
       password: adminPassword,
       fullName: adminFullName,
-      role: 'admin',
+      memberships: [{ role: 'admin' }], // In the default organization
+      isSuperAdmin: true, // Manages organizations; the API never grants this
       isActive: true,
     });
 
     await adminUser.save();
-    console.log('✓ Admin user created successfully\n');
+    console.log('✓ Admin user created successfully (super-admin of the default organization)\n');
 
     // 4. Create test users (optional)
     console.log('4️⃣  Creating test users...');
@@ -109,14 +114,14 @@ async function setupSystem() {
           email: 'lead@pixelforge.local',
           password: 'Lead@123456',
           fullName: 'Test Project Lead',
-          role: 'project-lead',
+          memberships: [{ role: 'project-lead' }],
         },
         {
           username: 'developer@pixelforge.local',
           email: 'developer@pixelforge.local',
           password: 'Dev@123456',
           fullName: 'Test Developer',
-          role: 'developer',
+          memberships: [{ role: 'developer' }],
         },
       ];
 
@@ -125,9 +130,9 @@ async function setupSystem() {
         if (!existing) {
           const user = new User(userData);
           await user.save();
-          console.log(`✓ Created ${userData.role}: ${userData.username}`);
+          console.log(`✓ Created ${userData.memberships[0].role}: ${userData.username}`);
         } else {
-          console.log(`⏭️  ${userData.role} already exists: ${userData.username}`);
+          console.log(`⏭️  ${userData.memberships[0].role} already exists: ${userData.username}`);
         }
       }
     }
@@ -14,8 +14,10 @@
 
 import express from 'express';
 import cors from 'cors';
+import cookieParser from 'cookie-parser';
 import mongoose from 'mongoose';
 import config from './config/config.js';
+import { getPublicJwks } from './utils/keyring.js';
 import {
   securityHeaders,
   globalRateLimit,
@@ -30,6 +32,15 @@ import projectRoutes from './routes/projectRoutes.js';
 import documentRoutes from './routes/documentRoutes.js';
 import assignableRoutes from './routes/assignableRoutes.js';
 import messageRoutes from './routes/messageRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import securityEventRoutes from './routes/securityEventRoutes.js';
+import impersonationRoutes from './routes/impersonationRoutes.js';
+import invitationRoutes from './routes/invitationRoutes.js';
+import roleRoutes from './routes/roleRoutes.js';
+import teamRoutes from './routes/teamRoutes.js';
+import organizationRoutes from './routes/organizationRoutes.js';
+import scimRoutes from './routes/scimRoutes.js';
+import { assignRecordsToDefaultOrganization } from './utils/organizations.js';
 
 const app = express();
 
@@ -50,7 +61,7 @@ app.use(cors({
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-CSRF-Token', 'X-Organization'],
   maxAge: 86400, // 24 hours
 }));
 
@@ -70,11 +81,16 @@ app.use(globalRateLimit);
 app.use(secureResponse);
 
 /**
- * SECURITY: Parse JSON bodies with limit
+ * SECURITY: Parse JSON bodies with limit (SCIM clients send application/scim+json)
  */
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '10mb', type: ['application/json', 'application/scim+json'] }));
 app.use(express.urlencoded({ limit: '10mb', extended: true }));
 
+/**
+ * SECURITY: Parse cookies (refresh token cookie mode)
+ */
+app.use(cookieParser());
+
 /**
  * SECURITY: Sanitize input parameters
  */
@@ -96,6 +112,15 @@ app.get('/health', (req, res) => {
   });
 });
 
+/**
+ * SECURITY: Public keys for verifying access tokens (asymmetric keyring keys only)
+ * Includes retired keys still inside their grace period
+ */
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.status(200).json(getPublicJwks());
+});
+
 /**
  * SECURITY: API Routes with prefix
  */
@@ -105,6 +130,18 @@ app.use('/api/users', userRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/documents', documentRoutes);
 app.use('/api/messages', messageRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/security-events', securityEventRoutes);
+app.use('/api/impersonation', impersonationRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/organizations', organizationRoutes);
+
+/**
+ * SECURITY: SCIM provisioning for identity providers (organization SCIM token)
+ */
+app.use('/scim/v2', scimRoutes);
 
 /**
  * SECURITY: 404 Not Found handler
@@ -148,6 +185,9 @@ const startServer = async () => {
     // Connect to database
     await connectDatabase();
     
+    // Records from before organizations existed join the default one
+    await assignRecordsToDefaultOrganization();
+    
     // Start server
     const server = app.listen(config.port, () => {
       console.log(`\n${'='.repeat(60)}`);
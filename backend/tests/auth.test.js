@@ -9,12 +9,38 @@
  * 5. Token refresh
  * 6. Password change
  * 7. Invalid JWT tokens
+ * 8. MFA login step with TOTP and recovery codes
+ * 9. Refresh token rotation, reuse detection and logout revocation
+ * 10. Session listing and per-device revocation
+ * 11. Forgot/reset password with single-use emailed tokens
+ * 12. HttpOnly refresh cookie mode with double-submit CSRF
+ * 13. Password policy: banned list, history and expiry
+ * 14. Scoped personal access tokens
+ * 15. OpenID Connect SSO against a mock provider (JIT provisioning, role mapping)
+ * 16. Invitation onboarding: single-use links, resend and revoke
+ * 17. Step-up re-authentication for sensitive operations
  */
 
 import request from 'supertest';
 import app from '../server.js';
+import config from '../config/config.js';
 import User from '../models/User.js';
-import { generateAccessToken, generateRefreshToken } from '../utils/jwt.js';
+import RefreshToken from '../models/RefreshToken.js';
+import Session from '../models/Session.js';
+import ApiToken from '../models/ApiToken.js';
+import OidcLogin from '../models/OidcLogin.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import Notification from '../models/Notification.js';
+import Impersonation from '../models/Impersonation.js';
+import ImpersonationRequest from '../models/ImpersonationRequest.js';
+import Invitation from '../models/Invitation.js';
+import { generateAccessToken, generateRefreshToken, decodeToken } from '../utils/jwt.js';
+import { generateSecret, generateTOTP, generateRecoveryCodes } from '../utils/totp.js';
+import { setTransport } from '../utils/mailer.js';
+import { resetOidcCache } from '../utils/oidc.js';
+import { detectSuspiciousLogin } from '../utils/suspiciousLogin.js';
+import { startMockOidcProvider } from './helpers/mockOidcProvider.js';
 
 describe('Authentication Tests', () => {
   let testUser;
@@ -29,18 +55,36 @@ describe('Authentication Tests', () => {
       email: 'test.user@example.com',
       password: 'TestPassword@123',
       fullName: 'Test User',
-      role: 'developer',
+      memberships: [{ role: 'developer' }],
     });
     await testUser.save();
     
-    // Generate tokens
-    accessToken = generateAccessToken(testUser._id, testUser.role);
-    refreshToken = generateRefreshToken(testUser._id);
+    // Generate tokens (refresh tokens must be persisted, so obtain via login)
+    accessToken = generateAccessToken(testUser._id);
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({
+        username: 'test.user@example.com',
+        password: 'TestPassword@123',
+      });
+    refreshToken = loginRes.body.data.refreshToken;
   });
   
   // Cleanup after tests
   afterAll(async () => {
+    const users = await User.find({ email: /test.user/ });
+    await RefreshToken.deleteMany({ user: { $in: users.map(u => u._id) } });
+    await Session.deleteMany({ user: { $in: users.map(u => u._id) } });
+    await ApiToken.deleteMany({ user: { $in: users.map(u => u._id) } });
+    await LoginAttempt.deleteMany({ user: { $in: users.map(u => u._id) } });
+    await SecurityEvent.deleteMany({ user: { $in: users.map(u => u._id) } });
+    await Notification.deleteMany({ user: { $in: users.map(u => u._id) } });
+    await Impersonation.deleteMany({ admin: { $in: users.map(u => u._id) } });
+    await ImpersonationRequest.deleteMany({ admin: { $in: users.map(u => u._id) } });
+    await Invitation.deleteMany({ email: /test.user/ });
     await User.deleteMany({ email: /test.user/ });
+    // Tombstones of users deleted through the API
+    await User.deleteMany({ email: /@deleted\.invalid$/ });
   });
   
   /**
@@ -120,6 +164,75 @@ describe('Authentication Tests', () => {
       expect(res.status).toBe(200);
       expect(res.body.success).toBe(true);
       expect(res.body.data.accessToken).toBeDefined();
+      expect(res.body.data.refreshToken).toBeDefined();
+      expect(res.body.data.refreshToken).not.toBe(refreshToken);
+      
+      refreshToken = res.body.data.refreshToken;
+    });
+    
+    /**
+     * TEST: Reusing a rotated token revokes the whole family
+     */
+    test('should detect reuse of a rotated refresh token', async () => {
+      const first = await request(app)
+        .post('/api/auth/refresh-token')
+        .send({ refreshToken });
+      
+      expect(first.status).toBe(200);
+      const successor = first.body.data.refreshToken;
+      
+      // Replay the already rotated token
+      const replay = await request(app)
+        .post('/api/auth/refresh-token')
+        .send({ refreshToken });
+      
+      expect(replay.status).toBe(401);
+      expect(replay.body.message).toContain('reuse detected');
+      
+      // SECURITY: The legitimate successor is revoked too
+      const successorRes = await request(app)
+        .post('/api/auth/refresh-token')
+        .send({ refreshToken: successor });
+      
+      expect(successorRes.status).toBe(401);
+    });
+    
+    /**
+     * TEST: Signed but never persisted token is rejected
+     */
+    test('should reject a refresh token that was never issued', async () => {
+      const res = await request(app)
+        .post('/api/auth/refresh-token')
+        .send({ refreshToken: generateRefreshToken(testUser._id) });
+      
+      expect(res.status).toBe(401);
+      expect(res.body.success).toBe(false);
+    });
+    
+    /**
+     * TEST: Logout revokes the refresh token
+     */
+    test('should revoke refresh token on logout', async () => {
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({
+          username: 'test.user@example.com',
+          password: 'TestPassword@123',
+        });
+      const { accessToken: sessionAccess, refreshToken: sessionRefresh } = loginRes.body.data;
+      
+      const logoutRes = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${sessionAccess}`)
+        .send({ refreshToken: sessionRefresh });
+      
+      expect(logoutRes.status).toBe(200);
+      
+      const res = await request(app)
+        .post('/api/auth/refresh-token')
+        .send({ refreshToken: sessionRefresh });
+      
+      expect(res.status).toBe(401);
     });
     
     /**
@@ -238,4 +351,1349 @@ describe('Authentication Tests', () => {
       expect(res.body.success).toBe(false);
     });
   });
+  
+  /**
+   * TEST: MFA login flow
+   */
+  describe('POST /api/auth/mfa/verify', () => {
+    const mfaSecret = generateSecret();
+    const { codes: recoveryCodes, hashes } = generateRecoveryCodes(2);
+    
+    beforeAll(async () => {
+      const mfaUser = new User({
+        username: 'test.user.mfa@example.com',
+        email: 'test.user.mfa@example.com',
+        password: 'TestPassword@123',
+        fullName: 'Test MFA User',
+        memberships: [{ role: 'developer' }],
+        mfaEnabled: true,
+        mfaSecret,
+        mfaRecoveryCodes: hashes,
+      });
+      await mfaUser.save();
+    });
+    
+    const loginForTempToken = async () => {
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({
+          username: 'test.user.mfa@example.com',
+          password: 'TestPassword@123',
+        });
+      
+      expect(res.status).toBe(200);
+      expect(res.body.mfaRequired).toBe(true);
+      return res.body.tempToken;
+    };
+    
+    /**
+     * TEST: Temp token is not an access token
+     */
+    test('should not accept the MFA temp token as an access token', async () => {
+      const tempToken = await loginForTempToken();
+      
+      const res = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${tempToken}`);
+      
+      expect(res.status).toBe(401);
+    });
+    
+    /**
+     * TEST: Valid TOTP code completes login
+     */
+    test('should issue tokens for a valid TOTP code', async () => {
+      const tempToken = await loginForTempToken();
+      
+      const res = await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ tempToken, code: generateTOTP(mfaSecret) });
+      
+      expect(res.status).toBe(200);
+      expect(res.body.data.accessToken).toBeDefined();
+      expect(res.body.data.refreshToken).toBeDefined();
+    });
+    
+    /**
+     * TEST: Recovery codes are single-use
+     */
+    test('should accept a recovery code only once', async () => {
+      const tempToken = await loginForTempToken();
+      
+      const first = await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ tempToken, recoveryCode: recoveryCodes[0] });
+      
+      expect(first.status).toBe(200);
+      expect(first.body.data.recoveryCodesRemaining).toBe(1);
+      
+      const second = await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ tempToken, recoveryCode: recoveryCodes[0] });
+      
+      expect(second.status).toBe(401);
+    });
+    
+    /**
+     * TEST: Temp tokens are single-use
+     */
+    test('should accept a temp token for one login only', async () => {
+      const tempToken = await loginForTempToken();
+      
+      const first = await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ tempToken, recoveryCode: recoveryCodes[1] });
+      
+      expect(first.status).toBe(200);
+      
+      const replay = await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ tempToken, code: generateTOTP(mfaSecret) });
+      
+      expect(replay.status).toBe(401);
+      expect(replay.body.message).toMatch(/already been used/);
+    });
+    
+    /**
+     * TEST: Access token cannot be used as MFA temp token
+     */
+    test('should reject an access token in place of the temp token', async () => {
+      const res = await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ tempToken: accessToken, code: '123456' });
+      
+      expect(res.status).toBe(401);
+      expect(res.body.success).toBe(false);
+    });
+  });
+  
+  /**
+   * TEST: Session management
+   */
+  describe('GET/DELETE /api/auth/sessions', () => {
+    test('should list the current session and revoke another device', async () => {
+      const loginAs = (agent) => request(app)
+        .post('/api/auth/login')
+        .set('User-Agent', agent)
+        .send({
+          username: 'test.user.sessions@example.com',
+          password: 'TestPassword@123',
+        });
+      
+      await new User({
+        username: 'test.user.sessions@example.com',
+        email: 'test.user.sessions@example.com',
+        password: 'TestPassword@123',
+        fullName: 'Test Sessions User',
+        memberships: [{ role: 'developer' }],
+      }).save();
+      
+      const laptop = await loginAs('Laptop Browser');
+      const phone = await loginAs('Phone Browser');
+      
+      const listRes = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${phone.body.data.accessToken}`);
+      
+      expect(listRes.status).toBe(200);
+      expect(listRes.body.data.count).toBe(2);
+      
+      const laptopSession = listRes.body.data.sessions.find(s => s.userAgent === 'Laptop Browser');
+      const phoneSession = listRes.body.data.sessions.find(s => s.userAgent === 'Phone Browser');
+      expect(phoneSession.current).toBe(true);
+      expect(laptopSession.current).toBe(false);
+      expect(laptopSession.family).toBeUndefined();
+      
+      const revokeRes = await request(app)
+        .delete(`/api/auth/sessions/${laptopSession._id}`)
+        .set('Authorization', `Bearer ${phone.body.data.accessToken}`);
+      
+      expect(revokeRes.status).toBe(200);
+      
+      // SECURITY: Revoked device can no longer refresh
+      const refreshRes = await request(app)
+        .post('/api/auth/refresh-token')
+        .send({ refreshToken: laptop.body.data.refreshToken });
+      
+      expect(refreshRes.status).toBe(401);
+    });
+  });
+  
+  /**
+   * TEST: Self-service password reset
+   */
+  describe('POST /api/auth/forgot-password and /api/auth/reset-password', () => {
+    const sent = [];
+    
+    beforeAll(async () => {
+      setTransport({ sendMail: async (message) => sent.push(message) });
+      
+      await new User({
+        username: 'test.user.reset@example.com',
+        email: 'test.user.reset@example.com',
+        password: 'TestPassword@123',
+        fullName: 'Test Reset User',
+        memberships: [{ role: 'developer' }],
+      }).save();
+    });
+    
+    afterAll(() => {
+      setTransport(null);
+    });
+    
+    test('should respond identically for known and unknown emails', async () => {
+      const known = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test.user.reset@example.com' });
+      const unknown = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'test.user.nobody@example.com' });
+      
+      expect(known.status).toBe(200);
+      expect(unknown.status).toBe(200);
+      expect(unknown.body).toEqual(known.body);
+      
+      // Only the real account receives mail
+      await new Promise(resolve => setImmediate(resolve));
+      expect(sent.map(m => m.to)).toEqual(['test.user.reset@example.com']);
+      expect(sent[0].text).toMatch(/reset-password\?token=[0-9a-f]{64}/);
+    });
+    
+    test('should reset the password once with a valid token', async () => {
+      const user = await User.findOne({ email: 'test.user.reset@example.com' });
+      const token = user.createPasswordResetToken(30);
+      await user.save();
+      
+      const resetRes = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, newPassword: 'ResetPassword@456', confirmPassword: 'ResetPassword@456' });
+      
+      expect(resetRes.status).toBe(200);
+      
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'test.user.reset@example.com', password: 'ResetPassword@456' });
+      
+      expect(loginRes.status).toBe(200);
+      
+      // SECURITY: Token is single-use
+      const reuseRes = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, newPassword: 'OtherPassword@789', confirmPassword: 'OtherPassword@789' });
+      
+      expect(reuseRes.status).toBe(400);
+    });
+    
+    test('should reject expired tokens', async () => {
+      const user = await User.findOne({ email: 'test.user.reset@example.com' });
+      const token = user.createPasswordResetToken(-1);
+      await user.save();
+      
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, newPassword: 'ExpiredPassword@1', confirmPassword: 'ExpiredPassword@1' });
+      
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Invalid or expired reset token');
+    });
+  });
+  
+  /**
+   * TEST: Refresh token cookie transport
+   */
+  describe('Refresh token cookie mode', () => {
+    const cookieValue = (res, name) => {
+      const cookie = (res.headers['set-cookie'] || []).find(c => c.startsWith(`${name}=`));
+      return cookie && cookie.split(';')[0];
+    };
+    
+    beforeAll(() => {
+      config.refreshTokenTransport = 'cookie';
+    });
+    
+    afterAll(() => {
+      config.refreshTokenTransport = 'body';
+    });
+    
+    test('should set an HttpOnly refresh cookie and require the CSRF header', async () => {
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({
+          username: 'test.user@example.com',
+          password: 'TestPassword@123',
+        });
+      
+      expect(loginRes.status).toBe(200);
+      expect(loginRes.body.data.refreshToken).toBeUndefined();
+      expect(loginRes.body.data.csrfToken).toMatch(/^[0-9a-f]{64}$/);
+      
+      const setCookies = loginRes.headers['set-cookie'].join('\n');
+      expect(setCookies).toMatch(/pfn_refresh=[^;]+;.*Path=\/api\/auth;.*HttpOnly;.*SameSite=Strict/);
+      
+      const cookies = [
+        cookieValue(loginRes, 'pfn_refresh'),
+        cookieValue(loginRes, 'pfn_csrf'),
+      ].join('; ');
+      
+      // SECURITY: Cookie alone (cross-site request) is rejected
+      const noHeaderRes = await request(app)
+        .post('/api/auth/refresh-token')
+        .set('Cookie', cookies);
+      
+      expect(noHeaderRes.status).toBe(403);
+      
+      const refreshRes = await request(app)
+        .post('/api/auth/refresh-token')
+        .set('Cookie', cookies)
+        .set('X-CSRF-Token', loginRes.body.data.csrfToken);
+      
+      expect(refreshRes.status).toBe(200);
+      expect(refreshRes.body.data.accessToken).toBeDefined();
+      expect(refreshRes.body.data.refreshToken).toBeUndefined();
+      expect(cookieValue(refreshRes, 'pfn_refresh')).not.toBe(cookieValue(loginRes, 'pfn_refresh'));
+    });
+    
+    test('should ignore refresh tokens sent in the body', async () => {
+      const res = await request(app)
+        .post('/api/auth/refresh-token')
+        .send({ refreshToken });
+      
+      expect(res.status).toBe(403);
+    });
+  });
+  
+  /**
+   * TEST: Password policy enforcement
+   */
+  describe('Password policy', () => {
+    const email = 'test.user.policy@example.com';
+    
+    const loginAs = (password) => request(app)
+      .post('/api/auth/login')
+      .send({ username: email, password });
+    
+    beforeAll(async () => {
+      await new User({
+        username: email,
+        email,
+        password: 'FirstPolicy@123',
+        fullName: 'Test Policy User',
+        memberships: [{ role: 'developer' }],
+      }).save();
+    });
+    
+    afterAll(() => {
+      config.passwordPolicy.maxAgeDays = 0;
+    });
+    
+    test('should expose the policy without the banned list', async () => {
+      const res = await request(app).get('/api/auth/password-policy');
+      
+      expect(res.status).toBe(200);
+      expect(res.body.data.policy.minLength).toBe(config.passwordPolicy.minLength);
+      expect(res.body.data.policy.bannedListFile).toBeUndefined();
+    });
+    
+    test('should reject banned passwords on change', async () => {
+      const login = await loginAs('FirstPolicy@123');
+      
+      const res = await request(app)
+        .put('/api/auth/change-password')
+        .set('Authorization', `Bearer ${login.body.data.accessToken}`)
+        .send({
+          oldPassword: 'FirstPolicy@123',
+          newPassword: 'P@ssw0rd1',
+          confirmPassword: 'P@ssw0rd1',
+        });
+      
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0].field).toBe('newPassword');
+    });
+    
+    test('should reject reuse of a previous password', async () => {
+      let login = await loginAs('FirstPolicy@123');
+      
+      const changeRes = await request(app)
+        .put('/api/auth/change-password')
+        .set('Authorization', `Bearer ${login.body.data.accessToken}`)
+        .send({
+          oldPassword: 'FirstPolicy@123',
+          newPassword: 'SecondPolicy@456',
+          confirmPassword: 'SecondPolicy@456',
+        });
+      
+      expect(changeRes.status).toBe(200);
+      
+      login = await loginAs('SecondPolicy@456');
+      
+      const reuseRes = await request(app)
+        .put('/api/auth/change-password')
+        .set('Authorization', `Bearer ${login.body.data.accessToken}`)
+        .send({
+          oldPassword: 'SecondPolicy@456',
+          newPassword: 'FirstPolicy@123',
+          confirmPassword: 'FirstPolicy@123',
+        });
+      
+      expect(reuseRes.status).toBe(400);
+      expect(reuseRes.body.message).toMatch(/last \d+ passwords/);
+    });
+    
+    test('should restrict an expired password to changing it', async () => {
+      config.passwordPolicy.maxAgeDays = 90;
+      await User.updateOne(
+        { email },
+        { $set: { passwordChangedAt: new Date(Date.now() - 100 * 24 * 60 * 60 * 1000) } }
+      );
+      
+      const login = await loginAs('SecondPolicy@456');
+      const token = login.body.data.accessToken;
+      
+      expect(login.status).toBe(200);
+      expect(login.body.data.user.passwordExpired).toBe(true);
+      
+      const blockedRes = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${token}`);
+      
+      expect(blockedRes.status).toBe(403);
+      expect(blockedRes.body.code).toBe('PASSWORD_EXPIRED');
+      
+      const meRes = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`);
+      
+      expect(meRes.status).toBe(200);
+      
+      const changeRes = await request(app)
+        .put('/api/auth/change-password')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          oldPassword: 'SecondPolicy@456',
+          newPassword: 'ThirdPolicy@789',
+          confirmPassword: 'ThirdPolicy@789',
+        });
+      
+      expect(changeRes.status).toBe(200);
+      expect(changeRes.body.data.user.passwordExpired).toBe(false);
+    });
+  });
+  
+  /**
+   * TEST: Personal access tokens
+   */
+  describe('Account lockout and admin unlock', () => {
+    const originalLock = { ...config.loginLock };
+    let lockedUser;
+    let adminToken;
+    
+    beforeAll(async () => {
+      config.loginLock.maxAttempts = 2;
+      
+      lockedUser = await new User({
+        username: 'test.user.locked@example.com',
+        email: 'test.user.locked@example.com',
+        password: 'TestPassword@123',
+        fullName: 'Test Locked User',
+        memberships: [{ role: 'developer' }],
+      }).save();
+      
+      const admin = await new User({
+        username: 'test.user.lockadmin@example.com',
+        email: 'test.user.lockadmin@example.com',
+        password: 'TestPassword@123',
+        fullName: 'Test Lock Admin',
+        memberships: [{ role: 'admin' }],
+      }).save();
+      adminToken = generateAccessToken(admin._id);
+    });
+    
+    afterAll(() => {
+      Object.assign(config.loginLock, originalLock);
+    });
+    
+    test('should lock after the configured number of failures and record attempts', async () => {
+      for (let i = 0; i < 2; i++) {
+        await request(app)
+          .post('/api/auth/login')
+          .set('User-Agent', 'lockout-test')
+          .send({ username: 'test.user.locked@example.com', password: 'WrongPassword@123' });
+      }
+      
+      const blockedRes = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'test.user.locked@example.com', password: 'TestPassword@123' });
+      
+      expect(blockedRes.status).toBe(403);
+      
+      const historyRes = await request(app)
+        .get(`/api/users/${lockedUser._id}/login-attempts`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(historyRes.status).toBe(200);
+      expect(historyRes.body.data.isLocked).toBe(true);
+      expect(historyRes.body.data.attempts.map(attempt => attempt.outcome))
+        .toEqual(['locked', 'invalid-password', 'invalid-password']);
+      expect(historyRes.body.data.attempts[1].lockedAccount).toBe(true);
+      expect(historyRes.body.data.attempts[1].userAgent).toBe('lockout-test');
+    });
+    
+    test('should let admins unlock without changing the password', async () => {
+      const res = await request(app)
+        .post(`/api/users/${lockedUser._id}/unlock`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(res.status).toBe(200);
+      expect(res.body.data.user.isLocked).toBe(false);
+      
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'test.user.locked@example.com', password: 'TestPassword@123' });
+      
+      expect(loginRes.status).toBe(200);
+    });
+    
+    test('should keep unlock admin-only', async () => {
+      const res = await request(app)
+        .post(`/api/users/${lockedUser._id}/unlock`)
+        .set('Authorization', `Bearer ${accessToken}`);
+      
+      expect(res.status).toBe(403);
+    });
+  });
+  
+  describe('Suspicious login alerts', () => {
+    let alertUser;
+    let adminToken;
+    
+    const loginWithAgent = (userAgent) => request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', userAgent)
+      .send({ username: 'test.user.alerts@example.com', password: 'TestPassword@123' });
+    
+    beforeAll(async () => {
+      alertUser = await new User({
+        username: 'test.user.alerts@example.com',
+        email: 'test.user.alerts@example.com',
+        password: 'TestPassword@123',
+        fullName: 'Test Alerts User',
+        memberships: [{ role: 'developer' }],
+      }).save();
+      
+      const admin = await new User({
+        username: 'test.user.alertadmin@example.com',
+        email: 'test.user.alertadmin@example.com',
+        password: 'TestPassword@123',
+        fullName: 'Test Alert Admin',
+        memberships: [{ role: 'admin' }],
+      }).save();
+      adminToken = generateAccessToken(admin._id);
+    });
+    
+    test('should not alert on the first login or a browser update', async () => {
+      await loginWithAgent('TestBrowser/1.0 (Alpha OS)');
+      await loginWithAgent('TestBrowser/2.1 (Alpha OS)');
+      
+      expect(await SecurityEvent.countDocuments({ user: alertUser._id })).toBe(0);
+    });
+    
+    test('should alert the user and admins about a new device', async () => {
+      const loginRes = await loginWithAgent('OtherBrowser/1.0 (Beta OS)');
+      
+      expect(loginRes.status).toBe(200);
+      
+      const event = await SecurityEvent.findOne({ user: alertUser._id });
+      expect(event.type).toBe('new-device');
+      expect(event.details).toEqual({ newIp: false, newDevice: true });
+      
+      const notificationsRes = await request(app)
+        .get('/api/notifications')
+        .set('Authorization', `Bearer ${loginRes.body.data.accessToken}`);
+      
+      expect(notificationsRes.status).toBe(200);
+      expect(notificationsRes.body.data.unreadCount).toBe(1);
+      expect(notificationsRes.body.data.notifications[0].type).toBe('security-alert');
+      
+      const readRes = await request(app)
+        .post('/api/notifications/read-all')
+        .set('Authorization', `Bearer ${loginRes.body.data.accessToken}`);
+      
+      expect(readRes.body.data.updated).toBe(1);
+      
+      const adminNotificationsRes = await request(app)
+        .get('/api/notifications')
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(adminNotificationsRes.body.data.notifications[0].title).toContain('Test Alerts User');
+    });
+    
+    test('should let admins acknowledge events once', async () => {
+      const listRes = await request(app)
+        .get(`/api/security-events?user=${alertUser._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(listRes.status).toBe(200);
+      expect(listRes.body.data.events).toHaveLength(1);
+      expect(listRes.body.data.events[0].user.fullName).toBe('Test Alerts User');
+      
+      const eventId = listRes.body.data.events[0]._id;
+      
+      const ackRes = await request(app)
+        .post(`/api/security-events/${eventId}/acknowledge`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ note: 'User confirmed new laptop' });
+      
+      expect(ackRes.status).toBe(200);
+      expect(ackRes.body.data.event.acknowledgeNote).toBe('User confirmed new laptop');
+      
+      const againRes = await request(app)
+        .post(`/api/security-events/${eventId}/acknowledge`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(againRes.status).toBe(409);
+    });
+    
+    test('should keep security events admin-only', async () => {
+      const res = await request(app)
+        .get('/api/security-events')
+        .set('Authorization', `Bearer ${accessToken}`);
+      
+      expect(res.status).toBe(403);
+    });
+    
+    test('should detect bursts from several IPs and logins after a lockout', async () => {
+      const burstUser = await new User({
+        username: 'test.user.burst@example.com',
+        email: 'test.user.burst@example.com',
+        password: 'TestPassword@123',
+        fullName: 'Test Burst User',
+        memberships: [{ role: 'developer' }],
+      }).save();
+      
+      const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+      const attempt = { user: burstUser._id, method: 'password', userAgent: 'TestBrowser/1.0 (Alpha OS)' };
+      
+      await LoginAttempt.create([
+        { ...attempt, outcome: 'success', ip: '10.0.0.1', createdAt: minutesAgo(30) },
+        { ...attempt, outcome: 'success', ip: '10.0.0.2', createdAt: minutesAgo(20) },
+        { ...attempt, outcome: 'invalid-password', ip: '10.0.0.9', createdAt: minutesAgo(10) },
+        { ...attempt, outcome: 'invalid-password', ip: '10.0.0.9', createdAt: minutesAgo(5), lockedAccount: true },
+      ]);
+      
+      const findings = await detectSuspiciousLogin({
+        user: burstUser,
+        ip: '10.0.0.3',
+        userAgent: 'TestBrowser/1.0 (Alpha OS)',
+      });
+      
+      expect(findings.map(finding => finding.type)).toEqual(['new-device', 'login-burst', 'login-after-lockout']);
+      expect(findings[1].details.ips).toEqual(['10.0.0.2', '10.0.0.1', '10.0.0.3']);
+      expect(findings[2].details.failedAttempts).toBe(2);
+    });
+  });
+  
+  describe('Admin impersonation', () => {
+    let adminToken;
+    let otherAdmin;
+    let impersonationToken;
+    let impersonationId;
+    
+    beforeAll(async () => {
+      const admin = await new User({
+        username: 'test.user.impadmin@example.com',
+        email: 'test.user.impadmin@example.com',
+        password: 'TestPassword@123',
+        fullName: 'Test Impersonation Admin',
+        memberships: [{ role: 'admin' }],
+      }).save();
+      adminToken = generateAccessToken(admin._id);
+      
+      otherAdmin = await new User({
+        username: 'test.user.impadmin2@example.com',
+        email: 'test.user.impadmin2@example.com',
+        password: 'TestPassword@123',
+        fullName: 'Test Other Admin',
+        memberships: [{ role: 'admin' }],
+      }).save();
+    });
+    
+    test('should require a reason and refuse admins as targets', async () => {
+      const noReasonRes = await request(app)
+        .post('/api/impersonation')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ userId: testUser._id.toString() });
+      
+      expect(noReasonRes.status).toBe(400);
+      
+      const adminTargetRes = await request(app)
+        .post('/api/impersonation')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ userId: otherAdmin._id.toString(), reason: 'Support ticket' });
+      
+      expect(adminTargetRes.status).toBe(403);
+    });
+    
+    test('should only let admins start impersonation', async () => {
+      const res = await request(app)
+        .post('/api/impersonation')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ userId: testUser._id.toString(), reason: 'Support ticket' });
+      
+      expect(res.status).toBe(403);
+    });
+    
+    test('should issue a marked token that sees what the user sees', async () => {
+      const res = await request(app)
+        .post('/api/impersonation')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ userId: testUser._id.toString(), reason: 'Support ticket #42' });
+      
+      expect(res.status).toBe(201);
+      expect(res.body.data.refreshToken).toBeUndefined();
+      expect(res.body.data.impersonation.allowWrites).toBe(false);
+      
+      impersonationToken = res.body.data.accessToken;
+      impersonationId = res.body.data.impersonation._id;
+      
+      const payload = decodeToken(impersonationToken);
+      expect(payload.sub).toBe(testUser._id.toString());
+      expect(payload.act.sub).toBeDefined();
+      expect(payload.imp).toBe(impersonationId);
+      
+      const meRes = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${impersonationToken}`);
+      
+      expect(meRes.status).toBe(200);
+      expect(meRes.body.data.user.email).toBe('test.user@example.com');
+      
+      const projectsRes = await request(app)
+        .get('/api/projects')
+        .set('Authorization', `Bearer ${impersonationToken}`);
+      
+      expect(projectsRes.status).toBe(200);
+    });
+    
+    test('should block writes and account endpoints', async () => {
+      const writeRes = await request(app)
+        .post('/api/projects')
+        .set('Authorization', `Bearer ${impersonationToken}`)
+        .send({ name: 'Impersonated project' });
+      
+      expect(writeRes.status).toBe(403);
+      expect(writeRes.body.code).toBe('IMPERSONATION_READ_ONLY');
+      
+      const accountRes = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${impersonationToken}`);
+      
+      expect(accountRes.status).toBe(403);
+      expect(accountRes.body.code).toBe('IMPERSONATION_READ_ONLY');
+    });
+    
+    test('should log every impersonated request', async () => {
+      // Audit records are written when each response finishes
+      await new Promise(resolve => setTimeout(resolve, 200));
+      
+      const res = await request(app)
+        .get(`/api/impersonation/${impersonationId}/requests`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(res.status).toBe(200);
+      expect(res.body.data.requests.map(entry => `${entry.method} ${entry.path} ${entry.blocked}`)).toEqual([
+        'GET /api/auth/me false',
+        'GET /api/projects false',
+        'POST /api/projects true',
+        'GET /api/auth/sessions true',
+      ]);
+      
+      const session = await Impersonation.findById(impersonationId);
+      expect(session.requestCount).toBe(4);
+      expect(session.blockedCount).toBe(2);
+    });
+    
+    test('should invalidate the token when the session ends', async () => {
+      const endRes = await request(app)
+        .delete('/api/impersonation/current')
+        .set('Authorization', `Bearer ${impersonationToken}`);
+      
+      expect(endRes.status).toBe(200);
+      
+      const meRes = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${impersonationToken}`);
+      
+      expect(meRes.status).toBe(401);
+      expect(meRes.body.code).toBe('IMPERSONATION_ENDED');
+    });
+    
+    test('should end the session once the target becomes an admin', async () => {
+      const target = await new User({
+        username: 'test.user.promoted@example.com',
+        email: 'test.user.promoted@example.com',
+        password: 'TestPassword@123',
+        fullName: 'Test Promoted User',
+        memberships: [{ role: 'developer' }],
+      }).save();
+      
+      const startRes = await request(app)
+        .post('/api/impersonation')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ userId: target._id.toString(), reason: 'Support ticket #43' });
+      
+      expect(startRes.status).toBe(201);
+      
+      await User.updateOne({ _id: target._id }, { $set: { 'memberships.0.role': 'admin' } });
+      
+      const meRes = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${startRes.body.data.accessToken}`);
+      
+      expect(meRes.status).toBe(401);
+      expect(meRes.body.code).toBe('IMPERSONATION_ENDED');
+      
+      const session = await Impersonation.findById(startRes.body.data.impersonation._id);
+      expect(session.endedReason).toBe('target-privileged');
+    });
+  });
+  
+  describe('Personal access tokens', () => {
+    let sessionToken;
+    let apiToken;
+    let apiTokenId;
+    
+    beforeAll(async () => {
+      await new User({
+        username: 'test.user.tokens@example.com',
+        email: 'test.user.tokens@example.com',
+        password: 'TestPassword@123',
+        fullName: 'Test Tokens User',
+        memberships: [{ role: 'developer' }],
+      }).save();
+      
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({
+          username: 'test.user.tokens@example.com',
+          password: 'TestPassword@123',
+        });
+      sessionToken = login.body.data.accessToken;
+    });
+    
+    test('should create a scoped token shown only once', async () => {
+      const res = await request(app)
+        .post('/api/auth/tokens')
+        .set('Authorization', `Bearer ${sessionToken}`)
+        .send({ name: 'CI script', scopes: ['projects:read'], expiresInDays: 30 });
+      
+      expect(res.status).toBe(201);
+      expect(res.body.data.token).toMatch(/^pfn_/);
+      expect(res.body.data.apiToken.tokenHash).toBeUndefined();
+      
+      apiToken = res.body.data.token;
+      apiTokenId = res.body.data.apiToken._id;
+      
+      const listRes = await request(app)
+        .get('/api/auth/tokens')
+        .set('Authorization', `Bearer ${sessionToken}`);
+      
+      expect(listRes.status).toBe(200);
+      expect(listRes.body.data.count).toBe(1);
+      expect(JSON.stringify(listRes.body)).not.toContain(apiToken);
+    });
+    
+    test('should reject unknown scopes', async () => {
+      const res = await request(app)
+        .post('/api/auth/tokens')
+        .set('Authorization', `Bearer ${sessionToken}`)
+        .send({ name: 'Bad scope', scopes: ['users:write'] });
+      
+      expect(res.status).toBe(400);
+    });
+    
+    test('should allow in-scope requests only', async () => {
+      const readRes = await request(app)
+        .get('/api/projects')
+        .set('Authorization', `Bearer ${apiToken}`);
+      
+      expect(readRes.status).toBe(200);
+      
+      const writeRes = await request(app)
+        .post('/api/projects')
+        .set('Authorization', `Bearer ${apiToken}`)
+        .send({ name: 'Token Project', description: 'Created by a token' });
+      
+      expect(writeRes.status).toBe(403);
+      expect(writeRes.body.message).toMatch(/projects:write/);
+      
+      // SECURITY: Tokens cannot reach account management
+      const meRes = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${apiToken}`);
+      
+      expect(meRes.status).toBe(403);
+    });
+    
+    test('should stop working once revoked', async () => {
+      const revokeRes = await request(app)
+        .delete(`/api/auth/tokens/${apiTokenId}`)
+        .set('Authorization', `Bearer ${sessionToken}`);
+      
+      expect(revokeRes.status).toBe(200);
+      
+      const res = await request(app)
+        .get('/api/projects')
+        .set('Authorization', `Bearer ${apiToken}`);
+      
+      expect(res.status).toBe(401);
+    });
+  });
+  
+  /**
+   * TEST: OpenID Connect single sign-on
+   */
+  describe('OIDC single sign-on', () => {
+    const originalOidc = { ...config.oidc };
+    let provider;
+    
+    // Browser leg: start -> provider -> callback, returns the callback response
+    const completeSsoLogin = async () => {
+      const startRes = await request(app).get('/api/auth/oidc/login');
+      const stateCookie = startRes.headers['set-cookie'].find(c => c.startsWith('pfn_oidc='));
+      
+      const providerRes = await fetch(startRes.headers.location, { redirect: 'manual' });
+      const callbackUrl = new URL(providerRes.headers.get('location'));
+      
+      return request(app)
+        .get(`${callbackUrl.pathname}${callbackUrl.search}`)
+        .set('Cookie', stateCookie.split(';')[0]);
+    };
+    
+    const loginCodeFrom = (res) => new URL(res.headers.location).hash.replace('#code=', '');
+    
+    beforeAll(async () => {
+      provider = await startMockOidcProvider({
+        clientId: 'pixelforge-test',
+        claims: {
+          sub: 'sso-subject-1',
+          email: 'test.user.sso@example.com',
+          email_verified: true,
+          name: 'Test SSO User',
+          groups: ['leads'],
+        },
+      });
+      
+      Object.assign(config.oidc, {
+        issuer: provider.issuer,
+        clientId: 'pixelforge-test',
+        clientSecret: '',
+        roleMapping: { admin: ['admins'], 'project-lead': ['leads'], developer: [] },
+        defaultRole: 'developer',
+        jitProvisioning: true,
+        syncRoles: true,
+      });
+      resetOidcCache();
+    });
+    
+    afterAll(async () => {
+      Object.assign(config.oidc, originalOidc);
+      resetOidcCache();
+      await OidcLogin.deleteMany({});
+      await provider.close();
+    });
+    
+    test('should advertise SSO on the login page', async () => {
+      const res = await request(app).get('/api/auth/oidc/config');
+      
+      expect(res.status).toBe(200);
+      expect(res.body.data.enabled).toBe(true);
+    });
+    
+    test('should redirect to the provider with PKCE and bind state to a cookie', async () => {
+      const res = await request(app).get('/api/auth/oidc/login');
+      const location = new URL(res.headers.location);
+      
+      expect(res.status).toBe(302);
+      expect(location.origin).toBe(provider.issuer);
+      expect(location.searchParams.get('code_challenge_method')).toBe('S256');
+      expect(res.headers['set-cookie'].join(';')).toMatch(/pfn_oidc=.*HttpOnly/);
+    });
+    
+    test('should provision the user with the mapped role and issue tokens once', async () => {
+      const callbackRes = await completeSsoLogin();
+      
+      expect(callbackRes.status).toBe(302);
+      expect(callbackRes.headers.location).toMatch(/\/sso\/callback#code=/);
+      
+      const code = loginCodeFrom(callbackRes);
+      const exchangeRes = await request(app)
+        .post('/api/auth/oidc/exchange')
+        .send({ code });
+      
+      expect(exchangeRes.status).toBe(200);
+      expect(exchangeRes.body.data.accessToken).toBeDefined();
+      expect(exchangeRes.body.data.user.role).toBe('project-lead');
+      expect(exchangeRes.body.data.user.authProvider).toBe('oidc');
+      
+      // SECURITY: Login codes are single-use
+      const replayRes = await request(app)
+        .post('/api/auth/oidc/exchange')
+        .send({ code });
+      
+      expect(replayRes.status).toBe(401);
+    });
+    
+    test('should sync the role from groups on the next login', async () => {
+      provider.setClaims({
+        sub: 'sso-subject-1',
+        email: 'test.user.sso@example.com',
+        email_verified: true,
+        groups: ['admins'],
+      });
+      
+      const callbackRes = await completeSsoLogin();
+      const exchangeRes = await request(app)
+        .post('/api/auth/oidc/exchange')
+        .send({ code: loginCodeFrom(callbackRes) });
+      
+      expect(exchangeRes.body.data.user.role).toBe('admin');
+      expect(await User.countDocuments({ email: 'test.user.sso@example.com' })).toBe(1);
+    });
+    
+    test('should refuse the login code of a locked or deactivated account', async () => {
+      const exchangeAfter = async (update) => {
+        const callbackRes = await completeSsoLogin();
+        await User.updateOne({ email: 'test.user.sso@example.com' }, update);
+        
+        return request(app)
+          .post('/api/auth/oidc/exchange')
+          .send({ code: loginCodeFrom(callbackRes) });
+      };
+      
+      const lockedRes = await exchangeAfter({ $set: { lockUntil: new Date(Date.now() + 60 * 60 * 1000) } });
+      
+      expect(lockedRes.status).toBe(403);
+      expect(lockedRes.body.data).toBeUndefined();
+      
+      const inactiveRes = await exchangeAfter({ $set: { isActive: false }, $unset: { lockUntil: 1 } });
+      
+      expect(inactiveRes.status).toBe(403);
+      expect(inactiveRes.body.message).toBe('Account has been deactivated');
+      
+      await User.updateOne({ email: 'test.user.sso@example.com' }, { $set: { isActive: true } });
+    });
+    
+    test('should reject callbacks without the state cookie', async () => {
+      const startRes = await request(app).get('/api/auth/oidc/login');
+      const providerRes = await fetch(startRes.headers.location, { redirect: 'manual' });
+      const callbackUrl = new URL(providerRes.headers.get('location'));
+      
+      const res = await request(app).get(`${callbackUrl.pathname}${callbackUrl.search}`);
+      
+      expect(res.status).toBe(302);
+      expect(res.headers.location).toMatch(/sso_error=expired/);
+    });
+    
+    test('should deny unmapped users when no default role is set', async () => {
+      config.oidc.defaultRole = '';
+      provider.setClaims({
+        sub: 'sso-subject-2',
+        email: 'test.user.sso2@example.com',
+        email_verified: true,
+        groups: ['marketing'],
+      });
+      
+      const res = await completeSsoLogin();
+      
+      expect(res.headers.location).toMatch(/sso_error=not_allowed/);
+      expect(await User.findOne({ email: 'test.user.sso2@example.com' })).toBeNull();
+    });
+    
+    test('should not allow password login for SSO-only accounts', async () => {
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'test.user.sso@example.com', password: 'AnyPassword@123' });
+      
+      expect(res.status).toBe(401);
+    });
+  });
+  
+  /**
+   * TEST: Invitation-based onboarding
+   */
+  describe('User invitations', () => {
+    const sent = [];
+    let adminToken;
+    
+    const inviteToken = (message) => message.text.match(/accept-invite\?token=([0-9a-f]{64})/)[1];
+    const flushMail = () => new Promise(resolve => setImmediate(resolve));
+    
+    beforeAll(async () => {
+      setTransport({ sendMail: async (message) => sent.push(message) });
+      
+      const admin = await new User({
+        username: 'test.user.inviter@example.com',
+        email: 'test.user.inviter@example.com',
+        password: 'TestPassword@123',
+        fullName: 'Test Inviter',
+        memberships: [{ role: 'admin' }],
+      }).save();
+      adminToken = generateAccessToken(admin._id);
+    });
+    
+    afterAll(() => {
+      setTransport(null);
+    });
+    
+    test('should not let admins choose the password', async () => {
+      const res = await request(app)
+        .post('/api/invitations')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          email: 'test.user.invited@example.com',
+          password: 'AdminChosen@123',
+          fullName: 'Test Invited',
+          role: 'developer',
+        });
+      
+      expect(res.status).toBe(400);
+    });
+    
+    test('should invite, then create the account once with the emailed link', async () => {
+      const inviteRes = await request(app)
+        .post('/api/invitations')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ email: 'test.user.invited@example.com', fullName: 'Test Invited', role: 'project-lead' });
+      
+      expect(inviteRes.status).toBe(201);
+      expect(inviteRes.body.data.invitation.status).toBe('pending');
+      expect(inviteRes.body.data.invitation.tokenHash).toBeUndefined();
+      
+      // SECURITY: No account exists until the invitee accepts
+      expect(await User.findOne({ email: 'test.user.invited@example.com' })).toBeNull();
+      
+      const duplicateRes = await request(app)
+        .post('/api/invitations')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ email: 'test.user.invited@example.com', fullName: 'Test Invited', role: 'developer' });
+      
+      expect(duplicateRes.status).toBe(409);
+      
+      await flushMail();
+      const token = inviteToken(sent.find(m => m.to === 'test.user.invited@example.com'));
+      
+      const lookupRes = await request(app)
+        .post('/api/invitations/lookup')
+        .send({ token });
+      
+      expect(lookupRes.status).toBe(200);
+      expect(lookupRes.body.data.invitation).toMatchObject({
+        email: 'test.user.invited@example.com',
+        role: 'project-lead',
+      });
+      
+      const acceptRes = await request(app)
+        .post('/api/invitations/accept')
+        .send({ token, password: 'InvitedPassword@123', confirmPassword: 'InvitedPassword@123' });
+      
+      expect(acceptRes.status).toBe(201);
+      
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'test.user.invited@example.com', password: 'InvitedPassword@123' });
+      
+      expect(loginRes.status).toBe(200);
+      expect(loginRes.body.data.user.role).toBe('project-lead');
+      
+      // SECURITY: Link is single-use
+      const reuseRes = await request(app)
+        .post('/api/invitations/accept')
+        .send({ token, password: 'OtherPassword@456', confirmPassword: 'OtherPassword@456' });
+      
+      expect(reuseRes.status).toBe(400);
+    });
+    
+    test('should invalidate the previous link on resend and stop revoked links', async () => {
+      const inviteRes = await request(app)
+        .post('/api/invitations')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ email: 'test.user.resent@example.com', fullName: 'Test Resent', role: 'developer' });
+      const invitationId = inviteRes.body.data.invitation._id;
+      
+      await flushMail();
+      const firstToken = inviteToken(sent.filter(m => m.to === 'test.user.resent@example.com')[0]);
+      
+      const resendRes = await request(app)
+        .post(`/api/invitations/${invitationId}/resend`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(resendRes.status).toBe(200);
+      expect(resendRes.body.data.invitation.sentCount).toBe(2);
+      
+      await flushMail();
+      const secondToken = inviteToken(sent.filter(m => m.to === 'test.user.resent@example.com')[1]);
+      
+      const oldLinkRes = await request(app)
+        .post('/api/invitations/lookup')
+        .send({ token: firstToken });
+      
+      expect(oldLinkRes.status).toBe(400);
+      
+      const listRes = await request(app)
+        .get('/api/invitations')
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(listRes.body.data.invitations.map(i => i._id)).toContain(invitationId);
+      
+      const revokeRes = await request(app)
+        .delete(`/api/invitations/${invitationId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(revokeRes.status).toBe(200);
+      expect(revokeRes.body.data.invitation.status).toBe('revoked');
+      
+      const revokedLinkRes = await request(app)
+        .post('/api/invitations/accept')
+        .send({ token: secondToken, password: 'RevokedPassword@123', confirmPassword: 'RevokedPassword@123' });
+      
+      expect(revokedLinkRes.status).toBe(400);
+      expect(await User.findOne({ email: 'test.user.resent@example.com' })).toBeNull();
+      
+      const revokeAgainRes = await request(app)
+        .delete(`/api/invitations/${invitationId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(revokeAgainRes.status).toBe(409);
+    });
+    
+    test('should reject expired links', async () => {
+      const invitation = new Invitation({
+        email: 'test.user.expired@example.com',
+        fullName: 'Test Expired',
+        role: 'developer',
+        invitedBy: testUser._id,
+      });
+      const token = invitation.issueToken(-1);
+      await invitation.save();
+      
+      const res = await request(app)
+        .post('/api/invitations/accept')
+        .send({ token, password: 'ExpiredPassword@123', confirmPassword: 'ExpiredPassword@123' });
+      
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Invalid or expired invitation');
+    });
+  });
+  
+  /**
+   * TEST: Step-up re-authentication
+   */
+  describe('Step-up re-authentication', () => {
+    const mfaSecret = generateSecret();
+    let admin;
+    let victim;
+    
+    const newVictim = (suffix) => new User({
+      username: `test.user.stepvictim${suffix}@example.com`,
+      email: `test.user.stepvictim${suffix}@example.com`,
+      password: 'TestPassword@123',
+      fullName: 'Test Step Victim',
+      memberships: [{ role: 'developer' }],
+    }).save();
+    
+    beforeAll(async () => {
+      admin = await new User({
+        username: 'test.user.stepadmin@example.com',
+        email: 'test.user.stepadmin@example.com',
+        password: 'TestPassword@123',
+        fullName: 'Test Step Admin',
+        memberships: [{ role: 'admin' }],
+        mfaEnabled: true,
+        mfaSecret,
+      }).save();
+      victim = await newVictim(1);
+    });
+    
+    test('should mark fresh logins but not refreshed tokens as recently authenticated', async () => {
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'test.user.stepvictim1@example.com', password: 'TestPassword@123' });
+      
+      expect(decodeToken(loginRes.body.data.accessToken).auth_time).toBeDefined();
+      
+      const refreshRes = await request(app)
+        .post('/api/auth/refresh-token')
+        .send({ refreshToken: loginRes.body.data.refreshToken });
+      
+      expect(decodeToken(refreshRes.body.data.accessToken).auth_time).toBeUndefined();
+    });
+    
+    test('should require a recent confirmation before deleting a user', async () => {
+      const staleToken = generateAccessToken(admin._id, { sessionId: 'step-session' });
+      
+      const blockedRes = await request(app)
+        .delete(`/api/users/${victim._id}`)
+        .set('Authorization', `Bearer ${staleToken}`);
+      
+      expect(blockedRes.status).toBe(403);
+      expect(blockedRes.body.code).toBe('REAUTH_REQUIRED');
+      
+      const wrongRes = await request(app)
+        .post('/api/auth/reauthenticate')
+        .set('Authorization', `Bearer ${staleToken}`)
+        .send({ password: 'WrongPassword@123' });
+      
+      expect(wrongRes.status).toBe(401);
+      
+      const reauthRes = await request(app)
+        .post('/api/auth/reauthenticate')
+        .set('Authorization', `Bearer ${staleToken}`)
+        .send({ password: 'TestPassword@123' });
+      
+      expect(reauthRes.status).toBe(200);
+      
+      const { accessToken } = reauthRes.body.data;
+      expect(decodeToken(accessToken).sid).toBe('step-session');
+      
+      const deleteRes = await request(app)
+        .delete(`/api/users/${victim._id}`)
+        .set('Authorization', `Bearer ${accessToken}`);
+      
+      expect(deleteRes.status).toBe(200);
+    });
+    
+    test('should accept a TOTP code once', async () => {
+      const staleToken = generateAccessToken(admin._id);
+      const code = generateTOTP(mfaSecret);
+      
+      const reauthRes = await request(app)
+        .post('/api/auth/reauthenticate')
+        .set('Authorization', `Bearer ${staleToken}`)
+        .send({ code });
+      
+      expect(reauthRes.status).toBe(200);
+      
+      const replayRes = await request(app)
+        .post('/api/auth/reauthenticate')
+        .set('Authorization', `Bearer ${staleToken}`)
+        .send({ code });
+      
+      expect(replayRes.status).toBe(400);
+    });
+    
+    test('should expire the confirmation after the configured window', async () => {
+      const otherVictim = await newVictim(2);
+      const expiredToken = generateAccessToken(admin._id, {
+        authTime: Math.floor(Date.now() / 1000) - config.stepUp.maxAgeMinutes * 60 - 1,
+      });
+      
+      const res = await request(app)
+        .post(`/api/users/${otherVictim._id}/reset-password`)
+        .set('Authorization', `Bearer ${expiredToken}`)
+        .send({ tempPassword: 'TempReset@456' });
+      
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('REAUTH_REQUIRED');
+    });
+  });
 });
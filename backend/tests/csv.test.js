@@ -0,0 +1,54 @@
+/**
+ * SECURITY: CSV Unit Tests
+ *
+ * Test cases:
+ * 1. Quoted fields, escaped quotes, commas and line breaks inside quotes
+ * 2. CRLF line endings, byte order mark and blank lines
+ * 3. Unterminated quotes are rejected
+ * 4. Written cells are quoted when needed and formulas are defused
+ */
+
+import { parseCsv, toCsv } from '../utils/csv.js';
+
+describe('CSV Tests', () => {
+  describe('parseCsv', () => {
+    test('should parse quoted fields', () => {
+      expect(parseCsv('email,full name\n"a@example.com","Doe, ""JD"" Jane"\n')).toEqual([
+        ['email', 'full name'],
+        ['a@example.com', 'Doe, "JD" Jane'],
+      ]);
+    });
+
+    test('should keep line breaks inside quotes', () => {
+      expect(parseCsv('a,"line 1\nline 2"')).toEqual([['a', 'line 1\nline 2']]);
+    });
+
+    test('should handle CRLF, a byte order mark and blank lines', () => {
+      expect(parseCsv('\uFEFFemail,role\r\n\r\nb@example.com, developer \r\n,\r\n')).toEqual([
+        ['email', 'role'],
+        ['b@example.com', 'developer'],
+      ]);
+    });
+
+    test('should reject an unterminated quote', () => {
+      expect(() => parseCsv('a,"open\n')).toThrow('Unterminated quoted field');
+    });
+  });
+
+  describe('toCsv', () => {
+    test('should quote cells with separators and quotes', () => {
+      expect(toCsv([['a,b', 'say "hi"', null]])).toBe('"a,b","say ""hi""",\r\n');
+    });
+
+    test('should defuse cells a spreadsheet would run as formulas', () => {
+      expect(toCsv([['=HYPERLINK("x")', '+1', '-1', '@SUM(A1)']])).toBe(
+        '"\'=HYPERLINK(""x"")",\'+1,\'-1,\'@SUM(A1)\r\n'
+      );
+    });
+
+    test('should round trip through parseCsv', () => {
+      const rows = [['email', 'team'], ['c@example.com', 'Art; Platform']];
+      expect(parseCsv(toCsv(rows))).toEqual(rows);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Mock OpenID Connect Provider (tests and local development)
+ *
+ * Implements just enough of a provider to exercise the SSO login:
+ * 1. Discovery document and JWKS (one RS256 key generated at start)
+ * 2. Authorize endpoint that approves immediately with the configured claims
+ * 3. Token endpoint for the authorization code grant with PKCE S256
+ *
+ * Standalone: npm run mock-oidc
+ * (MOCK_OIDC_PORT=5555, MOCK_OIDC_CLIENT_ID=pixelforge, MOCK_OIDC_EMAIL, MOCK_OIDC_GROUPS)
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { pathToFileURL } from 'url';
+
+/**
+ * Start a provider on localhost
+ * @param {Object} options
+ * @param {number} options.port - 0 picks a free port
+ * @param {string} options.clientId - Accepted client_id (also the ID token audience)
+ * @param {string} options.clientSecret - Required with client_secret_basic when set
+ * @param {Object} options.claims - ID token claims for the next logins (must include sub)
+ * @returns {Promise<Object>} - { issuer, clientId, setClaims, signIdToken, close }
+ */
+export const startMockOidcProvider = async ({
+  port = 0,
+  clientId = 'pixelforge',
+  clientSecret = '',
+  claims = {},
+} = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const codes = new Map();
+  let nextClaims = claims;
+  let issuer;
+
+  const signIdToken = (payload, options = {}) => jwt.sign(payload, options.key || privateKey, {
+    algorithm: options.algorithm || 'RS256',
+    keyid: options.keyid === undefined ? kid : options.keyid,
+    issuer: options.issuer || issuer,
+    audience: options.audience || clientId,
+    expiresIn: options.expiresIn || '5m',
+  });
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'none'],
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+  });
+
+  // Approves every request for the configured user
+  app.get('/authorize', (req, res) => {
+    const { response_type, client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method } = req.query;
+
+    if (response_type !== 'code' || client_id !== clientId || !redirect_uri
+      || code_challenge_method !== 'S256' || !code_challenge) {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+
+    const code = crypto.randomBytes(24).toString('base64url');
+    codes.set(code, { redirectUri: redirect_uri, nonce, codeChallenge: code_challenge, claims: nextClaims });
+
+    const target = new URL(redirect_uri);
+    target.searchParams.set('code', code);
+    target.searchParams.set('state', state);
+    res.redirect(target.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const { grant_type, code, redirect_uri, code_verifier } = req.body;
+    const [basicId, basicSecret] = Buffer.from(
+      (req.get('authorization') || '').replace(/^Basic /, ''),
+      'base64'
+    ).toString().split(':').map(decodeURIComponent);
+
+    const presentedId = basicId || req.body.client_id;
+
+    if (presentedId !== clientId || (clientSecret && basicSecret !== clientSecret)) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const entry = codes.get(code);
+    codes.delete(code);
+
+    const challenge = code_verifier
+      && crypto.createHash('sha256').update(code_verifier).digest('base64url');
+
+    if (grant_type !== 'authorization_code' || !entry
+      || entry.redirectUri !== redirect_uri || entry.codeChallenge !== challenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    res.json({
+      access_token: crypto.randomBytes(24).toString('base64url'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: signIdToken({ ...entry.claims, nonce: entry.nonce }),
+    });
+  });
+
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(port, () => resolve(listener));
+  });
+
+  issuer = `http://localhost:${server.address().port}`;
+
+  return {
+    issuer,
+    clientId,
+    setClaims: (value) => {
+      nextClaims = value;
+    },
+    signIdToken,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+};
+
+// Standalone mode for local development
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const provider = await startMockOidcProvider({
+    port: parseInt(process.env.MOCK_OIDC_PORT || '5555', 10),
+    clientId: process.env.MOCK_OIDC_CLIENT_ID || 'pixelforge',
+    claims: {
+      sub: `mock-${process.env.MOCK_OIDC_EMAIL || 'sso.user@example.com'}`,
+      email: process.env.MOCK_OIDC_EMAIL || 'sso.user@example.com',
+      email_verified: true,
+      name: 'Mock SSO User',
+      groups: (process.env.MOCK_OIDC_GROUPS || 'developers').split(','),
+    },
+  });
+
+  console.log(`Mock OIDC provider running at ${provider.issuer} (client_id ${provider.clientId})`);
+}
@@ -0,0 +1,176 @@
+/**
+ * SECURITY: JWT Signing and Key Rotation Tests
+ *
+ * Test cases:
+ * 1. Legacy env secret signs kid-less tokens until a keyring exists
+ * 2. Round trip for every supported algorithm (HS256, RS256, ES256, EdDSA)
+ * 3. Rotation keeps previous keys valid for the grace period only
+ * 4. Algorithm confusion, unsigned tokens and cross-purpose tokens are rejected
+ * 5. JWKS publishes public access keys only
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import config from '../config/config.js';
+import {
+  generateAccessToken,
+  generateRefreshToken,
+  generateMfaToken,
+  verifyAccessToken,
+  verifyRefreshToken,
+  verifyMfaToken,
+  decodeToken,
+} from '../utils/jwt.js';
+import { rotateKeys, pruneKeys, getPublicJwks, readKeyringFile, resetKeyringCache } from '../utils/keyring.js';
+
+const USER_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+const headerOf = (token) => JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString());
+
+describe('JWT Key Rotation Tests', () => {
+  const originalJwt = { ...config.jwt };
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfn-keys-'));
+    Object.assign(config.jwt, {
+      secret: 'a'.repeat(64),
+      refreshSecret: 'b'.repeat(64),
+      expiration: '15m',
+      refreshExpiration: '7d',
+      keysFile: path.join(tempDir, 'jwt-keys.json'),
+      keyGracePeriod: '',
+    });
+    resetKeyringCache();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    Object.assign(config.jwt, originalJwt);
+    resetKeyringCache();
+  });
+
+  describe('Legacy secrets', () => {
+    test('should sign kid-less HS256 tokens without a keyring', () => {
+      const token = generateAccessToken(USER_ID);
+
+      expect(headerOf(token)).toEqual({ alg: 'HS256', typ: 'JWT' });
+      expect(verifyAccessToken(token).sub).toBe(USER_ID);
+    });
+  });
+
+  describe('Algorithms', () => {
+    test.each(['HS256', 'RS256', 'ES256', 'EdDSA'])('should round trip %s tokens', (alg) => {
+      rotateKeys({ alg });
+
+      const access = generateAccessToken(USER_ID, { sessionId: 'family-1' });
+      const refresh = generateRefreshToken(USER_ID, { jti: 'jti-1', family: 'family-1' });
+
+      expect(headerOf(access).alg).toBe(alg);
+      expect(headerOf(access).kid).toBeDefined();
+      expect(verifyAccessToken(access)).toMatchObject({ sub: USER_ID, sid: 'family-1' });
+      expect(verifyRefreshToken(refresh)).toMatchObject({ jti: 'jti-1', fam: 'family-1' });
+    });
+  });
+
+  describe('Rotation', () => {
+    test('should keep previous keys valid during the grace period', () => {
+      const legacyToken = generateAccessToken(USER_ID);
+
+      rotateKeys({ alg: 'EdDSA' });
+      const firstToken = generateAccessToken(USER_ID);
+
+      rotateKeys({ alg: 'RS256' });
+      const secondToken = generateAccessToken(USER_ID);
+
+      expect(headerOf(firstToken).kid).not.toBe(headerOf(secondToken).kid);
+      expect(verifyAccessToken(legacyToken).sub).toBe(USER_ID);
+      expect(verifyAccessToken(firstToken).sub).toBe(USER_ID);
+      expect(verifyAccessToken(secondToken).sub).toBe(USER_ID);
+    });
+
+    test('should reject tokens of keys past their grace period and prune them', () => {
+      const legacyToken = generateAccessToken(USER_ID);
+      rotateKeys({ alg: 'EdDSA' });
+      const oldToken = generateAccessToken(USER_ID);
+      rotateKeys({ alg: 'EdDSA' });
+
+      config.jwt.keyGracePeriod = '0';
+      resetKeyringCache();
+
+      expect(() => verifyAccessToken(legacyToken)).toThrow('Invalid access token');
+      expect(() => verifyAccessToken(oldToken)).toThrow('Invalid access token');
+      expect(verifyAccessToken(generateAccessToken(USER_ID)).sub).toBe(USER_ID);
+
+      pruneKeys();
+      expect(readKeyringFile().keys.filter(key => key.retiredAt)).toHaveLength(0);
+    });
+
+    test('should store the keyring readable by its owner only', () => {
+      rotateKeys({ alg: 'RS256' });
+
+      if (process.platform !== 'win32') {
+        expect(fs.statSync(config.jwt.keysFile).mode & 0o777).toBe(0o600);
+      }
+    });
+  });
+
+  describe('Rejection', () => {
+    test('should reject HS256 tokens forged with a public key as secret', () => {
+      rotateKeys({ alg: 'RS256' });
+      const token = generateAccessToken(USER_ID);
+      const { kid } = headerOf(token);
+      const jwk = getPublicJwks().keys.find(key => key.kid === kid);
+      const publicPem = crypto.createPublicKey({ key: jwk, format: 'jwk' }).export({ type: 'spki', format: 'pem' });
+
+      const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT', kid })).toString('base64url');
+      const payload = token.split('.')[1];
+      const signature = crypto.createHmac('sha256', publicPem).update(`${header}.${payload}`).digest('base64url');
+
+      expect(() => verifyAccessToken(`${header}.${payload}.${signature}`)).toThrow('Invalid access token');
+    });
+
+    test('should reject unsigned tokens', () => {
+      const payload = Buffer.from(JSON.stringify(decodeToken(generateAccessToken(USER_ID)))).toString('base64url');
+      const header = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+
+      expect(() => verifyAccessToken(`${header}.${payload}.`)).toThrow('Invalid access token');
+    });
+
+    test('should reject refresh and MFA tokens as access tokens', () => {
+      rotateKeys({ alg: 'EdDSA' });
+
+      expect(() => verifyAccessToken(generateRefreshToken(USER_ID))).toThrow('Invalid access token');
+      expect(() => verifyAccessToken(generateMfaToken(USER_ID))).toThrow('Invalid access token');
+      expect(verifyMfaToken(generateMfaToken(USER_ID)).purpose).toBe('mfa-verify');
+      // Each challenge has its own jti (single-use, see MfaChallenge)
+      expect(verifyMfaToken(generateMfaToken(USER_ID)).jti).not.toBe(verifyMfaToken(generateMfaToken(USER_ID)).jti);
+    });
+
+    test('should report expired tokens', () => {
+      config.jwt.expiration = '0';
+
+      expect(() => verifyAccessToken(generateAccessToken(USER_ID))).toThrow('Access token has expired');
+    });
+  });
+
+  describe('JWKS', () => {
+    test('should publish asymmetric access keys without private material', () => {
+      expect(getPublicJwks().keys).toHaveLength(0);
+
+      rotateKeys({ alg: 'EdDSA' });
+      rotateKeys({ alg: 'HS256', purposes: ['access'] });
+
+      const { keys } = getPublicJwks();
+
+      expect(keys).toHaveLength(1);
+      expect(keys[0]).toMatchObject({ kty: 'OKP', crv: 'Ed25519', alg: 'EdDSA', use: 'sig' });
+      expect(keys[0].d).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * SECURITY: OpenID Connect Relying Party Tests (against the mock provider)
+ *
+ * Test cases:
+ * 1. Discovery and authorization request (state, nonce, PKCE S256)
+ * 2. Code exchange and ID token validation round trip
+ * 3. Rejection of wrong PKCE verifier, nonce, audience, issuer, expiry, key and algorithm
+ * 4. Group to role mapping and profile claims
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import config from '../config/config.js';
+import {
+  resetOidcCache,
+  getDiscovery,
+  createAuthorizationRequest,
+  createCodeChallenge,
+  exchangeCode,
+  validateIdToken,
+  mapRole,
+  getProfile,
+} from '../utils/oidc.js';
+import { startMockOidcProvider } from './helpers/mockOidcProvider.js';
+
+const CLAIMS = {
+  sub: 'oidc-user-1',
+  email: 'Oidc.User@Example.com',
+  email_verified: true,
+  name: 'OIDC User',
+  groups: ['engineering', 'leads'],
+};
+
+describe('OIDC Tests', () => {
+  let provider;
+  const originalOidc = { ...config.oidc };
+
+  beforeAll(async () => {
+    provider = await startMockOidcProvider({ clientId: 'pixelforge-test', claims: CLAIMS });
+
+    Object.assign(config.oidc, {
+      issuer: provider.issuer,
+      clientId: 'pixelforge-test',
+      clientSecret: '',
+      redirectUri: 'http://localhost:5000/api/auth/oidc/callback',
+      roleClaim: 'groups',
+      roleMapping: { admin: ['admins'], 'project-lead': ['leads'], developer: ['engineering'] },
+    });
+    resetOidcCache();
+  });
+
+  afterAll(async () => {
+    Object.assign(config.oidc, originalOidc);
+    resetOidcCache();
+    await provider.close();
+  });
+
+  /**
+   * Run the browser leg: authorize URL -> redirect with code
+   */
+  const authorize = async () => {
+    const request = await createAuthorizationRequest();
+    const response = await fetch(request.url, { redirect: 'manual' });
+    const location = new URL(response.headers.get('location'));
+
+    return { ...request, code: location.searchParams.get('code'), returnedState: location.searchParams.get('state') };
+  };
+
+  describe('Authorization request', () => {
+    test('should load discovery for the configured issuer', async () => {
+      const discovery = await getDiscovery();
+
+      expect(discovery.issuer).toBe(provider.issuer);
+      expect(discovery.token_endpoint).toBe(`${provider.issuer}/token`);
+    });
+
+    test('should include state, nonce and an S256 PKCE challenge', async () => {
+      const { url, state, nonce, codeVerifier } = await createAuthorizationRequest();
+      const params = new URL(url).searchParams;
+
+      expect(params.get('client_id')).toBe('pixelforge-test');
+      expect(params.get('state')).toBe(state);
+      expect(params.get('nonce')).toBe(nonce);
+      expect(params.get('code_challenge_method')).toBe('S256');
+      expect(params.get('code_challenge')).toBe(createCodeChallenge(codeVerifier));
+      expect(params.get('code_challenge')).not.toBe(codeVerifier);
+    });
+  });
+
+  describe('Code exchange and ID token validation', () => {
+    test('should return verified claims for a valid login', async () => {
+      const { code, state, returnedState, nonce, codeVerifier } = await authorize();
+
+      expect(returnedState).toBe(state);
+
+      const tokens = await exchangeCode(code, codeVerifier);
+      const claims = await validateIdToken(tokens.id_token, { nonce });
+
+      expect(claims.sub).toBe('oidc-user-1');
+      expect(claims.aud).toBe('pixelforge-test');
+    });
+
+    test('should reject a code redeemed with the wrong PKCE verifier', async () => {
+      const { code } = await authorize();
+
+      await expect(exchangeCode(code, crypto.randomBytes(32).toString('base64url')))
+        .rejects.toThrow(/invalid_grant/);
+    });
+
+    test('should reject a code redeemed twice', async () => {
+      const { code, codeVerifier } = await authorize();
+
+      await exchangeCode(code, codeVerifier);
+      await expect(exchangeCode(code, codeVerifier)).rejects.toThrow(/invalid_grant/);
+    });
+
+    test('should reject a nonce mismatch', async () => {
+      const { code, codeVerifier } = await authorize();
+      const tokens = await exchangeCode(code, codeVerifier);
+
+      await expect(validateIdToken(tokens.id_token, { nonce: 'other-nonce' }))
+        .rejects.toThrow(/nonce/);
+    });
+
+    test('should reject tokens for another audience or issuer', async () => {
+      const wrongAudience = provider.signIdToken({ ...CLAIMS, nonce: 'n' }, { audience: 'another-client' });
+      const wrongIssuer = provider.signIdToken({ ...CLAIMS, nonce: 'n' }, { issuer: 'https://evil.example.com' });
+
+      await expect(validateIdToken(wrongAudience, { nonce: 'n' })).rejects.toThrow(/audience/);
+      await expect(validateIdToken(wrongIssuer, { nonce: 'n' })).rejects.toThrow(/issuer/);
+    });
+
+    test('should reject multi-audience tokens without a matching azp', async () => {
+      const token = provider.signIdToken(
+        { ...CLAIMS, nonce: 'n', azp: 'another-client' },
+        { audience: ['pixelforge-test', 'another-client'] }
+      );
+
+      await expect(validateIdToken(token, { nonce: 'n' })).rejects.toThrow(/authorized party/);
+    });
+
+    test('should reject expired tokens', async () => {
+      const token = provider.signIdToken(
+        { ...CLAIMS, nonce: 'n', iat: Math.floor(Date.now() / 1000) - 3600 },
+        { expiresIn: '5m' }
+      );
+
+      await expect(validateIdToken(token, { nonce: 'n' })).rejects.toThrow(/expired/);
+    });
+
+    test('should reject tokens signed by an unknown key', async () => {
+      const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const forged = provider.signIdToken({ ...CLAIMS, nonce: 'n' }, { key: privateKey, keyid: 'unknown' });
+      const resigned = provider.signIdToken({ ...CLAIMS, nonce: 'n' }, { key: privateKey });
+
+      await expect(validateIdToken(forged, { nonce: 'n' })).rejects.toThrow(/signing key not found/);
+      await expect(validateIdToken(resigned, { nonce: 'n' })).rejects.toThrow(/signature/);
+    });
+
+    test('should reject unsigned and HMAC tokens', async () => {
+      const unsigned = jwt.sign(
+        { ...CLAIMS, nonce: 'n', iss: provider.issuer, aud: 'pixelforge-test' },
+        null,
+        { algorithm: 'none' }
+      );
+      const hmac = jwt.sign(
+        { ...CLAIMS, nonce: 'n', iss: provider.issuer, aud: 'pixelforge-test' },
+        'client-secret-used-as-key',
+        { algorithm: 'HS256' }
+      );
+
+      await expect(validateIdToken(unsigned, { nonce: 'n' })).rejects.toThrow(/not accepted/);
+      await expect(validateIdToken(hmac, { nonce: 'n' })).rejects.toThrow(/not accepted/);
+    });
+  });
+
+  describe('Role mapping and profile', () => {
+    test('should map to the highest matching role', () => {
+      expect(mapRole(CLAIMS)).toBe('project-lead');
+      expect(mapRole({ groups: ['engineering', 'admins'] })).toBe('admin');
+      expect(mapRole({ groups: 'engineering' })).toBe('developer');
+    });
+
+    test('should return null when no group matches', () => {
+      expect(mapRole({ groups: ['marketing'] })).toBeNull();
+      expect(mapRole({})).toBeNull();
+    });
+
+    test('should read nested role claims', () => {
+      config.oidc.roleClaim = 'realm_access.roles';
+
+      try {
+        expect(mapRole({ realm_access: { roles: ['admins'] } })).toBe('admin');
+      } finally {
+        config.oidc.roleClaim = 'groups';
+      }
+    });
+
+    test('should normalise profile claims', () => {
+      expect(getProfile(CLAIMS)).toEqual({
+        email: 'oidc.user@example.com',
+        emailVerified: true,
+        fullName: 'OIDC User',
+      });
+      expect(getProfile({ sub: 'x', email: 'a@b.co', email_verified: false }).emailVerified).toBe(false);
+      expect(getProfile({ sub: 'x', given_name: 'Ada', family_name: 'Lovelace' }).fullName).toBe('Ada Lovelace');
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * SECURITY: Password Policy Unit Tests
+ * 
+ * Test cases:
+ * 1. Length and character class rules
+ * 2. Banned list (case-insensitive)
+ * 3. Configurable rules
+ * 4. Password expiry
+ */
+
+import config from '../config/config.js';
+import {
+  validatePasswordRules,
+  isPasswordExpired,
+  getPublicPasswordPolicy,
+} from '../utils/passwordPolicy.js';
+
+describe('Password Policy Tests', () => {
+  const defaults = { ...config.passwordPolicy };
+  
+  afterEach(() => {
+    config.passwordPolicy = { ...defaults };
+  });
+  
+  describe('Rules', () => {
+    test('should accept a strong password', () => {
+      expect(validatePasswordRules('Correct#Horse9')).toEqual([]);
+    });
+    
+    test('should report every violated rule', () => {
+      expect(validatePasswordRules('abc')).toEqual([
+        'Password must be at least 8 characters',
+        'Password must contain an uppercase letter',
+        'Password must contain a number',
+        'Password must contain a special character',
+      ]);
+    });
+    
+    test('should accept any non-alphanumeric character as special', () => {
+      expect(validatePasswordRules('Tabby-Cat-42')).toEqual([]);
+      expect(validatePasswordRules('Tabby Cat 42')).toEqual([]);
+    });
+    
+    test('should reject passwords longer than bcrypt can hash', () => {
+      expect(validatePasswordRules(`Aa1!${'x'.repeat(70)}`))
+        .toContain('Password must not exceed 72 bytes');
+    });
+    
+    test('should reject missing passwords', () => {
+      expect(validatePasswordRules(undefined)).toEqual(['Password is required']);
+    });
+    
+    test('should honour configured rules', () => {
+      config.passwordPolicy = { ...defaults, minLength: 12, requireSymbol: false };
+      expect(validatePasswordRules('Short1Pass')).toEqual(['Password must be at least 12 characters']);
+      expect(validatePasswordRules('LongerPassw0rd')).toEqual([]);
+    });
+  });
+  
+  describe('Banned list', () => {
+    test('should reject common passwords regardless of case', () => {
+      expect(validatePasswordRules('P@ssw0rd')).toEqual([
+        'Password is too common. Choose a less predictable password',
+      ]);
+      expect(validatePasswordRules('wELCOME@123')).toEqual([
+        'Password is too common. Choose a less predictable password',
+      ]);
+    });
+    
+    test('should not expose the list in the public policy', () => {
+      const policy = getPublicPasswordPolicy();
+      expect(policy.bannedListEnabled).toBe(true);
+      expect(policy.bannedListFile).toBeUndefined();
+    });
+  });
+  
+  describe('Expiry', () => {
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    
+    test('should never expire when max age is disabled', () => {
+      config.passwordPolicy = { ...defaults, maxAgeDays: 0 };
+      expect(isPasswordExpired({ passwordChangedAt: daysAgo(1000) })).toBe(false);
+    });
+    
+    test('should expire passwords older than max age', () => {
+      config.passwordPolicy = { ...defaults, maxAgeDays: 90 };
+      expect(isPasswordExpired({ passwordChangedAt: daysAgo(91) })).toBe(true);
+      expect(isPasswordExpired({ passwordChangedAt: daysAgo(89) })).toBe(false);
+    });
+    
+    test('should fall back to account creation date', () => {
+      config.passwordPolicy = { ...defaults, maxAgeDays: 90 };
+      expect(isPasswordExpired({ passwordChangedAt: null, createdAt: daysAgo(120) })).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * SECURITY: Permission Model Unit Tests
+ *
+ * Test cases:
+ * 1. Built-in roles map to registered permissions
+ * 2. Any-of permission checks
+ * 3. Project-scoped checks (member, lead, ":any")
+ * 4. Project query filters per scope
+ * 5. Project membership roles replace the global role on their project
+ * 6. Assigned teams give their members the access of assigned developers
+ * 7. Projects of another organization are out of reach and out of filters
+ * 8. Missing organizations deny access instead of skipping the tenant check
+ * 9. Roles are only given by users holding all of their permissions
+ */
+
+import { PERMISSIONS, BUILT_IN_ROLES, PROJECT_ROLES } from '../config/permissions.js';
+import {
+  hasPermission,
+  canGrantRole,
+  canOnProject,
+  projectFilterFor,
+  getProjectRole,
+} from '../utils/permissions.js';
+
+const userWithRole = (role, id) => ({
+  id,
+  role,
+  organization: 'org-1',
+  permissions: BUILT_IN_ROLES[role].permissions,
+});
+
+describe('Permission Model Tests', () => {
+  const project = {
+    organization: 'org-1',
+    projectLead: 'lead-1',
+    coLeads: ['colead-1'],
+    createdBy: 'creator-1',
+    assignedDevelopers: [{ _id: 'dev-1' }],
+    teams: ['team-1'],
+    members: [
+      { user: 'viewer-1', role: 'viewer' },
+      { user: { _id: 'maintainer-1' }, role: 'maintainer' },
+    ],
+  };
+  
+  describe('Registry', () => {
+    test('should only grant registered permissions to built-in roles', () => {
+      Object.values(BUILT_IN_ROLES).forEach(role => {
+        role.permissions.forEach(permission => {
+          expect(PERMISSIONS[permission]).toBeDefined();
+        });
+      });
+    });
+    
+    test('should only grant registered permissions to project roles', () => {
+      Object.values(PROJECT_ROLES).forEach(role => {
+        role.permissions.forEach(permission => {
+          expect(PERMISSIONS[permission]).toBeDefined();
+        });
+      });
+    });
+    
+    test('should keep administration permissions to the admin role', () => {
+      expect(BUILT_IN_ROLES.admin.permissions).toEqual(
+        expect.arrayContaining(['user:manage', 'role:manage', 'security:audit'])
+      );
+      expect(BUILT_IN_ROLES['project-lead'].permissions).not.toContain('user:manage');
+      expect(BUILT_IN_ROLES.developer.permissions).not.toContain('project:create');
+    });
+  });
+  
+  describe('hasPermission', () => {
+    test('should pass when any listed permission is held', () => {
+      const lead = userWithRole('project-lead', 'lead-1');
+      
+      expect(hasPermission(lead, 'message:review', 'message:review:any')).toBe(true);
+      expect(hasPermission(lead, 'user:manage')).toBe(false);
+    });
+    
+    test('should deny users without a permission set', () => {
+      expect(hasPermission({ id: 'x', role: 'developer' }, 'project:read')).toBe(false);
+      expect(hasPermission(undefined, 'project:read')).toBe(false);
+    });
+  });
+  
+  describe('canOnProject', () => {
+    test('should let members read, including populated assignees', () => {
+      expect(canOnProject(userWithRole('developer', 'dev-1'), 'project:read', project)).toBe(true);
+      expect(canOnProject(userWithRole('developer', 'dev-2'), 'project:read', project)).toBe(false);
+    });
+    
+    test('should restrict lead-scoped permissions to the leads and creator', () => {
+      expect(canOnProject(userWithRole('project-lead', 'lead-1'), 'project:update', project)).toBe(true);
+      expect(canOnProject(userWithRole('project-lead', 'creator-1'), 'document:upload', project)).toBe(true);
+      expect(canOnProject(userWithRole('project-lead', 'colead-1'), 'message:review', project)).toBe(true);
+      expect(canOnProject(userWithRole('project-lead', 'lead-2'), 'project:update', project)).toBe(false);
+      expect(canOnProject(userWithRole('developer', 'dev-1'), 'document:upload', project)).toBe(false);
+    });
+    
+    test('should grant ":any" permissions on every project', () => {
+      const admin = userWithRole('admin', 'admin-1');
+      
+      expect(canOnProject(admin, 'project:update', project)).toBe(true);
+      expect(canOnProject(admin, 'message:review', project)).toBe(true);
+    });
+    
+    test('should apply custom permission sets', () => {
+      const auditor = { id: 'auditor-1', role: 'auditor', organization: 'org-1', permissions: ['project:read:any', 'document:read:any'] };
+      
+      expect(canOnProject(auditor, 'project:read', project)).toBe(true);
+      expect(canOnProject(auditor, 'project:update', project)).toBe(false);
+    });
+  });
+  
+  describe('Project memberships', () => {
+    test('should resolve populated and unpopulated members', () => {
+      expect(getProjectRole({ id: 'viewer-1' }, project)).toBe('viewer');
+      expect(getProjectRole({ id: 'maintainer-1' }, project)).toBe('maintainer');
+      expect(getProjectRole({ id: 'dev-1' }, project)).toBeNull();
+    });
+    
+    test('should keep viewers read-only whatever their global role', () => {
+      const viewer = userWithRole('project-lead', 'viewer-1');
+      
+      expect(canOnProject(viewer, 'project:read', project)).toBe(true);
+      expect(canOnProject(viewer, 'document:read', project)).toBe(true);
+      expect(canOnProject(viewer, 'message:send', project)).toBe(false);
+      expect(canOnProject(viewer, 'project:update', project)).toBe(false);
+    });
+    
+    test('should let maintainers manage the project without a global permission', () => {
+      const maintainer = { id: 'maintainer-1', role: 'stakeholder', organization: 'org-1', permissions: [] };
+      
+      expect(canOnProject(maintainer, 'project:update', project)).toBe(true);
+      expect(canOnProject(maintainer, 'message:review', project)).toBe(true);
+      expect(canOnProject(maintainer, 'project:update', { ...project, members: [] })).toBe(false);
+    });
+  });
+  
+  describe('Teams', () => {
+    test('should let members of an assigned team read the project', () => {
+      const teamDev = { ...userWithRole('developer', 'dev-3'), teams: ['team-1'] };
+      const otherDev = { ...userWithRole('developer', 'dev-4'), teams: ['team-2'] };
+      
+      expect(canOnProject(teamDev, 'project:read', project)).toBe(true);
+      expect(canOnProject(teamDev, 'project:update', project)).toBe(false);
+      expect(canOnProject(otherDev, 'project:read', project)).toBe(false);
+    });
+    
+    test('should match projects of the user\'s teams', () => {
+      const teamDev = { ...userWithRole('developer', 'dev-3'), teams: ['team-1'] };
+      
+      expect(projectFilterFor(teamDev, 'project:read').$or).toContainEqual({
+        teams: { $in: ['team-1'] },
+        'members.user': { $ne: 'dev-3' },
+      });
+    });
+  });
+  
+  describe('projectFilterFor', () => {
+    test('should filter by membership, leadership or not at all', () => {
+      expect(projectFilterFor(userWithRole('developer', 'dev-1'), 'project:read')).toEqual({
+        organization: 'org-1',
+        $or: [
+          { members: { $elemMatch: { user: 'dev-1', role: { $in: ['viewer', 'contributor', 'maintainer'] } } } },
+          { projectLead: 'dev-1' },
+          { coLeads: 'dev-1' },
+          { createdBy: 'dev-1' },
+          { assignedDevelopers: 'dev-1', 'members.user': { $ne: 'dev-1' } },
+        ],
+      });
+      expect(projectFilterFor(userWithRole('project-lead', 'lead-1'), 'message:review')).toEqual({
+        organization: 'org-1',
+        $or: [
+          { members: { $elemMatch: { user: 'lead-1', role: { $in: ['maintainer'] } } } },
+          { projectLead: 'lead-1' },
+          { coLeads: 'lead-1' },
+          { createdBy: 'lead-1' },
+        ],
+      });
+      expect(projectFilterFor(userWithRole('admin', 'admin-1'), 'project:read')).toEqual({ organization: 'org-1' });
+    });
+    
+    test('should only match maintained projects without the global permission', () => {
+      expect(projectFilterFor(userWithRole('developer', 'dev-1'), 'message:review')).toEqual({
+        organization: 'org-1',
+        $or: [{ members: { $elemMatch: { user: 'dev-1', role: { $in: ['maintainer'] } } } }],
+      });
+    });
+    
+    test('should return null without the permission', () => {
+      expect(projectFilterFor(userWithRole('developer', 'dev-1'), 'project:delete')).toBeNull();
+    });
+  });
+  
+  describe('Organizations', () => {
+    const inOrganization = (user, organization) => ({ ...user, organization });
+    
+    test('should deny projects of another organization even with ":any" permissions', () => {
+      expect(canOnProject(inOrganization(userWithRole('admin', 'admin-1'), 'org-2'), 'project:read', project)).toBe(false);
+      expect(canOnProject(inOrganization(userWithRole('project-lead', 'lead-1'), 'org-2'), 'project:update', project)).toBe(false);
+    });
+    
+    test('should fail closed when either side has no organization', () => {
+      const unassignedProject = { ...project, organization: undefined };
+      
+      expect(canOnProject(userWithRole('admin', 'admin-1'), 'project:read', unassignedProject)).toBe(false);
+      expect(canOnProject(inOrganization(userWithRole('admin', 'admin-1'), undefined), 'project:read', project)).toBe(false);
+      expect(projectFilterFor(inOrganization(userWithRole('admin', 'admin-1'), undefined), 'project:read')).toBeNull();
+    });
+  });
+  
+  describe('canGrantRole', () => {
+    test('should allow roles within the actor\'s permissions', async () => {
+      expect(await canGrantRole(userWithRole('admin', 'admin-1'), 'project-lead')).toBe(true);
+      expect(await canGrantRole(userWithRole('project-lead', 'lead-1'), 'project-lead')).toBe(true);
+      expect(await canGrantRole(userWithRole('admin', 'admin-1'), 'developer')).toBe(true);
+    });
+    
+    test('should refuse roles with permissions the actor does not hold', async () => {
+      const userManager = { id: 'manager-1', organization: 'org-1', permissions: ['user:manage'] };
+      
+      expect(await canGrantRole(userManager, 'admin')).toBe(false);
+      expect(await canGrantRole(userWithRole('project-lead', 'lead-1'), 'admin')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * SECURITY: Profile Helper Unit Tests
+ *
+ * Test cases:
+ * 1. Avatars are recognised by content, not by what the upload claims
+ * 2. Only known IANA time zones are accepted
+ * 3. Skills are trimmed and deduplicated case-insensitively
+ */
+
+import { detectImageType, isValidTimezone, normalizeSkills } from '../utils/profile.js';
+
+describe('Profile Tests', () => {
+  describe('detectImageType', () => {
+    test('should recognise PNG, JPEG and WebP content', () => {
+      expect(detectImageType(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]))).toBe('image/png');
+      expect(detectImageType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).toBe('image/jpeg');
+      expect(detectImageType(Buffer.from('RIFF\x10\x00\x00\x00WEBPVP8 ', 'latin1'))).toBe('image/webp');
+    });
+
+    test('should reject other content', () => {
+      expect(detectImageType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>'))).toBeNull();
+      expect(detectImageType(Buffer.from('RIFF\x10\x00\x00\x00WAVEfmt ', 'latin1'))).toBeNull();
+      expect(detectImageType(Buffer.from([0x89, 0x50]))).toBeNull();
+      expect(detectImageType(undefined)).toBeNull();
+    });
+  });
+
+  describe('isValidTimezone', () => {
+    test('should accept IANA names only', () => {
+      expect(isValidTimezone('Europe/Berlin')).toBe(true);
+      expect(isValidTimezone('UTC')).toBe(true);
+      expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+      expect(isValidTimezone('')).toBe(false);
+      expect(isValidTimezone(2)).toBe(false);
+    });
+  });
+
+  describe('normalizeSkills', () => {
+    test('should trim, drop blanks and keep the first spelling of duplicates', () => {
+      expect(normalizeSkills(['  React ', 'react', 'Node  JS', '', 'Node JS', 3])).toEqual(['React', 'Node JS']);
+      expect(normalizeSkills(undefined)).toEqual([]);
+    });
+  });
+});
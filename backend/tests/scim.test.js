@@ -0,0 +1,113 @@
+/**
+ * SECURITY: SCIM Helper Unit Tests
+ *
+ * Test cases:
+ * 1. Only "attribute eq value" filters on listed attributes are accepted
+ * 2. Paging parameters are bounded
+ * 3. PATCH operations in the path and no-path forms, with string booleans
+ * 4. Name changes replace the full name, unknown attributes are ignored
+ * 5. Group membership changes in the forms identity providers send
+ */
+
+import {
+  ScimError,
+  parseFilter,
+  listParams,
+  patchOperations,
+  applyUserPatch,
+  userFields,
+  groupMemberChanges,
+} from '../utils/scim.js';
+
+const current = {
+  userName: 'jane.doe@example.com',
+  name: { formatted: 'Jane Doe', givenName: 'Jane', familyName: 'Doe' },
+  displayName: 'Jane Doe',
+  emails: [{ value: 'jane.doe@example.com', type: 'work', primary: true }],
+  active: true,
+};
+
+const patch = operations => userFields(applyUserPatch(current, patchOperations({ Operations: operations })));
+
+describe('SCIM Tests', () => {
+  describe('parseFilter', () => {
+    test('should parse eq filters case-insensitively', () => {
+      expect(parseFilter('UserName eq "Jane.Doe@example.com"', ['userName'])).toEqual({
+        attribute: 'userName',
+        value: 'Jane.Doe@example.com',
+      });
+      expect(parseFilter('active eq false', ['active'])).toEqual({ attribute: 'active', value: false });
+      expect(parseFilter(undefined, ['userName'])).toBeNull();
+    });
+
+    test('should reject other operators and attributes', () => {
+      expect(() => parseFilter('userName co "jane"', ['userName'])).toThrow(ScimError);
+      expect(() => parseFilter('title eq "lead"', ['userName'])).toThrow('Unsupported filter');
+      expect(() => parseFilter('userName eq "a" or userName eq "b"', ['userName'])).toThrow(ScimError);
+    });
+  });
+
+  describe('listParams', () => {
+    test('should default and bound paging', () => {
+      expect(listParams({})).toEqual({ startIndex: 1, count: 100 });
+      expect(listParams({ startIndex: '0', count: '5000' })).toEqual({ startIndex: 1, count: 200 });
+      expect(listParams({ startIndex: '11', count: '0' })).toEqual({ startIndex: 11, count: 0 });
+    });
+  });
+
+  describe('User PATCH', () => {
+    test('should reject bodies that are not a PatchOp', () => {
+      expect(() => patchOperations({})).toThrow('PatchOp');
+      expect(() => patchOperations({ Operations: [{ op: 'move', path: 'active' }] })).toThrow(ScimError);
+    });
+
+    test('should deactivate with a path and with a string boolean', () => {
+      expect(patch([{ op: 'Replace', path: 'active', value: 'False' }]).isActive).toBe(false);
+      expect(patch([{ op: 'replace', value: { active: false } }]).isActive).toBe(false);
+    });
+
+    test('should reject an active value that is not a boolean', () => {
+      expect(() => patch([{ op: 'replace', path: 'active', value: 'no' }])).toThrow('active must be a boolean');
+    });
+
+    test('should rebuild the full name from changed name parts', () => {
+      expect(patch([{ op: 'replace', path: 'name.familyName', value: 'Smith' }]).fullName).toBe('Jane Smith');
+      expect(patch([{ op: 'replace', path: 'displayName', value: 'J. Doe' }]).fullName).toBe('J. Doe');
+      expect(patch([
+        { op: 'replace', path: 'displayName', value: 'J. Doe' },
+        { op: 'replace', path: 'name.formatted', value: 'Jane A. Doe' },
+      ]).fullName).toBe('Jane A. Doe');
+    });
+
+    test('should change the email and ignore attributes the app does not store', () => {
+      expect(patch([
+        { op: 'replace', path: 'emails[type eq "work"].value', value: 'Jane@Example.com' },
+        { op: 'add', path: 'title', value: 'Artist' },
+        { op: 'remove', path: 'name' },
+      ])).toEqual({
+        username: 'jane.doe@example.com',
+        email: 'jane@example.com',
+        fullName: 'Jane Doe',
+        isActive: true,
+      });
+    });
+  });
+
+  describe('groupMemberChanges', () => {
+    test('should collect added and removed members', () => {
+      expect(groupMemberChanges(patchOperations({
+        Operations: [
+          { op: 'Add', path: 'members', value: [{ value: 'a' }, { value: 'b' }] },
+          { op: 'remove', path: 'members[value eq "c"]' },
+          { op: 'remove', path: 'members', value: [{ value: 'd' }] },
+          { op: 'replace', path: 'displayName', value: 'Renamed' },
+        ],
+      }))).toEqual({ add: ['a', 'b'], remove: ['c', 'd'], replace: null });
+    });
+
+    test('should replace members, or remove all of them without a value', () => {
+      expect(groupMemberChanges([{ op: 'replace', value: { members: [{ value: 'a' }] } }]).replace).toEqual(['a']);
+      expect(groupMemberChanges([{ op: 'remove', path: 'members' }]).replace).toEqual([]);
+    });
+  });
+});
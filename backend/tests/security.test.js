@@ -12,15 +12,38 @@
  * 8. Security headers
  * 9. File upload validation
  * 10. Access control enforcement
+ * 11. JWKS exposes public keys only
+ * 12. Custom roles grant exactly their permissions, and only hold permissions
+ *     their author holds
+ * 13. Project memberships replace the global role on their project
+ * 14. Lead hand-over keeps the project manageable and leaves a trail; only the
+ *     leads (or project:update:any) change the lead, co-leads and members
+ * 15. Team membership changes follow through to project access
+ * 16. Organizations keep their data apart
+ * 17. Deleting a user hands their records over and leaves a tombstone
+ * 18. CSV imports are validated row by row before any invitation is sent
+ * 19. SCIM provisioning is limited to the token's organization, and its token
+ *     to admins who manage users and roles
+ * 20. User lists are paged, searched literally and only sorted by known fields
+ * 21. Users edit their own profile, which the project page shows to the team
+ * 22. Roles are only given by users who hold all of their permissions, and
+ *     accounts holding wider roles are out of reach
  */
 
 import request from 'supertest';
 import app from '../server.js';
 import User from '../models/User.js';
+import Role from '../models/Role.js';
+import Project from '../models/Project.js';
+import Message from '../models/Message.js';
+import Team from '../models/Team.js';
+import Organization from '../models/Organization.js';
+import Invitation from '../models/Invitation.js';
 import config from '../config/config.js';
 
 describe('Security Tests', () => {
   let adminToken;
+  let recentAuthAdminToken;
   let adminUser;
   
   beforeAll(async () => {
@@ -30,17 +53,29 @@ describe('Security Tests', () => {
       email: 'admin.test@example.com',
       password: 'AdminTest@123',
       fullName: 'Admin Test',
-      role: 'admin',
+      memberships: [{ role: 'admin' }],
     });
     await adminUser.save();
     
     // Generate token
     const { generateAccessToken } = await import('../utils/jwt.js');
-    adminToken = generateAccessToken(adminUser._id, adminUser.role);
+    adminToken = generateAccessToken(adminUser._id);
+    // As issued right after a login or step-up re-authentication
+    recentAuthAdminToken = generateAccessToken(adminUser._id, {
+      authTime: Math.floor(Date.now() / 1000),
+    });
   });
   
   afterAll(async () => {
     await User.deleteMany({ email: /test@example/ });
+    await Role.deleteMany({ name: /-test$/ });
+    await Project.deleteMany({ name: /^(Membership|Hand-over|Team|Profile) Test/ });
+    await Team.deleteMany({ name: /Test Team$/ });
+    await Project.deleteMany({ name: /^Tenant Test/ });
+    await Organization.deleteMany({ slug: /-test$/ });
+    await Project.deleteMany({ name: /^Deletion Test/ });
+    await User.deleteMany({ email: /@deleted\.invalid$/ });
+    await Invitation.deleteMany({ email: /test@example/ });
   });
   
   /**
@@ -263,12 +298,12 @@ describe('Security Tests', () => {
         email: 'dev@example.com',
         password: 'DevTest@123',
         fullName: 'Developer',
-        role: 'developer',
+        memberships: [{ role: 'developer' }],
       });
       await devUser.save();
       
       const { generateAccessToken } = await import('../utils/jwt.js');
-      const devToken = generateAccessToken(devUser._id, devUser.role);
+      const devToken = generateAccessToken(devUser._id);
       
       const res = await request(app)
         .get('/api/users')
@@ -291,6 +326,1120 @@ describe('Security Tests', () => {
       expect(res.status).toBe(200);
       expect(res.body.success).toBe(true);
     });
+    
+    /**
+     * TEST: Admin reset forces a password change before API access
+     */
+    test('should restrict a user to changing the password after admin reset', async () => {
+      const resetUser = await new User({
+        username: 'reset.test@example.com',
+        email: 'reset.test@example.com',
+        password: 'ResetTest@123',
+        fullName: 'Reset Test',
+        memberships: [{ role: 'developer' }],
+      }).save();
+      
+      // SECURITY: Sensitive operation requires a recent re-authentication
+      const staleRes = await request(app)
+        .post(`/api/users/${resetUser._id}/reset-password`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ tempPassword: 'TempReset@456' });
+      
+      expect(staleRes.status).toBe(403);
+      expect(staleRes.body.code).toBe('REAUTH_REQUIRED');
+      
+      const resetRes = await request(app)
+        .post(`/api/users/${resetUser._id}/reset-password`)
+        .set('Authorization', `Bearer ${recentAuthAdminToken}`)
+        .send({ tempPassword: 'TempReset@456' });
+      
+      expect(resetRes.status).toBe(200);
+      
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'reset.test@example.com', password: 'TempReset@456' });
+      const userToken = loginRes.body.data.accessToken;
+      
+      expect(loginRes.body.data.user.mustChangePassword).toBe(true);
+      
+      const blockedRes = await request(app)
+        .get('/api/projects')
+        .set('Authorization', `Bearer ${userToken}`);
+      
+      expect(blockedRes.status).toBe(403);
+      expect(blockedRes.body.code).toBe('PASSWORD_CHANGE_REQUIRED');
+      
+      const meRes = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${userToken}`);
+      
+      expect(meRes.status).toBe(200);
+      
+      const changeRes = await request(app)
+        .put('/api/auth/change-password')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({
+          oldPassword: 'TempReset@456',
+          newPassword: 'OwnChoice@789',
+          confirmPassword: 'OwnChoice@789',
+        });
+      
+      expect(changeRes.status).toBe(200);
+      expect(changeRes.body.data.user.mustChangePassword).toBe(false);
+    });
+    
+    /**
+     * TEST: Custom roles grant exactly their permissions
+     */
+    test('should enforce the permissions of an admin-defined custom role', async () => {
+      const reservedRes = await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'admin', permissions: ['user:manage'] });
+      
+      expect(reservedRes.status).toBe(400);
+      
+      const unknownRes = await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'auditor-test', permissions: ['everything'] });
+      
+      expect(unknownRes.status).toBe(400);
+      
+      const createRes = await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: 'auditor-test',
+          description: 'Read-only project auditor',
+          permissions: ['project:read:any', 'document:read:any'],
+        });
+      
+      expect(createRes.status).toBe(201);
+      
+      const auditor = await new User({
+        username: 'auditor.test@example.com',
+        email: 'auditor.test@example.com',
+        password: 'AuditorTest@123',
+        fullName: 'Auditor Test',
+        memberships: [{ role: 'auditor-test' }],
+      }).save();
+      
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'auditor.test@example.com', password: 'AuditorTest@123' });
+      const auditorToken = loginRes.body.data.accessToken;
+      
+      expect(loginRes.body.data.user.permissions).toEqual(['project:read:any', 'document:read:any']);
+      
+      const listRes = await request(app)
+        .get('/api/projects')
+        .set('Authorization', `Bearer ${auditorToken}`);
+      
+      expect(listRes.status).toBe(200);
+      
+      const createProjectRes = await request(app)
+        .post('/api/projects')
+        .set('Authorization', `Bearer ${auditorToken}`)
+        .send({ name: 'Audit Project', deadline: '2099-01-01', priority: 'low' });
+      
+      expect(createProjectRes.status).toBe(403);
+      
+      const usersRes = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${auditorToken}`);
+      
+      expect(usersRes.status).toBe(403);
+      
+      // SECURITY: A role still held by users cannot be deleted
+      const deleteRes = await request(app)
+        .delete(`/api/roles/${createRes.body.data.role._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(deleteRes.status).toBe(409);
+      
+      await User.deleteOne({ _id: auditor._id });
+      
+      const deleteAgainRes = await request(app)
+        .delete(`/api/roles/${createRes.body.data.role._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(deleteAgainRes.status).toBe(200);
+    });
+    
+    /**
+     * TEST: Only role managers can define roles
+     */
+    test('should reject role changes without role:manage', async () => {
+      const leadUser = await new User({
+        username: 'lead.test@example.com',
+        email: 'lead.test@example.com',
+        password: 'LeadTest@123',
+        fullName: 'Lead Test',
+        memberships: [{ role: 'project-lead' }],
+      }).save();
+      
+      const { generateAccessToken } = await import('../utils/jwt.js');
+      const leadToken = generateAccessToken(leadUser._id);
+      
+      const res = await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${leadToken}`)
+        .send({ name: 'escalate-test', permissions: ['user:manage'] });
+      
+      expect(res.status).toBe(403);
+      expect(await Role.exists({ name: 'escalate-test' })).toBeNull();
+    });
+    
+    /**
+     * TEST: Role managers cannot define permissions they do not hold
+     */
+    test('should refuse roles with permissions the role manager lacks', async () => {
+      const { generateAccessToken } = await import('../utils/jwt.js');
+      
+      const ownRoleRes = await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'rolemanager-test', permissions: ['role:manage'] });
+      const roleManager = await new User({
+        username: 'rolemanager.test@example.com',
+        email: 'rolemanager.test@example.com',
+        password: 'RoleManagerTest@123',
+        fullName: 'Role Manager Test',
+        memberships: [{ role: 'rolemanager-test' }],
+      }).save();
+      const roleManagerToken = generateAccessToken(roleManager._id);
+      const asRoleManager = (method, path = '') => request(app)[method](`/api/roles${path}`)
+        .set('Authorization', `Bearer ${roleManagerToken}`);
+      
+      expect((await asRoleManager('post').send({ name: 'everything-test', permissions: ['user:manage'] })).status).toBe(403);
+      expect(await Role.exists({ name: 'everything-test' })).toBeNull();
+      
+      const selfEscalateRes = await asRoleManager('put', `/${ownRoleRes.body.data.role._id}`)
+        .send({ permissions: ['role:manage', 'user:manage'] });
+      
+      expect(selfEscalateRes.status).toBe(403);
+      expect((await Role.findById(ownRoleRes.body.data.role._id)).permissions).toEqual(['role:manage']);
+      
+      // SECURITY: Nor can they strip a role that is beyond their own
+      const wideRoleRes = await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'wide-test', permissions: ['role:manage', 'user:manage'] });
+      
+      expect((await asRoleManager('put', `/${wideRoleRes.body.data.role._id}`)
+        .send({ permissions: ['role:manage'] })).status).toBe(403);
+      
+      expect((await asRoleManager('post').send({ name: 'peer-test', permissions: ['role:manage'] })).status).toBe(201);
+    });
+    
+    /**
+     * TEST: Roles are only given by users who hold all of their permissions
+     */
+    test('should refuse giving a role beyond the actor\'s own permissions', async () => {
+      const { generateAccessToken } = await import('../utils/jwt.js');
+      
+      const roleRes = await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'usermanager-test', permissions: ['user:manage'] });
+      
+      expect(roleRes.status).toBe(201);
+      
+      const manager = await new User({
+        username: 'usermanager.test@example.com',
+        email: 'usermanager.test@example.com',
+        password: 'UserManagerTest@123',
+        fullName: 'User Manager Test',
+        memberships: [{ role: 'usermanager-test' }],
+      }).save();
+      const target = await new User({
+        username: 'granttarget.test@example.com',
+        email: 'granttarget.test@example.com',
+        password: 'GrantTargetTest@123',
+        fullName: 'Grant Target Test',
+        memberships: [{ role: 'usermanager-test' }],
+      }).save();
+      const managerToken = generateAccessToken(manager._id);
+      
+      const promoteRes = await request(app)
+        .put(`/api/users/${target._id}`)
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ role: 'admin' });
+      
+      expect(promoteRes.status).toBe(403);
+      expect((await User.findById(target._id)).roleIn(target.organizationIds()[0])).toBe('usermanager-test');
+      
+      const inviteRes = await request(app)
+        .post('/api/invitations')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ email: 'grantinvite.test@example.com', fullName: 'Grant Invite', role: 'admin' });
+      
+      expect(inviteRes.status).toBe(403);
+      
+      const importRes = await request(app)
+        .post('/api/users/import')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ csv: 'email,name,role\ngrantimport.test@example.com,Grant Import,admin', dryRun: true });
+      
+      expect(importRes.body.data.invalid).toBe(1);
+      
+      // A role within the actor's own permissions can still be given
+      const peerInviteRes = await request(app)
+        .post('/api/invitations')
+        .set('Authorization', `Bearer ${managerToken}`)
+        .send({ email: 'grantinvite.test@example.com', fullName: 'Grant Invite', role: 'usermanager-test' });
+      
+      expect(peerInviteRes.status).toBe(201);
+    });
+    
+    /**
+     * TEST: Accounts holding a wider role are out of reach
+     */
+    test('should refuse acting on a user whose role goes beyond the actor\'s', async () => {
+      const { generateAccessToken } = await import('../utils/jwt.js');
+      
+      await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'accountmanager-test', permissions: ['user:manage'] });
+      
+      const manager = await new User({
+        username: 'accountmanager.test@example.com',
+        email: 'accountmanager.test@example.com',
+        password: 'AccountManagerTest@123',
+        fullName: 'Account Manager Test',
+        memberships: [{ role: 'accountmanager-test' }],
+      }).save();
+      const orgAdmin = await new User({
+        username: 'orgadmin.test@example.com',
+        email: 'orgadmin.test@example.com',
+        password: 'OrgAdminTest@123',
+        fullName: 'Org Admin Test',
+        memberships: [{ role: 'admin' }],
+      }).save();
+      const managerToken = generateAccessToken(manager._id, { authTime: Math.floor(Date.now() / 1000) });
+      const asManager = (method, path) => request(app)[method](`/api/users/${orgAdmin._id}${path}`)
+        .set('Authorization', `Bearer ${managerToken}`);
+      
+      expect((await asManager('post', '/reset-password').send({ tempPassword: 'Takeover@12345' })).status).toBe(403);
+      expect((await asManager('delete', '/mfa')).status).toBe(403);
+      expect((await asManager('patch', '/deactivate')).status).toBe(403);
+      expect((await asManager('put', '').send({ role: 'developer' })).status).toBe(403);
+      expect((await asManager('delete', '')).status).toBe(403);
+      
+      const untouched = await User.findById(orgAdmin._id).select('+password');
+      expect(untouched.isActive).toBe(true);
+      expect(untouched.roleIn(untouched.organizationIds()[0])).toBe('admin');
+      expect(await untouched.verifyPassword('OrgAdminTest@123')).toBe(true);
+    });
+    
+    /**
+     * TEST: Project memberships replace the global role on their project
+     */
+    test('should enforce viewer and maintainer memberships on a project', async () => {
+      const { generateAccessToken } = await import('../utils/jwt.js');
+      
+      const owner = await new User({
+        username: 'owner.test@example.com',
+        email: 'owner.test@example.com',
+        password: 'OwnerTest@123',
+        fullName: 'Owner Test',
+        memberships: [{ role: 'project-lead' }],
+      }).save();
+      const stakeholder = await new User({
+        username: 'stakeholder.test@example.com',
+        email: 'stakeholder.test@example.com',
+        password: 'StakeholderTest@123',
+        fullName: 'Stakeholder Test',
+        memberships: [{ role: 'developer' }],
+      }).save();
+      
+      const ownerToken = generateAccessToken(owner._id);
+      const stakeholderToken = generateAccessToken(stakeholder._id);
+      
+      const project = await new Project({
+        name: 'Membership Test Project',
+        createdBy: owner._id,
+        projectLead: owner._id,
+      }).save();
+      
+      const hiddenRes = await request(app)
+        .get(`/api/projects/${project._id}`)
+        .set('Authorization', `Bearer ${stakeholderToken}`);
+      
+      expect(hiddenRes.status).toBe(403);
+      
+      const invalidRes = await request(app)
+        .put(`/api/projects/${project._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ members: [{ user: stakeholder._id, role: 'owner' }] });
+      
+      expect(invalidRes.status).toBe(400);
+      
+      const viewerRes = await request(app)
+        .put(`/api/projects/${project._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ members: [{ user: stakeholder._id, role: 'viewer' }] });
+      
+      expect(viewerRes.status).toBe(200);
+      expect(viewerRes.body.data.project.members[0].role).toBe('viewer');
+      
+      // SECURITY: A viewer reads, but cannot post even though developers normally can
+      const readRes = await request(app)
+        .get(`/api/projects/${project._id}`)
+        .set('Authorization', `Bearer ${stakeholderToken}`);
+      
+      expect(readRes.status).toBe(200);
+      
+      const messageRes = await request(app)
+        .post(`/api/messages/project/${project._id}`)
+        .set('Authorization', `Bearer ${stakeholderToken}`)
+        .send({ content: 'Hello' });
+      
+      expect(messageRes.status).toBe(403);
+      
+      const editAsViewerRes = await request(app)
+        .put(`/api/projects/${project._id}`)
+        .set('Authorization', `Bearer ${stakeholderToken}`)
+        .send({ description: 'Edited by a viewer' });
+      
+      expect(editAsViewerRes.status).toBe(403);
+      
+      await request(app)
+        .put(`/api/projects/${project._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ members: [{ user: stakeholder._id, role: 'maintainer' }] });
+      
+      const editAsMaintainerRes = await request(app)
+        .put(`/api/projects/${project._id}`)
+        .set('Authorization', `Bearer ${stakeholderToken}`)
+        .send({ description: 'Edited by a maintainer' });
+      
+      expect(editAsMaintainerRes.status).toBe(200);
+      expect(editAsMaintainerRes.body.data.project.description).toBe('Edited by a maintainer');
+    });
+    
+    /**
+     * TEST: A maintainer membership does not reach the project's leadership
+     */
+    test('should keep leadership changes with the project leads', async () => {
+      const { generateAccessToken } = await import('../utils/jwt.js');
+      
+      const [lead, maintainer] = await Promise.all(['leadership', 'takeover'].map(name => new User({
+        username: `${name}.test@example.com`,
+        email: `${name}.test@example.com`,
+        password: 'LeadershipTest@123',
+        fullName: `${name} Test`,
+        memberships: [{ role: 'project-lead' }],
+      }).save()));
+      
+      const maintainerToken = generateAccessToken(maintainer._id);
+      
+      const project = await new Project({
+        name: 'Leadership Test Project',
+        createdBy: lead._id,
+        projectLead: lead._id,
+        members: [{ user: maintainer._id, role: 'maintainer' }],
+      }).save();
+      
+      const handOverRes = await request(app)
+        .post(`/api/projects/${project._id}/hand-over`)
+        .set('Authorization', `Bearer ${maintainerToken}`)
+        .send({ newLead: maintainer._id });
+      
+      expect(handOverRes.status).toBe(403);
+      
+      const coLeadRes = await request(app)
+        .put(`/api/projects/${project._id}`)
+        .set('Authorization', `Bearer ${maintainerToken}`)
+        .send({ coLeads: [maintainer._id] });
+      
+      expect(coLeadRes.status).toBe(403);
+      
+      const membersRes = await request(app)
+        .put(`/api/projects/${project._id}`)
+        .set('Authorization', `Bearer ${maintainerToken}`)
+        .send({ members: [] });
+      
+      expect(membersRes.status).toBe(403);
+      
+      // SECURITY: Resending the current leadership with an ordinary edit is fine
+      const editRes = await request(app)
+        .put(`/api/projects/${project._id}`)
+        .set('Authorization', `Bearer ${maintainerToken}`)
+        .send({
+          description: 'Edited by a maintainer',
+          projectLead: lead._id,
+          coLeads: [],
+          members: [{ user: maintainer._id, role: 'maintainer' }],
+        });
+      
+      expect(editRes.status).toBe(200);
+      
+      const unchanged = await Project.findById(project._id);
+      expect(unchanged.projectLead.toString()).toBe(lead._id.toString());
+      expect(unchanged.coLeads).toHaveLength(0);
+    });
+    
+    /**
+     * TEST: Lead hand-over moves leadership and records it
+     */
+    test('should hand project leadership over to a co-lead', async () => {
+      const { generateAccessToken } = await import('../utils/jwt.js');
+      
+      const [leaving, incoming, developer] = await Promise.all([
+        ['leaving', 'project-lead'],
+        ['incoming', 'project-lead'],
+        ['handoverdev', 'developer'],
+      ].map(([name, role]) => new User({
+        username: `${name}.test@example.com`,
+        email: `${name}.test@example.com`,
+        password: 'HandOverTest@123',
+        fullName: `${name} Test`,
+        memberships: [{ role }],
+      }).save()));
+      
+      const leavingToken = generateAccessToken(leaving._id);
+      const incomingToken = generateAccessToken(incoming._id);
+      
+      const project = await new Project({
+        name: 'Hand-over Test Project',
+        createdBy: adminUser._id,
+        projectLead: leaving._id,
+        coLeads: [incoming._id],
+      }).save();
+      
+      // SECURITY: Co-leads manage the project like the lead
+      const coLeadEditRes = await request(app)
+        .put(`/api/projects/${project._id}`)
+        .set('Authorization', `Bearer ${incomingToken}`)
+        .send({ description: 'Edited by a co-lead' });
+      
+      expect(coLeadEditRes.status).toBe(200);
+      
+      const invalidRes = await request(app)
+        .post(`/api/projects/${project._id}/hand-over`)
+        .set('Authorization', `Bearer ${leavingToken}`)
+        .send({ newLead: developer._id });
+      
+      expect(invalidRes.status).toBe(400);
+      
+      const malformedRes = await request(app)
+        .post(`/api/projects/${project._id}/hand-over`)
+        .set('Authorization', `Bearer ${leavingToken}`)
+        .send({ newLead: 'not-a-user' });
+      
+      expect(malformedRes.status).toBe(400);
+      expect(malformedRes.body.errors[0].message).toBe('Invalid project lead');
+      
+      const handOverRes = await request(app)
+        .post(`/api/projects/${project._id}/hand-over`)
+        .set('Authorization', `Bearer ${leavingToken}`)
+        .send({ newLead: incoming._id, keepPreviousLead: true, note: 'Parental leave' });
+      
+      expect(handOverRes.status).toBe(200);
+      expect(handOverRes.body.data.project.projectLead._id).toBe(incoming._id.toString());
+      expect(handOverRes.body.data.project.coLeads.map(coLead => coLead._id)).toEqual([
+        leaving._id.toString(),
+      ]);
+      
+      const detailRes = await request(app)
+        .get(`/api/projects/${project._id}`)
+        .set('Authorization', `Bearer ${leavingToken}`);
+      
+      expect(detailRes.status).toBe(200);
+      expect(detailRes.body.data.project.history.map(entry => entry.action)).toEqual([
+        'lead-handover',
+        'co-lead-added',
+      ]);
+      
+      const messages = await Message.find({ project: project._id, type: 'system' });
+      expect(messages).toHaveLength(1);
+      expect(messages[0].content).toContain('Parental leave');
+      
+      await Message.deleteMany({ project: project._id });
+    });
+    
+    /**
+     * TEST: Team membership changes follow through to project access
+     */
+    test('should give and remove project access through a team', async () => {
+      const { generateAccessToken } = await import('../utils/jwt.js');
+      
+      const teamDev = await new User({
+        username: 'teamdev.test@example.com',
+        email: 'teamdev.test@example.com',
+        password: 'TeamDevTest@123',
+        fullName: 'Team Dev Test',
+        memberships: [{ role: 'developer' }],
+      }).save();
+      const teamDevToken = generateAccessToken(teamDev._id);
+      
+      const teamRes = await request(app)
+        .post('/api/teams')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Platform Test Team', members: [teamDev._id] });
+      
+      expect(teamRes.status).toBe(201);
+      const teamId = teamRes.body.data.team._id;
+      
+      const projectRes = await request(app)
+        .post('/api/projects')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Team Test Project', deadline: '2099-01-01', priority: 'low', teams: [teamId] });
+      
+      expect(projectRes.status).toBe(201);
+      const projectId = projectRes.body.data.project._id;
+      
+      const readRes = await request(app)
+        .get(`/api/projects/${projectId}`)
+        .set('Authorization', `Bearer ${teamDevToken}`);
+      
+      expect(readRes.status).toBe(200);
+      
+      // SECURITY: Only team managers change teams
+      const selfAddRes = await request(app)
+        .put(`/api/teams/${teamId}`)
+        .set('Authorization', `Bearer ${teamDevToken}`)
+        .send({ members: [teamDev._id] });
+      
+      expect(selfAddRes.status).toBe(403);
+      
+      const removeRes = await request(app)
+        .put(`/api/teams/${teamId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ members: [] });
+      
+      expect(removeRes.status).toBe(200);
+      
+      const revokedRes = await request(app)
+        .get(`/api/projects/${projectId}`)
+        .set('Authorization', `Bearer ${teamDevToken}`);
+      
+      expect(revokedRes.status).toBe(403);
+      
+      const deleteRes = await request(app)
+        .delete(`/api/teams/${teamId}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(deleteRes.status).toBe(200);
+      expect((await Project.findById(projectId)).teams).toHaveLength(0);
+    });
+    
+    /**
+     * TEST: Organizations keep their data apart
+     */
+    test('should hide other organizations and refuse switching into them', async () => {
+      const { generateAccessToken } = await import('../utils/jwt.js');
+      
+      const organization = await new Organization({ name: 'Tenant Test', slug: 'tenant-test' }).save();
+      const tenantAdmin = await new User({
+        username: 'tenantadmin.test@example.com',
+        email: 'tenantadmin.test@example.com',
+        password: 'TenantAdminTest@123',
+        fullName: 'Tenant Admin Test',
+        memberships: [{ organization: organization._id, role: 'admin' }],
+      }).save();
+      const tenantAdminToken = generateAccessToken(tenantAdmin._id);
+      
+      const project = await new Project({
+        name: 'Tenant Test Project',
+        organization: organization._id,
+        createdBy: tenantAdmin._id,
+        projectLead: tenantAdmin._id,
+      }).save();
+      
+      const ownRes = await request(app)
+        .get(`/api/projects/${project._id}`)
+        .set('Authorization', `Bearer ${tenantAdminToken}`);
+      
+      expect(ownRes.status).toBe(200);
+      
+      // SECURITY: Another organization's admin cannot tell the project exists
+      const otherRes = await request(app)
+        .get(`/api/projects/${project._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(otherRes.status).toBe(404);
+      
+      const usersRes = await request(app)
+        .get('/api/users')
+        .query({ search: 'tenantadmin' })
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(usersRes.status).toBe(200);
+      expect(usersRes.body.data.users.map(user => user.email)).not.toContain(tenantAdmin.email);
+      
+      const switchRes = await request(app)
+        .get('/api/projects')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('X-Organization', organization._id.toString());
+      
+      expect(switchRes.status).toBe(403);
+      expect(switchRes.body.code).toBe('ORGANIZATION_FORBIDDEN');
+      
+      // SECURITY: Org admins do not manage organizations
+      const createRes = await request(app)
+        .post('/api/organizations')
+        .set('Authorization', `Bearer ${tenantAdminToken}`)
+        .send({ name: 'Escalation Test', slug: 'escalation-test' });
+      
+      expect(createRes.status).toBe(403);
+      
+      // SECURITY: Custom roles belong to the organization that defined them
+      const tenantRoleRes = await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${tenantAdminToken}`)
+        .send({ name: 'tenant-role-test', permissions: ['user:manage', 'role:manage'] });
+      
+      expect(tenantRoleRes.status).toBe(201);
+      
+      const rolesRes = await request(app)
+        .get('/api/roles')
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(rolesRes.body.data.roles.map(role => role.name)).not.toContain('tenant-role-test');
+      expect((await request(app)
+        .delete(`/api/roles/${tenantRoleRes.body.data.role._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)).status).toBe(404);
+      
+      const grantRes = await request(app)
+        .post('/api/invitations')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ email: 'tenantgrant.test@example.com', fullName: 'Tenant Grant', role: 'tenant-role-test' });
+      
+      expect(grantRes.status).toBe(400);
+      
+      const sameNameRes = await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'tenant-role-test', permissions: ['project:read:any'] });
+      
+      expect(sameNameRes.status).toBe(201);
+      
+      // SECURITY: Shared accounts and super-admins are out of an org admin's reach
+      const shared = await new User({
+        username: 'tenantshared.test@example.com',
+        email: 'tenantshared.test@example.com',
+        password: 'TenantSharedTest@123',
+        fullName: 'Tenant Shared Test',
+        memberships: [{ organization: organization._id }, { organization: adminUser.memberships[0].organization }],
+        lockUntil: new Date(Date.now() + 60 * 60 * 1000),
+      }).save();
+      const superAdmin = await new User({
+        username: 'tenantsuper.test@example.com',
+        email: 'tenantsuper.test@example.com',
+        password: 'TenantSuperTest@123',
+        fullName: 'Tenant Super Test',
+        memberships: [{ organization: organization._id }],
+        isSuperAdmin: true,
+      }).save();
+      
+      for (const account of [shared, superAdmin]) {
+        const asTenantAdmin = (method, path) => request(app)[method](`/api/users/${account._id}${path}`)
+          .set('Authorization', `Bearer ${tenantAdminToken}`);
+        
+        expect((await asTenantAdmin('post', '/unlock')).status).toBe(403);
+        expect((await asTenantAdmin('delete', '/sessions')).status).toBe(403);
+      }
+      expect((await User.findById(shared._id)).isLocked()).toBe(true);
+    });
+    
+    /**
+     * TEST: Deleting a user hands their records over and leaves a tombstone
+     */
+    test('should require a successor and keep a tombstone when deleting a user', async () => {
+      const leaving = await new User({
+        username: 'deletelead.test@example.com',
+        email: 'deletelead.test@example.com',
+        password: 'DeleteLeadTest@123',
+        fullName: 'Delete Lead Test',
+        memberships: [{ role: 'project-lead' }],
+      }).save();
+      const developer = await new User({
+        username: 'deletedev.test@example.com',
+        email: 'deletedev.test@example.com',
+        password: 'DeleteDevTest@123',
+        fullName: 'Delete Dev Test',
+        memberships: [{ role: 'developer' }],
+      }).save();
+      const successor = await new User({
+        username: 'deletesuccessor.test@example.com',
+        email: 'deletesuccessor.test@example.com',
+        password: 'DeleteSuccessorTest@123',
+        fullName: 'Delete Successor Test',
+        memberships: [{ role: 'project-lead' }],
+      }).save();
+      
+      const project = await new Project({
+        name: 'Deletion Test Project',
+        createdBy: leaving._id,
+        projectLead: leaving._id,
+        assignedDevelopers: [developer._id],
+      }).save();
+      const message = await Message.create({
+        project: project._id,
+        sender: leaving._id,
+        content: 'Written before the account was deleted',
+      });
+      
+      const previewRes = await request(app)
+        .get(`/api/users/${leaving._id}/deletion-preview`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(previewRes.status).toBe(200);
+      expect(previewRes.body.data.requiresSuccessor).toBe(true);
+      expect(previewRes.body.data.ownedProjects.map(owned => owned.name)).toEqual(['Deletion Test Project']);
+      expect(previewRes.body.data.messages).toBe(1);
+      expect(previewRes.body.data.successors.map(user => user._id)).toContain(successor._id.toString());
+      expect(previewRes.body.data.successors.map(user => user._id)).not.toContain(developer._id.toString());
+      
+      const missingRes = await request(app)
+        .delete(`/api/users/${leaving._id}`)
+        .set('Authorization', `Bearer ${recentAuthAdminToken}`);
+      
+      expect(missingRes.status).toBe(400);
+      
+      // SECURITY: Owned projects only go to users who may lead them
+      const invalidRes = await request(app)
+        .delete(`/api/users/${leaving._id}`)
+        .set('Authorization', `Bearer ${recentAuthAdminToken}`)
+        .send({ successor: developer._id });
+      
+      expect(invalidRes.status).toBe(400);
+      
+      const deleteRes = await request(app)
+        .delete(`/api/users/${leaving._id}`)
+        .set('Authorization', `Bearer ${recentAuthAdminToken}`)
+        .send({ successor: successor._id });
+      
+      expect(deleteRes.status).toBe(200);
+      
+      const updated = await Project.findById(project._id);
+      expect(updated.projectLead.toString()).toBe(successor._id.toString());
+      expect(updated.createdBy.toString()).toBe(successor._id.toString());
+      expect(updated.history.map(entry => entry.action)).toEqual(['lead-handover']);
+      
+      const tombstone = await User.findById(leaving._id);
+      expect(tombstone.deletedAt).toBeTruthy();
+      expect(tombstone.isActive).toBe(false);
+      expect(tombstone.email).not.toBe('deletelead.test@example.com');
+      expect(tombstone.memberships).toHaveLength(0);
+      
+      const history = await Message.findById(message._id).populate('sender', 'fullName');
+      expect(history.sender.fullName).toBe('Delete Lead Test');
+      
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'deletelead.test@example.com', password: 'DeleteLeadTest@123' });
+      
+      expect(loginRes.status).toBe(401);
+      
+      const listRes = await request(app)
+        .get('/api/users')
+        .query({ search: 'Delete Lead Test' })
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(listRes.body.data.users.map(user => user._id)).not.toContain(leaving._id.toString());
+      
+      await Message.deleteMany({ project: project._id });
+    });
+    
+    /**
+     * TEST: CSV imports are validated row by row before any invitation is sent
+     */
+    test('should report invalid import rows and only invite valid files', async () => {
+      const team = await new Team({ name: 'Import Test Team', createdBy: adminUser._id }).save();
+      
+      const invalidCsv = [
+        'email,full name,role,team',
+        'import1.test@example.com,Import One Test,developer,Import Test Team',
+        'import1.test@example.com,Import Duplicate Test,developer,',
+        'not-an-email,Import Two Test,developer,',
+        'import3.test@example.com,Import Three Test,wizard,Missing Test Team',
+        'admin.test@example.com,Admin Again Test,admin,',
+      ].join('\n');
+      
+      const dryRunRes = await request(app)
+        .post('/api/users/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ csv: invalidCsv, dryRun: true });
+      
+      expect(dryRunRes.status).toBe(200);
+      expect(dryRunRes.body.data.valid).toBe(1);
+      expect(dryRunRes.body.data.invalid).toBe(4);
+      const errorsOf = (line) => dryRunRes.body.data.rows.find(row => row.line === line).errors;
+      expect(errorsOf(2)).toEqual([]);
+      expect(errorsOf(3)).toContain('This email appears more than once in the file');
+      expect(errorsOf(4)).toContain('Invalid email format');
+      expect(errorsOf(5)).toEqual(expect.arrayContaining(['Invalid role', 'Unknown team: Missing Test Team']));
+      expect(errorsOf(6)).toContain('Username or email already exists');
+      
+      // SECURITY: Nothing is sent while any row is invalid
+      const rejectedRes = await request(app)
+        .post('/api/users/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ csv: invalidCsv });
+      
+      expect(rejectedRes.status).toBe(400);
+      expect(await Invitation.countDocuments({ email: /^import\d\.test@example/ })).toBe(0);
+      
+      const importRes = await request(app)
+        .post('/api/users/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ csv: 'email,full name,team\nimport1.test@example.com,Import One Test,import test team\n' });
+      
+      expect(importRes.status).toBe(201);
+      const invitation = await Invitation.findOne({ email: 'import1.test@example.com' });
+      expect(invitation.role).toBe('developer');
+      expect(invitation.teams.map(String)).toEqual([team._id.toString()]);
+      
+      const exportRes = await request(app)
+        .get('/api/users/export')
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(exportRes.status).toBe(200);
+      expect(exportRes.headers['content-type']).toMatch(/text\/csv/);
+      expect(exportRes.text.split('\r\n')[0]).toBe('email,full name,role,team,status,mfa,last login,created');
+      expect(exportRes.text).toContain('admin.test@example.com');
+      expect(exportRes.text).not.toMatch(/password|mfaSecret/i);
+    });
+    
+    /**
+     * TEST: SCIM provisioning is limited to the token's organization
+     */
+    test('should provision and deactivate users over SCIM with the organization token', async () => {
+      const organization = await new Organization({ name: 'SCIM Test', slug: 'scim-test' }).save();
+      const scimToken = await organization.issueScimToken();
+      const scim = (method, path) => request(app)[method](`/scim/v2${path}`)
+        .set('Authorization', `Bearer ${scimToken}`)
+        .set('Content-Type', 'application/scim+json');
+      
+      // SECURITY: User access tokens are not SCIM credentials
+      const userTokenRes = await request(app)
+        .get('/scim/v2/Users')
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      expect(userTokenRes.status).toBe(401);
+      expect(userTokenRes.body.schemas).toEqual(['urn:ietf:params:scim:api:messages:2.0:Error']);
+      
+      const createRes = await scim('post', '/Users').send(JSON.stringify({
+        schemas: ['urn:ietf:params:scim:schemas:core:2.0:User'],
+        userName: 'scim1.test@example.com',
+        name: { givenName: 'Scim', familyName: 'One Test' },
+        emails: [{ value: 'scim1.test@example.com', primary: true }],
+        active: true,
+      }));
+      
+      expect(createRes.status).toBe(201);
+      expect(createRes.headers['content-type']).toMatch(/application\/scim\+json/);
+      const provisioned = await User.findById(createRes.body.id);
+      expect(provisioned.fullName).toBe('Scim One Test');
+      expect(provisioned.authProvider).toBe('oidc');
+      expect(provisioned.organizationIds()).toEqual([organization._id.toString()]);
+      
+      const filterRes = await scim('get', '/Users?filter=userName eq "SCIM1.test@example.com"');
+      
+      expect(filterRes.body.totalResults).toBe(1);
+      expect((await scim('get', '/Users?filter=userName co "scim"')).body.scimType).toBe('invalidFilter');
+      
+      // SECURITY: Users of other organizations are out of reach
+      expect((await scim('get', `/Users/${adminUser._id}`)).status).toBe(404);
+      
+      // SECURITY: So are custom roles of other organizations
+      await Role.create({ name: 'scim-foreign-test', createdBy: adminUser._id });
+      const groupsRes = await scim('get', '/Groups?excludedAttributes=members');
+      
+      expect(groupsRes.body.Resources.map(group => group.id)).not.toContain('scim-foreign-test');
+      expect((await scim('get', '/Groups/scim-foreign-test')).status).toBe(404);
+      
+      const groupRes = await scim('patch', '/Groups/project-lead').send(JSON.stringify({
+        schemas: ['urn:ietf:params:scim:api:messages:2.0:PatchOp'],
+        Operations: [{ op: 'Add', path: 'members', value: [{ value: createRes.body.id }] }],
+      }));
+      
+      expect(groupRes.status).toBe(204);
+      expect((await User.findById(createRes.body.id)).roleIn(organization._id)).toBe('project-lead');
+      
+      const deactivateRes = await scim('patch', `/Users/${createRes.body.id}`).send(JSON.stringify({
+        schemas: ['urn:ietf:params:scim:api:messages:2.0:PatchOp'],
+        Operations: [{ op: 'Replace', path: 'active', value: 'False' }],
+      }));
+      
+      expect(deactivateRes.status).toBe(200);
+      expect(deactivateRes.body.active).toBe(false);
+      expect((await User.findById(createRes.body.id)).isActive).toBe(false);
+      
+      // SECURITY: A shared account only leaves this organization
+      const shared = await new User({
+        username: 'scimshared.test@example.com',
+        email: 'scimshared.test@example.com',
+        password: 'ScimSharedTest@123',
+        fullName: 'Scim Shared Test',
+        memberships: [{ organization: await Organization.getDefaultId() }, { organization: organization._id }],
+      }).save();
+      
+      expect((await scim('delete', `/Users/${shared._id}`)).status).toBe(204);
+      const afterDelete = await User.findById(shared._id);
+      expect(afterDelete.isActive).toBe(true);
+      expect(afterDelete.organizationIds()).toEqual([await Organization.getDefaultId()]);
+      
+      await organization.revokeScimToken();
+      expect((await scim('get', '/Users')).status).toBe(401);
+    });
+    
+    /**
+     * TEST: Only admins who could give every role handle the SCIM token
+     */
+    test('should refuse the SCIM token to settings managers without user and role management', async () => {
+      const { generateAccessToken } = await import('../utils/jwt.js');
+      
+      await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'workspace-test', permissions: ['organization:settings', 'user:manage'] });
+      const settingsManager = await new User({
+        username: 'workspace.test@example.com',
+        email: 'workspace.test@example.com',
+        password: 'WorkspaceTest@123',
+        fullName: 'Workspace Test',
+        memberships: [{ role: 'workspace-test' }],
+      }).save();
+      const token = generateAccessToken(settingsManager._id, { authTime: Math.floor(Date.now() / 1000) });
+      const defaultOrganizationId = await Organization.getDefaultId();
+      const before = (await Organization.findById(defaultOrganizationId)).scimTokenCreatedAt;
+      
+      for (const method of ['post', 'delete']) {
+        const res = await request(app)[method]('/api/organizations/current/scim-token')
+          .set('Authorization', `Bearer ${token}`);
+        
+        expect(res.status).toBe(403);
+      }
+      
+      expect((await Organization.findById(defaultOrganizationId)).scimTokenCreatedAt).toEqual(before);
+    });
+    
+    /**
+     * TEST: User lists are paged, searched literally and only sorted by known fields
+     */
+    test('should page, search, filter and sort user lists', async () => {
+      await User.create(['A', 'B', 'C'].map((letter, index) => ({
+        username: `paging${letter.toLowerCase()}.test@example.com`,
+        email: `paging${letter.toLowerCase()}.test@example.com`,
+        password: 'PagingTest@123',
+        fullName: `Paging ${letter} Test`,
+        isActive: index !== 1,
+        lockUntil: index === 2 ? new Date(Date.now() + 60 * 60 * 1000) : undefined,
+      })));
+      const list = (path, query) => request(app)
+        .get(path)
+        .query(query)
+        .set('Authorization', `Bearer ${adminToken}`);
+      
+      const firstPage = await list('/api/users', { search: 'paging', sort: 'name', limit: 2 });
+      
+      expect(firstPage.status).toBe(200);
+      expect(firstPage.body.data).toMatchObject({ total: 3, page: 1, pages: 2, count: 2 });
+      expect(firstPage.body.data.users.map(user => user.fullName)).toEqual(['Paging A Test', 'Paging B Test']);
+      
+      const secondPage = await list('/api/users', { search: 'PAGING', sort: 'name', limit: 2, page: 2 });
+      
+      expect(secondPage.body.data.users.map(user => user.fullName)).toEqual(['Paging C Test']);
+      
+      const inactive = await list('/api/users', { search: 'paging', active: false });
+      const locked = await list('/api/users', { search: 'paging', locked: true });
+      const descending = await list('/api/users', { search: 'paging', sort: '-name' });
+      
+      expect(inactive.body.data.users.map(user => user.fullName)).toEqual(['Paging B Test']);
+      expect(locked.body.data.users.map(user => user.fullName)).toEqual(['Paging C Test']);
+      expect(descending.body.data.users[0].fullName).toBe('Paging C Test');
+      
+      // SECURITY: Search text is not a regular expression, sort fields are whitelisted
+      expect((await list('/api/users', { search: 'paging.*' })).body.data.total).toBe(0);
+      expect((await list('/api/users', { sort: 'password' })).status).toBe(400);
+      expect((await list('/api/users', { limit: 1000 })).status).toBe(400);
+      
+      const assignable = await list('/api/users/assignable', { search: 'paging', sort: 'name' });
+      
+      expect(assignable.status).toBe(200);
+      expect(assignable.body.data.users.map(user => user.fullName)).toEqual(['Paging A Test', 'Paging C Test']);
+    });
+    
+    /**
+     * TEST: Own profile editing and display on the project page
+     */
+    test('should let users edit their own profile and show it on their projects', async () => {
+      const profileUser = await new User({
+        username: 'profile.test@example.com',
+        email: 'profile.test@example.com',
+        password: 'ProfileTest@123',
+        fullName: 'Profile Test',
+        memberships: [{ role: 'developer' }],
+      }).save();
+      
+      const { generateAccessToken } = await import('../utils/jwt.js');
+      const profileToken = generateAccessToken(profileUser._id);
+      const updateProfile = body => request(app)
+        .put('/api/auth/profile')
+        .set('Authorization', `Bearer ${profileToken}`)
+        .send(body);
+      
+      const updateRes = await updateProfile({
+        title: 'Senior Artist',
+        skills: [' Blender', 'blender', 'Substance Painter'],
+        timezone: 'Europe/Berlin',
+        weeklyCapacity: 32,
+        outOfOffice: [{ start: '2030-07-01', end: '2030-07-14', note: 'Summer break' }],
+      });
+      
+      expect(updateRes.status).toBe(200);
+      expect(updateRes.body.data.user.profile).toMatchObject({
+        title: 'Senior Artist',
+        skills: ['Blender', 'Substance Painter'],
+        timezone: 'Europe/Berlin',
+        weeklyCapacity: 32,
+      });
+      expect(updateRes.body.data.user.profile.outOfOffice).toHaveLength(1);
+      
+      // Omitted fields stay, null clears
+      const clearRes = await updateProfile({ title: null });
+      
+      expect(clearRes.body.data.user.profile.title).toBeUndefined();
+      expect(clearRes.body.data.user.profile.weeklyCapacity).toBe(32);
+      
+      expect((await updateProfile({ timezone: 'Mars/Olympus_Mons' })).status).toBe(400);
+      expect((await updateProfile({ weeklyCapacity: 200 })).status).toBe(400);
+      expect((await updateProfile({
+        outOfOffice: [{ start: '2030-07-14', end: '2030-07-01' }],
+      })).status).toBe(400);
+      
+      // SECURITY: Avatars are checked by content, not by the claimed type
+      const avatarRes = await request(app)
+        .put('/api/auth/profile/avatar')
+        .set('Authorization', `Bearer ${profileToken}`)
+        .attach('avatar', Buffer.from('<svg onload="alert(1)"></svg>'), {
+          filename: 'avatar.png',
+          contentType: 'image/png',
+        });
+      
+      expect(avatarRes.status).toBe(400);
+      
+      const project = await new Project({
+        name: 'Profile Test Project',
+        createdBy: adminUser._id,
+        projectLead: adminUser._id,
+        assignedDevelopers: [profileUser._id],
+      }).save();
+      
+      const projectRes = await request(app)
+        .get(`/api/projects/${project._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      const [developer] = projectRes.body.data.project.assignedDevelopers;
+      
+      expect(developer.profile).toMatchObject({ skills: ['Blender', 'Substance Painter'], weeklyCapacity: 32 });
+      expect(developer.profile.avatarPublicId).toBeUndefined();
+    });
   });
   
   /**
@@ -324,5 +1473,20 @@ describe('Security Tests', () => {
       expect(res.body.message).not.toContain('MongoDB');
       expect(res.body.message).not.toContain('Schema');
     });
+    
+    /**
+     * TEST: JWKS never publishes secrets or private keys
+     */
+    test('should publish only public signing keys', async () => {
+      const res = await request(app).get('/.well-known/jwks.json');
+      
+      expect(res.status).toBe(200);
+      expect(Array.isArray(res.body.keys)).toBe(true);
+      res.body.keys.forEach(key => {
+        expect(key.d).toBeUndefined();
+        expect(key.k).toBeUndefined();
+        expect(key.kid).toBeDefined();
+      });
+    });
   });
 });
@@ -0,0 +1,107 @@
+/**
+ * SECURITY: TOTP Unit Tests
+ *
+ * Test cases:
+ * 1. Base32 encoding round trip
+ * 2. RFC 6238 reference vectors (SHA1, truncated to 6 digits)
+ * 3. Drift window acceptance and rejection
+ * 4. Malformed codes
+ * 5. Recovery code generation and hashing
+ */
+
+import {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTOTP,
+  verifyTOTP,
+  getTimeStep,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} from '../utils/totp.js';
+
+// RFC 6238 Appendix B secret ("12345678901234567890")
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP Tests', () => {
+  describe('Base32', () => {
+    test('should round trip arbitrary bytes', () => {
+      const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+      expect(base32Decode(base32Encode(bytes)).equals(bytes)).toBe(true);
+    });
+
+    test('should encode the RFC secret', () => {
+      expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    });
+
+    test('should reject invalid characters', () => {
+      expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('Code generation', () => {
+    test('should match RFC 6238 reference values', () => {
+      expect(generateTOTP(RFC_SECRET, 59 * 1000)).toBe('287082');
+      expect(generateTOTP(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+      expect(generateTOTP(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+    });
+
+    test('should generate 160-bit base32 secrets', () => {
+      const secret = generateSecret();
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(generateSecret()).not.toBe(secret);
+    });
+  });
+
+  describe('Verification', () => {
+    const now = 1700000000 * 1000;
+
+    test('should accept the current code and return its time step', () => {
+      const code = generateTOTP(RFC_SECRET, now);
+      expect(verifyTOTP(RFC_SECRET, code, { window: 1, timestamp: now })).toBe(getTimeStep(now));
+    });
+
+    test('should accept codes within the drift window', () => {
+      const previous = generateTOTP(RFC_SECRET, now - 30 * 1000);
+      expect(verifyTOTP(RFC_SECRET, previous, { window: 1, timestamp: now })).toBe(getTimeStep(now) - 1);
+    });
+
+    test('should reject codes outside the drift window', () => {
+      const old = generateTOTP(RFC_SECRET, now - 90 * 1000);
+      expect(verifyTOTP(RFC_SECRET, old, { window: 1, timestamp: now })).toBeNull();
+    });
+
+    test('should reject malformed codes', () => {
+      expect(verifyTOTP(RFC_SECRET, '12345', { timestamp: now })).toBeNull();
+      expect(verifyTOTP(RFC_SECRET, 'abcdef', { timestamp: now })).toBeNull();
+      expect(verifyTOTP(RFC_SECRET, undefined, { timestamp: now })).toBeNull();
+      expect(verifyTOTP(null, '123456', { timestamp: now })).toBeNull();
+    });
+  });
+
+  describe('otpauth URI', () => {
+    test('should include issuer, account and secret', () => {
+      const uri = buildOtpauthUri('JBSWY3DPEHPK3PXP', 'dev@example.com');
+      expect(uri.startsWith('otpauth://totp/PixelForge%20Nexus%3Adev%40example.com?')).toBe(true);
+      expect(uri).toContain('secret=JBSWY3DPEHPK3PXP');
+      expect(uri).toContain('issuer=PixelForge+Nexus');
+    });
+  });
+
+  describe('Recovery codes', () => {
+    test('should generate unique codes with matching hashes', () => {
+      const { codes, hashes } = generateRecoveryCodes(10);
+      expect(codes).toHaveLength(10);
+      expect(new Set(codes).size).toBe(10);
+      codes.forEach((code, i) => {
+        expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+        expect(hashRecoveryCode(code)).toBe(hashes[i]);
+      });
+    });
+
+    test('should normalize case and separators when hashing', () => {
+      expect(hashRecoveryCode('ABCDE-12345')).toBe(hashRecoveryCode('abcde12345'));
+    });
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * SECURITY: User List Query Unit Tests
+ *
+ * Test cases:
+ * 1. Search text is matched literally, never as a regular expression
+ * 2. Status filters map to isActive and lockUntil
+ * 3. Missing parameters add no conditions
+ */
+
+import { escapeRegex, userListFilter } from '../utils/userQuery.js';
+
+describe('User Query Tests', () => {
+  describe('escapeRegex', () => {
+    test('should escape regular expression syntax', () => {
+      expect(escapeRegex('a.b*(c)')).toBe('a\\.b\\*\\(c\\)');
+      expect(new RegExp(escapeRegex('.*')).test('anything')).toBe(false);
+    });
+  });
+
+  describe('userListFilter', () => {
+    test('should search name, email and username as plain text', () => {
+      const filter = userListFilter({ search: 'jane.doe+1' });
+
+      expect(filter.$or.map(condition => Object.keys(condition)[0])).toEqual(['fullName', 'email', 'username']);
+      expect(filter.$or[0].fullName).toEqual({ $regex: 'jane\\.doe\\+1', $options: 'i' });
+    });
+
+    test('should filter by active and locked status', () => {
+      expect(userListFilter({ active: false })).toEqual({ isActive: false });
+      expect(userListFilter({ locked: true }).lockUntil.$gt).toBeInstanceOf(Date);
+      expect(userListFilter({ locked: false }).lockUntil.$not.$gt).toBeInstanceOf(Date);
+    });
+
+    test('should add no conditions without parameters', () => {
+      expect(userListFilter()).toEqual({});
+      expect(userListFilter({ search: '', active: undefined })).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * SECURITY DECISION: Refresh Token Delivery
+ *
+ * Two transports selected by config.refreshTokenTransport:
+ * 1. body - refresh token returned in JSON and stored by the client
+ * 2. cookie - refresh token set as a Secure, HttpOnly, SameSite cookie scoped to /api/auth
+ *
+ * Cookie mode adds a double-submit CSRF token:
+ * - A random token is set as a readable cookie and also returned in JSON
+ * - Requests that consume the refresh cookie must echo it in the X-CSRF-Token header
+ * - A cross-site page can make the browser send the cookies, but cannot read the token
+ *
+ * Why cookie mode: an HttpOnly refresh token cannot be stolen by injected script,
+ * so XSS exposure is limited to the short-lived access token
+ */
+
+import crypto from 'crypto';
+import config from '../config/config.js';
+
+export const CSRF_HEADER = 'x-csrf-token';
+
+/**
+ * @returns {boolean} - True when refresh tokens travel in cookies
+ */
+export const isCookieTransport = () => config.refreshTokenTransport === 'cookie';
+
+/**
+ * Shared cookie attributes
+ */
+const cookieOptions = (expiresAt) => ({
+  secure: config.authCookie.secure,
+  sameSite: config.authCookie.sameSite,
+  path: config.authCookie.path,
+  ...(config.authCookie.domain && { domain: config.authCookie.domain }),
+  ...(expiresAt && { expires: expiresAt }),
+});
+
+/**
+ * SECURITY: Attach a refresh token to the response in the configured transport
+ * @param {Object} res - Express response
+ * @param {string} refreshToken - Signed refresh token
+ * @param {Date} expiresAt - Refresh token expiry (cookie lifetime)
+ * @returns {Object} - Fields to merge into the JSON response data
+ */
+export const deliverRefreshToken = (res, refreshToken, expiresAt) => {
+  if (!isCookieTransport()) {
+    return { refreshToken };
+  }
+
+  const csrfToken = crypto.randomBytes(32).toString('hex');
+
+  res.cookie(config.authCookie.refreshName, refreshToken, {
+    ...cookieOptions(expiresAt),
+    httpOnly: true,
+  });
+
+  // SECURITY: Readable by design - the double-submit value, not a credential
+  res.cookie(config.authCookie.csrfName, csrfToken, {
+    ...cookieOptions(expiresAt),
+    httpOnly: false,
+  });
+
+  return { csrfToken };
+};
+
+/**
+ * SECURITY: Read the presented refresh token from the configured transport
+ * Cookie mode ignores the body so tokens never need to be visible to scripts
+ * @param {Object} req - Express request
+ * @returns {string|undefined}
+ */
+export const readRefreshToken = (req) => {
+  if (isCookieTransport()) {
+    return req.cookies?.[config.authCookie.refreshName];
+  }
+
+  return req.body.refreshToken;
+};
+
+/**
+ * SECURITY: Remove auth cookies (logout)
+ * @param {Object} res - Express response
+ */
+export const clearAuthCookies = (res) => {
+  if (!isCookieTransport()) {
+    return;
+  }
+
+  res.clearCookie(config.authCookie.refreshName, { ...cookieOptions(), httpOnly: true });
+  res.clearCookie(config.authCookie.csrfName, cookieOptions());
+};
+
+/**
+ * SECURITY: Double-submit check - header must match the CSRF cookie
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+export const isValidCsrfRequest = (req) => {
+  const cookieToken = req.cookies?.[config.authCookie.csrfName];
+  const headerToken = req.get(CSRF_HEADER);
+
+  if (typeof cookieToken !== 'string' || typeof headerToken !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(cookieToken);
+  const actual = Buffer.from(headerToken);
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
@@ -51,12 +51,14 @@ export const uploadToCloudinary = (fileBuffer, options = {}) => {
 /**
  * Delete file from Cloudinary
  * @param {string} publicId - The public ID of the file to delete
+ * @param {Object} options - Destroy options (resource_type 'image' for avatars)
  * @returns {Promise<Object>} - Cloudinary deletion result
  */
-export const deleteFromCloudinary = async (publicId) => {
+export const deleteFromCloudinary = async (publicId, options = {}) => {
   try {
     const result = await cloudinary.uploader.destroy(publicId, {
       resource_type: 'raw',
+      ...options,
     });
     return result;
   } catch (error) {
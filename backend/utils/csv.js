@@ -0,0 +1,85 @@
+/**
+ * SECURITY DECISION: CSV Parsing and Writing
+ *
+ * 1. RFC 4180: comma separated, fields optionally quoted, "" escapes a quote,
+ *    CRLF or LF line endings, UTF-8 byte order mark ignored
+ * 2. Written cells that a spreadsheet would run as a formula (=, +, -, @, tab,
+ *    carriage return) are prefixed with a quote (CSV injection)
+ */
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Parse CSV text into rows of trimmed cells; blank lines are skipped
+ * @param {string} text
+ * @returns {string[][]}
+ * @throws {Error} - On an unterminated quoted field
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endCell = () => {
+    row.push(cell.trim());
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (row.some(value => value !== '')) rows.push(row);
+    row = [];
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  endRow();
+
+  return rows;
+};
+
+/**
+ * SECURITY: One CSV cell, quoted when needed and defused if it looks like a formula
+ */
+const toCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write rows (arrays of values) as CSV text with CRLF line endings
+ * @param {Array<Array>} rows
+ * @returns {string}
+ */
+export const toCsv = (rows) => rows.map(row => row.map(toCell).join(',')).join('\r\n') + '\r\n';
@@ -0,0 +1,48 @@
+/**
+ * SECURITY DECISION: Document Access Lists
+ *
+ * 1. Documents carry an explicit accessibleBy list, tagged with the reason a
+ *    user is on it ('project-lead', 'developer', 'member', 'team')
+ * 2. When a project relationship changes, only entries with that tag are
+ *    added or removed, so a user keeps access granted for another reason
+ */
+
+import Document from '../models/Document.js';
+import Team from '../models/Team.js';
+
+/**
+ * SECURITY: Share a project's documents with users who gained a relationship
+ * and revoke it from those who lost it, like the team list built at upload
+ * @param {string} projectId
+ * @param {string[]} previousIds - User IDs that had the relationship
+ * @param {string[]} nextIds - User IDs that have it now
+ * @param {string} role - accessibleBy tag, e.g. 'member'
+ */
+export const syncDocumentAccess = async (projectId, previousIds, nextIds, role) => {
+  const added = nextIds.filter(id => !previousIds.includes(id));
+  const removed = previousIds.filter(id => !nextIds.includes(id));
+
+  await Promise.all(added.map(userId =>
+    Document.updateMany(
+      { project: projectId, accessibleBy: { $not: { $elemMatch: { userId, role } } } },
+      { $push: { accessibleBy: { userId, role } } }
+    )
+  ));
+
+  if (removed.length > 0) {
+    await Document.updateMany(
+      { project: projectId },
+      { $pull: { accessibleBy: { userId: { $in: removed }, role } } }
+    );
+  }
+};
+
+/**
+ * IDs of every member of the given teams
+ */
+export const teamMemberIds = async (teamIds) => {
+  if (!teamIds?.length) return [];
+
+  const teams = await Team.find({ _id: { $in: teamIds } }).select('members');
+  return [...new Set(teams.flatMap(team => team.members.map(String)))];
+};
@@ -5,32 +5,196 @@
  * 2. Access tokens expire in 15 minutes (limits exposure window)
  * 3. Refresh tokens expire in 7 days (stored securely on client/server)
  * 4. Prevents token theft/reuse with proper validation
- * 5. Claims include role and permissions for authorization
+ * 5. Access tokens identify the user only: the role and permissions depend on
+ *    the organization of each request and are resolved by authenticate()
+ * 6. Signing keys come from the rotating keyring (utils/keyring.js): every token
+ *    carries a kid, and the header algorithm must match the key it names
  * 
  * Why two tokens:
  * - Access token theft limited by short expiration
  * - User stays logged in with refresh token
  * - Can revoke refresh tokens for logout
+ * 
+ * Why signing is built on node:crypto: jsonwebtoken has no EdDSA support, and
+ * one code path for HS256/RS256/ES256/EdDSA keeps the checks in one place
  */
 
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import config from '../config/config.js';
+import { getSigningKey, getVerificationKey, parseDuration } from './keyring.js';
+
+const ISSUER = 'pixelforge-nexus';
+
+/**
+ * SECURITY: Signature primitives per algorithm
+ * ES256 uses the JOSE (r || s) signature encoding
+ */
+const ALGORITHMS = {
+  HS256: {
+    sign: (input, key) => crypto.createHmac('sha256', key.secret).update(input).digest(),
+    verify: (input, signature, key) => {
+      const expected = crypto.createHmac('sha256', key.secret).update(input).digest();
+      return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    },
+  },
+  RS256: {
+    sign: (input, key) => crypto.sign('sha256', input, key.privateKey),
+    verify: (input, signature, key) => crypto.verify('sha256', input, key.publicKey, signature),
+  },
+  ES256: {
+    sign: (input, key) => crypto.sign('sha256', input, { key: key.privateKey, dsaEncoding: 'ieee-p1363' }),
+    verify: (input, signature, key) =>
+      crypto.verify('sha256', input, { key: key.publicKey, dsaEncoding: 'ieee-p1363' }, signature),
+  },
+  EdDSA: {
+    sign: (input, key) => crypto.sign(null, input, key.privateKey),
+    verify: (input, signature, key) => crypto.verify(null, input, key.publicKey, signature),
+  },
+};
+
+const base64UrlJson = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/**
+ * Error shaped like jsonwebtoken's (callers map these names to messages)
+ */
+const tokenError = (name, message) => {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+};
+
+/**
+ * SECURITY: Sign claims with the active key of a purpose
+ * @param {string} purpose - Keyring purpose ('access' or 'refresh')
+ * @param {Object} payload - Custom claims
+ * @param {Object} options - expiresIn, audience, jwtid
+ */
+const signToken = (purpose, payload, { expiresIn, audience, jwtid } = {}) => {
+  const key = getSigningKey(purpose);
+  const now = Math.floor(Date.now() / 1000);
+
+  const header = {
+    alg: key.alg,
+    typ: 'JWT',
+    ...(key.kid && { kid: key.kid }),
+  };
+
+  const claims = {
+    ...payload,
+    iat: now,
+    exp: now + parseDuration(expiresIn),
+    iss: ISSUER,
+    ...(audience && { aud: audience }),
+    ...(jwtid && { jti: jwtid }),
+  };
+
+  const input = `${base64UrlJson(header)}.${base64UrlJson(claims)}`;
+  const signature = ALGORITHMS[key.alg].sign(input, key).toString('base64url');
+
+  return `${input}.${signature}`;
+};
+
+/**
+ * SECURITY: Verify a token against the keyring of a purpose
+ * Checks kid -> key, header alg === key alg (no algorithm confusion),
+ * signature, exp/nbf, issuer and audience
+ */
+const verifyToken = (purpose, token, { audience } = {}) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+
+  if (parts.length !== 3) {
+    throw tokenError('JsonWebTokenError', 'jwt malformed');
+  }
+
+  let header;
+  let claims;
+
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString());
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+  } catch (error) {
+    throw tokenError('JsonWebTokenError', 'jwt malformed');
+  }
+
+  if (!header || !claims || typeof claims !== 'object') {
+    throw tokenError('JsonWebTokenError', 'jwt malformed');
+  }
+
+  const key = getVerificationKey(purpose, typeof header.kid === 'string' ? header.kid : null);
+
+  if (!key || header.alg !== key.alg) {
+    throw tokenError('JsonWebTokenError', 'invalid signature');
+  }
+
+  const signature = Buffer.from(parts[2], 'base64url');
+
+  if (!ALGORITHMS[key.alg].verify(`${parts[0]}.${parts[1]}`, signature, key)) {
+    throw tokenError('JsonWebTokenError', 'invalid signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+
+  if (typeof claims.exp !== 'number' || now >= claims.exp) {
+    throw tokenError('TokenExpiredError', 'jwt expired');
+  }
+
+  if (typeof claims.nbf === 'number' && now < claims.nbf) {
+    throw tokenError('JsonWebTokenError', 'jwt not active');
+  }
+
+  if (claims.iss !== ISSUER) {
+    throw tokenError('JsonWebTokenError', 'jwt issuer invalid');
+  }
+
+  if (audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(audience)) {
+      throw tokenError('JsonWebTokenError', 'jwt audience invalid');
+    }
+  }
+
+  return claims;
+};
 
 /**
- * SECURITY: Generate access token with role claims
+ * SECURITY: Generate access token
+ * sid links the token to its login session (refresh token family);
+ * auth_time marks a fresh login or step-up re-authentication
  */
-export const generateAccessToken = (userId, role) => {
-  return jwt.sign(
+export const generateAccessToken = (userId, { sessionId, authTime } = {}) => {
+  return signToken(
+    'access',
     {
       sub: userId, // Subject claim
-      role: role,
       type: 'access',
+      ...(sessionId && { sid: sessionId }),
+      // When the user last proved a credential (seconds); omitted on refresh
+      ...(authTime && { auth_time: authTime }),
     },
-    config.jwt.secret,
     {
       expiresIn: config.jwt.expiration,
-      algorithm: 'HS256',
-      issuer: 'pixelforge-nexus',
+      audience: 'pixelforge-nexus-client',
+    }
+  );
+};
+
+/**
+ * SECURITY: Generate an impersonation access token ("view as user")
+ * sub is the target user; act.sub (RFC 8693 actor) the admin behind it and
+ * imp the audited impersonation record. Short-lived and never refreshable.
+ */
+export const generateImpersonationToken = (targetUserId, { adminId, impersonationId }) => {
+  return signToken(
+    'access',
+    {
+      sub: targetUserId,
+      type: 'access',
+      imp: impersonationId,
+      act: { sub: adminId },
+    },
+    {
+      expiresIn: `${config.impersonation.tokenMinutes}m`,
       audience: 'pixelforge-nexus-client',
     }
   );
@@ -38,18 +202,41 @@ export const generateAccessToken = (userId, role) => {
 
 /**
  * SECURITY: Generate refresh token (stored securely on client)
+ * jti identifies the persisted record, fam the rotation family
  */
-export const generateRefreshToken = (userId) => {
-  return jwt.sign(
+export const generateRefreshToken = (userId, { jti, family } = {}) => {
+  return signToken(
+    'refresh',
     {
       sub: userId,
       type: 'refresh',
+      ...(family && { fam: family }),
     },
-    config.jwt.refreshSecret,
     {
       expiresIn: config.jwt.refreshExpiration,
-      algorithm: 'HS256',
-      issuer: 'pixelforge-nexus',
+      ...(jti && { jwtid: jti }),
+    }
+  );
+};
+
+/**
+ * SECURITY: Generate restricted MFA challenge token
+ * Issued after password check when MFA is enabled. Carries no role and a
+ * dedicated audience, so it cannot be used as an access token.
+ * The jti makes it single-use (models/MfaChallenge.js)
+ */
+export const generateMfaToken = (userId) => {
+  return signToken(
+    'access',
+    {
+      sub: userId,
+      type: 'mfa',
+      purpose: 'mfa-verify',
+    },
+    {
+      expiresIn: '5m',
+      audience: 'pixelforge-nexus-mfa',
+      jwtid: crypto.randomUUID(),
     }
   );
 };
@@ -59,9 +246,7 @@ export const generateRefreshToken = (userId) => {
  */
 export const verifyAccessToken = (token) => {
   try {
-    return jwt.verify(token, config.jwt.secret, {
-      algorithms: ['HS256'],
-      issuer: 'pixelforge-nexus',
+    return verifyToken('access', token, {
       audience: 'pixelforge-nexus-client',
     });
   } catch (error) {
@@ -80,10 +265,7 @@ export const verifyAccessToken = (token) => {
  */
 export const verifyRefreshToken = (token) => {
   try {
-    return jwt.verify(token, config.jwt.refreshSecret, {
-      algorithms: ['HS256'],
-      issuer: 'pixelforge-nexus',
-    });
+    return verifyToken('refresh', token);
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       throw new Error('Refresh token has expired');
@@ -95,6 +277,33 @@ export const verifyRefreshToken = (token) => {
   }
 };
 
+/**
+ * SECURITY: Verify MFA challenge token
+ */
+export const verifyMfaToken = (token) => {
+  let payload;
+  try {
+    payload = verifyToken('access', token, {
+      audience: 'pixelforge-nexus-mfa',
+    });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new Error('MFA session has expired. Please login again.');
+    }
+    if (error.name === 'JsonWebTokenError') {
+      throw new Error('Invalid MFA token');
+    }
+    throw error;
+  }
+  
+  // SECURITY: Enforce purpose claim; the jti is needed to make it single-use
+  if (payload.type !== 'mfa' || payload.purpose !== 'mfa-verify' || !payload.jti) {
+    throw new Error('Invalid MFA token');
+  }
+  
+  return payload;
+};
+
 /**
  * SECURITY: Decode token without verification (for error messages only)
  */
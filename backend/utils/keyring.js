@@ -0,0 +1,351 @@
+/**
+ * SECURITY DECISION: JWT Signing Keyring
+ *
+ * 1. Keys live in a JSON keyring file (config.jwt.keysFile, mode 0600, never committed)
+ * 2. Each key has a kid, a purpose ('access' for access/MFA tokens, 'refresh')
+ *    and an algorithm: HS256, RS256, ES256 or EdDSA (Ed25519)
+ * 3. The newest unretired key of a purpose signs; retired keys keep verifying
+ *    for a grace period so rotation does not log anyone out
+ * 4. Without a keyring, JWT_SECRET / JWT_REFRESH_SECRET act as the legacy
+ *    HS256 keys (tokens without kid); rotation retires them like any other key
+ * 5. The file is re-read when it changes, so a rotation needs no restart
+ *
+ * Why a file: rotation must work with a plain CLI run on the host and be shared
+ * by every instance mounting the same secret volume
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import config from '../config/config.js';
+
+export const KEY_PURPOSES = ['access', 'refresh'];
+export const KEY_ALGORITHMS = ['HS256', 'RS256', 'ES256', 'EdDSA'];
+
+const RELOAD_CHECK_INTERVAL_MS = 5000;
+const FORCED_RELOAD_INTERVAL_MS = 1000;
+
+const backendRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+let cache = null;
+let lastCheckAt = 0;
+let lastForcedReloadAt = 0;
+
+/**
+ * Parse a token lifetime ('15m', '7d', '3600') into seconds
+ * @returns {number|null}
+ */
+export const parseDuration = (value) => {
+  const match = /^(\d+)\s*([smhd]?)$/.exec(String(value).trim());
+
+  if (!match) {
+    return null;
+  }
+
+  const units = { '': 1, s: 1, m: 60, h: 3600, d: 86400 };
+  return parseInt(match[1], 10) * units[match[2]];
+};
+
+/**
+ * @returns {string} - Absolute keyring path
+ */
+export const getKeysFilePath = () => path.resolve(backendRoot, config.jwt.keysFile);
+
+/**
+ * SECURITY: How long a retired key keeps verifying (seconds)
+ * Defaults to the lifetime of the tokens it signed
+ */
+export const getGracePeriodSeconds = (purpose) => {
+  if (config.jwt.keyGracePeriod) {
+    return parseDuration(config.jwt.keyGracePeriod);
+  }
+
+  return parseDuration(purpose === 'refresh' ? config.jwt.refreshExpiration : config.jwt.expiration);
+};
+
+/**
+ * Whether a retired key is still inside its grace period
+ */
+export const isWithinGrace = (record, now = Date.now()) => {
+  if (!record.retiredAt) {
+    return true;
+  }
+
+  return new Date(record.retiredAt).getTime() + getGracePeriodSeconds(record.purpose) * 1000 > now;
+};
+
+/**
+ * SECURITY: Generate key material for an algorithm
+ * @returns {Object} - Keyring record fields (secret or PEM key pair)
+ */
+export const generateKeyMaterial = (alg) => {
+  switch (alg) {
+    case 'HS256':
+      return { secret: crypto.randomBytes(64).toString('base64url') };
+    case 'RS256':
+      return exportPair(crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }));
+    case 'ES256':
+      return exportPair(crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }));
+    case 'EdDSA':
+      return exportPair(crypto.generateKeyPairSync('ed25519'));
+    default:
+      throw new Error(`Unsupported JWT algorithm: ${alg}`);
+  }
+};
+
+const exportPair = ({ privateKey, publicKey }) => ({
+  privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+  publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+});
+
+/**
+ * @returns {string} - New key id (date prefix for readability, random suffix)
+ */
+export const generateKid = () =>
+  `${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(6).toString('hex')}`;
+
+/**
+ * Read the raw keyring file ({ keys: [] } when absent)
+ */
+export const readKeyringFile = () => {
+  const file = getKeysFilePath();
+
+  if (!fs.existsSync(file)) {
+    return { version: 1, keys: [] };
+  }
+
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (!Array.isArray(data.keys)) {
+    throw new Error(`JWT keyring ${file} has no keys array`);
+  }
+
+  return data;
+};
+
+/**
+ * SECURITY: Write the keyring atomically, readable by the owner only
+ */
+export const writeKeyringFile = (data) => {
+  const file = getKeysFilePath();
+  const temp = `${file}.${process.pid}.tmp`;
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(temp, `${JSON.stringify(data, null, 2)}\n`, { mode: 0o600 });
+  fs.renameSync(temp, file);
+
+  cache = null;
+};
+
+/**
+ * Legacy environment secret as a key (kid-less tokens)
+ */
+const legacyKey = (purpose) => ({
+  kid: null,
+  purpose,
+  alg: 'HS256',
+  secret: purpose === 'refresh' ? config.jwt.refreshSecret : config.jwt.secret,
+});
+
+/**
+ * Turn a keyring record into a usable key (KeyObjects parsed once)
+ */
+const toKey = (record) => {
+  if (record.source === 'env') {
+    return { ...legacyKey(record.purpose), source: 'env', retiredAt: record.retiredAt };
+  }
+
+  if (record.alg === 'HS256') {
+    return { ...record };
+  }
+
+  return {
+    ...record,
+    privateKey: record.privateKey ? crypto.createPrivateKey(record.privateKey) : null,
+    publicKey: crypto.createPublicKey(record.publicKey),
+  };
+};
+
+/**
+ * Load the keyring, re-reading the file when its mtime changes
+ */
+const loadKeyring = ({ force = false } = {}) => {
+  const now = Date.now();
+
+  if (cache && !force && now - lastCheckAt < RELOAD_CHECK_INTERVAL_MS) {
+    return cache;
+  }
+
+  lastCheckAt = now;
+
+  const file = getKeysFilePath();
+  const mtimeMs = fs.existsSync(file) ? fs.statSync(file).mtimeMs : 0;
+
+  if (cache && cache.mtimeMs === mtimeMs) {
+    return cache;
+  }
+
+  const { keys } = readKeyringFile();
+  cache = { mtimeMs, keys: keys.map(toKey) };
+
+  return cache;
+};
+
+/**
+ * SECURITY: Key used to sign new tokens of a purpose
+ * Newest unretired keyring key, or the legacy secret when the purpose has none
+ */
+export const getSigningKey = (purpose) => {
+  const { keys } = loadKeyring();
+  const fileKeys = keys.filter(key => key.purpose === purpose);
+
+  if (fileKeys.length === 0) {
+    return legacyKey(purpose);
+  }
+
+  const active = fileKeys
+    .filter(key => !key.retiredAt && key.source !== 'env')
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+
+  if (!active) {
+    throw new Error(`No active JWT ${purpose} key in ${getKeysFilePath()}. Run: npm run jwt-keys -- rotate`);
+  }
+
+  return active;
+};
+
+/**
+ * SECURITY: Key that may verify a token of a purpose
+ * 1. kid present -> keyring key of that purpose, active or within grace
+ * 2. no kid -> legacy secret, unless the keyring has retired it past its grace
+ * Unknown kids trigger one throttled reload (another instance may have rotated)
+ * @returns {Object|null}
+ */
+export const getVerificationKey = (purpose, kid) => {
+  const find = ({ keys }) => {
+    const fileKeys = keys.filter(key => key.purpose === purpose);
+
+    if (!kid) {
+      if (fileKeys.length === 0) {
+        return legacyKey(purpose);
+      }
+      const legacy = fileKeys.find(key => key.source === 'env');
+      return legacy && isWithinGrace(legacy) ? legacy : null;
+    }
+
+    const key = fileKeys.find(candidate => candidate.kid === kid && candidate.source !== 'env');
+    return key && isWithinGrace(key) ? key : null;
+  };
+
+  let key = find(loadKeyring());
+
+  if (!key && kid && Date.now() - lastForcedReloadAt > FORCED_RELOAD_INTERVAL_MS) {
+    lastForcedReloadAt = Date.now();
+    key = find(loadKeyring({ force: true }));
+  }
+
+  return key;
+};
+
+/**
+ * SECURITY: Public JWK set for access tokens (asymmetric keys only)
+ * Secrets (HS256) are never published
+ */
+export const getPublicJwks = () => {
+  const { keys } = loadKeyring();
+
+  return {
+    keys: keys
+      .filter(key => key.purpose === 'access' && key.publicKey && isWithinGrace(key))
+      .map(key => ({
+        ...key.publicKey.export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.alg,
+        use: 'sig',
+      })),
+  };
+};
+
+/**
+ * SECURITY: Rotate keys - retire the active key of each purpose and add a new one
+ * The first rotation of a purpose records the legacy env secret as retired,
+ * so kid-less tokens stay valid for the grace period only. Expired keys are pruned.
+ * @param {Object} options
+ * @param {string[]} options.purposes - Purposes to rotate
+ * @param {string} options.alg - Algorithm of the new keys
+ * @returns {{ added: Object[], removed: Object[] }} - Key summaries (no secrets)
+ */
+export const rotateKeys = ({ purposes = KEY_PURPOSES, alg }) => {
+  if (!KEY_ALGORITHMS.includes(alg)) {
+    throw new Error(`Unsupported JWT algorithm: ${alg} (use ${KEY_ALGORITHMS.join(', ')})`);
+  }
+
+  const data = readKeyringFile();
+  const now = new Date().toISOString();
+  const added = [];
+
+  for (const purpose of purposes) {
+    const purposeKeys = data.keys.filter(record => record.purpose === purpose);
+
+    if (purposeKeys.length === 0) {
+      data.keys.push({ kid: `legacy-${purpose}`, purpose, alg: 'HS256', source: 'env', createdAt: null, retiredAt: now });
+    }
+
+    purposeKeys
+      .filter(record => !record.retiredAt)
+      .forEach(record => {
+        record.retiredAt = now;
+      });
+
+    const record = { kid: generateKid(), purpose, alg, createdAt: now, retiredAt: null, ...generateKeyMaterial(alg) };
+    data.keys.push(record);
+    added.push(summarizeKey(record));
+  }
+
+  const removed = pruneRecords(data);
+  writeKeyringFile(data);
+
+  return { added, removed };
+};
+
+/**
+ * SECURITY: Remove keys whose grace period has ended
+ * @returns {Object[]} - Removed key summaries
+ */
+export const pruneKeys = () => {
+  const data = readKeyringFile();
+  const removed = pruneRecords(data);
+
+  if (removed.length > 0) {
+    writeKeyringFile(data);
+  }
+
+  return removed;
+};
+
+const pruneRecords = (data) => {
+  const removed = data.keys.filter(record => !isWithinGrace(record));
+  data.keys = data.keys.filter(record => isWithinGrace(record));
+  return removed.map(summarizeKey);
+};
+
+/**
+ * Key metadata without key material (CLI output)
+ */
+export const summarizeKey = (record) => ({
+  kid: record.kid,
+  purpose: record.purpose,
+  alg: record.alg,
+  source: record.source || 'keyring',
+  createdAt: record.createdAt,
+  retiredAt: record.retiredAt,
+});
+
+/**
+ * Drop the cached keyring (tests, after external edits)
+ */
+export const resetKeyringCache = () => {
+  cache = null;
+  lastCheckAt = 0;
+};
@@ -0,0 +1,101 @@
+/**
+ * SECURITY: Mail Delivery
+ *
+ * Pluggable transport selected by config.mail.transport:
+ * 1. smtp - nodemailer SMTP (defaults to a local catcher such as Mailpit on :1025)
+ * 2. console - logs messages instead of sending (local development without a catcher)
+ * 3. memory - keeps messages in an in-process outbox (automated tests)
+ *
+ * Why pluggable: security emails (reset links) must be testable end-to-end
+ * without a real mail server or leaking tokens to external services
+ */
+
+import nodemailer from 'nodemailer';
+import config from '../config/config.js';
+
+/**
+ * In-memory outbox used by the memory transport
+ */
+export const outbox = [];
+
+let transporter = null;
+
+/**
+ * Lazily create the configured transport
+ * @returns {{ sendMail: Function }}
+ */
+const getTransport = () => {
+  if (transporter) {
+    return transporter;
+  }
+
+  switch (config.mail.transport) {
+    case 'memory':
+      transporter = {
+        sendMail: async (message) => {
+          outbox.push({ ...message, sentAt: new Date() });
+          return { messageId: `memory-${outbox.length}` };
+        },
+      };
+      break;
+    case 'console':
+      transporter = {
+        sendMail: async (message) => {
+          console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+          return { messageId: `console-${Date.now()}` };
+        },
+      };
+      break;
+    default:
+      transporter = nodemailer.createTransport({
+        host: config.mail.host,
+        port: config.mail.port,
+        secure: config.mail.secure,
+        ...(config.mail.user && {
+          auth: { user: config.mail.user, pass: config.mail.pass },
+        }),
+      });
+  }
+
+  return transporter;
+};
+
+/**
+ * Replace the transport (tests or alternative providers)
+ * @param {{ sendMail: Function }|null} customTransport - null restores the configured transport
+ */
+export const setTransport = (customTransport) => {
+  transporter = customTransport;
+};
+
+/**
+ * Send an email
+ * @param {Object} message
+ * @param {string} message.to
+ * @param {string} message.subject
+ * @param {string} message.text
+ * @param {string} [message.html]
+ * @returns {Promise<Object>} - Transport result
+ */
+export const sendMail = ({ to, subject, text, html }) => {
+  return getTransport().sendMail({
+    from: config.mail.from,
+    to,
+    subject,
+    text,
+    ...(html && { html }),
+  });
+};
+
+/**
+ * Send an email without blocking the request (errors are logged only)
+ * SECURITY: Keeps response timing independent of mail delivery
+ * @param {Object} message - See sendMail
+ */
+export const sendMailInBackground = (message) => {
+  sendMail(message).catch((error) => {
+    console.error('Mail delivery error:', error.message);
+  });
+};
+
+export default { sendMail, sendMailInBackground, setTransport, outbox };
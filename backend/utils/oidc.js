@@ -0,0 +1,322 @@
+/**
+ * SECURITY DECISION: OpenID Connect Relying Party
+ *
+ * 1. Provider endpoints come from discovery (/.well-known/openid-configuration)
+ * 2. Authorization code flow with PKCE (S256), state and nonce
+ * 3. ID tokens are verified against the provider JWKS: signature (asymmetric
+ *    algorithms only), issuer, audience, azp, expiry and nonce
+ * 4. Provider groups/roles are mapped onto local roles (highest role wins)
+ * 5. The login state is bound to the browser with a short-lived HttpOnly cookie
+ *
+ * Why no client library: the flow is small, and keeping it on node:crypto and
+ * jsonwebtoken means every check the login depends on is visible here
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import config from '../config/config.js';
+
+// SECURITY: Never accept 'none' or HMAC (the client secret is not a signing key here)
+const SUPPORTED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Role priority for group mapping (first match wins)
+const ROLE_PRIORITY = ['admin', 'project-lead', 'developer'];
+
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+export const OIDC_STATE_COOKIE = 'pfn_oidc';
+
+let discoveryCache = null;
+let jwksCache = null;
+
+/**
+ * SSO failure with a short code the login page can explain
+ * Codes: unavailable, cancelled, expired, not_allowed, failed
+ */
+export class OidcError extends Error {
+  constructor(message, code = 'failed') {
+    super(message);
+    this.name = 'OidcError';
+    this.code = code;
+  }
+}
+
+/**
+ * @returns {boolean} - True when an OIDC provider is configured
+ */
+export const isOidcEnabled = () => Boolean(config.oidc.issuer && config.oidc.clientId);
+
+/**
+ * Drop cached discovery and keys (tests, provider change)
+ */
+export const resetOidcCache = () => {
+  discoveryCache = null;
+  jwksCache = null;
+};
+
+/**
+ * Fetch a JSON document from the provider with a timeout
+ */
+const fetchJson = async (url, options = {}) => {
+  let response;
+
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+  } catch (error) {
+    throw new OidcError(`Identity provider is unreachable (${error.message})`, 'unavailable');
+  }
+
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok || !body) {
+    const detail = body?.error_description || body?.error || `HTTP ${response.status}`;
+    throw new OidcError(`Identity provider request failed: ${detail}`);
+  }
+
+  return body;
+};
+
+/**
+ * SECURITY: Load provider metadata (cached for an hour)
+ * The advertised issuer must match the configured one exactly
+ */
+export const getDiscovery = async () => {
+  if (discoveryCache && discoveryCache.issuer === config.oidc.issuer && discoveryCache.expiresAt > Date.now()) {
+    return discoveryCache.document;
+  }
+
+  const document = await fetchJson(`${config.oidc.issuer}/.well-known/openid-configuration`);
+
+  if (document.issuer !== config.oidc.issuer) {
+    throw new OidcError('Identity provider issuer does not match OIDC_ISSUER');
+  }
+
+  if (!document.authorization_endpoint || !document.token_endpoint || !document.jwks_uri) {
+    throw new OidcError('Identity provider discovery document is incomplete');
+  }
+
+  discoveryCache = { issuer: config.oidc.issuer, document, expiresAt: Date.now() + CACHE_TTL_MS };
+  jwksCache = null;
+
+  return document;
+};
+
+/**
+ * SECURITY: Resolve the provider signing key for a token header
+ * Refetches the key set once on an unknown kid (provider key rotation)
+ */
+const getSigningKey = async (kid) => {
+  const discovery = await getDiscovery();
+
+  const findKey = (keys) => {
+    const signingKeys = keys.filter(key => key.use !== 'enc');
+    return kid
+      ? signingKeys.find(key => key.kid === kid)
+      : signingKeys.length === 1 ? signingKeys[0] : undefined;
+  };
+
+  if (!jwksCache || jwksCache.expiresAt <= Date.now()) {
+    const { keys = [] } = await fetchJson(discovery.jwks_uri);
+    jwksCache = { keys, expiresAt: Date.now() + CACHE_TTL_MS };
+  }
+
+  let jwk = findKey(jwksCache.keys);
+
+  if (!jwk) {
+    const { keys = [] } = await fetchJson(discovery.jwks_uri);
+    jwksCache = { keys, expiresAt: Date.now() + CACHE_TTL_MS };
+    jwk = findKey(keys);
+  }
+
+  if (!jwk) {
+    throw new OidcError('ID token signing key not found at the identity provider');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * SECURITY: PKCE S256 challenge for a verifier
+ */
+export const createCodeChallenge = (codeVerifier) =>
+  crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+/**
+ * SECURITY: Build the provider authorization URL with fresh state, nonce and PKCE verifier
+ * @returns {Promise<{ url: string, state: string, nonce: string, codeVerifier: string }>}
+ */
+export const createAuthorizationRequest = async () => {
+  const discovery = await getDiscovery();
+
+  const state = crypto.randomBytes(32).toString('base64url');
+  const nonce = crypto.randomBytes(32).toString('base64url');
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+
+  const url = new URL(discovery.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', config.oidc.clientId);
+  url.searchParams.set('redirect_uri', config.oidc.redirectUri);
+  url.searchParams.set('scope', config.oidc.scopes);
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', createCodeChallenge(codeVerifier));
+  url.searchParams.set('code_challenge_method', 'S256');
+
+  return { url: url.toString(), state, nonce, codeVerifier };
+};
+
+/**
+ * SECURITY: Redeem an authorization code at the token endpoint
+ * Confidential clients authenticate with client_secret_basic; public clients rely on PKCE
+ * @returns {Promise<Object>} - Token response (contains id_token)
+ */
+export const exchangeCode = async (code, codeVerifier) => {
+  const discovery = await getDiscovery();
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.oidc.redirectUri,
+    code_verifier: codeVerifier,
+  });
+
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+  if (config.oidc.clientSecret) {
+    const credentials = `${encodeURIComponent(config.oidc.clientId)}:${encodeURIComponent(config.oidc.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    body.set('client_id', config.oidc.clientId);
+  }
+
+  const tokens = await fetchJson(discovery.token_endpoint, { method: 'POST', headers, body });
+
+  if (typeof tokens.id_token !== 'string') {
+    throw new OidcError('Identity provider did not return an ID token');
+  }
+
+  return tokens;
+};
+
+/**
+ * SECURITY: Verify an ID token and return its claims
+ * @param {string} idToken - Compact JWS from the token endpoint
+ * @param {Object} options
+ * @param {string} options.nonce - Nonce sent with the authorization request
+ * @returns {Promise<Object>} - Verified claims
+ */
+export const validateIdToken = async (idToken, { nonce }) => {
+  const discovery = await getDiscovery();
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded || typeof decoded.payload !== 'object') {
+    throw new OidcError('ID token is malformed');
+  }
+
+  const advertised = discovery.id_token_signing_alg_values_supported || ['RS256'];
+  const algorithms = SUPPORTED_ALGORITHMS.filter(alg => advertised.includes(alg));
+
+  if (!algorithms.includes(decoded.header.alg)) {
+    throw new OidcError(`ID token algorithm ${decoded.header.alg} is not accepted`);
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+
+  let claims;
+
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms,
+      issuer: discovery.issuer,
+      audience: config.oidc.clientId,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS,
+    });
+  } catch (error) {
+    throw new OidcError(`ID token validation failed: ${error.message}`);
+  }
+
+  // SECURITY: Multi-audience tokens must name this client as the authorized party
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== config.oidc.clientId) {
+    throw new OidcError('ID token authorized party does not match this client');
+  }
+
+  if (typeof nonce !== 'string' || claims.nonce !== nonce) {
+    throw new OidcError('ID token nonce does not match the login request');
+  }
+
+  if (!claims.sub) {
+    throw new OidcError('ID token has no subject');
+  }
+
+  return claims;
+};
+
+/**
+ * Read a claim by dotted path (e.g. 'realm_access.roles') as a list of strings
+ */
+const readClaimList = (claims, path) => {
+  const value = path
+    .split('.')
+    .reduce((current, key) => (current && typeof current === 'object' ? current[key] : undefined), claims);
+
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+
+  return typeof value === 'string' ? value.split(/[\s,]+/).filter(Boolean) : [];
+};
+
+/**
+ * SECURITY: Map provider groups to a local role
+ * @param {Object} claims - Verified ID token claims
+ * @returns {string|null} - Highest mapped role, or null when no group matches
+ */
+export const mapRole = (claims) => {
+  const groups = readClaimList(claims, config.oidc.roleClaim);
+
+  return ROLE_PRIORITY.find(candidate =>
+    config.oidc.roleMapping[candidate].some(group => groups.includes(group))
+  ) || null;
+};
+
+/**
+ * Local profile fields from verified claims
+ * @returns {{ email: string|null, emailVerified: boolean, fullName: string }}
+ */
+export const getProfile = (claims) => {
+  const email = typeof claims.email === 'string' ? claims.email.trim().toLowerCase() : null;
+  const name = claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ');
+
+  return {
+    email,
+    // Providers that omit email_verified (e.g. Entra ID) only issue managed addresses
+    emailVerified: claims.email_verified !== false && claims.email_verified !== 'false',
+    fullName: (name || email || claims.sub).slice(0, 100),
+  };
+};
+
+/**
+ * SECURITY: Cookie binding the login state to the browser that started it
+ * SameSite=Lax so it survives the top-level redirect back from the provider
+ */
+const stateCookieOptions = () => ({
+  httpOnly: true,
+  secure: config.authCookie.secure,
+  sameSite: 'lax',
+  path: '/api/auth/oidc',
+});
+
+export const setStateCookie = (res, state) => {
+  res.cookie(OIDC_STATE_COOKIE, state, {
+    ...stateCookieOptions(),
+    maxAge: config.oidc.loginTimeoutMinutes * 60 * 1000,
+  });
+};
+
+export const readStateCookie = (req) => req.cookies?.[OIDC_STATE_COOKIE];
+
+export const clearStateCookie = (res) => {
+  res.clearCookie(OIDC_STATE_COOKIE, stateCookieOptions());
+};
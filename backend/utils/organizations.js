@@ -0,0 +1,205 @@
+/**
+ * SECURITY DECISION: Organization (Tenant) Resolution and Scoping
+ *
+ * 1. authenticate() resolves the active organization once per request
+ *    (req.user.organization) from the X-Organization header, falling back to
+ *    the user's first active organization
+ * 2. Asking for an organization the user does not belong to is refused, except
+ *    for super-admins (organization:manage), who may enter any active one
+ * 3. The user's role is the one of their membership in the active organization
+ *    (req.user.role); it never carries over to their other organizations
+ * 4. Controllers add tenantFilter() / userTenantFilter() to every query, so
+ *    records of other organizations look exactly like missing ones (404)
+ * 5. Records created before organizations existed are moved to the default
+ *    organization at startup
+ */
+
+import mongoose from 'mongoose';
+import Organization from '../models/Organization.js';
+import User from '../models/User.js';
+import Project from '../models/Project.js';
+import Document from '../models/Document.js';
+import Message from '../models/Message.js';
+import Team from '../models/Team.js';
+import Invitation from '../models/Invitation.js';
+import Impersonation from '../models/Impersonation.js';
+import Role from '../models/Role.js';
+import { hasPermission } from './permissions.js';
+
+export const ORGANIZATION_HEADER = 'X-Organization';
+
+/**
+ * SECURITY: Active organization for a request, and the user's role in it
+ * @param {Object} user - User document
+ * @param {string} [requested] - Organization ID asked for by the client
+ * @returns {Promise<Object|null>} - { organization, organizations } as ID strings
+ *   and role, or null when the requested organization is not available to the user
+ */
+export const resolveOrganization = async (user, requested) => {
+  const memberships = user.organizationIds();
+
+  // SECURITY: Suspended organizations cannot be entered
+  const active = await Organization.find({ _id: { $in: memberships }, isActive: true }).select('_id');
+  const organizations = memberships.filter(id => active.some(org => org._id.toString() === id));
+
+  const enter = (organization) => ({ organization, organizations, role: user.roleIn(organization) });
+
+  if (!requested) {
+    return organizations.length > 0 ? enter(organizations[0]) : null;
+  }
+
+  if (organizations.includes(requested)) {
+    return enter(requested);
+  }
+
+  if (
+    user.isSuperAdmin &&
+    mongoose.isValidObjectId(requested) &&
+    await Organization.exists({ _id: requested, isActive: true })
+  ) {
+    return enter(requested);
+  }
+
+  return null;
+};
+
+/**
+ * SECURITY: Filter for organization-owned records (projects, documents, ...)
+ */
+export const tenantFilter = (user) => ({ organization: user.organization });
+
+/**
+ * SECURITY: Filter for users belonging to the active organization
+ */
+export const userTenantFilter = (user) => ({ 'memberships.organization': user.organization });
+
+/**
+ * SECURITY: Filter for users holding a role in an organization
+ * The role must be the one of that membership, not of another organization
+ * @param {string} organization - Organization ID
+ * @param {string|Object} role - Role name or condition, e.g. { $in: [...] }
+ */
+export const userRoleFilter = (organization, role) => ({
+  memberships: { $elemMatch: { organization, role } },
+});
+
+/**
+ * SECURITY: Projection for populated users with their membership (role) in one
+ * organization only; the other organizations they belong to stay hidden
+ * @param {string} organization - Organization ID
+ * @param {string} fields - Other fields, e.g. 'username fullName'
+ */
+export const userFieldsIn = (organization, fields) => ({
+  ...Object.fromEntries(fields.split(' ').map(field => [field, 1])),
+  memberships: { $elemMatch: { organization: new mongoose.Types.ObjectId(organization) } },
+});
+
+/**
+ * IDs of the users belonging to the active organization
+ * For collections keyed by user only (security events)
+ */
+export const organizationUserIds = async (user) =>
+  User.find(userTenantFilter(user)).distinct('_id');
+
+/**
+ * SECURITY: Whether an org admin may change an account
+ * Accounts shared with other organizations affect those too, and
+ * super-admins operate the whole platform, so only super-admins change them
+ * @param {Object} actor - req.user
+ * @param {Object} account - User document
+ */
+export const canManageAccount = (actor, account) =>
+  hasPermission(actor, 'organization:manage') ||
+  (!account.isSuperAdmin && account.organizationIds().every(id => id === actor.organization));
+
+/**
+ * SECURITY: Organization a new SSO account joins, from its email domain
+ * @returns {Promise<string>} - The default organization when no organization
+ *   claims the domain
+ */
+export const organizationForEmail = async (email) => {
+  const domain = email.split('@').pop().toLowerCase();
+  const organization = await Organization.findOne({
+    'settings.allowedEmailDomains': domain,
+    isActive: true,
+  }).select('_id');
+
+  return organization ? organization._id.toString() : Organization.getDefaultId();
+};
+
+/**
+ * Custom roles from before organizations: every organization whose users hold
+ * the role gets its own copy, so nobody loses access
+ * @returns {Promise<number>} - Roles assigned
+ */
+const assignLegacyRoles = async (defaultOrganization) => {
+  // Role names used to be unique platform-wide; they are now unique per organization
+  await Role.syncIndexes();
+
+  const legacy = await Role.find({ organization: { $exists: false } });
+
+  for (const role of legacy) {
+    const holders = await User.distinct('memberships.organization', { 'memberships.role': role.name });
+    const [first = defaultOrganization, ...others] = holders;
+    const { name, description, permissions, createdBy } = role;
+
+    await Role.updateOne({ _id: role._id }, { $set: { organization: first } });
+    await Role.insertMany(others.map(organization => ({ organization, name, description, permissions, createdBy })));
+  }
+
+  return legacy.length;
+};
+
+/**
+ * SECURITY: Move records without an organization to the default organization
+ * Idempotent; runs at startup so data from before organizations stays reachable
+ */
+export const assignRecordsToDefaultOrganization = async () => {
+  const organization = new mongoose.Types.ObjectId(await Organization.getDefaultId());
+  const missing = { organization: { $exists: false } };
+
+  // Accounts from before organizations join the default one, then keep their
+  // one role in each of their organizations. Update pipelines bypass the
+  // schema on purpose: organizations and role are no longer User fields
+  const legacyUsers = { memberships: { $exists: false } };
+
+  await User.updateMany(
+    {
+      ...legacyUsers,
+      // Tombstones of deleted users belong to no organization on purpose
+      deletedAt: null,
+      $or: [{ organizations: { $exists: false } }, { organizations: { $size: 0 } }],
+    },
+    [{ $set: { organizations: [organization] } }]
+  );
+
+  const converted = await User.updateMany(legacyUsers, [
+    {
+      $set: {
+        memberships: {
+          $map: {
+            input: { $ifNull: ['$organizations', []] },
+            as: 'organization',
+            in: { organization: '$$organization', role: { $ifNull: ['$role', 'developer'] } },
+          },
+        },
+      },
+    },
+    { $unset: ['organizations', 'role'] },
+  ]);
+
+  const results = await Promise.all(
+    [Project, Document, Message, Team, Invitation, Impersonation].map(Model =>
+      Model.updateMany(missing, { $set: { organization } })
+    )
+  );
+
+  const moved = results.reduce((sum, result) => sum + result.modifiedCount, 0) +
+    await assignLegacyRoles(organization);
+  if (moved > 0) {
+    console.log(`[${new Date().toISOString()}] ${moved} record(s) assigned to the default organization`);
+  }
+  if (converted.modifiedCount > 0) {
+    console.log(`[${new Date().toISOString()}] ${converted.modifiedCount} user(s) given per-organization roles`);
+  }
+};
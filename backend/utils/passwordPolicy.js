@@ -0,0 +1,183 @@
+/**
+ * SECURITY DECISION: Password Policy Engine
+ *
+ * Single source of truth for password rules (config.passwordPolicy):
+ * 1. Length bounds (max 72 because bcrypt ignores the rest)
+ * 2. Required character classes
+ * 3. Banned list of common passwords from a local file (case-insensitive)
+ * 4. No reuse of the current or last N passwords (bcrypt compare against history)
+ * 5. Maximum age, after which the user must change the password before using the API
+ *
+ * Used by user creation, admin reset, self change, self-service reset and setup.js,
+ * so every path enforces the same rules. The public description is served to the
+ * frontend for live feedback; the banned list itself is never exposed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import config from '../config/config.js';
+
+const backendRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+let bannedPasswords = null;
+
+/**
+ * Load the banned list once (one password per line, # comments allowed)
+ * @returns {Set<string>}
+ */
+const getBannedPasswords = () => {
+  if (bannedPasswords) {
+    return bannedPasswords;
+  }
+
+  const file = path.resolve(backendRoot, config.passwordPolicy.bannedListFile);
+
+  try {
+    bannedPasswords = new Set(
+      fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  } catch (error) {
+    console.warn(`Password banned list not loaded (${file}): ${error.message}`);
+    bannedPasswords = new Set();
+  }
+
+  return bannedPasswords;
+};
+
+/**
+ * Policy description safe to send to clients
+ * @returns {Object}
+ */
+export const getPublicPasswordPolicy = () => {
+  const policy = config.passwordPolicy;
+
+  return {
+    minLength: policy.minLength,
+    maxLength: policy.maxLength,
+    requireUppercase: policy.requireUppercase,
+    requireLowercase: policy.requireLowercase,
+    requireNumber: policy.requireNumber,
+    requireSymbol: policy.requireSymbol,
+    bannedListEnabled: getBannedPasswords().size > 0,
+    historySize: policy.historySize,
+    maxAgeDays: policy.maxAgeDays,
+  };
+};
+
+/**
+ * Human readable summary of the policy (CLI prompts)
+ * @returns {string}
+ */
+export const describePasswordPolicy = () => {
+  const policy = config.passwordPolicy;
+  const classes = [
+    policy.requireUppercase && 'an uppercase letter',
+    policy.requireLowercase && 'a lowercase letter',
+    policy.requireNumber && 'a number',
+    policy.requireSymbol && 'a special character',
+  ].filter(Boolean);
+
+  return `At least ${policy.minLength} characters` +
+    (classes.length > 0 ? ` including ${classes.join(', ')}` : '') +
+    '. Common passwords are rejected.';
+};
+
+/**
+ * SECURITY: Check a candidate against the stateless rules
+ * @param {string} password - Plaintext candidate
+ * @returns {string[]} - Violations (empty when valid)
+ */
+export const validatePasswordRules = (password) => {
+  const policy = config.passwordPolicy;
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return ['Password is required'];
+  }
+
+  if (password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters`);
+  }
+
+  if (Buffer.byteLength(password, 'utf8') > policy.maxLength) {
+    errors.push(`Password must not exceed ${policy.maxLength} bytes`);
+  }
+
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+
+  if (policy.requireNumber && !/\d/.test(password)) {
+    errors.push('Password must contain a number');
+  }
+
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain a special character');
+  }
+
+  if (getBannedPasswords().has(password.toLowerCase())) {
+    errors.push('Password is too common. Choose a less predictable password');
+  }
+
+  return errors;
+};
+
+/**
+ * SECURITY: Full policy check including password history
+ * @param {string} password - Plaintext candidate
+ * @param {Object} [options]
+ * @param {Object} [options.user] - Existing user document (enables the reuse check)
+ * @returns {Promise<string[]>} - Violations (empty when valid)
+ */
+export const checkPassword = async (password, { user } = {}) => {
+  const errors = validatePasswordRules(password);
+
+  if (errors.length === 0 && user && !user.isNew && await user.isPasswordReused(password)) {
+    errors.push(
+      config.passwordPolicy.historySize > 0
+        ? `Password must not match your current or last ${config.passwordPolicy.historySize} passwords`
+        : 'New password must be different from the current password'
+    );
+  }
+
+  return errors;
+};
+
+/**
+ * SECURITY: Whether the password is older than the configured maximum age
+ * @param {Object} user - User document
+ * @returns {boolean}
+ */
+export const isPasswordExpired = (user) => {
+  const { maxAgeDays } = config.passwordPolicy;
+
+  // SSO-only accounts have no local password to expire
+  if (!maxAgeDays || user.authProvider === 'oidc') {
+    return false;
+  }
+
+  const changedAt = user.passwordChangedAt || user.createdAt;
+  return !changedAt || Date.now() - changedAt.getTime() > maxAgeDays * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * Standard 400 response for policy violations (same shape as handleValidationErrors)
+ * @param {Object} res - Express response
+ * @param {string[]} errors - Violations from checkPassword
+ * @param {string} [field] - Request field holding the password
+ */
+export const sendPasswordPolicyError = (res, errors, field = 'password') => {
+  return res.status(400).json({
+    success: false,
+    message: errors[0],
+    errors: errors.map(message => ({ field, message })),
+  });
+};
@@ -0,0 +1,277 @@
+/**
+ * SECURITY DECISION: Permission Checks
+ *
+ * 1. Resolves a role name (built-in or the organization's custom role) to its
+ *    permission set; a user's role is the one of their active organization
+ * 2. authenticate() attaches the set to req.user.permissions, so checks are
+ *    synchronous in controllers
+ * 3. One place decides project relationships (lead, member), replacing the
+ *    per-controller access helpers
+ * 4. On a project, precedence is: ":any" permission, lead, co-lead or creator
+ *    (global role), explicit membership (project role), assignment (global role)
+ * 5. Projects of another organization are never accessible, whatever the
+ *    permission
+ * 6. Nobody grants a role with permissions they do not hold themselves
+ *    (a user:manage holder cannot make anyone an admin), nor acts on an
+ *    account holding such a role
+ *
+ * The registry itself lives in config/permissions.js
+ */
+
+import Role from '../models/Role.js';
+import Team from '../models/Team.js';
+import {
+  PERMISSIONS,
+  ADMIN_PERMISSIONS,
+  BUILT_IN_ROLES,
+  BUILT_IN_ROLE_NAMES,
+  PROJECT_ROLES,
+  PROJECT_ROLE_NAMES,
+  PLATFORM_PERMISSION_NAMES,
+  ROLE_TRAIT_PERMISSIONS,
+} from '../config/permissions.js';
+
+export {
+  PERMISSIONS,
+  ADMIN_PERMISSIONS,
+  BUILT_IN_ROLES,
+  BUILT_IN_ROLE_NAMES,
+  PROJECT_ROLES,
+  PROJECT_ROLE_NAMES,
+};
+
+/**
+ * Permission set of a role in an organization
+ * @param {string} role - Built-in or custom role name
+ * @param {string} organization - Organization ID (custom roles belong to one)
+ * @returns {Promise<string[]>} - Empty for unknown (e.g. deleted) roles
+ */
+export const getRolePermissions = async (role, organization) => {
+  if (Object.hasOwn(BUILT_IN_ROLES, role)) {
+    return BUILT_IN_ROLES[role].permissions;
+  }
+
+  // SECURITY: Fails closed - without an organization no custom role matches
+  if (!role || !organization) return [];
+
+  const custom = await Role.findOne({ name: role, organization }).select('permissions');
+  return custom ? custom.permissions : [];
+};
+
+/**
+ * Permission set of a user in an organization: their role's there, plus
+ * platform permissions for super-admins
+ * @param {Object} user - User document
+ * @param {string} organization - Active organization ID
+ */
+export const getUserPermissions = async (user, organization) => [
+  ...(await getRolePermissions(user.roleIn(organization), organization)),
+  ...(user.isSuperAdmin ? PLATFORM_PERMISSION_NAMES : []),
+];
+
+/**
+ * Whether a role name can be given to a user of an organization
+ */
+export const isValidRole = async (role, organization) => {
+  if (typeof role !== 'string') return false;
+  if (Object.hasOwn(BUILT_IN_ROLES, role)) return true;
+  if (!organization) return false;
+  return Boolean(await Role.exists({ name: role, organization }));
+};
+
+/**
+ * Whether a role grants a permission in an organization
+ */
+export const roleHasPermission = async (role, permission, organization) =>
+  (await getRolePermissions(role, organization)).includes(permission);
+
+/**
+ * Names of every role (built-in and the organization's custom ones) that grants a permission
+ * Used to query users by capability, e.g. who can be assigned to projects
+ */
+export const rolesWithPermission = async (permission, organization) => {
+  const custom = organization
+    ? await Role.find({ permissions: permission, organization }).select('name')
+    : [];
+
+  return [
+    ...BUILT_IN_ROLE_NAMES.filter(name => BUILT_IN_ROLES[name].permissions.includes(permission)),
+    ...custom.map(role => role.name),
+  ];
+};
+
+/**
+ * Whether an authenticated user (req.user) holds any of the permissions
+ */
+export const hasPermission = (user, ...permissions) =>
+  permissions.some(permission => Boolean(user?.permissions?.includes(permission)));
+
+/**
+ * SECURITY: Permissions an authenticated user (req.user) may not hand out
+ * because they do not hold them; role traits (ROLE_TRAIT_PERMISSIONS) are
+ * never beyond anyone
+ * @param {Object} actor - req.user
+ * @param {string[]} permissions - Permissions to give
+ * @returns {string[]}
+ */
+export const permissionsBeyond = (actor, permissions) => permissions.filter(permission =>
+  !ROLE_TRAIT_PERMISSIONS.includes(permission) && !hasPermission(actor, permission)
+);
+
+/**
+ * SECURITY: Whether an authenticated user (req.user) may give a role to someone
+ * in their active organization: every permission of the role must be their own
+ * @param {Object} actor - req.user
+ * @param {string} role - Role name
+ */
+export const canGrantRole = async (actor, role) =>
+  permissionsBeyond(actor, await getRolePermissions(role, actor.organization)).length === 0;
+
+/**
+ * SECURITY: Whether an authenticated user (req.user) may act on another
+ * account (reset its password, deactivate, delete...): the account's role in
+ * the active organization must be one they could give
+ * @param {Object} actor - req.user
+ * @param {Object} account - User document
+ */
+export const canActOnAccount = (actor, account) =>
+  canGrantRole(actor, account.roleIn(actor.organization));
+
+/**
+ * IDs of the teams a user belongs to
+ * authenticate() attaches them to req.user.teams for project checks
+ */
+export const getUserTeamIds = async (userId) =>
+  (await Team.find({ members: userId }).select('_id')).map(team => team._id.toString());
+
+/**
+ * User JSON with the role and permission set in an organization, for clients
+ * that adapt their UI
+ * @param {Object} user - User document
+ * @param {string} organization - Active organization ID
+ */
+export const withPermissions = async (user, organization) => ({
+  ...user.toOrganizationJSON(organization),
+  permissions: await getUserPermissions(user, organization),
+});
+
+/**
+ * Helper to get ID string from populated or unpopulated field
+ */
+const getId = (field) => {
+  if (!field) return null;
+  if (typeof field === 'object' && field._id) return field._id.toString();
+  return field.toString();
+};
+
+/**
+ * SECURITY: Project belongs to the user's active organization
+ * Fails closed: a project or user without an organization matches nothing
+ */
+const inUserOrganization = (user, project) =>
+  Boolean(user.organization) && getId(project.organization) === user.organization;
+
+/**
+ * SECURITY: User leads, co-leads or created the project
+ */
+export const isProjectLead = (user, project) =>
+  getId(project.projectLead) === user.id ||
+  getId(project.createdBy) === user.id ||
+  Boolean(project.coLeads?.some(coLead => getId(coLead) === user.id));
+
+/**
+ * SECURITY: User's membership role on the project, if any
+ * @returns {string|null} - 'viewer', 'contributor' or 'maintainer'
+ */
+export const getProjectRole = (user, project) =>
+  project.members?.find(member => getId(member.user) === user.id)?.role || null;
+
+/**
+ * SECURITY: User leads, created, is assigned to (directly or through a team) or
+ * is a member of the project
+ */
+export const isProjectMember = (user, project) =>
+  isProjectLead(user, project) ||
+  Boolean(getProjectRole(user, project)) ||
+  Boolean(project.assignedDevelopers?.some(dev => getId(dev) === user.id)) ||
+  Boolean(project.teams?.some(team => user.teams?.includes(getId(team))));
+
+/**
+ * Project roles that grant a permission
+ */
+const projectRolesWith = (permission) =>
+  PROJECT_ROLE_NAMES.filter(name => PROJECT_ROLES[name].permissions.includes(permission));
+
+/**
+ * SECURITY: Check a project-scoped permission
+ * Granted by "<permission>:any"; otherwise leads use their global role, members
+ * their project role, and everyone else their global role within its scope
+ * @param {Object} user - req.user
+ * @param {string} permission - Base permission, e.g. 'project:update'
+ * @param {Object} project - Project document (populated or not)
+ */
+export const canOnProject = (user, permission, project) => {
+  if (project && !inUserOrganization(user, project)) return false;
+  if (hasPermission(user, `${permission}:any`)) return true;
+  if (!project) return false;
+
+  if (isProjectLead(user, project)) return hasPermission(user, permission);
+
+  // SECURITY: A membership replaces the global role on this project, so a
+  // viewer stays read-only even if their global role could do more
+  const projectRole = getProjectRole(user, project);
+  if (projectRole) return PROJECT_ROLES[projectRole].permissions.includes(permission);
+
+  if (!hasPermission(user, permission)) return false;
+
+  switch (PERMISSIONS[permission]?.scope) {
+    case 'member':
+      return isProjectMember(user, project);
+    case 'lead':
+      return false;
+    default:
+      return true;
+  }
+};
+
+/**
+ * SECURITY: Project query filter for a project-scoped permission
+ * Mirrors canOnProject, limited to the user's active organization
+ * @returns {Object|null} - Mongo filter, or null when the user has no access at all
+ *   (also without an active organization)
+ */
+export const projectFilterFor = (user, permission) => {
+  if (!user.organization) return null;
+  
+  const tenant = { organization: user.organization };
+
+  if (hasPermission(user, `${permission}:any`)) return tenant;
+
+  const clauses = [];
+  const projectRoles = projectRolesWith(permission);
+
+  if (projectRoles.length > 0) {
+    clauses.push({ members: { $elemMatch: { user: user.id, role: { $in: projectRoles } } } });
+  }
+
+  if (hasPermission(user, permission)) {
+    const notMember = { 'members.user': { $ne: user.id } };
+
+    clauses.push({ projectLead: user.id }, { coLeads: user.id }, { createdBy: user.id });
+
+    switch (PERMISSIONS[permission]?.scope) {
+      case 'member':
+        clauses.push({ assignedDevelopers: user.id, ...notMember });
+        if (user.teams?.length) {
+          clauses.push({ teams: { $in: user.teams }, ...notMember });
+        }
+        break;
+      case 'lead':
+        break;
+      default:
+        clauses.push(notMember);
+    }
+  }
+
+  return clauses.length > 0 ? { ...tenant, $or: clauses } : null;
+};
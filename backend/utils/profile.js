@@ -0,0 +1,100 @@
+/**
+ * SECURITY DECISION: User Profiles (avatar, title, skills, availability)
+ *
+ * 1. Users edit only their own profile; nothing in it grants access
+ * 2. Avatars are PNG, JPEG or WebP images, recognised by their content (magic
+ *    bytes), not by the file name or the MIME type the browser sends
+ * 3. Skills are free-text tags, trimmed and deduplicated, bounded in number and length
+ * 4. Time zones must be IANA names the server knows
+ * 5. Avatars are public images with random names in cloud storage, so member
+ *    lists can show them; replaced and deleted ones are removed from storage
+ * Colleagues in the same organization see profiles (project member lists)
+ */
+
+import { deleteFromCloudinary } from './cloudinary.js';
+
+export const PROFILE_LIMITS = {
+  title: 100,
+  skills: 20,
+  skillLength: 40,
+  weeklyCapacity: 80, // hours
+  outOfOffice: 20,
+  outOfOfficeNote: 200,
+  avatarSize: 1024 * 1024, // 1MB
+};
+
+// Fields shown next to a user's name (project member lists)
+export const PROFILE_SUMMARY_FIELDS = [
+  'profile.avatarUrl',
+  'profile.title',
+  'profile.skills',
+  'profile.timezone',
+  'profile.weeklyCapacity',
+  'profile.outOfOffice',
+].join(' ');
+
+// File signatures of the accepted avatar formats
+const IMAGE_SIGNATURES = {
+  'image/png': [[0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]]],
+  'image/jpeg': [[0, [0xff, 0xd8, 0xff]]],
+  'image/webp': [[0, [0x52, 0x49, 0x46, 0x46]], [8, [0x57, 0x45, 0x42, 0x50]]], // RIFF....WEBP
+};
+
+export const AVATAR_MIME_TYPES = Object.keys(IMAGE_SIGNATURES);
+
+/**
+ * SECURITY: Image type of an uploaded file, from its content
+ * @param {Buffer} buffer
+ * @returns {string|null} - MIME type, null when it is not an accepted image
+ */
+export const detectImageType = (buffer) =>
+  AVATAR_MIME_TYPES.find(type =>
+    IMAGE_SIGNATURES[type].every(([offset, bytes]) =>
+      bytes.every((byte, index) => buffer?.[offset + index] === byte)
+    )
+  ) || null;
+
+/**
+ * Whether a time zone is a known IANA name (e.g. "Europe/Berlin")
+ */
+export const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone) return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Trimmed skills without blanks or case-insensitive duplicates (first spelling wins)
+ */
+export const normalizeSkills = (skills) => {
+  const seen = new Set();
+
+  return (Array.isArray(skills) ? skills : [])
+    .filter(skill => typeof skill === 'string')
+    .map(skill => skill.trim().replace(/\s+/g, ' '))
+    .filter(skill => {
+      const key = skill.toLowerCase();
+      if (!skill || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Remove an avatar image from cloud storage
+ * A failure is only logged: the profile no longer points at the image
+ */
+export const deleteStoredAvatar = async (publicId) => {
+  if (!publicId) return;
+
+  try {
+    await deleteFromCloudinary(publicId, { resource_type: 'image' });
+  } catch (error) {
+    console.warn('Failed to delete avatar from Cloudinary:', error.message);
+  }
+};
@@ -0,0 +1,80 @@
+/**
+ * SECURITY DECISION: Project Leadership Changes
+ *
+ * 1. Every change of lead or co-leads (edit, hand-over, user deletion) goes
+ *    through recordLeadershipChange
+ * 2. Document access of the previous and new leads is updated to match
+ * 3. The change is kept in the project history and announced in the thread
+ */
+
+import Project from '../models/Project.js';
+import User from '../models/User.js';
+import Message from '../models/Message.js';
+import { syncDocumentAccess } from './documentAccess.js';
+
+/**
+ * Lead and co-lead IDs of a project (populated or not)
+ */
+export const leadershipOf = (project) => {
+  const idOf = (field) => (field._id || field).toString();
+
+  return {
+    lead: project.projectLead ? idOf(project.projectLead) : null,
+    coLeads: (project.coLeads || []).map(idOf),
+  };
+};
+
+/**
+ * SECURITY: Follow up a change of lead or co-leads: document access, project
+ * history and a system message in the project thread
+ */
+export const recordLeadershipChange = async (projectId, before, after, actorId, note) => {
+  const history = [];
+
+  if (after.lead && after.lead !== before.lead) {
+    history.push({ action: 'lead-handover', actor: actorId, from: before.lead, to: after.lead, note });
+  }
+  after.coLeads
+    .filter(id => !before.coLeads.includes(id))
+    .forEach(id => history.push({ action: 'co-lead-added', actor: actorId, to: id, note }));
+  before.coLeads
+    .filter(id => !after.coLeads.includes(id) && id !== after.lead)
+    .forEach(id => history.push({ action: 'co-lead-removed', actor: actorId, from: id, note }));
+
+  if (history.length === 0) return;
+
+  await syncDocumentAccess(
+    projectId,
+    [before.lead, ...before.coLeads].filter(Boolean),
+    [after.lead, ...after.coLeads].filter(Boolean),
+    'project-lead'
+  );
+
+  await Project.updateOne({ _id: projectId }, { $push: { history: { $each: history } } });
+
+  const users = await User.find({
+    _id: { $in: history.flatMap(entry => [entry.from, entry.to]).filter(Boolean) },
+  }).select('fullName');
+  const nameOf = (id) => users.find(user => user._id.toString() === id)?.fullName || 'A former user';
+
+  const lines = history.map(entry => {
+    switch (entry.action) {
+      case 'lead-handover':
+        return entry.from
+          ? `Project leadership handed over from ${nameOf(entry.from)} to ${nameOf(entry.to)}.`
+          : `${nameOf(entry.to)} is now the project lead.`;
+      case 'co-lead-added':
+        return `${nameOf(entry.to)} is now a co-lead.`;
+      default:
+        return `${nameOf(entry.from)} is no longer a co-lead.`;
+    }
+  });
+  if (note) lines.push(`Note: ${note}`);
+
+  await Message.create({
+    project: projectId,
+    sender: actorId,
+    type: 'system',
+    content: lines.join(' '),
+  });
+};
@@ -0,0 +1,267 @@
+/**
+ * SECURITY DECISION: SCIM 2.0 Protocol Helpers (RFC 7643, RFC 7644)
+ *
+ * 1. Filters: only "<attribute> eq <value>" on attributes the endpoint lists;
+ *    anything else is rejected (invalidFilter) instead of matching everyone
+ * 2. PATCH operations are applied to the current SCIM representation, so a
+ *    patch and a full replace map onto the model the same way
+ * 3. Attributes the app does not store are ignored, never an error: identity
+ *    providers send their whole schema
+ * 4. Errors use the SCIM error schema, which provisioning clients parse
+ */
+
+export const SCIM_CONTENT_TYPE = 'application/scim+json';
+
+export const SCIM_SCHEMAS = {
+  user: 'urn:ietf:params:scim:schemas:core:2.0:User',
+  group: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+  listResponse: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+  patchOp: 'urn:ietf:params:scim:api:messages:2.0:PatchOp',
+  error: 'urn:ietf:params:scim:api:messages:2.0:Error',
+  serviceProviderConfig: 'urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig',
+};
+
+const DEFAULT_PAGE_SIZE = 100;
+export const SCIM_MAX_RESULTS = 200;
+
+export class ScimError extends Error {
+  constructor(status, detail, scimType) {
+    super(detail);
+    this.name = 'ScimError';
+    this.status = status;
+    this.scimType = scimType;
+  }
+}
+
+/**
+ * Send a SCIM error response; unexpected errors are logged and become a 500
+ */
+export const sendScimError = (res, error, context = 'SCIM') => {
+  if (!(error instanceof ScimError)) {
+    console.error(`${context} error:`, error);
+  }
+
+  const status = error instanceof ScimError ? error.status : 500;
+
+  res.status(status).type(SCIM_CONTENT_TYPE).json({
+    schemas: [SCIM_SCHEMAS.error],
+    status: String(status),
+    ...(error.scimType && { scimType: error.scimType }),
+    detail: error instanceof ScimError ? error.message : 'Internal server error',
+  });
+};
+
+/**
+ * SCIM booleans; some providers send "True"/"False" strings
+ * @returns {boolean|undefined} - undefined when the value is not a boolean
+ */
+export const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'string' && /^(true|false)$/i.test(value)) return value.toLowerCase() === 'true';
+  return undefined;
+};
+
+/**
+ * SECURITY: Parse a filter of the form `attribute eq "value"`
+ * @param {string} filter - Value of the filter query parameter
+ * @param {string[]} attributes - Attributes the endpoint can filter on
+ * @returns {{ attribute: string, value: string|boolean }|null} - null without a filter;
+ *   attribute is returned as listed in attributes
+ * @throws {ScimError} - invalidFilter for anything else
+ */
+export const parseFilter = (filter, attributes) => {
+  if (filter === undefined || filter === '') return null;
+
+  const match = typeof filter === 'string' &&
+    filter.trim().match(/^([A-Za-z][\w.]*)\s+eq\s+(?:"((?:[^"\\]|\\.)*)"|(true|false))$/i);
+  const attribute = match && attributes.find(name => name.toLowerCase() === match[1].toLowerCase());
+
+  if (!attribute) {
+    throw new ScimError(
+      400,
+      `Unsupported filter. Use: ${attributes.map(name => `${name} eq "..."`).join(', ')}`,
+      'invalidFilter'
+    );
+  }
+
+  return {
+    attribute,
+    value: match[3] ? match[3].toLowerCase() === 'true' : match[2].replace(/\\(.)/g, '$1'),
+  };
+};
+
+/**
+ * Paging parameters (1-based startIndex)
+ * @returns {{ startIndex: number, count: number }}
+ */
+export const listParams = (query) => {
+  const startIndex = Math.max(parseInt(query.startIndex, 10) || 1, 1);
+  const count = Number.isNaN(parseInt(query.count, 10))
+    ? DEFAULT_PAGE_SIZE
+    : Math.min(Math.max(parseInt(query.count, 10), 0), SCIM_MAX_RESULTS);
+
+  return { startIndex, count };
+};
+
+/**
+ * ListResponse envelope for one page of resources
+ */
+export const listResponse = (resources, totalResults, startIndex) => ({
+  schemas: [SCIM_SCHEMAS.listResponse],
+  totalResults,
+  startIndex,
+  itemsPerPage: resources.length,
+  Resources: resources,
+});
+
+/**
+ * Validated PatchOp operations with lowercased op names
+ * @throws {ScimError} - invalidSyntax when the body is not a PatchOp
+ */
+export const patchOperations = (body) => {
+  const operations = body?.Operations;
+
+  if (!Array.isArray(operations) || operations.length === 0 ||
+      operations.some(operation => !['add', 'replace', 'remove'].includes(String(operation?.op).toLowerCase()))) {
+    throw new ScimError(400, 'Body must be a PatchOp with add, replace or remove operations', 'invalidSyntax');
+  }
+
+  return operations.map(operation => ({ ...operation, op: operation.op.toLowerCase() }));
+};
+
+// Stored User attributes by lowercased SCIM path (paths are case-insensitive)
+const USER_ATTRIBUTES = {
+  username: 'userName',
+  displayname: 'displayName',
+  active: 'active',
+  name: 'name',
+  emails: 'emails',
+  'name.formatted': 'name.formatted',
+  'name.givenname': 'name.givenName',
+  'name.familyname': 'name.familyName',
+};
+
+/**
+ * Set one attribute path on a SCIM User representation
+ * @returns {string|undefined} - Canonical path, undefined when the app does not store it
+ */
+const setUserAttribute = (resource, path, value) => {
+  if (/^emails(\[[^\]]*\])?\.value$/i.test(path)) {
+    resource.emails = [{ value, type: 'work', primary: true }];
+    return 'emails';
+  }
+
+  const attribute = USER_ATTRIBUTES[path.toLowerCase()];
+
+  if (attribute?.startsWith('name.')) {
+    resource.name = { ...resource.name, [attribute.slice(5)]: value };
+  } else if (attribute) {
+    resource[attribute] = value;
+  }
+
+  return attribute;
+};
+
+/**
+ * SECURITY: Apply PATCH operations to a SCIM User representation
+ * Removals are ignored: every attribute the app stores is required.
+ * A changed name part or display name replaces the full name unless the same
+ * patch also sets the formatted name
+ * @param {Object} resource - Current representation (not modified)
+ * @param {Object[]} operations - From patchOperations()
+ * @returns {Object} - Patched representation
+ */
+export const applyUserPatch = (resource, operations) => {
+  const patched = { ...resource, name: { ...resource.name } };
+  const changed = new Set();
+
+  operations
+    .filter(operation => operation.op !== 'remove')
+    .forEach(({ path, value }) => {
+      if (path) {
+        changed.add(setUserAttribute(patched, path, value));
+      } else if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([key, entry]) => changed.add(setUserAttribute(patched, key, entry)));
+      }
+    });
+
+  const nameChanged = ['name', 'name.formatted', 'name.givenName', 'name.familyName'].some(path => changed.has(path));
+
+  if (nameChanged && !changed.has('name.formatted') && !changed.has('name')) {
+    delete patched.name.formatted;
+  } else if (changed.has('displayName') && !nameChanged) {
+    patched.name = {};
+  }
+
+  return patched;
+};
+
+/**
+ * SECURITY: User model fields described by a SCIM User representation
+ * userName and the primary email stand in for each other when one is missing;
+ * the full name comes from name.formatted, the name parts or displayName
+ * @returns {Object} - Subset of { username, email, fullName, isActive }
+ * @throws {ScimError} - invalidValue when active is not a boolean
+ */
+export const userFields = (resource) => {
+  const fields = {};
+  const emails = Array.isArray(resource.emails) ? resource.emails : [];
+  const email = (emails.find(entry => entry?.primary) || emails[0])?.value;
+  const name = resource.name && typeof resource.name === 'object' ? resource.name : {};
+  const fullName = name.formatted ||
+    [name.givenName, name.familyName].filter(part => typeof part === 'string').join(' ') ||
+    resource.displayName;
+
+  const userName = typeof resource.userName === 'string' ? resource.userName : email;
+  if (typeof userName === 'string') fields.username = userName.trim().toLowerCase();
+
+  const address = typeof email === 'string' ? email : resource.userName;
+  if (typeof address === 'string') fields.email = address.trim().toLowerCase();
+
+  if (typeof fullName === 'string' && fullName.trim()) fields.fullName = fullName.trim();
+
+  if (resource.active !== undefined) {
+    fields.isActive = parseBoolean(resource.active);
+
+    if (fields.isActive === undefined) {
+      throw new ScimError(400, 'active must be a boolean', 'invalidValue');
+    }
+  }
+
+  return fields;
+};
+
+/**
+ * Member IDs of a list of SCIM member objects
+ */
+const memberIds = (value) =>
+  (Array.isArray(value) ? value : [value])
+    .map(member => member?.value)
+    .filter(id => typeof id === 'string');
+
+/**
+ * SECURITY: Membership changes requested by Group PATCH operations
+ * Supports "members" with a value list and the members[value eq "id"] form;
+ * removing "members" without a value removes everyone; other attributes (e.g. displayName) are ignored
+ * @returns {{ add: string[], remove: string[], replace: string[]|null }}
+ */
+export const groupMemberChanges = (operations) => {
+  const changes = { add: [], remove: [], replace: null };
+
+  operations.forEach(({ op, path, value }) => {
+    const filtered = path?.match(/^members\[value eq "([^"]+)"\]$/i);
+
+    if (filtered && op === 'remove') {
+      changes.remove.push(filtered[1]);
+    } else if (path?.toLowerCase() === 'members') {
+      if (op === 'replace') changes.replace = memberIds(value);
+      else if (op === 'remove' && value === undefined) changes.replace = [];
+      else changes[op].push(...memberIds(value));
+    } else if (!path && op !== 'remove' && value?.members) {
+      if (op === 'replace') changes.replace = memberIds(value.members);
+      else changes.add.push(...memberIds(value.members));
+    }
+  });
+
+  return changes;
+};
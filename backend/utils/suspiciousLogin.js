@@ -0,0 +1,181 @@
+/**
+ * SECURITY DECISION: Suspicious Login Detection
+ *
+ * Every successful sign-in is compared with the user's login attempt history
+ * before it is recorded. Rules:
+ * 1. new-device: IP address or device (user agent without version numbers)
+ *    never seen in an earlier successful login; both new raises the severity
+ * 2. login-burst: successful logins from config.loginAlerts.burstDistinctIps
+ *    different IPs within burstWindowMinutes (impossible travel / shared account)
+ * 3. login-after-lockout: first successful login after the account was locked
+ *
+ * Each fired rule is stored as a SecurityEvent. The user and the active admins
+ * of the user's organizations get one in-app notification per suspicious login.
+ *
+ * Why no alert on the very first login: there is nothing to compare against yet
+ */
+
+import config from '../config/config.js';
+import User from '../models/User.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import SecurityEvent, { SECURITY_EVENT_TYPES } from '../models/SecurityEvent.js';
+import Notification from '../models/Notification.js';
+import { rolesWithPermission } from './permissions.js';
+import { userRoleFilter } from './organizations.js';
+
+// Successful logins considered "known" (history is bounded by its TTL anyway)
+const HISTORY_LIMIT = 500;
+
+const EVENT_DESCRIPTIONS = {
+  'new-device': 'sign-in from a new device or network',
+  'new-device-and-ip': 'sign-in from a new device on a new network',
+  'login-burst': 'sign-ins from several networks within a short time',
+  'login-after-lockout': 'sign-in right after the account was locked by failed attempts',
+};
+
+/**
+ * Device identity from a user agent, ignoring version numbers
+ * (browser updates must not look like a new device)
+ */
+export const deviceFingerprint = (userAgent = '') =>
+  userAgent.replace(/[\d._]+/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+/**
+ * SECURITY: Evaluate a successful login against the user's history
+ * Must run before the login itself is recorded.
+ * @param {Object} login - { user, ip, userAgent }
+ * @returns {Promise<Array<{type: string, details: Object}>>} - Fired rules
+ */
+export const detectSuspiciousLogin = async ({ user, ip, userAgent }) => {
+  const findings = [];
+
+  const successes = await LoginAttempt.find({ user: user._id, outcome: 'success' })
+    .sort({ createdAt: -1 })
+    .limit(HISTORY_LIMIT)
+    .select('ip userAgent createdAt');
+
+  const lastSuccess = successes[0];
+
+  // 1. New IP and/or device
+  if (config.loginAlerts.newDevice && successes.length > 0) {
+    const newIp = !successes.some(attempt => attempt.ip === ip);
+    const device = deviceFingerprint(userAgent);
+    const newDevice = !successes.some(attempt => deviceFingerprint(attempt.userAgent) === device);
+
+    if (newIp && newDevice) {
+      findings.push({ type: 'new-device-and-ip', details: { newIp, newDevice } });
+    } else if (newIp || newDevice) {
+      findings.push({ type: 'new-device', details: { newIp, newDevice } });
+    }
+  }
+
+  // 2. Burst of logins from different IPs
+  const { burstDistinctIps, burstWindowMinutes } = config.loginAlerts;
+  const windowStart = Date.now() - burstWindowMinutes * 60 * 1000;
+  const recentIps = new Set(
+    successes
+      .filter(attempt => attempt.createdAt.getTime() >= windowStart)
+      .map(attempt => attempt.ip)
+  );
+  recentIps.add(ip);
+
+  if (recentIps.size >= burstDistinctIps) {
+    findings.push({
+      type: 'login-burst',
+      details: { ips: [...recentIps], windowMinutes: burstWindowMinutes },
+    });
+  }
+
+  // 3. Lockout since the previous successful login
+  const lockout = await LoginAttempt.findOne({
+    user: user._id,
+    lockedAccount: true,
+    ...(lastSuccess && { createdAt: { $gt: lastSuccess.createdAt } }),
+  }).sort({ createdAt: -1 });
+
+  if (lockout) {
+    const failedAttempts = await LoginAttempt.countDocuments({
+      user: user._id,
+      outcome: { $in: ['invalid-password', 'invalid-mfa'] },
+      ...(lastSuccess && { createdAt: { $gt: lastSuccess.createdAt } }),
+    });
+
+    findings.push({
+      type: 'login-after-lockout',
+      details: { lockedAt: lockout.createdAt, failedAttempts },
+    });
+  }
+
+  return findings;
+};
+
+/**
+ * SECURITY: Detect, record and notify for a successful login
+ * Never throws - alerting must not decide whether a login succeeds
+ * @param {Object} req - Express request (IP and user agent)
+ * @param {Object} user - Authenticated user
+ * @param {string} method - 'password', 'mfa' or 'sso'
+ * @returns {Promise<Object[]>} - Created security events
+ */
+export const reportSuspiciousLogin = async (req, user, method) => {
+  try {
+    const ip = req.ip;
+    const userAgent = (req.get('user-agent') || '').slice(0, 512);
+    const findings = await detectSuspiciousLogin({ user, ip, userAgent });
+
+    if (findings.length === 0) {
+      return [];
+    }
+
+    const events = await SecurityEvent.insertMany(findings.map(({ type, details }) => ({
+      user: user._id,
+      type,
+      severity: SECURITY_EVENT_TYPES[type],
+      method,
+      ip,
+      userAgent,
+      details,
+    })));
+
+    const reasons = findings.map(({ type }) => EVENT_DESCRIPTIONS[type]).join('; ');
+    const when = new Date().toISOString();
+
+    await Notification.notify([user._id], {
+      type: 'security-alert',
+      title: 'Unusual sign-in to your account',
+      body:
+        `We noticed a ${reasons} (IP ${ip}, ${when}). ` +
+        'If this was not you, change your password and sign out your other sessions.',
+      link: '/account-settings',
+    });
+
+    // SECURITY: Only auditors of the user's own organizations are told
+    const auditors = await Promise.all(user.organizationIds().map(async organization =>
+      userRoleFilter(organization, { $in: await rolesWithPermission('security:audit', organization) })
+    ));
+    const admins = await User.find({
+      $or: auditors,
+      isActive: true,
+      _id: { $ne: user._id },
+    }).select('_id');
+
+    if (admins.length > 0) {
+      await Notification.notify(admins.map(admin => admin._id), {
+        type: 'security-alert',
+        title: `Suspicious sign-in: ${user.fullName}`,
+        body: `${user.username}: ${reasons} (IP ${ip}, ${when}).`,
+        link: '/security-events',
+      });
+    }
+
+    console.warn(
+      `[${when}] Suspicious login for user ${user._id} from IP ${ip}: ` +
+      findings.map(({ type }) => type).join(', ')
+    );
+
+    return events;
+  } catch (error) {
+    console.error('Suspicious login detection error:', error);
+    return [];
+  }
+};
@@ -0,0 +1,211 @@
+/**
+ * SECURITY DECISION: TOTP (RFC 6238) Multi-Factor Authentication
+ *
+ * 1. Secrets are 160-bit random values encoded as base32 (authenticator app format)
+ * 2. Codes are 6-digit HMAC-SHA1 values over 30-second time steps
+ * 3. Verification tolerates clock drift of config.totpWindow steps either side
+ * 4. Comparison is constant-time to prevent timing attacks
+ * 5. Recovery codes are single-use and stored as SHA-256 hashes only
+ *
+ * Why built on node:crypto: keeps the second factor free of third-party
+ * code paths and matches what Google Authenticator, Authy, 1Password expect
+ */
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const ISSUER = 'PixelForge Nexus';
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (padding and spaces ignored)
+ * @param {string} input
+ * @returns {Buffer}
+ */
+export const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * SECURITY: Generate a new random TOTP secret (160 bits, per RFC 4226)
+ * @returns {string} - Base32 encoded secret
+ */
+export const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Generate the TOTP code for a given time step counter
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} counter - Time step counter
+ * @returns {string} - Zero-padded code
+ */
+export const generateHOTP = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+
+  // Dynamic truncation (RFC 4226 section 5.3)
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Get the time step counter for a timestamp
+ * @param {number} [timestamp=Date.now()] - Milliseconds since epoch
+ * @returns {number}
+ */
+export const getTimeStep = (timestamp = Date.now()) => {
+  return Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS);
+};
+
+/**
+ * Generate the current TOTP code
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} [timestamp=Date.now()]
+ * @returns {string}
+ */
+export const generateTOTP = (secret, timestamp = Date.now()) => {
+  return generateHOTP(secret, getTimeStep(timestamp));
+};
+
+/**
+ * SECURITY: Verify a TOTP code within a drift window
+ *
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} token - Code supplied by the user
+ * @param {Object} [options]
+ * @param {number} [options.window=1] - Allowed steps of drift either side
+ * @param {number} [options.timestamp=Date.now()]
+ * @returns {number|null} - Matched time step (for replay protection) or null
+ */
+export const verifyTOTP = (secret, token, { window = 1, timestamp = Date.now() } = {}) => {
+  if (!secret || typeof token !== 'string') {
+    return null;
+  }
+
+  const normalized = token.replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(timestamp);
+
+  for (let drift = -window; drift <= window; drift++) {
+    const step = currentStep + drift;
+    const expected = generateHOTP(secret, step);
+
+    // SECURITY: Constant-time comparison
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI understood by authenticator apps
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} accountName - Usually the user's email
+ * @returns {string}
+ */
+export const buildOtpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * SECURITY: Hash a recovery code for storage (never store plaintext)
+ * @param {string} code
+ * @returns {string}
+ */
+export const hashRecoveryCode = (code) => {
+  const normalized = code.replace(/[\s-]/g, '').toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * SECURITY: Generate single-use recovery codes
+ * @param {number} [count=10]
+ * @returns {{ codes: string[], hashes: string[] }} - Plaintext codes (shown once) and hashes (stored)
+ */
+export const generateRecoveryCodes = (count = 10) => {
+  const codes = [];
+
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  return {
+    codes,
+    hashes: codes.map(hashRecoveryCode),
+  };
+};
@@ -0,0 +1,148 @@
+/**
+ * SECURITY DECISION: User Deletion
+ *
+ * 1. Admins preview what a deletion affects before confirming it
+ * 2. Projects the user created or leads, and documents they uploaded, move to
+ *    a successor chosen by the admin; owned projects need one who may lead
+ * 3. The user is removed from co-leads, assignments, memberships, teams and
+ *    document access lists
+ * 4. Messages and project history keep pointing at the account, which becomes
+ *    a tombstone (User.tombstone) so they still show a name
+ * 5. Everything is limited to one organization: a shared account only leaves it
+ */
+
+import Project from '../models/Project.js';
+import Document from '../models/Document.js';
+import Message from '../models/Message.js';
+import Team from '../models/Team.js';
+import User from '../models/User.js';
+import { rolesWithPermission } from './permissions.js';
+import { userRoleFilter } from './organizations.js';
+import { syncDocumentAccess } from './documentAccess.js';
+import { leadershipOf, recordLeadershipChange } from './projectLeadership.js';
+
+/**
+ * Projects where the user holds any relationship
+ */
+const involvedProjects = (userId, organization) =>
+  Project.find({
+    organization,
+    $or: [
+      { projectLead: userId },
+      { createdBy: userId },
+      { coLeads: userId },
+      { assignedDevelopers: userId },
+      { 'members.user': userId },
+    ],
+  });
+
+/**
+ * SECURITY: What deleting a user would change in an organization
+ * @param {Object} user - User document
+ * @param {string} organization - Organization ID
+ * @returns {Promise<Object>} - Affected records, whether a successor is
+ *   required and the users who can be chosen as one
+ */
+export const previewUserDeletion = async (user, organization) => {
+  const userId = user._id;
+  const projects = await involvedProjects(userId, organization).select(
+    'name projectLead createdBy coLeads assignedDevelopers members.user'
+  );
+  const owns = (project) => project.projectLead?.equals(userId) || project.createdBy.equals(userId);
+
+  const ownedProjects = projects.filter(owns).map(project => ({
+    _id: project._id,
+    name: project.name,
+    isLead: Boolean(project.projectLead?.equals(userId)),
+  }));
+
+  const [uploadedDocuments, documentAccess, teams, messages] = await Promise.all([
+    Document.countDocuments({ organization, uploadedBy: userId }),
+    Document.countDocuments({ organization, 'accessibleBy.userId': userId }),
+    Team.countDocuments({ organization, $or: [{ lead: userId }, { members: userId }] }),
+    Message.countDocuments({ organization, sender: userId }),
+  ]);
+
+  const requiresSuccessor = ownedProjects.length > 0 || uploadedDocuments > 0;
+  const successors = requiresSuccessor
+    ? await User.find({
+        _id: { $ne: userId },
+        'memberships.organization': organization,
+        isActive: true,
+        ...(ownedProjects.length > 0 &&
+          userRoleFilter(organization, { $in: await rolesWithPermission('project:lead', organization) })),
+      })
+        .select('username email fullName')
+        .sort({ fullName: 1 })
+    : [];
+
+  return {
+    ownedProjects,
+    coLedProjects: projects.filter(project => !owns(project) && project.coLeads.some(id => id.equals(userId))).length,
+    assignedProjects: projects.filter(project =>
+      project.assignedDevelopers.some(id => id.equals(userId)) ||
+      project.members.some(member => member.user.equals(userId))
+    ).length,
+    uploadedDocuments,
+    documentAccess,
+    teams,
+    messages,
+    requiresSuccessor,
+    successors,
+  };
+};
+
+/**
+ * SECURITY: Hand the user's projects and documents over and remove them from
+ * every access list in the organization
+ * @param {Object} user - User document
+ * @param {string|null} successorId - Required when the user owns records
+ * @param {string} actorId - Admin performing the deletion
+ * @param {string} organization - Organization ID
+ */
+export const reassignUserRecords = async (user, successorId, actorId, organization) => {
+  const userId = user._id;
+  const projects = await involvedProjects(userId, organization);
+  const note = `${user.fullName}'s account was deleted`;
+
+  for (const project of projects) {
+    const before = leadershipOf(project);
+    const lead = project.projectLead?.equals(userId) ? successorId : project.projectLead;
+    const isOther = (id) => !id.equals(userId) && !(lead && id.equals(lead));
+
+    // SECURITY: One relationship per user, so a member who takes over loses the membership
+    const wasMember = Boolean(lead) && project.members.some(member => member.user.equals(lead));
+
+    const updated = await Project.findByIdAndUpdate(
+      project._id,
+      {
+        projectLead: lead,
+        createdBy: project.createdBy.equals(userId) ? successorId : project.createdBy,
+        coLeads: project.coLeads.filter(isOther),
+        assignedDevelopers: project.assignedDevelopers.filter(id => !id.equals(userId)),
+        members: project.members.filter(member => isOther(member.user)),
+        lastModifiedBy: actorId,
+      },
+      { new: true }
+    );
+
+    if (wasMember) {
+      await syncDocumentAccess(project._id, [lead.toString()], [], 'member');
+    }
+
+    await recordLeadershipChange(project._id, before, leadershipOf(updated), actorId, note);
+  }
+
+  await Promise.all([
+    Team.updateMany({ organization, lead: userId }, { $unset: { lead: 1 } }),
+    Team.updateMany({ organization, members: userId }, { $pull: { members: userId } }),
+    ...(successorId
+      ? [Document.updateMany({ organization, uploadedBy: userId }, { $set: { uploadedBy: successorId } })]
+      : []),
+  ]);
+
+  // SECURITY: Whatever the reason for an entry (lead, developer, member, team), it goes
+  await Document.updateMany({ organization }, { $pull: { accessibleBy: { userId } } });
+
+  return projects.length;
+};
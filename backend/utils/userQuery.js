@@ -0,0 +1,82 @@
+/**
+ * SECURITY DECISION: User List Queries (directory and pickers)
+ *
+ * 1. Search matches name, email and username as plain text: the input is
+ *    escaped, never run as a regular expression
+ * 2. Filters and sort orders are whitelisted (validateUserListInput), so no
+ *    query operator or arbitrary field reaches MongoDB
+ * 3. Page-based pagination with a bounded page size; every page reports the
+ *    total so clients can show "page X of Y"
+ * Callers add the tenant filter and their own restrictions (role, isActive)
+ */
+
+import User from '../models/User.js';
+
+export const USER_SORTS = {
+  name: { fullName: 1 },
+  '-name': { fullName: -1 },
+  email: { email: 1 },
+  '-email': { email: -1 },
+  createdAt: { createdAt: 1 },
+  '-createdAt': { createdAt: -1 },
+  lastLogin: { lastLogin: 1 },
+  '-lastLogin': { lastLogin: -1 },
+};
+
+export const DEFAULT_USER_PAGE_SIZE = 25;
+export const MAX_USER_PAGE_SIZE = 100;
+
+const SEARCH_FIELDS = ['fullName', 'email', 'username'];
+
+/**
+ * Escape text for a literal match inside a regular expression
+ */
+export const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * SECURITY: Filter for validated list parameters
+ * @param {Object} params - { search, active, locked } (req.query after validation)
+ * @returns {Object} - MongoDB filter to merge with the caller's
+ */
+export const userListFilter = ({ search, active, locked } = {}) => {
+  const now = new Date();
+
+  return {
+    ...(search && {
+      $or: SEARCH_FIELDS.map(field => ({ [field]: { $regex: escapeRegex(search), $options: 'i' } })),
+    }),
+    ...(typeof active === 'boolean' && { isActive: active }),
+    ...(locked === true && { lockUntil: { $gt: now } }),
+    ...(locked === false && { lockUntil: { $not: { $gt: now } } }),
+  };
+};
+
+/**
+ * One page of users, as seen from the active organization (role there)
+ * @param {Object} filter - Complete MongoDB filter
+ * @param {Object} options - { sort, page, limit } (validated), select, organization
+ * @returns {Promise<Object>} - { count, total, page, pages, limit, users }
+ */
+export const findUserPage = async (
+  filter,
+  { sort = 'name', page = 1, limit = DEFAULT_USER_PAGE_SIZE, select, organization }
+) => {
+  const [users, total] = await Promise.all([
+    User.find(filter)
+      .select(select)
+      // _id breaks ties so pages never overlap
+      .sort({ ...USER_SORTS[sort], _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    User.countDocuments(filter),
+  ]);
+
+  return {
+    count: users.length,
+    total,
+    page,
+    pages: Math.max(Math.ceil(total / limit), 1),
+    limit,
+    users: users.map(user => user.toOrganizationJSON(organization)),
+  };
+};
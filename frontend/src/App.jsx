@@ -3,7 +3,7 @@
  * 
  * 1. Initialize authentication on mount
  * 2. Set up routing with protected routes
- * 3. Handle role-based access
+ * 3. Handle permission-based access
  */
 
 import React, { useEffect } from 'react';
@@ -11,12 +11,23 @@ import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import useAuthStore from './store/authStore';
 import ProtectedRoute from './components/ProtectedRoute';
 import Login from './pages/Login';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import AcceptInvite from './pages/AcceptInvite';
+import SsoCallback from './pages/SsoCallback';
 import Dashboard from './pages/Dashboard';
 import AccountSettings from './pages/AccountSettings';
+import ProfileSettings from './pages/ProfileSettings';
+import ChangePassword from './pages/ChangePassword';
 import ProjectCreate from './pages/ProjectCreate';
 import ProjectEdit from './pages/ProjectEdit';
 import ProjectDetail from './pages/ProjectDetail';
 import UserManagement from './pages/UserManagement';
+import SecurityEvents from './pages/SecurityEvents';
+import RoleManagement from './pages/RoleManagement';
+import TeamManagement from './pages/TeamManagement';
+import OrganizationSettings from './pages/OrganizationSettings';
+import OrganizationManagement from './pages/OrganizationManagement';
 
 const App = () => {
   const { initializeAuth, isAuthenticated } = useAuthStore();
@@ -31,6 +42,10 @@ const App = () => {
       <Routes>
         {/* Public Routes */}
         <Route path="/login" element={<Login />} />
+        <Route path="/forgot-password" element={<ForgotPassword />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
+        <Route path="/accept-invite" element={<AcceptInvite />} />
+        <Route path="/sso/callback" element={<SsoCallback />} />
 
         {/* Protected Routes */}
         <Route
@@ -42,6 +57,15 @@ const App = () => {
           }
         />
 
+        <Route
+          path="/change-password"
+          element={
+            <ProtectedRoute>
+              <ChangePassword />
+            </ProtectedRoute>
+          }
+        />
+
         <Route
           path="/account-settings"
           element={
@@ -51,10 +75,19 @@ const App = () => {
           }
         />
 
+        <Route
+          path="/account-settings/profile"
+          element={
+            <ProtectedRoute>
+              <ProfileSettings />
+            </ProtectedRoute>
+          }
+        />
+
         <Route
           path="/projects/create"
           element={
-            <ProtectedRoute requiredRoles={['admin', 'project-lead']}>
+            <ProtectedRoute requiredPermissions={['project:create']}>
               <ProjectCreate />
             </ProtectedRoute>
           }
@@ -72,7 +105,7 @@ const App = () => {
         <Route
           path="/projects/:id/edit"
           element={
-            <ProtectedRoute requiredRoles={['admin', 'project-lead']}>
+            <ProtectedRoute>
               <ProjectEdit />
             </ProtectedRoute>
           }
@@ -82,12 +115,57 @@ const App = () => {
         <Route
           path="/users"
           element={
-            <ProtectedRoute requiredRoles={['admin']}>
+            <ProtectedRoute requiredPermissions={['user:manage']}>
               <UserManagement />
             </ProtectedRoute>
           }
         />
 
+        <Route
+          path="/teams"
+          element={
+            <ProtectedRoute requiredPermissions={['team:manage']}>
+              <TeamManagement />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/roles"
+          element={
+            <ProtectedRoute requiredPermissions={['role:manage']}>
+              <RoleManagement />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/security-events"
+          element={
+            <ProtectedRoute requiredPermissions={['security:audit']}>
+              <SecurityEvents />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/organization"
+          element={
+            <ProtectedRoute requiredPermissions={['organization:settings']}>
+              <OrganizationSettings />
+            </ProtectedRoute>
+          }
+        />
+
+        <Route
+          path="/organizations"
+          element={
+            <ProtectedRoute requiredPermissions={['organization:manage']}>
+              <OrganizationManagement />
+            </ProtectedRoute>
+          }
+        />
+
         {/* Catch-all */}
         <Route
           path="/"
@@ -0,0 +1,213 @@
+/**
+ * SECURITY: Personal Access Tokens Panel
+ *
+ * 1. Create named tokens with per-resource read/write scopes and optional expiry
+ * 2. The token value is shown exactly once after creation
+ * 3. Lists active tokens with last use, and revokes them
+ */
+
+import React, { useEffect, useState } from 'react';
+import apiClient from '../lib/api';
+
+const EXPIRY_OPTIONS = [
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: '', label: 'No expiry' },
+];
+
+const ApiTokensPanel = () => {
+  const [tokens, setTokens] = useState([]);
+  const [availableScopes, setAvailableScopes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState([]);
+  const [expiresInDays, setExpiresInDays] = useState('90');
+  const [newToken, setNewToken] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadTokens = async () => {
+    try {
+      setLoading(true);
+      const response = await apiClient.get('/auth/tokens');
+      setTokens(response.data.data.tokens || []);
+      setAvailableScopes(response.data.data.availableScopes || []);
+    } catch (err) {
+      setError('Failed to load API tokens.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadTokens();
+  }, []);
+
+  const toggleScope = (scope) => {
+    setScopes((prev) =>
+      prev.includes(scope) ? prev.filter((item) => item !== scope) : [...prev, scope]
+    );
+  };
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    setError('');
+    setNewToken('');
+
+    if (!name.trim() || scopes.length === 0) {
+      setError('Enter a name and select at least one scope.');
+      return;
+    }
+
+    try {
+      setBusy(true);
+      const response = await apiClient.post('/auth/tokens', {
+        name: name.trim(),
+        scopes,
+        expiresInDays: expiresInDays ? Number(expiresInDays) : null,
+      });
+      setNewToken(response.data.data.token);
+      setName('');
+      setScopes([]);
+      await loadTokens();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to create API token.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    if (!window.confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) {
+      return;
+    }
+
+    setError('');
+
+    try {
+      await apiClient.delete(`/auth/tokens/${token._id}`);
+      await loadTokens();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to revoke API token.');
+    }
+  };
+
+  return (
+    <section className="card">
+      <div className="section-header">
+        <div>
+          <h2>API Tokens</h2>
+          <p className="muted">
+            Personal access tokens for scripts and CI. Send as{' '}
+            <code>Authorization: Bearer &lt;token&gt;</code>.
+          </p>
+        </div>
+      </div>
+
+      {error && <div className="banner error">{error}</div>}
+
+      {newToken && (
+        <div className="banner success">
+          <p>Copy this token now. It will not be shown again.</p>
+          <code className="secret-code">{newToken}</code>
+        </div>
+      )}
+
+      <form className="form" onSubmit={handleCreate}>
+        <div className="form-group">
+          <label htmlFor="tokenName">Token name</label>
+          <input
+            id="tokenName"
+            className="input"
+            value={name}
+            onChange={(event) => setName(event.target.value)}
+            placeholder="e.g. CI deploy script"
+            maxLength={100}
+            disabled={busy}
+          />
+        </div>
+
+        <div className="form-group">
+          <label>Scopes</label>
+          <div className="chip-list">
+            {availableScopes.map((scope) => (
+              <label key={scope} className="chip">
+                <input
+                  type="checkbox"
+                  checked={scopes.includes(scope)}
+                  onChange={() => toggleScope(scope)}
+                  disabled={busy}
+                />
+                <span>{scope}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="tokenExpiry">Expires</label>
+          <select
+            id="tokenExpiry"
+            className="select"
+            value={expiresInDays}
+            onChange={(event) => setExpiresInDays(event.target.value)}
+            disabled={busy}
+          >
+            {EXPIRY_OPTIONS.map((option) => (
+              <option key={option.label} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <button className="btn btn-primary" type="submit" disabled={busy}>
+          {busy ? 'Creating...' : 'Create Token'}
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="loading">Loading API tokens...</div>
+      ) : tokens.length === 0 ? (
+        <p className="muted">No active API tokens.</p>
+      ) : (
+        <div className="doc-list">
+          {tokens.map((token) => (
+            <ApiTokenItem key={token._id} token={token} onRevoke={handleRevoke} />
+          ))}
+        </div>
+      )}
+    </section>
+  );
+};
+
+/**
+ * Single token row (shared with the admin view in UserManagement)
+ */
+export const ApiTokenItem = ({ token, onRevoke }) => (
+  <div className="doc-item">
+    <div>
+      <strong>
+        {token.name} <code>{token.displayPrefix}…</code>
+      </strong>
+      <span className="muted">
+        {token.scopes.join(', ')} · Created {new Date(token.createdAt).toLocaleDateString()} ·{' '}
+        {token.expiresAt
+          ? `Expires ${new Date(token.expiresAt).toLocaleDateString()}`
+          : 'No expiry'}{' '}
+        ·{' '}
+        {token.lastUsedAt
+          ? `Last used ${new Date(token.lastUsedAt).toLocaleString()}`
+          : 'Never used'}
+      </span>
+    </div>
+    <div className="doc-actions">
+      <button className="btn btn-danger" onClick={() => onRevoke(token)}>
+        Revoke
+      </button>
+    </div>
+  </div>
+);
+
+export default ApiTokensPanel;
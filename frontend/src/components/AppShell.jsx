@@ -1,19 +1,48 @@
-import React from 'react';
+import React, { useEffect } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import useAuthStore from '../store/authStore';
+import { hasPermission } from '../lib/permissions';
+import NotificationBell from './NotificationBell';
 
 const AppShell = ({ title, subtitle, actions, children }) => {
-  const { user, logout } = useAuthStore();
+  const {
+    user,
+    logout,
+    impersonation,
+    stopImpersonation,
+    organizations,
+    organization,
+    loadOrganizations,
+    switchOrganization,
+  } = useAuthStore();
   const navigate = useNavigate();
   const location = useLocation();
 
+  // Reload only when the signed-in user changes, not on every profile update
+  const userId = user?._id;
+
+  // Impersonation sessions stay in the organization they were started in
+  useEffect(() => {
+    if (userId && !impersonation) {
+      loadOrganizations();
+    }
+  }, [userId, impersonation, loadOrganizations]);
+
   const handleLogout = async () => {
     await logout();
     navigate('/login');
   };
 
+  const handleStopImpersonation = async () => {
+    await stopImpersonation();
+    navigate('/users');
+  };
+
   const isActive = (path) => location.pathname === path;
 
+  // Suspended organizations cannot be entered (super-admins list them too)
+  const workspaces = organizations.filter((item) => item.isActive !== false);
+
   const roleLabel = (role) => {
     if (!role) return 'Unknown';
     return role
@@ -37,6 +66,19 @@ const AppShell = ({ title, subtitle, actions, children }) => {
 
   return (
     <div className="app-shell">
+      {impersonation && (
+        <div className="impersonation-banner" role="status">
+          <span>
+            Viewing as <strong>{user?.fullName}</strong> ({roleLabel(user?.role)})
+            {impersonation.allowWrites ? ' · Deletes blocked' : ' · Read-only'} · Reason:{' '}
+            {impersonation.reason} · Ends {new Date(impersonation.expiresAt).toLocaleTimeString()} ·
+            Every request is logged
+          </span>
+          <button className="btn btn-ghost" onClick={handleStopImpersonation}>
+            Exit
+          </button>
+        </div>
+      )}
       <header className="app-header">
         <div className="brand">
           <div className="brand-mark">
@@ -52,22 +94,62 @@ const AppShell = ({ title, subtitle, actions, children }) => {
           <Link className={isActive('/dashboard') ? 'active' : ''} to="/dashboard">
             Dashboard
           </Link>
-          {(user?.role === 'admin' || user?.role === 'project-lead') && (
+          {hasPermission(user, 'project:create') && (
             <Link className={isActive('/projects/create') ? 'active' : ''} to="/projects/create">
               New Project
             </Link>
           )}
-          {user?.role === 'admin' && (
+          {hasPermission(user, 'user:manage') && (
             <Link className={isActive('/users') ? 'active' : ''} to="/users">
               Users
             </Link>
           )}
+          {hasPermission(user, 'team:manage') && (
+            <Link className={isActive('/teams') ? 'active' : ''} to="/teams">
+              Teams
+            </Link>
+          )}
+          {hasPermission(user, 'role:manage') && (
+            <Link className={isActive('/roles') ? 'active' : ''} to="/roles">
+              Roles
+            </Link>
+          )}
+          {hasPermission(user, 'security:audit') && (
+            <Link className={isActive('/security-events') ? 'active' : ''} to="/security-events">
+              Security
+            </Link>
+          )}
+          {hasPermission(user, 'organization:settings') && (
+            <Link className={isActive('/organization') ? 'active' : ''} to="/organization">
+              Workspace
+            </Link>
+          )}
+          {hasPermission(user, 'organization:manage') && (
+            <Link className={isActive('/organizations') ? 'active' : ''} to="/organizations">
+              Organizations
+            </Link>
+          )}
           <Link className={isActive('/account-settings') ? 'active' : ''} to="/account-settings">
             Settings
           </Link>
         </nav>
 
         <div className="app-user">
+          {!impersonation && workspaces.length > 1 && (
+            <select
+              className="select workspace-switcher"
+              aria-label="Workspace"
+              value={organization || ''}
+              onChange={(event) => switchOrganization(event.target.value)}
+            >
+              {workspaces.map((item) => (
+                <option key={item._id} value={item._id}>
+                  {item.name}
+                </option>
+              ))}
+            </select>
+          )}
+          <NotificationBell />
           <div className="user-meta">
             <span className="user-name">{user?.fullName}</span>
             <span className={`role-badge ${roleClass(user?.role)}`}>
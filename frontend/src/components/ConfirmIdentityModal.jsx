@@ -0,0 +1,176 @@
+/**
+ * SECURITY: Confirm Identity Modal (step-up re-authentication)
+ *
+ * 1. Sensitive API calls (deletes, password resets) answer 403 REAUTH_REQUIRED
+ *    unless the user recently proved their password or a TOTP code
+ * 2. useConfirmIdentity() wraps such a call: on REAUTH_REQUIRED it shows this
+ *    modal, swaps in the returned access token and retries the call once
+ * 3. Password cleared from state after submission
+ *
+ * Usage:
+ * const { runWithReauth, confirmIdentityModal } = useConfirmIdentity();
+ * await runWithReauth(() => apiClient.delete(`/users/${id}`));
+ * ...
+ * {confirmIdentityModal}
+ */
+
+import React, { useCallback, useState } from 'react';
+import useAuthStore from '../store/authStore';
+import apiClient, { setAccessToken } from '../lib/api';
+
+/**
+ * Whether an API error asks for step-up re-authentication
+ */
+export const isReauthRequired = (error) =>
+  error.response?.status === 403 && error.response.data?.code === 'REAUTH_REQUIRED';
+
+const ConfirmIdentityModal = ({ onConfirmed, onCancel }) => {
+  const { user } = useAuthStore();
+  const hasPassword = user?.authProvider !== 'oidc';
+  const [useCode, setUseCode] = useState(!hasPassword && Boolean(user?.mfaEnabled));
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError('');
+    setIsLoading(true);
+
+    try {
+      const response = await apiClient.post(
+        '/auth/reauthenticate',
+        useCode ? { code } : { password }
+      );
+      setAccessToken(response.data.data.accessToken);
+      onConfirmed();
+    } catch (err) {
+      const data = err.response?.data;
+      setError(data?.errors?.[0]?.message || data?.message || 'Could not confirm your identity');
+    } finally {
+      // SECURITY: Clear credentials from memory
+      setPassword('');
+      setCode('');
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="modal-backdrop" role="dialog" aria-modal="true" aria-labelledby="confirm-identity-title">
+      <div className="modal card">
+        <h2 id="confirm-identity-title">Confirm your identity</h2>
+        <p className="muted">This action is sensitive. Confirm it is you to continue.</p>
+
+        {!hasPassword && !user?.mfaEnabled ? (
+          <>
+            <div className="banner error">
+              Your account signs in with single sign-on. Sign out and sign in again, then
+              retry within a few minutes.
+            </div>
+            <div className="form-actions">
+              <button type="button" className="btn btn-ghost" onClick={onCancel}>
+                Close
+              </button>
+            </div>
+          </>
+        ) : (
+          <form className="form" onSubmit={handleSubmit}>
+            {error && <div className="banner error">{error}</div>}
+
+            {useCode ? (
+              <div className="form-group">
+                <label htmlFor="reauthCode">Authenticator code</label>
+                <input
+                  id="reauthCode"
+                  className="input"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  maxLength={6}
+                  value={code}
+                  onChange={(event) => setCode(event.target.value.replace(/\D/g, ''))}
+                  disabled={isLoading}
+                  autoFocus
+                />
+              </div>
+            ) : (
+              <div className="form-group">
+                <label htmlFor="reauthPassword">Password</label>
+                <input
+                  id="reauthPassword"
+                  type="password"
+                  className="input"
+                  autoComplete="current-password"
+                  value={password}
+                  onChange={(event) => setPassword(event.target.value)}
+                  disabled={isLoading}
+                  autoFocus
+                />
+              </div>
+            )}
+
+            {hasPassword && user?.mfaEnabled && (
+              <button
+                type="button"
+                className="btn btn-ghost"
+                onClick={() => {
+                  setUseCode((prev) => !prev);
+                  setError('');
+                }}
+              >
+                {useCode ? 'Use password instead' : 'Use authenticator code instead'}
+              </button>
+            )}
+
+            <div className="form-actions">
+              <button className="btn btn-primary" type="submit" disabled={isLoading}>
+                {isLoading ? 'Confirming...' : 'Confirm'}
+              </button>
+              <button type="button" className="btn btn-ghost" onClick={onCancel}>
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Run a sensitive API call, asking the user to confirm their identity when required
+ * @returns {{ runWithReauth: Function, confirmIdentityModal: React.ReactNode }}
+ */
+export const useConfirmIdentity = () => {
+  const [pending, setPending] = useState(null);
+
+  const runWithReauth = useCallback(async (action) => {
+    try {
+      return await action();
+    } catch (error) {
+      if (!isReauthRequired(error)) {
+        throw error;
+      }
+
+      const confirmed = await new Promise((resolve) => setPending({ resolve }));
+      if (!confirmed) {
+        throw error;
+      }
+
+      return action();
+    }
+  }, []);
+
+  const close = (confirmed) => {
+    pending.resolve(confirmed);
+    setPending(null);
+  };
+
+  const confirmIdentityModal = pending ? (
+    <ConfirmIdentityModal onConfirmed={() => close(true)} onCancel={() => close(false)} />
+  ) : null;
+
+  return { runWithReauth, confirmIdentityModal };
+};
+
+export default ConfirmIdentityModal;
@@ -0,0 +1,219 @@
+/**
+ * SECURITY: Two-Factor Authentication Settings
+ *
+ * 1. Enrollment via QR code / manual secret, confirmed with a code
+ * 2. Recovery codes shown exactly once after enabling or regenerating
+ * 3. Disabling requires the account password
+ */
+
+import React, { useState } from 'react';
+import useAuthStore from '../store/authStore';
+import apiClient from '../lib/api';
+
+const MfaSettings = () => {
+  const { user, setUser } = useAuthStore();
+  const [setupData, setSetupData] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+
+  const resetMessages = () => {
+    setError('');
+    setSuccessMessage('');
+  };
+
+  const handleStartSetup = async () => {
+    resetMessages();
+    setRecoveryCodes([]);
+
+    try {
+      setBusy(true);
+      const response = await apiClient.post('/auth/mfa/setup');
+      setSetupData(response.data.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to start MFA setup.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleEnable = async (event) => {
+    event.preventDefault();
+    resetMessages();
+
+    try {
+      setBusy(true);
+      const response = await apiClient.post('/auth/mfa/enable', { code });
+      setUser(response.data.data.user);
+      setRecoveryCodes(response.data.data.recoveryCodes || []);
+      setSetupData(null);
+      setSuccessMessage('Two-factor authentication is now enabled.');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to enable MFA.');
+    } finally {
+      setCode('');
+      setBusy(false);
+    }
+  };
+
+  const handleRegenerate = async (event) => {
+    event.preventDefault();
+    resetMessages();
+
+    try {
+      setBusy(true);
+      const response = await apiClient.post('/auth/mfa/recovery-codes', { code });
+      setRecoveryCodes(response.data.data.recoveryCodes || []);
+      setSuccessMessage('New recovery codes generated. Previous codes no longer work.');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to regenerate recovery codes.');
+    } finally {
+      setCode('');
+      setBusy(false);
+    }
+  };
+
+  const handleDisable = async (event) => {
+    event.preventDefault();
+    resetMessages();
+
+    try {
+      setBusy(true);
+      const response = await apiClient.post('/auth/mfa/disable', { password });
+      setUser(response.data.data.user);
+      setRecoveryCodes([]);
+      setSuccessMessage('Two-factor authentication has been disabled.');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to disable MFA.');
+    } finally {
+      setPassword('');
+      setBusy(false);
+    }
+  };
+
+  return (
+    <section className="card">
+      <h2>Two-Factor Authentication</h2>
+      <div className="form">
+        {error && <div className="banner error">{error}</div>}
+        {successMessage && <div className="banner success">{successMessage}</div>}
+
+        {recoveryCodes.length > 0 && (
+          <div className="form-group">
+            <label>Recovery codes</label>
+            <p className="muted">
+              Store these somewhere safe. Each code can be used once if you lose your
+              authenticator. They will not be shown again.
+            </p>
+            <div className="code-list">
+              {recoveryCodes.map((item) => (
+                <code key={item}>{item}</code>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {!user?.mfaEnabled && !setupData && (
+          <>
+            <p className="muted">
+              Protect your account with a time-based code from an authenticator app.
+            </p>
+            <div className="form-actions">
+              <button className="btn btn-primary" onClick={handleStartSetup} disabled={busy}>
+                {busy ? 'Preparing...' : 'Set Up Authenticator'}
+              </button>
+            </div>
+          </>
+        )}
+
+        {!user?.mfaEnabled && setupData && (
+          <form className="form" onSubmit={handleEnable}>
+            <p className="muted">
+              Scan this QR code with your authenticator app, or enter the secret manually.
+            </p>
+            <img src={setupData.qrCode} alt="MFA QR code" className="mfa-qr" />
+            <code className="secret-code">{setupData.secret}</code>
+            <div className="form-group">
+              <label htmlFor="mfaEnableCode">Verification code</label>
+              <input
+                id="mfaEnableCode"
+                className="input"
+                value={code}
+                onChange={(event) => setCode(event.target.value)}
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                placeholder="123456"
+                disabled={busy}
+                required
+              />
+            </div>
+            <div className="form-actions">
+              <button className="btn btn-primary" type="submit" disabled={busy}>
+                Enable MFA
+              </button>
+              <button
+                className="btn btn-ghost"
+                type="button"
+                onClick={() => setSetupData(null)}
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {user?.mfaEnabled && (
+          <>
+            <div className="banner success">Two-factor authentication is enabled.</div>
+
+            <form className="form" onSubmit={handleRegenerate}>
+              <div className="form-group">
+                <label htmlFor="mfaRegenerateCode">Authenticator code</label>
+                <input
+                  id="mfaRegenerateCode"
+                  className="input"
+                  value={code}
+                  onChange={(event) => setCode(event.target.value)}
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  placeholder="123456"
+                  disabled={busy}
+                  required
+                />
+              </div>
+              <button className="btn btn-secondary" type="submit" disabled={busy}>
+                Regenerate Recovery Codes
+              </button>
+            </form>
+
+            <div className="divider" />
+
+            <form className="form" onSubmit={handleDisable}>
+              <div className="form-group">
+                <label htmlFor="mfaDisablePassword">Current password</label>
+                <input
+                  id="mfaDisablePassword"
+                  className="input"
+                  type="password"
+                  value={password}
+                  onChange={(event) => setPassword(event.target.value)}
+                  autoComplete="current-password"
+                  disabled={busy}
+                  required
+                />
+              </div>
+              <button className="btn btn-danger" type="submit" disabled={busy}>
+                Disable MFA
+              </button>
+            </form>
+          </>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default MfaSettings;
@@ -0,0 +1,109 @@
+/**
+ * SECURITY: In-App Notifications
+ *
+ * 1. Shows the unread count and polls for new notifications once a minute
+ * 2. Opening a notification marks it read and follows its in-app link
+ * 3. Text is rendered as plain text (never as HTML)
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import apiClient from '../lib/api';
+
+const POLL_INTERVAL_MS = 60 * 1000;
+
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  const loadNotifications = async () => {
+    try {
+      const response = await apiClient.get('/notifications');
+      setNotifications(response.data.data.notifications || []);
+      setUnreadCount(response.data.data.unreadCount || 0);
+    } catch (err) {
+      // Keep the last known state; the bell is not worth an error banner
+    }
+  };
+
+  useEffect(() => {
+    loadNotifications();
+    const timer = setInterval(loadNotifications, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const handleOpenNotification = async (notification) => {
+    setOpen(false);
+
+    if (!notification.readAt) {
+      try {
+        await apiClient.patch(`/notifications/${notification._id}/read`);
+      } catch (err) {
+        // Marking read is best effort
+      }
+      await loadNotifications();
+    }
+
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await apiClient.post('/notifications/read-all');
+      await loadNotifications();
+    } catch (err) {
+      // Marking read is best effort
+    }
+  };
+
+  return (
+    <div className="notification-bell">
+      <button
+        className="btn btn-ghost"
+        onClick={() => setOpen((prev) => !prev)}
+        aria-label={`Notifications (${unreadCount} unread)`}
+      >
+        Alerts
+        {unreadCount > 0 && <span className="notification-count">{unreadCount}</span>}
+      </button>
+
+      {open && (
+        <div className="notification-panel">
+          <div className="section-header">
+            <strong>Notifications</strong>
+            {unreadCount > 0 && (
+              <button className="btn btn-ghost" onClick={handleMarkAllRead}>
+                Mark all read
+              </button>
+            )}
+          </div>
+          {notifications.length === 0 ? (
+            <p className="muted">No notifications.</p>
+          ) : (
+            <div className="doc-list">
+              {notifications.map((notification) => (
+                <button
+                  key={notification._id}
+                  className={`notification-item ${notification.readAt ? '' : 'unread'}`}
+                  onClick={() => handleOpenNotification(notification)}
+                >
+                  <strong>{notification.title}</strong>
+                  <span className="muted">{notification.body}</span>
+                  <span className="muted">
+                    {new Date(notification.createdAt).toLocaleString()}
+                  </span>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
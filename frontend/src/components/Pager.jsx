@@ -0,0 +1,36 @@
+/**
+ * Previous/next controls for server-paged lists
+ * Renders nothing when everything fits on one page
+ */
+
+import React from 'react';
+
+const Pager = ({ page, pages, total, noun = 'users', disabled = false, onChange }) => {
+  if (pages <= 1) return null;
+
+  return (
+    <div className="pager">
+      <button
+        className="btn btn-ghost"
+        type="button"
+        disabled={disabled || page <= 1}
+        onClick={() => onChange(page - 1)}
+      >
+        Previous
+      </button>
+      <span className="muted">
+        Page {page} of {pages} · {total} {noun}
+      </span>
+      <button
+        className="btn btn-ghost"
+        type="button"
+        disabled={disabled || page >= pages}
+        onClick={() => onChange(page + 1)}
+      >
+        Next
+      </button>
+    </div>
+  );
+};
+
+export default Pager;
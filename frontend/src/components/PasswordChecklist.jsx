@@ -0,0 +1,107 @@
+/**
+ * SECURITY: Live Password Policy Feedback
+ *
+ * 1. Loads the server password policy once per page load
+ * 2. Shows which rules a candidate password meets while typing
+ * 3. Banned-list and history checks stay server-side (only mentioned here)
+ *
+ * The backend re-validates every rule; this component is guidance only.
+ */
+
+import React, { useEffect, useState } from 'react';
+import apiClient from '../lib/api';
+
+let policyPromise = null;
+
+const loadPolicy = () => {
+  if (!policyPromise) {
+    policyPromise = apiClient
+      .get('/auth/password-policy')
+      .then((response) => response.data.data.policy)
+      .catch((error) => {
+        policyPromise = null;
+        throw error;
+      });
+  }
+
+  return policyPromise;
+};
+
+/**
+ * Server password policy (null until loaded)
+ */
+export const usePasswordPolicy = () => {
+  const [policy, setPolicy] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+
+    loadPolicy()
+      .then((loaded) => active && setPolicy(loaded))
+      .catch(() => {});
+
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return policy;
+};
+
+/**
+ * Client-checkable rules for a policy
+ */
+export const passwordRules = (policy) => [
+  {
+    label: `At least ${policy.minLength} characters`,
+    test: (value) => value.length >= policy.minLength,
+  },
+  policy.requireUppercase && {
+    label: 'An uppercase letter',
+    test: (value) => /[A-Z]/.test(value),
+  },
+  policy.requireLowercase && {
+    label: 'A lowercase letter',
+    test: (value) => /[a-z]/.test(value),
+  },
+  policy.requireNumber && {
+    label: 'A number',
+    test: (value) => /\d/.test(value),
+  },
+  policy.requireSymbol && {
+    label: 'A special character',
+    test: (value) => /[^A-Za-z0-9]/.test(value),
+  },
+].filter(Boolean);
+
+const PasswordChecklist = ({ password = '' }) => {
+  const policy = usePasswordPolicy();
+
+  if (!policy) {
+    return null;
+  }
+
+  const notes = [
+    policy.bannedListEnabled && 'Common passwords are not allowed.',
+    policy.historySize > 0 &&
+      `Must differ from your last ${policy.historySize} passwords.`,
+  ].filter(Boolean);
+
+  return (
+    <div className="password-checklist">
+      <ul>
+        {passwordRules(policy).map((rule) => {
+          const met = rule.test(password);
+          return (
+            <li key={rule.label} className={met ? 'met' : ''}>
+              {met ? '✓' : '○'} {rule.label}
+            </li>
+          );
+        })}
+      </ul>
+      {notes.length > 0 && <p className="muted">{notes.join(' ')}</p>}
+    </div>
+  );
+};
+
+export default PasswordChecklist;
@@ -0,0 +1,73 @@
+import React from 'react';
+import { availability, formatDay, initials, localTime } from '../lib/profile';
+
+export const Avatar = ({ user, size = 40 }) => {
+  const style = { width: size, height: size };
+
+  if (user?.profile?.avatarUrl) {
+    return <img className="avatar" style={style} src={user.profile.avatarUrl} alt="" />;
+  }
+
+  return (
+    <span className="avatar avatar-initials" style={style} aria-hidden="true">
+      {initials(user?.fullName)}
+    </span>
+  );
+};
+
+/**
+ * Team member with the profile details leads need for staffing
+ */
+const ProfileCard = ({ user, caption }) => {
+  if (!user) {
+    return null;
+  }
+
+  const profile = user.profile || {};
+  const { away, upcoming } = availability(profile);
+
+  return (
+    <div className="profile-card">
+      <Avatar user={user} />
+      <div className="profile-card-body">
+        <div className="profile-card-name">
+          <strong>{user.fullName}</strong>
+          {caption && <span className="muted">{caption}</span>}
+        </div>
+        {profile.title && <div>{profile.title}</div>}
+        <div className="profile-card-meta muted">
+          {profile.weeklyCapacity !== undefined && profile.weeklyCapacity !== null && (
+            <span>{profile.weeklyCapacity} h/week</span>
+          )}
+          {profile.timezone && (
+            <span>
+              {profile.timezone} · {localTime(profile.timezone)}
+            </span>
+          )}
+        </div>
+        {away && (
+          <span className="status-pill status-away">
+            Out of office until {formatDay(away.end)}
+            {away.note ? ` · ${away.note}` : ''}
+          </span>
+        )}
+        {!away && upcoming && (
+          <span className="muted">
+            Away {formatDay(upcoming.start)} – {formatDay(upcoming.end)}
+          </span>
+        )}
+        {profile.skills?.length > 0 && (
+          <div className="chip-list">
+            {profile.skills.map((skill) => (
+              <span key={skill} className="chip read-only">
+                {skill}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProfileCard;
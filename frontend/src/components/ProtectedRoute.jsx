@@ -2,25 +2,29 @@
  * SECURITY: Protected Route Component
  * 
  * 1. Enforces authentication before rendering
- * 2. Enforces role-based access at UI level
+ * 2. Enforces permission-based access at UI level
  * 3. Redirects to login if not authenticated
- * 4. Shows 403 if user lacks required role
+ * 4. Shows 403 if user lacks every required permission
+ * 5. Sends users who must change their password (admin reset or expiry) to do so first
+ *    (not while an admin is viewing as them)
  */
 
 import React, { useEffect } from 'react';
-import { Navigate } from 'react-router-dom';
+import { Navigate, useLocation } from 'react-router-dom';
 import useAuthStore from '../store/authStore';
+import { hasPermission } from '../lib/permissions';
 
 /**
  * SECURITY: ProtectedRoute wrapper
  * 
  * Usage:
- * <ProtectedRoute requiredRoles={['admin', 'project-lead']}>
+ * <ProtectedRoute requiredPermissions={['user:manage']}>
  *   <AdminPanel />
  * </ProtectedRoute>
  */
-const ProtectedRoute = ({ children, requiredRoles = [] }) => {
-  const { user, isAuthenticated, isLoading, initializeAuth } = useAuthStore();
+const ProtectedRoute = ({ children, requiredPermissions = [] }) => {
+  const location = useLocation();
+  const { user, isAuthenticated, isLoading, impersonation, initializeAuth } = useAuthStore();
 
   useEffect(() => {
     // Initialize auth state on mount
@@ -39,13 +43,22 @@ const ProtectedRoute = ({ children, requiredRoles = [] }) => {
     return <Navigate to="/login" replace />;
   }
 
-  // Role-based access control
-  if (requiredRoles.length > 0 && !requiredRoles.includes(user?.role)) {
+  // SECURITY: API only allows changing the password until then (backend enforced)
+  if (
+    !impersonation &&
+    (user?.mustChangePassword || user?.passwordExpired) &&
+    location.pathname !== '/change-password'
+  ) {
+    return <Navigate to="/change-password" replace />;
+  }
+
+  // Permission-based access control (any of the listed permissions)
+  if (requiredPermissions.length > 0 && !hasPermission(user, ...requiredPermissions)) {
     return (
       <div className="error-page">
         <h1>403 - Forbidden</h1>
         <p>You do not have permission to access this page.</p>
-        <p>Required role: {requiredRoles.join(', ')}</p>
+        <p>Required permission: {requiredPermissions.join(' or ')}</p>
       </div>
     );
   }
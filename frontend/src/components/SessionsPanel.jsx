@@ -0,0 +1,121 @@
+/**
+ * SECURITY: Active Sessions Panel
+ *
+ * 1. Lists devices holding a valid refresh token for this account
+ * 2. Lets the user sign out any device (e.g. a lost laptop)
+ * 3. Signing out the current device logs out locally as well
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import useAuthStore from '../store/authStore';
+import apiClient from '../lib/api';
+
+/**
+ * Rough, human readable device label from a user agent string
+ */
+export const describeDevice = (userAgent = '') => {
+  const browser =
+    (/Edg\//.test(userAgent) && 'Edge') ||
+    (/Firefox\//.test(userAgent) && 'Firefox') ||
+    (/Chrome\//.test(userAgent) && 'Chrome') ||
+    (/Safari\//.test(userAgent) && 'Safari') ||
+    (/curl|axios|node|python/i.test(userAgent) && 'Script') ||
+    'Unknown browser';
+
+  const os =
+    (/Windows/.test(userAgent) && 'Windows') ||
+    (/Android/.test(userAgent) && 'Android') ||
+    (/iPhone|iPad/.test(userAgent) && 'iOS') ||
+    (/Mac OS X/.test(userAgent) && 'macOS') ||
+    (/Linux/.test(userAgent) && 'Linux') ||
+    'Unknown OS';
+
+  return `${browser} on ${os}`;
+};
+
+const SessionsPanel = () => {
+  const navigate = useNavigate();
+  const { logout } = useAuthStore();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadSessions = async () => {
+    try {
+      setLoading(true);
+      const response = await apiClient.get('/auth/sessions');
+      setSessions(response.data.data.sessions || []);
+    } catch (err) {
+      setError('Failed to load sessions.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const handleRevoke = async (session) => {
+    setError('');
+
+    try {
+      await apiClient.delete(`/auth/sessions/${session._id}`);
+
+      if (session.current) {
+        await logout();
+        navigate('/login');
+        return;
+      }
+
+      await loadSessions();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to sign out session.');
+    }
+  };
+
+  return (
+    <section className="card">
+      <div className="section-header">
+        <div>
+          <h2>Active Sessions</h2>
+          <p className="muted">Devices currently signed in to your account.</p>
+        </div>
+      </div>
+
+      {error && <div className="banner error">{error}</div>}
+
+      {loading ? (
+        <div className="loading">Loading sessions...</div>
+      ) : sessions.length === 0 ? (
+        <p className="muted">No active sessions.</p>
+      ) : (
+        <div className="doc-list">
+          {sessions.map((session) => (
+            <div key={session._id} className="doc-item">
+              <div>
+                <strong>
+                  {describeDevice(session.userAgent)}
+                  {session.current && <span className="message-badge approved">This device</span>}
+                </strong>
+                <span className="muted">
+                  {session.lastIp || session.ip} · Signed in{' '}
+                  {new Date(session.createdAt).toLocaleString()} · Last active{' '}
+                  {new Date(session.lastUsedAt).toLocaleString()}
+                </span>
+              </div>
+              <div className="doc-actions">
+                <button className="btn btn-danger" onClick={() => handleRevoke(session)}>
+                  Sign Out
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default SessionsPanel;
@@ -0,0 +1,163 @@
+/**
+ * SECURITY: CSV User Import Wizard (user:manage)
+ *
+ * 1. Choose a CSV file: email, full name, role, team (optional, ";" for several)
+ * 2. Check it: a dry run validates every row on the server and lists the errors
+ * 3. Send invitations: only once every row is valid; people still choose
+ *    their own passwords through the emailed links
+ */
+
+import React, { useState } from 'react';
+import apiClient from '../lib/api';
+
+const TEMPLATE = 'email,full name,role,team\r\njane.doe@example.com,Jane Doe,developer,Platform\r\n';
+
+const UserImportWizard = ({ onImported }) => {
+  const [fileName, setFileName] = useState('');
+  const [csv, setCsv] = useState('');
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const reset = () => {
+    setFileName('');
+    setCsv('');
+    setReport(null);
+    setError('');
+  };
+
+  const handleFile = (event) => {
+    const file = event.target.files[0];
+    setReport(null);
+    setError('');
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      setFileName(file.name);
+      setCsv(reader.result);
+    };
+    reader.onerror = () => setError('Could not read the file.');
+    reader.readAsText(file);
+  };
+
+  const submit = async (dryRun) => {
+    setBusy(true);
+    setError('');
+
+    try {
+      const response = await apiClient.post('/users/import', { csv, dryRun });
+      if (dryRun) {
+        setReport(response.data.data);
+      } else {
+        reset();
+        onImported(response.data.message);
+      }
+    } catch (err) {
+      const data = err.response?.data;
+      if (data?.data?.rows) setReport(data.data);
+      setError(data?.errors?.[0]?.message || data?.message || 'Import failed.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const downloadTemplate = () => {
+    const url = URL.createObjectURL(new Blob([TEMPLATE], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'user-import-template.csv';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <section className="card">
+      <div className="section-header">
+        <div>
+          <h2>Import Users</h2>
+          <p className="muted">
+            Invite many people at once from a CSV file. Check the file first; invitations are
+            only sent when every row is valid.
+          </p>
+        </div>
+        <button className="btn btn-ghost" type="button" onClick={downloadTemplate}>
+          Download Template
+        </button>
+      </div>
+
+      {error && <div className="banner error">{error}</div>}
+
+      <div className="form">
+        <div className="form-group">
+          <label htmlFor="importFile">1. CSV file</label>
+          <input
+            id="importFile"
+            type="file"
+            accept=".csv,text/csv"
+            className="file-input"
+            onChange={handleFile}
+          />
+        </div>
+
+        <div className="form-actions">
+          <button
+            className="btn btn-ghost"
+            type="button"
+            disabled={!csv || busy}
+            onClick={() => submit(true)}
+          >
+            2. Check {fileName || 'File'}
+          </button>
+          <button
+            className="btn btn-primary"
+            type="button"
+            disabled={!report || report.invalid > 0 || busy}
+            onClick={() => submit(false)}
+          >
+            3. Send {report ? report.valid : ''} Invitations
+          </button>
+          {(csv || report) && (
+            <button className="btn btn-ghost" type="button" onClick={reset}>
+              Start Over
+            </button>
+          )}
+        </div>
+      </div>
+
+      {report && (
+        <>
+          <p className="muted">
+            {report.valid} of {report.total} rows ready
+            {report.invalid > 0 && ` · ${report.invalid} need to be fixed in the file`}
+          </p>
+          <div className="table">
+            <div className="table-row header">
+              <span>Line</span>
+              <span>Email</span>
+              <span>Name</span>
+              <span>Role / Team</span>
+              <span>Result</span>
+            </div>
+            {report.rows.map((row) => (
+              <div key={row.line} className="table-row">
+                <span>{row.line}</span>
+                <span>{row.email}</span>
+                <span>{row.fullName}</span>
+                <span>
+                  {row.role}
+                  {row.teams.length > 0 && ` · ${row.teams.join(', ')}`}
+                </span>
+                <span className={row.errors.length > 0 ? 'error-text' : 'muted'}>
+                  {row.errors.length > 0 ? row.errors.join('. ') : 'OK'}
+                </span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </section>
+  );
+};
+
+export default UserImportWizard;
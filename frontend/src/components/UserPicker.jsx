@@ -0,0 +1,170 @@
+/**
+ * Searchable, Paged User Picker
+ *
+ * 1. Searches the server as you type (name or email) and shows one page of
+ *    matches at a time, so large directories are never loaded at once
+ * 2. Single mode picks one user or none; multiple mode toggles users. Chosen
+ *    users stay listed above the results whatever page is shown
+ * 3. Names of chosen users come from initialUsers (e.g. a project's current
+ *    assignees) or from results already shown
+ *
+ * Usage:
+ * <UserPicker id="developers" endpoint="/users/assignable" multiple
+ *   value={ids} onChange={setIds} initialUsers={project.assignedDevelopers} />
+ */
+
+import React, { useEffect, useState } from 'react';
+import Pager from './Pager';
+import apiClient from '../lib/api';
+
+const PAGE_SIZE = 10;
+const SEARCH_DELAY_MS = 300;
+const NO_USERS = [];
+
+const byId = (users, known) =>
+  users.reduce((all, user) => ({ ...all, [user._id]: user }), known);
+
+const UserPicker = ({
+  id,
+  endpoint,
+  params,
+  multiple = false,
+  value,
+  onChange,
+  initialUsers = NO_USERS,
+  noneLabel = 'Nobody selected',
+  emptyText = 'No users found.',
+}) => {
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState({ users: [], page: 1, pages: 1, total: 0 });
+  const [known, setKnown] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const paramsKey = JSON.stringify(params || {});
+
+  const selected = multiple ? value : value ? [value] : [];
+
+  useEffect(() => {
+    setKnown((prev) => byId(initialUsers, prev));
+  }, [initialUsers]);
+
+  // Wait for a pause in typing before asking the server
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setQuery(search.trim());
+      setPage(1);
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadPage = async () => {
+      setLoading(true);
+      try {
+        const response = await apiClient.get(endpoint, {
+          params: {
+            ...JSON.parse(paramsKey),
+            ...(query && { search: query }),
+            sort: 'name',
+            page,
+            limit: PAGE_SIZE,
+          },
+        });
+        if (cancelled) return;
+        setResult(response.data.data);
+        setKnown((prev) => byId(response.data.data.users, prev));
+        setError('');
+      } catch (err) {
+        if (!cancelled) setError(err.response?.data?.message || 'Failed to load users.');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadPage();
+    return () => {
+      cancelled = true;
+    };
+  }, [endpoint, paramsKey, query, page]);
+
+  const choose = (userId) => {
+    if (!multiple) {
+      onChange(userId);
+    } else if (selected.includes(userId)) {
+      onChange(selected.filter((item) => item !== userId));
+    } else {
+      onChange([...selected, userId]);
+    }
+  };
+
+  const remove = (userId) => {
+    onChange(multiple ? selected.filter((item) => item !== userId) : '');
+  };
+
+  const nameOf = (userId) => known[userId]?.fullName || 'Unknown user';
+
+  return (
+    <div className="user-picker">
+      {selected.length > 0 ? (
+        <div className="chip-list">
+          {selected.map((userId) => (
+            <span key={userId} className="chip selected">
+              {nameOf(userId)}
+              <button
+                className="chip-remove"
+                type="button"
+                aria-label={`Remove ${nameOf(userId)}`}
+                onClick={() => remove(userId)}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+      ) : (
+        <p className="muted">{noneLabel}</p>
+      )}
+
+      <input
+        id={id}
+        type="search"
+        className="input"
+        value={search}
+        onChange={(event) => setSearch(event.target.value)}
+        placeholder="Search by name or email"
+      />
+
+      {error && <p className="error-text">{error}</p>}
+
+      <div className="chip-list">
+        {!loading && result.users.length === 0 && <p className="muted">{emptyText}</p>}
+        {result.users.map((user) => (
+          <label key={user._id} className="chip">
+            <input
+              type={multiple ? 'checkbox' : 'radio'}
+              name={id}
+              checked={selected.includes(user._id)}
+              onChange={() => choose(user._id)}
+            />
+            <span>{user.fullName}</span>
+            <span className="muted">{user.email}</span>
+          </label>
+        ))}
+      </div>
+
+      <Pager
+        page={result.page}
+        pages={result.pages}
+        total={result.total}
+        disabled={loading}
+        onChange={setPage}
+      />
+    </div>
+  );
+};
+
+export default UserPicker;
@@ -2,14 +2,21 @@
  * SECURITY: Authentication & API Configuration
  * 
  * 1. Centralized API client with token management
- * 2. Automatic token refresh on 401
+ * 2. Automatic token refresh on 401 (single in-flight rotation)
  * 3. Secure token storage management
  * 4. Request/response interceptors
+ * 5. Works with both refresh token transports:
+ *    - body: refresh token returned in JSON and kept in storage
+ *    - cookie: refresh token in an HttpOnly cookie, CSRF token echoed in a header
+ * 6. Admin impersonation: the admin's access token is parked while viewing as a
+ *    user; impersonation tokens are never refreshed
+ * 7. Organizations: the active workspace is sent in the X-Organization header;
+ *    a refused workspace falls back to the user's default one
  */
 
 import axios from 'axios';
 
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+export const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
 /**
  * SECURITY: Create API instance with default headers
@@ -17,11 +24,24 @@ const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api
 const apiClient = axios.create({
   baseURL: API_BASE_URL,
   timeout: 10000,
+  // SECURITY: Send the HttpOnly refresh cookie (cookie mode)
+  withCredentials: true,
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
+/**
+ * SECURITY: Double-submit CSRF header (cookie mode only)
+ */
+const CSRF_HEADER = 'X-CSRF-Token';
+const SAFE_METHODS = ['get', 'head', 'options'];
+
+/**
+ * SECURITY: Active organization header (checked against memberships server-side)
+ */
+const ORGANIZATION_HEADER = 'X-Organization';
+
 /**
  * SECURITY: Request interceptor - add token to headers
  */
@@ -31,11 +51,72 @@ apiClient.interceptors.request.use(
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+
+    const csrfToken = localStorage.getItem('csrfToken');
+    if (csrfToken && !SAFE_METHODS.includes((config.method || 'get').toLowerCase())) {
+      config.headers[CSRF_HEADER] = csrfToken;
+    }
+
+    const organization = getActiveOrganization();
+    if (organization) {
+      config.headers[ORGANIZATION_HEADER] = organization;
+    }
     return config;
   },
   (error) => Promise.reject(error)
 );
 
+/**
+ * SECURITY: Credential endpoints where a 401 means bad credentials,
+ * not an expired access token - never trigger a refresh for these
+ */
+const NO_REFRESH_ENDPOINTS = ['/auth/login', '/auth/mfa/verify', '/auth/reauthenticate'];
+
+/**
+ * SECURITY: Shared in-flight refresh
+ * Refresh tokens rotate on every use, so parallel 401s must wait for one
+ * refresh instead of replaying the same token (which the server treats as theft)
+ */
+let refreshPromise = null;
+
+/**
+ * SECURITY: API error codes that restrict the session to changing the password
+ */
+const PASSWORD_CHANGE_CODES = ['PASSWORD_CHANGE_REQUIRED', 'PASSWORD_EXPIRED'];
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const { refreshToken, csrfToken } = getTokens();
+      if (!refreshToken && !csrfToken) {
+        throw new Error('No refresh token available');
+      }
+
+      // Body mode sends the token; cookie mode relies on the HttpOnly cookie
+      const response = await axios.post(
+        `${API_BASE_URL}/auth/refresh-token`,
+        refreshToken ? { refreshToken } : {},
+        {
+          withCredentials: true,
+          headers: csrfToken ? { [CSRF_HEADER]: csrfToken } : {},
+        }
+      );
+
+      const {
+        accessToken,
+        refreshToken: rotatedToken,
+        csrfToken: rotatedCsrfToken,
+      } = response.data.data;
+      setTokens(accessToken, rotatedToken, rotatedCsrfToken);
+      return accessToken;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+
+  return refreshPromise;
+};
+
 /**
  * SECURITY: Response interceptor - handle token refresh
  */
@@ -44,24 +125,23 @@ apiClient.interceptors.response.use(
   async (error) => {
     const originalRequest = error.config;
 
+    // SECURITY: Expired or ended impersonation returns to the admin's own session
+    if (error.response?.status === 401 && getImpersonation()) {
+      restoreImpersonator();
+      window.location.href = '/users';
+      return Promise.reject(error);
+    }
+
     // SECURITY: Handle 401 Unauthorized
-    if (error.response?.status === 401 && !originalRequest._retry) {
+    if (
+      error.response?.status === 401 &&
+      !originalRequest._retry &&
+      !NO_REFRESH_ENDPOINTS.includes(originalRequest.url)
+    ) {
       originalRequest._retry = true;
 
       try {
-        const refreshToken = localStorage.getItem('refreshToken');
-        if (!refreshToken) {
-          throw new Error('No refresh token available');
-        }
-
-        // Refresh token
-        const response = await axios.post(
-          `${API_BASE_URL}/auth/refresh-token`,
-          { refreshToken }
-        );
-
-        const { accessToken } = response.data.data;
-        localStorage.setItem('accessToken', accessToken);
+        const accessToken = await refreshAccessToken();
 
         // Retry original request with new token
         originalRequest.headers.Authorization = `Bearer ${accessToken}`;
@@ -74,6 +154,21 @@ apiClient.interceptors.response.use(
       }
     }
 
+    // SECURITY: Password must be changed first (admin reset or expiry)
+    if (
+      error.response?.status === 403 &&
+      PASSWORD_CHANGE_CODES.includes(error.response.data?.code) &&
+      window.location.pathname !== '/change-password'
+    ) {
+      window.location.href = '/change-password';
+    }
+
+    // SECURITY: Membership removed or workspace suspended - return to the default one
+    if (error.response?.status === 403 && error.response.data?.code === 'ORGANIZATION_FORBIDDEN') {
+      setActiveOrganization(null);
+      window.location.href = '/dashboard';
+    }
+
     return Promise.reject(error);
   }
 );
@@ -84,15 +179,103 @@ apiClient.interceptors.response.use(
 export const clearStorage = () => {
   localStorage.removeItem('accessToken');
   localStorage.removeItem('refreshToken');
+  localStorage.removeItem('csrfToken');
   localStorage.removeItem('user');
+  localStorage.removeItem('impersonation');
+  localStorage.removeItem('impersonatorAccessToken');
+  localStorage.removeItem('impersonatorUser');
+  localStorage.removeItem('organization');
+};
+
+/**
+ * Active organization ID (null for the user's default organization)
+ */
+export const getActiveOrganization = () => localStorage.getItem('organization');
+
+/**
+ * Switch the organization sent with every request
+ * @param {string|null} organization - Organization ID, or null for the default
+ */
+export const setActiveOrganization = (organization) => {
+  if (organization) {
+    localStorage.setItem('organization', organization);
+  } else {
+    localStorage.removeItem('organization');
+  }
+};
+
+/**
+ * SECURITY: Current impersonation session (null when acting as oneself)
+ */
+export const getImpersonation = () => {
+  const impersonation = localStorage.getItem('impersonation');
+  return impersonation ? JSON.parse(impersonation) : null;
+};
+
+/**
+ * SECURITY: Switch to an impersonation token, parking the admin's access token
+ * The admin's refresh token stays untouched and is only used after restoring
+ */
+export const beginImpersonation = (accessToken, user, impersonation) => {
+  if (!getImpersonation()) {
+    localStorage.setItem('impersonatorAccessToken', localStorage.getItem('accessToken') || '');
+    localStorage.setItem('impersonatorUser', localStorage.getItem('user') || '');
+  }
+
+  localStorage.setItem('accessToken', accessToken);
+  localStorage.setItem('user', JSON.stringify(user));
+  localStorage.setItem('impersonation', JSON.stringify(impersonation));
+};
+
+/**
+ * SECURITY: Return to the admin's own session
+ * @returns {Object|null} - The admin user
+ */
+export const restoreImpersonator = () => {
+  const accessToken = localStorage.getItem('impersonatorAccessToken');
+  const user = localStorage.getItem('impersonatorUser');
+
+  localStorage.removeItem('impersonation');
+  localStorage.removeItem('impersonatorAccessToken');
+  localStorage.removeItem('impersonatorUser');
+
+  if (accessToken) {
+    localStorage.setItem('accessToken', accessToken);
+  }
+  if (user) {
+    localStorage.setItem('user', user);
+    return JSON.parse(user);
+  }
+  return null;
 };
 
 /**
  * SECURITY: Set tokens in storage
+ * Only one of refreshToken (body mode) or csrfToken (cookie mode) is present;
+ * the other is removed so a transport switch never leaves stale values behind
+ */
+export const setTokens = (accessToken, refreshToken, csrfToken) => {
+  localStorage.setItem('accessToken', accessToken);
+
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  } else {
+    localStorage.removeItem('refreshToken');
+  }
+
+  if (csrfToken) {
+    localStorage.setItem('csrfToken', csrfToken);
+  } else {
+    localStorage.removeItem('csrfToken');
+  }
+};
+
+/**
+ * SECURITY: Replace only the access token (step-up re-authentication)
+ * The refresh token and CSRF token of the session stay as they are
  */
-export const setTokens = (accessToken, refreshToken) => {
+export const setAccessToken = (accessToken) => {
   localStorage.setItem('accessToken', accessToken);
-  localStorage.setItem('refreshToken', refreshToken);
 };
 
 /**
@@ -101,6 +284,7 @@ export const setTokens = (accessToken, refreshToken) => {
 export const getTokens = () => ({
   accessToken: localStorage.getItem('accessToken'),
   refreshToken: localStorage.getItem('refreshToken'),
+  csrfToken: localStorage.getItem('csrfToken'),
 });
 
 export default apiClient;
@@ -0,0 +1,77 @@
+/**
+ * SECURITY: Permission helpers (UI only)
+ *
+ * 1. The API returns the role's permission set with the user
+ *    (login, /auth/me, SSO, MFA and password changes)
+ * 2. Pages show or hide actions by permission, never by role name, so custom
+ *    roles work without UI changes
+ * 3. The backend enforces every permission again; this only shapes the UI
+ * 4. On a project, a membership role (viewer, contributor, maintainer)
+ *    replaces the global role, except for leads, co-leads and ":any" permissions
+ */
+
+/**
+ * Project-scoped permissions per membership role
+ * Mirrors backend config/permissions.js PROJECT_ROLES
+ */
+export const PROJECT_ROLE_PERMISSIONS = {
+  viewer: ['project:read', 'document:read'],
+  contributor: ['project:read', 'document:read', 'message:send', 'message:request-completion'],
+  maintainer: [
+    'project:read',
+    'project:update',
+    'document:read',
+    'document:upload',
+    'message:send',
+    'message:request-completion',
+    'message:review',
+  ],
+};
+
+// Permissions with the backend's "lead" scope: only leads and maintainers use them on a project
+const LEAD_PERMISSIONS = ['project:update', 'document:upload', 'message:review'];
+
+export const PROJECT_ROLE_LABELS = {
+  viewer: 'Viewer',
+  contributor: 'Contributor',
+  maintainer: 'Maintainer',
+};
+
+/**
+ * Whether the user holds any of the permissions
+ * @param {Object} user - User from the auth store
+ * @param {...string} permissions - e.g. 'project:create', 'user:manage'
+ */
+export const hasPermission = (user, ...permissions) =>
+  permissions.some((permission) => Boolean(user?.permissions?.includes(permission)));
+
+/**
+ * The user's membership role on a project (populated members), if any
+ */
+export const getProjectRole = (user, project) =>
+  project?.members?.find((member) => member.user?._id === user?._id)?.role || null;
+
+/**
+ * Whether the user can act on a specific project with a project-scoped permission
+ * Mirrors backend utils/permissions.js canOnProject for lead-scoped permissions
+ * and global permissions such as message:send
+ */
+export const canOnProject = (user, permission, project) => {
+  if (hasPermission(user, `${permission}:any`)) return true;
+  if (!project) return false;
+
+  const userId = user?._id;
+  const isLead =
+    project.projectLead?._id === userId ||
+    project.createdBy?._id === userId ||
+    Boolean(project.coLeads?.some((coLead) => coLead._id === userId));
+
+  if (isLead) {
+    return hasPermission(user, permission);
+  }
+
+  const projectRole = getProjectRole(user, project);
+  if (projectRole) return PROJECT_ROLE_PERMISSIONS[projectRole].includes(permission);
+
+  return hasPermission(user, permission) && !LEAD_PERMISSIONS.includes(permission);
+};
@@ -0,0 +1,58 @@
+/**
+ * Profile display helpers (avatar initials, local time, availability)
+ * Out-of-office ranges are whole days, compared as YYYY-MM-DD strings
+ */
+
+export const TIMEZONES = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : ['UTC'];
+
+/**
+ * YYYY-MM-DD part of a stored date (also the value of a date input)
+ */
+export const toDateInput = (value) => (value ? String(value).slice(0, 10) : '');
+
+const today = () => {
+  const now = new Date();
+  return [now.getFullYear(), now.getMonth() + 1, now.getDate()]
+    .map((part) => String(part).padStart(2, '0'))
+    .join('-');
+};
+
+export const initials = (name = '') =>
+  name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((part) => part[0].toUpperCase())
+    .join('');
+
+/**
+ * Current time in a time zone, e.g. "14:05"
+ */
+export const localTime = (timezone) => {
+  try {
+    return new Date().toLocaleTimeString([], { timeZone: timezone, hour: '2-digit', minute: '2-digit' });
+  } catch (err) {
+    return '';
+  }
+};
+
+export const formatDay = (value) =>
+  new Date(`${toDateInput(value)}T00:00:00`).toLocaleDateString([], { month: 'short', day: 'numeric' });
+
+/**
+ * Current and next out-of-office range
+ * @returns {{ away: Object|null, upcoming: Object|null }}
+ */
+export const availability = (profile) => {
+  const day = today();
+  const ranges = [...(profile?.outOfOffice || [])]
+    .filter((range) => toDateInput(range.end) >= day)
+    .sort((a, b) => toDateInput(a.start).localeCompare(toDateInput(b.start)));
+
+  return {
+    away: ranges.find((range) => toDateInput(range.start) <= day) || null,
+    upcoming: ranges.find((range) => toDateInput(range.start) > day) || null,
+  };
+};
@@ -0,0 +1,141 @@
+/**
+ * SECURITY: Accept Invitation Page
+ *
+ * 1. Reads the single-use token from the emailed invitation link
+ * 2. Shows who the invitation is for before asking for a password
+ * 3. Live feedback from the server password policy
+ * 4. Passwords cleared from state after submission
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import apiClient from '../lib/api';
+import PasswordChecklist from '../components/PasswordChecklist';
+
+const AcceptInvite = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+
+  const [invitation, setInvitation] = useState(null);
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [isChecking, setIsChecking] = useState(Boolean(token));
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+
+  useEffect(() => {
+    if (!token) return;
+
+    apiClient
+      .post('/invitations/lookup', { token })
+      .then((response) => setInvitation(response.data.data.invitation))
+      .catch(() => setInvitation(null))
+      .finally(() => setIsChecking(false));
+  }, [token]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      const response = await apiClient.post('/invitations/accept', {
+        token,
+        password,
+        confirmPassword,
+      });
+      setSuccessMessage(response.data.message);
+    } catch (err) {
+      const data = err.response?.data;
+      setError(data?.errors?.[0]?.message || data?.message || 'Could not accept the invitation');
+    } finally {
+      // SECURITY: Clear passwords from memory
+      setPassword('');
+      setConfirmPassword('');
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <img src="/favicon.svg" alt="PixelForge Nexus" className="login-logo" />
+        <h1>PixelForge Nexus</h1>
+        <h2>Accept Invitation</h2>
+
+        {isChecking ? (
+          <div className="loading">Checking invitation...</div>
+        ) : successMessage ? (
+          <>
+            <div className="banner success">{successMessage}</div>
+            <button type="button" className="btn btn-primary" onClick={() => navigate('/login')}>
+              Go to Login
+            </button>
+          </>
+        ) : !invitation ? (
+          <div className="banner error">
+            This invitation link is invalid, expired or already used. Ask your administrator
+            to resend it.
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <p className="muted">
+              Welcome, {invitation.fullName}. You were invited
+              {invitation.organization && <> to <strong>{invitation.organization}</strong></>} as{' '}
+              <strong>{invitation.role}</strong>.
+              Your username is <strong>{invitation.email}</strong>.
+            </p>
+
+            {error && <div className="banner error">{error}</div>}
+
+            <div className="form-group">
+              <label htmlFor="password">Choose a password</label>
+              <input
+                id="password"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                disabled={isLoading}
+                autoComplete="new-password"
+                autoFocus
+              />
+              <PasswordChecklist password={password} />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="confirmPassword">Confirm password</label>
+              <input
+                id="confirmPassword"
+                type="password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                disabled={isLoading}
+                autoComplete="new-password"
+              />
+            </div>
+
+            <button type="submit" disabled={isLoading} className="btn btn-primary">
+              {isLoading ? 'Creating account...' : 'Create Account'}
+            </button>
+          </form>
+        )}
+
+        <div className="login-info">
+          <p>
+            <Link to="/login">Back to login</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvite;
@@ -1,5 +1,11 @@
 import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
 import AppShell from '../components/AppShell';
+import ApiTokensPanel from '../components/ApiTokensPanel';
+import MfaSettings from '../components/MfaSettings';
+import { Avatar } from '../components/ProfileCard';
+import PasswordChecklist from '../components/PasswordChecklist';
+import SessionsPanel from '../components/SessionsPanel';
 import useAuthStore from '../store/authStore';
 
 const AccountSettings = () => {
@@ -35,7 +41,15 @@ const AccountSettings = () => {
     >
       <div className="grid two-col">
         <section className="card">
-          <h2>Profile</h2>
+          <div className="section-header">
+            <div className="avatar-editor">
+              <Avatar user={user} size={48} />
+              <h2>Profile</h2>
+            </div>
+            <Link className="btn btn-secondary" to="/account-settings/profile">
+              Edit Profile
+            </Link>
+          </div>
           <div className="info-list">
             <div>
               <span>Full Name</span>
@@ -49,6 +63,12 @@ const AccountSettings = () => {
               <span>Role</span>
               <strong>{user?.role}</strong>
             </div>
+            {user?.profile?.title && (
+              <div>
+                <span>Job Title</span>
+                <strong>{user.profile.title}</strong>
+              </div>
+            )}
           </div>
         </section>
 
@@ -82,6 +102,7 @@ const AccountSettings = () => {
                 autoComplete="new-password"
                 disabled={isLoading}
               />
+              <PasswordChecklist password={newPassword} />
             </div>
 
             <div className="form-group">
@@ -103,6 +124,12 @@ const AccountSettings = () => {
           </form>
         </section>
       </div>
+
+      <MfaSettings />
+
+      <SessionsPanel />
+
+      <ApiTokensPanel />
     </AppShell>
   );
 };
@@ -0,0 +1,138 @@
+/**
+ * SECURITY: Required Password Change Page
+ *
+ * 1. Shown after an admin reset (mustChangePassword) or when the password expired
+ * 2. The API rejects every other call until the password is changed (backend enforced)
+ * 3. Live feedback from the server password policy
+ * 4. Passwords cleared from state after submission
+ */
+
+import React, { useState } from 'react';
+import { Navigate, useNavigate } from 'react-router-dom';
+import useAuthStore from '../store/authStore';
+import PasswordChecklist from '../components/PasswordChecklist';
+
+const ChangePassword = () => {
+  const navigate = useNavigate();
+  const { user, changePassword, logout, isLoading, error, clearError } = useAuthStore();
+  const [oldPassword, setOldPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [validationError, setValidationError] = useState('');
+
+  // Nothing to do once the requirement is cleared
+  if (!user?.mustChangePassword && !user?.passwordExpired) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    clearError();
+
+    if (!oldPassword || !newPassword) {
+      setValidationError('All fields are required');
+      return;
+    }
+
+    if (newPassword !== confirmPassword) {
+      setValidationError('Passwords do not match');
+      return;
+    }
+
+    setValidationError('');
+
+    const result = await changePassword(oldPassword, newPassword, confirmPassword);
+
+    // SECURITY: Clear passwords from memory
+    setOldPassword('');
+    setNewPassword('');
+    setConfirmPassword('');
+
+    if (result.success) {
+      navigate('/dashboard', { replace: true });
+    }
+  };
+
+  const handleLogout = async () => {
+    await logout();
+    navigate('/login', { replace: true });
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <img src="/favicon.svg" alt="PixelForge Nexus" className="login-logo" />
+        <h1>PixelForge Nexus</h1>
+        <h2>
+          {user.mustChangePassword ? 'Set a New Password' : 'Password Expired'}
+        </h2>
+
+        <p className="muted">
+          {user.mustChangePassword
+            ? 'Your password was reset by an administrator. Choose your own password to continue.'
+            : 'Your password has expired. Choose a new password to continue.'}
+        </p>
+
+        <form onSubmit={handleSubmit}>
+          {(error || validationError) && (
+            <div className="banner error">{error || validationError}</div>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="oldPassword">
+              {user.mustChangePassword ? 'Temporary password' : 'Current password'}
+            </label>
+            <input
+              id="oldPassword"
+              type="password"
+              value={oldPassword}
+              onChange={(event) => setOldPassword(event.target.value)}
+              autoComplete="current-password"
+              disabled={isLoading}
+              autoFocus
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="newPassword">New password</label>
+            <input
+              id="newPassword"
+              type="password"
+              value={newPassword}
+              onChange={(event) => setNewPassword(event.target.value)}
+              autoComplete="new-password"
+              disabled={isLoading}
+            />
+            <PasswordChecklist password={newPassword} />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="confirmPassword">Confirm new password</label>
+            <input
+              id="confirmPassword"
+              type="password"
+              value={confirmPassword}
+              onChange={(event) => setConfirmPassword(event.target.value)}
+              autoComplete="new-password"
+              disabled={isLoading}
+            />
+          </div>
+
+          <button type="submit" disabled={isLoading} className="btn btn-primary">
+            {isLoading ? 'Updating...' : 'Update Password'}
+          </button>
+        </form>
+
+        <div className="login-info">
+          <p>
+            <button type="button" className="link-button" onClick={handleLogout}>
+              Sign out
+            </button>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChangePassword;
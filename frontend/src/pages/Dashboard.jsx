@@ -1,7 +1,7 @@
 /**
  * SECURITY: Dashboard Page
  * 
- * 1. Role-based UI rendering
+ * 1. Permission-based UI rendering
  * 2. Only shows features user has access to
  * 3. Displays user information securely
  */
@@ -10,6 +10,7 @@ import React, { useEffect, useState } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import useAuthStore from '../store/authStore';
 import apiClient from '../lib/api';
+import { canOnProject, hasPermission } from '../lib/permissions';
 import AppShell from '../components/AppShell';
 
 const Dashboard = () => {
@@ -18,6 +19,7 @@ const Dashboard = () => {
   const [projects, setProjects] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const canCreate = hasPermission(user, 'project:create');
 
   useEffect(() => {
     if (!user) {
@@ -48,7 +50,7 @@ const Dashboard = () => {
       title="Dashboard"
       subtitle="Your active programs, deadlines, and team ownership."
       actions={
-        user?.role !== 'developer' ? (
+        canCreate ? (
           <Link to="/projects/create" className="btn btn-primary">
             Create Project
           </Link>
@@ -62,7 +64,7 @@ const Dashboard = () => {
       ) : projects.length === 0 ? (
         <div className="empty-state">
           <p>No projects available.</p>
-          {user?.role !== 'developer' && (
+          {canCreate && (
             <Link to="/projects/create" className="btn btn-primary">
               Create New Project
             </Link>
@@ -89,7 +91,7 @@ const Dashboard = () => {
                 <Link to={`/projects/${project._id}`} className="btn btn-secondary">
                   View Details
                 </Link>
-                {(user?.role === 'admin' || user?.role === 'project-lead') && (
+                {canOnProject(user, 'project:update', project) && (
                   <Link to={`/projects/${project._id}/edit`} className="btn btn-ghost">
                     Edit
                   </Link>
@@ -0,0 +1,85 @@
+/**
+ * SECURITY: Forgot Password Page
+ *
+ * 1. Requests a reset link for an email address
+ * 2. Shows the same confirmation whether or not the account exists
+ * 3. Never reveals delivery failures to the user
+ */
+
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import apiClient from '../lib/api';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [submitted, setSubmitted] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!email.trim()) {
+      setError('Email is required');
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      await apiClient.post('/auth/forgot-password', { email: email.trim() });
+      setSubmitted(true);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Request failed. Please try again later.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <img src="/favicon.svg" alt="PixelForge Nexus" className="login-logo" />
+        <h1>PixelForge Nexus</h1>
+        <h2>Reset Password</h2>
+
+        {submitted ? (
+          <div className="banner success">
+            If an account exists for that email, a reset link has been sent. Check your inbox.
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            {error && <div className="banner error">{error}</div>}
+
+            <div className="form-group">
+              <label htmlFor="email">Email</label>
+              <input
+                id="email"
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="user@company.com"
+                disabled={isLoading}
+                autoComplete="email"
+                autoFocus
+              />
+            </div>
+
+            <button type="submit" disabled={isLoading} className="btn btn-primary">
+              {isLoading ? 'Sending...' : 'Send Reset Link'}
+            </button>
+          </form>
+        )}
+
+        <div className="login-info">
+          <p>
+            <Link to="/login">Back to login</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
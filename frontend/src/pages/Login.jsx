@@ -5,19 +5,45 @@
  * 2. No password stored in state (cleared immediately)
  * 3. Error handling without exposing sensitive info
  * 4. CSRF protection via SameSite cookies (backend)
+ * 5. Second step for TOTP / recovery code when MFA is enabled
+ * 6. Optional single sign-on through the configured OIDC provider
  */
 
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import useAuthStore from '../store/authStore';
+import apiClient, { API_BASE_URL } from '../lib/api';
+
+// Reasons passed back by the SSO callback (?sso_error=...)
+const SSO_ERRORS = {
+  unavailable: 'Single sign-on is currently unavailable. Please try again later.',
+  cancelled: 'Single sign-on was cancelled.',
+  expired: 'Your single sign-on attempt expired. Please try again.',
+  not_allowed: 'Your account is not allowed to sign in to PixelForge Nexus. Contact your administrator.',
+  failed: 'Single sign-on failed. Please try again.',
+};
 
 const Login = () => {
   const navigate = useNavigate();
-  const { login, isLoading, error, isAuthenticated, clearError } = useAuthStore();
+  const [searchParams] = useSearchParams();
+  const {
+    login,
+    verifyMfa,
+    cancelMfa,
+    mfaToken,
+    isLoading,
+    error,
+    isAuthenticated,
+    clearError,
+  } = useAuthStore();
 
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [validationError, setValidationError] = useState('');
+  const [mfaCode, setMfaCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [sso, setSso] = useState(null);
+  const ssoError = searchParams.get('sso_error');
 
   // Redirect if already authenticated
   useEffect(() => {
@@ -26,6 +52,18 @@ const Login = () => {
     }
   }, [isAuthenticated, navigate]);
 
+  useEffect(() => {
+    apiClient
+      .get('/auth/oidc/config')
+      .then((response) => setSso(response.data.data))
+      .catch(() => setSso(null));
+  }, []);
+
+  // SECURITY: Full-page navigation - the backend redirects to the identity provider
+  const handleSsoLogin = () => {
+    window.location.assign(`${API_BASE_URL}/auth/oidc/login`);
+  };
+
   const validateForm = () => {
     if (!username.trim()) {
       setValidationError('Username is required');
@@ -64,6 +102,103 @@ const Login = () => {
     }
   };
 
+  const handleMfaSubmit = async (e) => {
+    e.preventDefault();
+    clearError();
+
+    const value = mfaCode.trim();
+    if (!useRecoveryCode && !/^\d{6}$/.test(value)) {
+      setValidationError('Enter the 6-digit code from your authenticator app');
+      return;
+    }
+    if (useRecoveryCode && !value) {
+      setValidationError('Enter one of your recovery codes');
+      return;
+    }
+    setValidationError('');
+
+    const result = await verifyMfa(
+      useRecoveryCode ? { recoveryCode: value } : { code: value }
+    );
+
+    // SECURITY: Codes are single-use, clear from memory
+    setMfaCode('');
+
+    if (result.success) {
+      navigate('/dashboard');
+    }
+  };
+
+  const handleMfaCancel = () => {
+    cancelMfa();
+    setMfaCode('');
+    setUseRecoveryCode(false);
+    setValidationError('');
+  };
+
+  if (mfaToken) {
+    return (
+      <div className="login-container">
+        <div className="login-card">
+          <img src="/favicon.svg" alt="PixelForge Nexus" className="login-logo" />
+          <h1>PixelForge Nexus</h1>
+          <h2>Two-Factor Verification</h2>
+
+          <form onSubmit={handleMfaSubmit}>
+            {(error || validationError) && (
+              <div className="banner error">{error || validationError}</div>
+            )}
+
+            <div className="form-group">
+              <label htmlFor="mfaCode">
+                {useRecoveryCode ? 'Recovery code' : 'Authenticator code'}
+              </label>
+              <input
+                id="mfaCode"
+                type="text"
+                value={mfaCode}
+                onChange={(e) => setMfaCode(e.target.value)}
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                disabled={isLoading}
+                autoFocus
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={isLoading}
+              className="btn btn-primary"
+            >
+              {isLoading ? 'Verifying...' : 'Verify'}
+            </button>
+          </form>
+
+          <div className="login-info">
+            <p>
+              <button
+                type="button"
+                className="link-button"
+                onClick={() => {
+                  setUseRecoveryCode((prev) => !prev);
+                  setMfaCode('');
+                }}
+              >
+                {useRecoveryCode ? 'Use authenticator code instead' : 'Use a recovery code instead'}
+              </button>
+            </p>
+            <p>
+              <button type="button" className="link-button" onClick={handleMfaCancel}>
+                Back to login
+              </button>
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="login-container">
       <div className="login-card">
@@ -73,8 +208,10 @@ const Login = () => {
 
         <form onSubmit={handleSubmit}>
           {/* SECURITY: Display errors but don't expose system details */}
-          {(error || validationError) && (
-            <div className="banner error">{error || validationError}</div>
+          {(error || validationError || ssoError) && (
+            <div className="banner error">
+              {error || validationError || SSO_ERRORS[ssoError] || SSO_ERRORS.failed}
+            </div>
           )}
 
           <div className="form-group">
@@ -112,7 +249,24 @@ const Login = () => {
           </button>
         </form>
 
+        {sso?.enabled && (
+          <>
+            <div className="sso-divider">or</div>
+            <button
+              type="button"
+              className="btn btn-sso"
+              onClick={handleSsoLogin}
+              disabled={isLoading}
+            >
+              Sign in with {sso.providerName}
+            </button>
+          </>
+        )}
+
         <div className="login-info">
+          <p>
+            <Link to="/forgot-password">Forgot your password?</Link>
+          </p>
           <p>
             For security reasons, no self-registration is available.
           </p>
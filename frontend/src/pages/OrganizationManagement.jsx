@@ -0,0 +1,316 @@
+/**
+ * SECURITY: Organization Management Page (organization:manage, super-admins)
+ *
+ * 1. Creates organizations and suspends or reactivates them
+ * 2. Adds existing users to an organization or removes them from it;
+ *    new people are invited from inside the organization
+ * 3. The default organization cannot be suspended, and users keep at least
+ *    one organization (both enforced by the API)
+ */
+
+import React, { useEffect, useState } from 'react';
+import AppShell from '../components/AppShell';
+import apiClient from '../lib/api';
+
+const emptyForm = {
+  name: '',
+  slug: '',
+};
+
+const toSlug = (value) =>
+  value
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50);
+
+const OrganizationManagement = () => {
+  const [organizations, setOrganizations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+  const [form, setForm] = useState(emptyForm);
+  const [selected, setSelected] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [memberEmail, setMemberEmail] = useState('');
+
+  const loadOrganizations = async () => {
+    try {
+      setLoading(true);
+      const response = await apiClient.get('/organizations');
+      setOrganizations(response.data.data.organizations || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load organizations.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadMembers = async (organization) => {
+    try {
+      const response = await apiClient.get(`/organizations/${organization._id}/members`);
+      setMembers(response.data.data.users || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load members.');
+    }
+  };
+
+  useEffect(() => {
+    loadOrganizations();
+  }, []);
+
+  const showError = (err, fallback) => {
+    const data = err.response?.data;
+    setError(data?.errors?.[0]?.message || data?.errors?.[0] || data?.message || fallback);
+  };
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    setError('');
+    setSuccessMessage('');
+
+    try {
+      const response = await apiClient.post('/organizations', form);
+      setSuccessMessage(response.data.message);
+      setForm(emptyForm);
+      loadOrganizations();
+    } catch (err) {
+      showError(err, 'Failed to create organization.');
+    }
+  };
+
+  const handleToggleActive = async (organization) => {
+    if (
+      organization.isActive &&
+      !window.confirm(`Suspend ${organization.name}? Its members can no longer open it.`)
+    ) {
+      return;
+    }
+
+    setError('');
+    setSuccessMessage('');
+
+    try {
+      const response = await apiClient.put(`/organizations/${organization._id}`, {
+        isActive: !organization.isActive,
+      });
+      setSuccessMessage(response.data.message);
+      loadOrganizations();
+    } catch (err) {
+      showError(err, 'Failed to update organization.');
+    }
+  };
+
+  const handleSelect = (organization) => {
+    setSelected(organization);
+    setMembers([]);
+    setMemberEmail('');
+    setError('');
+    setSuccessMessage('');
+    loadMembers(organization);
+  };
+
+  const handleAddMember = async (event) => {
+    event.preventDefault();
+    setError('');
+    setSuccessMessage('');
+
+    try {
+      const response = await apiClient.post(`/organizations/${selected._id}/members`, {
+        email: memberEmail,
+      });
+      setSuccessMessage(response.data.message);
+      setMemberEmail('');
+      loadMembers(selected);
+      loadOrganizations();
+    } catch (err) {
+      showError(err, 'Failed to add member.');
+    }
+  };
+
+  const handleRemoveMember = async (member) => {
+    if (!window.confirm(`Remove ${member.fullName} from ${selected.name}?`)) return;
+
+    setError('');
+    setSuccessMessage('');
+
+    try {
+      const response = await apiClient.delete(
+        `/organizations/${selected._id}/members/${member._id}`
+      );
+      setSuccessMessage(response.data.message);
+      loadMembers(selected);
+      loadOrganizations();
+    } catch (err) {
+      showError(err, 'Failed to remove member.');
+    }
+  };
+
+  return (
+    <AppShell title="Organizations" subtitle="Workspaces on this platform and who belongs to them.">
+      {error && <div className="banner error">{error}</div>}
+      {successMessage && <div className="banner success">{successMessage}</div>}
+
+      <section className="card">
+        <h2>Create Organization</h2>
+        <form className="form" onSubmit={handleCreate}>
+          <div className="form-grid">
+            <div className="form-group">
+              <label htmlFor="organizationName">Name</label>
+              <input
+                id="organizationName"
+                className="input"
+                value={form.name}
+                onChange={(event) =>
+                  setForm((prev) => ({
+                    name: event.target.value,
+                    // Follow the name until the slug is edited by hand
+                    slug: prev.slug === toSlug(prev.name) ? toSlug(event.target.value) : prev.slug,
+                  }))
+                }
+                placeholder="e.g. Northwind Studio"
+                minLength={2}
+                maxLength={100}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="organizationSlug">Slug</label>
+              <input
+                id="organizationSlug"
+                className="input"
+                value={form.slug}
+                onChange={(event) => setForm((prev) => ({ ...prev, slug: event.target.value }))}
+                pattern="[a-z0-9]+(-[a-z0-9]+)*"
+                maxLength={50}
+                required
+              />
+            </div>
+          </div>
+          <div className="form-actions">
+            <button className="btn btn-primary" type="submit">
+              Create Organization
+            </button>
+          </div>
+        </form>
+      </section>
+
+      <section className="card">
+        <div className="section-header">
+          <div>
+            <h2>Organizations</h2>
+            <p className="muted">Suspended organizations keep their data but cannot be opened.</p>
+          </div>
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading organizations...</div>
+        ) : (
+          <div className="table">
+            <div className="table-row header">
+              <span>Organization</span>
+              <span>Slug</span>
+              <span>Members</span>
+              <span>Status</span>
+              <span>Actions</span>
+            </div>
+            {organizations.map((organization) => (
+              <div key={organization._id} className="table-row">
+                <span>{organization.name}</span>
+                <span>{organization.slug}</span>
+                <span>{organization.memberCount}</span>
+                <span>{organization.isActive ? 'Active' : 'Suspended'}</span>
+                <div className="table-actions">
+                  <button className="btn btn-ghost" onClick={() => handleSelect(organization)}>
+                    Members
+                  </button>
+                  <button
+                    className={organization.isActive ? 'btn btn-danger' : 'btn btn-ghost'}
+                    onClick={() => handleToggleActive(organization)}
+                  >
+                    {organization.isActive ? 'Suspend' : 'Reactivate'}
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+
+      {selected && (
+        <section className="card">
+          <div className="section-header">
+            <div>
+              <h2>{selected.name} members</h2>
+              <p className="muted">
+                Roles apply in every organization a user belongs to.
+              </p>
+            </div>
+          </div>
+
+          <form className="form" onSubmit={handleAddMember}>
+            <div className="form-grid">
+              <div className="form-group">
+                <label htmlFor="memberEmail">Add existing user by email</label>
+                <input
+                  id="memberEmail"
+                  type="email"
+                  className="input"
+                  value={memberEmail}
+                  onChange={(event) => setMemberEmail(event.target.value)}
+                  required
+                />
+              </div>
+            </div>
+            <div className="form-actions">
+              <button className="btn btn-primary" type="submit">
+                Add Member
+              </button>
+              <button className="btn btn-ghost" type="button" onClick={() => setSelected(null)}>
+                Close
+              </button>
+            </div>
+          </form>
+
+          {members.length === 0 ? (
+            <p className="muted">No members yet.</p>
+          ) : (
+            <div className="table">
+              <div className="table-row header">
+                <span>Name</span>
+                <span>Email</span>
+                <span>Role</span>
+                <span>Organizations</span>
+                <span>Actions</span>
+              </div>
+              {members.map((member) => (
+                <div key={member._id} className="table-row">
+                  <span>{member.fullName}</span>
+                  <span>{member.email}</span>
+                  <span>{member.role}</span>
+                  <span>{member.organizations.length}</span>
+                  <div className="table-actions">
+                    <button
+                      className="btn btn-danger"
+                      onClick={() => handleRemoveMember(member)}
+                      disabled={member.organizations.length === 1}
+                      title={
+                        member.organizations.length === 1
+                          ? 'Users must belong to at least one organization'
+                          : undefined
+                      }
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </section>
+      )}
+    </AppShell>
+  );
+};
+
+export default OrganizationManagement;
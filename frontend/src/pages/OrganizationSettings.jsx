@@ -0,0 +1,258 @@
+/**
+ * SECURITY: Workspace Settings Page (organization:settings)
+ *
+ * 1. Org admins rename their organization and narrow its settings
+ * 2. Invitations (and SSO sign-ups) are limited to the allowed email domains
+ * 3. Uploads are limited to the chosen file types, a subset of the server's
+ * 4. The identity provider provisions users over SCIM with a token generated
+ *    here (shown once; generating a new one replaces it). The token gives any
+ *    role, so only admins who manage users and roles handle it
+ * 5. Creating and suspending organizations is left to super-admins
+ */
+
+import React, { useEffect, useState } from 'react';
+import AppShell from '../components/AppShell';
+import { useConfirmIdentity } from '../components/ConfirmIdentityModal';
+import useAuthStore from '../store/authStore';
+import apiClient, { API_BASE_URL } from '../lib/api';
+import { hasPermission } from '../lib/permissions';
+
+const SCIM_BASE_URL = `${API_BASE_URL.replace(/\/api\/?$/, '')}/scim/v2`;
+
+const splitList = (value) =>
+  value
+    .split(/[\s,]+/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const OrganizationSettings = () => {
+  const { user } = useAuthStore();
+  const canManageScim =
+    hasPermission(user, 'organization:manage') ||
+    (hasPermission(user, 'user:manage') && hasPermission(user, 'role:manage'));
+  const [organization, setOrganization] = useState(null);
+  const [availableFileTypes, setAvailableFileTypes] = useState([]);
+  const [name, setName] = useState('');
+  const [emailDomains, setEmailDomains] = useState('');
+  const [fileTypes, setFileTypes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+  const [scimToken, setScimToken] = useState('');
+  const { runWithReauth, confirmIdentityModal } = useConfirmIdentity();
+
+  const applyOrganization = (current) => {
+    setOrganization(current);
+    setName(current.name);
+    setEmailDomains(current.settings.allowedEmailDomains.join(', '));
+    setFileTypes(current.settings.allowedFileTypes);
+  };
+
+  useEffect(() => {
+    const loadOrganization = async () => {
+      try {
+        const response = await apiClient.get('/organizations/current');
+        applyOrganization(response.data.data.organization);
+        setAvailableFileTypes(response.data.data.availableFileTypes || []);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load workspace settings.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadOrganization();
+  }, []);
+
+  const toggleFileType = (type) => {
+    setFileTypes((prev) =>
+      prev.includes(type) ? prev.filter((item) => item !== type) : [...prev, type]
+    );
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError('');
+    setSuccessMessage('');
+
+    try {
+      const response = await apiClient.put('/organizations/current', {
+        name,
+        settings: {
+          allowedEmailDomains: splitList(emailDomains),
+          allowedFileTypes: fileTypes,
+        },
+      });
+      applyOrganization(response.data.data.organization);
+      setSuccessMessage(response.data.message);
+    } catch (err) {
+      const data = err.response?.data;
+      setError(data?.errors?.[0]?.message || data?.errors?.[0] || data?.message || 'Failed to save settings.');
+    }
+  };
+
+  const handleGenerateScimToken = async () => {
+    if (
+      organization.scimTokenCreatedAt &&
+      !window.confirm('Generate a new SCIM token? The current one stops working immediately.')
+    ) {
+      return;
+    }
+
+    setError('');
+    setSuccessMessage('');
+
+    try {
+      const response = await runWithReauth(() => apiClient.post('/organizations/current/scim-token'));
+      setOrganization(response.data.data.organization);
+      setScimToken(response.data.data.token);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to generate the SCIM token.');
+    }
+  };
+
+  const handleRevokeScimToken = async () => {
+    if (!window.confirm('Revoke the SCIM token? Your identity provider can no longer sync users.')) {
+      return;
+    }
+
+    setError('');
+    setSuccessMessage('');
+
+    try {
+      const response = await runWithReauth(() => apiClient.delete('/organizations/current/scim-token'));
+      setOrganization(response.data.data.organization);
+      setScimToken('');
+      setSuccessMessage(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to revoke the SCIM token.');
+    }
+  };
+
+  return (
+    <AppShell title="Workspace" subtitle="Settings of the organization you are working in.">
+      {error && <div className="banner error">{error}</div>}
+      {successMessage && <div className="banner success">{successMessage}</div>}
+
+      {loading ? (
+        <div className="loading">Loading workspace...</div>
+      ) : (
+        organization && (
+          <section className="card">
+            <h2>{organization.name}</h2>
+            <p className="muted">Workspace ID: {organization.slug}</p>
+            <form className="form" onSubmit={handleSubmit}>
+              <div className="form-grid">
+                <div className="form-group">
+                  <label htmlFor="organizationName">Name</label>
+                  <input
+                    id="organizationName"
+                    className="input"
+                    value={name}
+                    onChange={(event) => setName(event.target.value)}
+                    minLength={2}
+                    maxLength={100}
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="emailDomains">Allowed email domains</label>
+                  <input
+                    id="emailDomains"
+                    className="input"
+                    value={emailDomains}
+                    onChange={(event) => setEmailDomains(event.target.value)}
+                    placeholder="e.g. pixelforge.com, studio.pixelforge.com"
+                  />
+                  <p className="muted">
+                    Only these addresses can be invited. Leave empty to allow any domain.
+                  </p>
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label>Allowed file types</label>
+                <div className="chip-list">
+                  {availableFileTypes.map((type) => (
+                    <label key={type} className="chip">
+                      <input
+                        type="checkbox"
+                        checked={fileTypes.includes(type)}
+                        onChange={() => toggleFileType(type)}
+                      />
+                      <span>.{type}</span>
+                    </label>
+                  ))}
+                </div>
+                <p className="muted">
+                  Leave all unchecked to accept every type the server allows.
+                </p>
+              </div>
+
+              <div className="form-actions">
+                <button className="btn btn-primary" type="submit">
+                  Save Settings
+                </button>
+              </div>
+            </form>
+          </section>
+        )
+      )}
+
+      {organization && (
+        <section className="card">
+          <div className="section-header">
+            <div>
+              <h2>User Provisioning (SCIM)</h2>
+              <p className="muted">
+                Let your identity provider create people here, keep their names and roles in sync
+                and deactivate them when they leave. Groups in the provider map to roles.
+              </p>
+            </div>
+          </div>
+
+          <p>
+            SCIM base URL: <code>{SCIM_BASE_URL}</code>
+          </p>
+
+          {scimToken && (
+            <div className="banner success">
+              <p>Copy this token into your identity provider now. It will not be shown again.</p>
+              <code className="secret-code">{scimToken}</code>
+            </div>
+          )}
+
+          <p className="muted">
+            {organization.scimTokenCreatedAt
+              ? `Token ${organization.scimTokenPrefix}… created ${new Date(
+                  organization.scimTokenCreatedAt
+                ).toLocaleDateString()} · ${
+                  organization.scimTokenLastUsedAt
+                    ? `last used ${new Date(organization.scimTokenLastUsedAt).toLocaleString()}`
+                    : 'never used'
+                }`
+              : 'Provisioning is off until you generate a token.'}
+          </p>
+
+          {canManageScim ? (
+            <div className="form-actions">
+              <button className="btn btn-primary" type="button" onClick={handleGenerateScimToken}>
+                {organization.scimTokenCreatedAt ? 'Generate New Token' : 'Generate Token'}
+              </button>
+              {organization.scimTokenCreatedAt && (
+                <button className="btn btn-danger" type="button" onClick={handleRevokeScimToken}>
+                  Revoke Token
+                </button>
+              )}
+            </div>
+          ) : (
+            <p className="muted">Only admins who manage users and roles can generate or revoke the token.</p>
+          )}
+        </section>
+      )}
+      {confirmIdentityModal}
+    </AppShell>
+  );
+};
+
+export default OrganizationSettings;
@@ -0,0 +1,305 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import AppShell from '../components/AppShell';
+import { Avatar } from '../components/ProfileCard';
+import useAuthStore from '../store/authStore';
+import apiClient from '../lib/api';
+import { TIMEZONES, toDateInput } from '../lib/profile';
+
+const MAX_SKILLS = 20;
+const MAX_OUT_OF_OFFICE = 20;
+const AVATAR_TYPES = 'image/png,image/jpeg,image/webp';
+
+const formFromProfile = (profile = {}) => ({
+  title: profile.title || '',
+  skills: profile.skills || [],
+  timezone: profile.timezone || '',
+  weeklyCapacity: profile.weeklyCapacity ?? '',
+  outOfOffice: (profile.outOfOffice || []).map((range) => ({
+    start: toDateInput(range.start),
+    end: toDateInput(range.end),
+    note: range.note || '',
+  })),
+});
+
+const errorMessage = (err, fallback) => {
+  const data = err.response?.data;
+  return data?.errors?.[0]?.message || data?.errors?.[0] || data?.message || fallback;
+};
+
+const ProfileSettings = () => {
+  const { user, setUser } = useAuthStore();
+  const [form, setForm] = useState(() => formFromProfile(user?.profile));
+  const [skillInput, setSkillInput] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [avatarBusy, setAvatarBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+
+  const updateField = (field) => (event) => setForm({ ...form, [field]: event.target.value });
+
+  const resetMessages = () => {
+    setError('');
+    setSuccessMessage('');
+  };
+
+  const addSkill = () => {
+    const skill = skillInput.trim();
+    const known = form.skills.some((existing) => existing.toLowerCase() === skill.toLowerCase());
+
+    if (skill && !known && form.skills.length < MAX_SKILLS) {
+      setForm({ ...form, skills: [...form.skills, skill] });
+    }
+    setSkillInput('');
+  };
+
+  const handleSkillKeyDown = (event) => {
+    if (event.key === 'Enter' || event.key === ',') {
+      event.preventDefault();
+      addSkill();
+    }
+  };
+
+  const removeSkill = (skill) => {
+    setForm({ ...form, skills: form.skills.filter((existing) => existing !== skill) });
+  };
+
+  const updateRange = (index, field, value) => {
+    setForm({
+      ...form,
+      outOfOffice: form.outOfOffice.map((range, position) =>
+        position === index ? { ...range, [field]: value } : range
+      ),
+    });
+  };
+
+  const addRange = () => {
+    setForm({ ...form, outOfOffice: [...form.outOfOffice, { start: '', end: '', note: '' }] });
+  };
+
+  const removeRange = (index) => {
+    setForm({ ...form, outOfOffice: form.outOfOffice.filter((_, position) => position !== index) });
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    resetMessages();
+
+    try {
+      setSaving(true);
+      const response = await apiClient.put('/auth/profile', {
+        title: form.title.trim() || null,
+        skills: form.skills,
+        timezone: form.timezone || null,
+        weeklyCapacity: form.weeklyCapacity === '' ? null : Number(form.weeklyCapacity),
+        outOfOffice: form.outOfOffice.filter((range) => range.start || range.end),
+      });
+      setUser(response.data.data.user);
+      setForm(formFromProfile(response.data.data.user.profile));
+      setSuccessMessage('Profile saved.');
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to save profile.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAvatarChange = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    resetMessages();
+    const formData = new FormData();
+    formData.append('avatar', file);
+
+    try {
+      setAvatarBusy(true);
+      const response = await apiClient.put('/auth/profile/avatar', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+      });
+      setUser(response.data.data.user);
+      setSuccessMessage('Avatar updated.');
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to upload avatar.'));
+    } finally {
+      setAvatarBusy(false);
+    }
+  };
+
+  const handleAvatarRemove = async () => {
+    resetMessages();
+
+    try {
+      setAvatarBusy(true);
+      const response = await apiClient.delete('/auth/profile/avatar');
+      setUser(response.data.data.user);
+      setSuccessMessage('Avatar removed.');
+    } catch (err) {
+      setError(errorMessage(err, 'Failed to remove avatar.'));
+    } finally {
+      setAvatarBusy(false);
+    }
+  };
+
+  return (
+    <AppShell
+      title="Profile"
+      subtitle="What your colleagues see when they staff projects."
+      actions={
+        <Link className="btn btn-ghost" to="/account-settings">
+          Back to account settings
+        </Link>
+      }
+    >
+      {error && <div className="banner error">{error}</div>}
+      {successMessage && <div className="banner success">{successMessage}</div>}
+
+      <section className="card">
+        <h2>Avatar</h2>
+        <div className="avatar-editor">
+          <Avatar user={user} size={72} />
+          <label className="btn btn-secondary">
+            {avatarBusy ? 'Uploading...' : 'Upload image'}
+            <input
+              type="file"
+              accept={AVATAR_TYPES}
+              onChange={handleAvatarChange}
+              disabled={avatarBusy}
+              hidden
+            />
+          </label>
+          {user?.profile?.avatarUrl && (
+            <button className="btn btn-ghost" type="button" onClick={handleAvatarRemove} disabled={avatarBusy}>
+              Remove
+            </button>
+          )}
+          <p className="muted">PNG, JPEG or WebP, up to 1 MB.</p>
+        </div>
+      </section>
+
+      <section className="card">
+        <h2>Details</h2>
+        <form onSubmit={handleSubmit} className="form">
+          <div className="form-group">
+            <label htmlFor="title">Job title</label>
+            <input
+              id="title"
+              className="input"
+              value={form.title}
+              onChange={updateField('title')}
+              maxLength={100}
+              placeholder="e.g. Senior Environment Artist"
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="skills">Skills</label>
+            <div className="chip-list">
+              {form.skills.map((skill) => (
+                <span key={skill} className="chip">
+                  {skill}
+                  <button
+                    type="button"
+                    className="chip-remove"
+                    onClick={() => removeSkill(skill)}
+                    aria-label={`Remove ${skill}`}
+                  >
+                    ×
+                  </button>
+                </span>
+              ))}
+            </div>
+            <input
+              id="skills"
+              className="input"
+              value={skillInput}
+              onChange={(event) => setSkillInput(event.target.value)}
+              onKeyDown={handleSkillKeyDown}
+              onBlur={addSkill}
+              maxLength={40}
+              disabled={form.skills.length >= MAX_SKILLS}
+              placeholder="Type a skill and press Enter"
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="timezone">Time zone</label>
+            <select id="timezone" className="select" value={form.timezone} onChange={updateField('timezone')}>
+              <option value="">Not set</option>
+              {TIMEZONES.map((timezone) => (
+                <option key={timezone} value={timezone}>
+                  {timezone}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="weeklyCapacity">Weekly capacity (hours)</label>
+            <input
+              id="weeklyCapacity"
+              type="number"
+              className="input"
+              min="0"
+              max="80"
+              step="0.5"
+              value={form.weeklyCapacity}
+              onChange={updateField('weeklyCapacity')}
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Out of office</label>
+            {form.outOfOffice.length === 0 && <p className="muted">No time off planned.</p>}
+            {form.outOfOffice.map((range, index) => (
+              <div key={index} className="out-of-office-row">
+                <input
+                  type="date"
+                  className="input"
+                  value={range.start}
+                  onChange={(event) => updateRange(index, 'start', event.target.value)}
+                  aria-label="First day"
+                  required
+                />
+                <span className="muted">to</span>
+                <input
+                  type="date"
+                  className="input"
+                  value={range.end}
+                  min={range.start}
+                  onChange={(event) => updateRange(index, 'end', event.target.value)}
+                  aria-label="Last day"
+                  required
+                />
+                <input
+                  className="input"
+                  value={range.note}
+                  onChange={(event) => updateRange(index, 'note', event.target.value)}
+                  maxLength={200}
+                  placeholder="Note (optional)"
+                />
+                <button className="btn btn-ghost" type="button" onClick={() => removeRange(index)}>
+                  Remove
+                </button>
+              </div>
+            ))}
+            {form.outOfOffice.length < MAX_OUT_OF_OFFICE && (
+              <button className="btn btn-ghost" type="button" onClick={addRange}>
+                Add time off
+              </button>
+            )}
+          </div>
+
+          <button className="btn btn-primary" type="submit" disabled={saving}>
+            {saving ? 'Saving...' : 'Save Profile'}
+          </button>
+        </form>
+      </section>
+    </AppShell>
+  );
+};
+
+export default ProfileSettings;
@@ -1,8 +1,10 @@
 import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import AppShell from '../components/AppShell';
+import UserPicker from '../components/UserPicker';
 import useAuthStore from '../store/authStore';
 import apiClient from '../lib/api';
+import { hasPermission } from '../lib/permissions';
 
 const ProjectCreate = () => {
   const navigate = useNavigate();
@@ -14,35 +16,25 @@ const ProjectCreate = () => {
     priority: 'medium',
     projectLead: '',
   });
-  const [developers, setDevelopers] = useState([]);
-  const [projectLeads, setProjectLeads] = useState([]);
   const [assignedDevelopers, setAssignedDevelopers] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [assignedTeams, setAssignedTeams] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
   useEffect(() => {
-    const loadUsers = async () => {
+    const loadTeams = async () => {
       if (!user) return;
 
       try {
-        if (user.role === 'admin') {
-          const [leadResponse, devResponse] = await Promise.all([
-            apiClient.get('/users', { params: { role: 'project-lead' } }),
-            apiClient.get('/users', { params: { role: 'developer' } }),
-          ]);
-
-          setProjectLeads(leadResponse.data.data.users || []);
-          setDevelopers(devResponse.data.data.users || []);
-        } else if (user.role === 'project-lead') {
-          const response = await apiClient.get('/users/assignable');
-          setDevelopers(response.data.data.users || []);
-        }
+        const teamResponse = await apiClient.get('/teams');
+        setTeams(teamResponse.data.data.teams || []);
       } catch (err) {
-        setError('Unable to load user directory.');
+        setError('Unable to load teams.');
       }
     };
 
-    loadUsers();
+    loadTeams();
   }, [user]);
 
   const handleChange = (event) => {
@@ -50,8 +42,8 @@ const ProjectCreate = () => {
     setFormState((prev) => ({ ...prev, [name]: value }));
   };
 
-  const toggleDeveloper = (id) => {
-    setAssignedDevelopers((prev) =>
+  const toggleTeam = (id) => {
+    setAssignedTeams((prev) =>
       prev.includes(id) ? prev.filter((item) => item !== id) : [...prev, id]
     );
   };
@@ -65,9 +57,10 @@ const ProjectCreate = () => {
       const payload = {
         ...formState,
         assignedDevelopers,
+        teams: assignedTeams,
       };
 
-      if (user?.role !== 'admin') {
+      if (!hasPermission(user, 'user:manage')) {
         delete payload.projectLead;
       }
 
@@ -145,23 +138,19 @@ const ProjectCreate = () => {
               </select>
             </div>
 
-            {user?.role === 'admin' && (
+            {hasPermission(user, 'user:manage') && (
               <div className="form-group">
                 <label htmlFor="projectLead">Project lead</label>
-                <select
+                {/* Choosing the lead needs the user directory (user:manage) */}
+                <UserPicker
                   id="projectLead"
-                  name="projectLead"
+                  endpoint="/users"
+                  params={{ permission: 'project:lead', active: true }}
                   value={formState.projectLead}
-                  onChange={handleChange}
-                  className="select"
-                >
-                  <option value="">Assign later</option>
-                  {projectLeads.map((lead) => (
-                    <option key={lead._id} value={lead._id}>
-                      {lead.fullName} ({lead.email})
-                    </option>
-                  ))}
-                </select>
+                  onChange={(projectLead) => setFormState((prev) => ({ ...prev, projectLead }))}
+                  noneLabel="Assign later"
+                  emptyText="No one who can lead projects matches."
+                />
               </div>
             )}
           </div>
@@ -169,19 +158,34 @@ const ProjectCreate = () => {
           <div className="divider" />
 
           <div className="form-group">
-            <label>Assign developers</label>
+            <label htmlFor="assignedDevelopers">Assign developers</label>
+            <UserPicker
+              id="assignedDevelopers"
+              endpoint="/users/assignable"
+              multiple
+              value={assignedDevelopers}
+              onChange={setAssignedDevelopers}
+              noneLabel="No developers assigned yet."
+              emptyText="No developers match."
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Assign teams</label>
+            <p className="muted">Everyone in a team gets access, including people who join it later.</p>
             <div className="chip-list">
-              {developers.length === 0 && (
-                <p className="muted">No developers available yet.</p>
-              )}
-              {developers.map((dev) => (
-                <label key={dev._id} className="chip">
+              {teams.length === 0 && <p className="muted">No teams defined yet.</p>}
+              {teams.map((team) => (
+                <label key={team._id} className="chip">
                   <input
                     type="checkbox"
-                    checked={assignedDevelopers.includes(dev._id)}
-                    onChange={() => toggleDeveloper(dev._id)}
+                    checked={assignedTeams.includes(team._id)}
+                    onChange={() => toggleTeam(team._id)}
                   />
-                  <span>{dev.fullName}</span>
+                  <span>
+                    {team.name}
+                    {team.members && ` (${team.members.length})`}
+                  </span>
                 </label>
               ))}
             </div>
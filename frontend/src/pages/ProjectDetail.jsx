@@ -1,12 +1,22 @@
 import React, { useEffect, useState } from 'react';
 import { Link, useParams } from 'react-router-dom';
 import AppShell from '../components/AppShell';
+import { useConfirmIdentity } from '../components/ConfirmIdentityModal';
+import ProfileCard from '../components/ProfileCard';
 import useAuthStore from '../store/authStore';
 import apiClient from '../lib/api';
+import { canOnProject, PROJECT_ROLE_LABELS } from '../lib/permissions';
+
+const HISTORY_LABELS = {
+  'lead-handover': 'Lead hand-over',
+  'co-lead-added': 'Co-lead added',
+  'co-lead-removed': 'Co-lead removed',
+};
 
 const ProjectDetail = () => {
   const { id } = useParams();
   const { user } = useAuthStore();
+  const { runWithReauth, confirmIdentityModal } = useConfirmIdentity();
   const [project, setProject] = useState(null);
   const [documents, setDocuments] = useState([]);
   const [messages, setMessages] = useState([]);
@@ -21,8 +31,11 @@ const ProjectDetail = () => {
   const [messageError, setMessageError] = useState('');
   const [reviewResponse, setReviewResponse] = useState('');
 
-  const canManage = user?.role === 'admin' || user?.role === 'project-lead';
-  const isDeveloper = user?.role === 'developer';
+  const canEdit = canOnProject(user, 'project:update', project);
+  const canUpload = canOnProject(user, 'document:upload', project);
+  const canReview = canOnProject(user, 'message:review', project);
+  const canSendMessage = canOnProject(user, 'message:send', project);
+  const canRequestCompletion = canOnProject(user, 'message:request-completion', project);
 
   const loadProject = async () => {
     try {
@@ -109,10 +122,10 @@ const ProjectDetail = () => {
 
   const handleDelete = async (documentId) => {
     try {
-      await apiClient.delete(`/documents/${documentId}`);
+      await runWithReauth(() => apiClient.delete(`/documents/${documentId}`));
       await loadDocuments();
     } catch (err) {
-      setDocError('Failed to delete document.');
+      setDocError(err.response?.data?.message || 'Failed to delete document.');
     }
   };
 
@@ -184,7 +197,7 @@ const ProjectDetail = () => {
       title={project.name}
       subtitle={project.description || 'No description provided.'}
       actions={
-        canManage ? (
+        canEdit ? (
           <Link className="btn btn-secondary" to={`/projects/${project._id}/edit`}>
             Edit Project
           </Link>
@@ -209,28 +222,62 @@ const ProjectDetail = () => {
               {project.deadline ? new Date(project.deadline).toLocaleDateString() : 'Not set'}
             </strong>
           </div>
-          <div>
-            <span>Project Lead</span>
-            <strong>{project.projectLead?.fullName || 'Unassigned'}</strong>
-          </div>
         </div>
 
         <div className="divider" />
 
+        <div>
+          <h3>Leads</h3>
+          <div className="profile-grid">
+            {project.projectLead ? (
+              <ProfileCard user={project.projectLead} caption="Project lead" />
+            ) : (
+              <p className="muted">No lead assigned.</p>
+            )}
+            {project.coLeads?.map((coLead) => (
+              <ProfileCard key={coLead._id} user={coLead} caption="Co-lead" />
+            ))}
+          </div>
+        </div>
+
         <div>
           <h3>Assigned Developers</h3>
-          <div className="chip-list">
+          <div className="profile-grid">
             {project.assignedDevelopers?.length ? (
-              project.assignedDevelopers.map((dev) => (
-                <span key={dev._id} className="chip read-only">
-                  {dev.fullName}
-                </span>
-              ))
+              project.assignedDevelopers.map((dev) => <ProfileCard key={dev._id} user={dev} />)
             ) : (
               <p className="muted">No developers assigned.</p>
             )}
           </div>
         </div>
+
+        {project.teams?.length > 0 && (
+          <div>
+            <h3>Teams</h3>
+            <div className="chip-list">
+              {project.teams.map((team) => (
+                <span key={team._id} className="chip read-only">
+                  {team.name}
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {project.members?.length > 0 && (
+          <div>
+            <h3>Members</h3>
+            <div className="profile-grid">
+              {project.members.map((member) => (
+                <ProfileCard
+                  key={member.user?._id}
+                  user={member.user}
+                  caption={PROJECT_ROLE_LABELS[member.role]}
+                />
+              ))}
+            </div>
+          </div>
+        )}
       </section>
 
       <section className="card">
@@ -239,7 +286,7 @@ const ProjectDetail = () => {
             <h2>Documents</h2>
             <p className="muted">Secure uploads with audit tracking.</p>
           </div>
-          {canManage && (
+          {canUpload && (
             <form className="upload-form" onSubmit={handleUpload}>
               <input
                 type="file"
@@ -281,7 +328,7 @@ const ProjectDetail = () => {
                   <button className="btn btn-ghost" onClick={() => handleDownload(doc)}>
                     Download
                   </button>
-                  {(user?.role === 'admin' || doc.uploadedBy?._id === user?._id) && (
+                  {(canUpload || doc.uploadedBy?._id === user?._id) && (
                     <button className="btn btn-danger" onClick={() => handleDelete(doc._id)}>
                       Delete
                     </button>
@@ -305,35 +352,37 @@ const ProjectDetail = () => {
         {messageError && <div className="banner error">{messageError}</div>}
 
         {/* Send Message Form */}
-        <form className="message-form" onSubmit={handleSendMessage}>
-          <textarea
-            className="textarea"
-            placeholder="Type your message..."
-            value={messageContent}
-            onChange={(e) => setMessageContent(e.target.value)}
-            rows={3}
-            disabled={messageLoading}
-          />
-          <div className="message-actions">
-            <button 
-              type="submit" 
-              className="btn btn-primary" 
-              disabled={messageLoading || !messageContent.trim()}
-            >
-              {messageLoading ? 'Sending...' : 'Send Message'}
-            </button>
-            {isDeveloper && project.status === 'active' && !hasPendingCompletionRequest && (
-              <button
-                type="button"
-                className="btn btn-secondary"
-                onClick={(e) => handleSendMessage(e, 'completion-request')}
+        {canSendMessage && (
+          <form className="message-form" onSubmit={handleSendMessage}>
+            <textarea
+              className="textarea"
+              placeholder="Type your message..."
+              value={messageContent}
+              onChange={(e) => setMessageContent(e.target.value)}
+              rows={3}
+              disabled={messageLoading}
+            />
+            <div className="message-actions">
+              <button 
+                type="submit" 
+                className="btn btn-primary" 
                 disabled={messageLoading || !messageContent.trim()}
               >
-                Request Completion
+                {messageLoading ? 'Sending...' : 'Send Message'}
               </button>
-            )}
-          </div>
-        </form>
+              {canRequestCompletion && project.status === 'active' && !hasPendingCompletionRequest && (
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={(e) => handleSendMessage(e, 'completion-request')}
+                  disabled={messageLoading || !messageContent.trim()}
+                >
+                  Request Completion
+                </button>
+              )}
+            </div>
+          </form>
+        )}
 
         {/* Messages List */}
         <div className="messages-list">
@@ -343,13 +392,21 @@ const ProjectDetail = () => {
             messages.map((msg) => (
               <div 
                 key={msg._id} 
-                className={`message-item ${msg.type !== 'message' ? 'message-request' : ''} ${
-                  msg.type === 'completion-approved' ? 'message-approved' : ''
-                } ${msg.type === 'completion-rejected' ? 'message-rejected' : ''}`}
+                className={`message-item ${
+                  !['message', 'system'].includes(msg.type) ? 'message-request' : ''
+                } ${msg.type === 'completion-approved' ? 'message-approved' : ''} ${
+                  msg.type === 'completion-rejected' ? 'message-rejected' : ''
+                } ${msg.type === 'system' ? 'message-system' : ''}`}
               >
                 <div className="message-header">
                   <strong>{msg.sender?.fullName}</strong>
-                  <span className="message-role">{msg.sender?.role}</span>
+                  <span className="message-role">
+                    {msg.type === 'system'
+                      ? 'project update'
+                      : msg.sender?.deletedAt
+                        ? 'former user'
+                        : msg.sender?.memberships?.[0]?.role}
+                  </span>
                   <span className="message-time">
                     {new Date(msg.createdAt).toLocaleString()}
                   </span>
@@ -374,7 +431,7 @@ const ProjectDetail = () => {
                 )}
 
                 {/* Review Actions for Admin/Project Lead */}
-                {canManage && msg.type === 'completion-request' && !msg.reviewedBy && (
+                {canReview && msg.type === 'completion-request' && !msg.reviewedBy && (
                   <div className="review-actions">
                     <input
                       type="text"
@@ -406,6 +463,33 @@ const ProjectDetail = () => {
           )}
         </div>
       </section>
+
+      {project.history?.length > 0 && (
+        <section className="card">
+          <div className="section-header">
+            <div>
+              <h2>Leadership History</h2>
+              <p className="muted">Hand-overs and co-lead changes</p>
+            </div>
+          </div>
+          <div className="table">
+            {[...project.history].reverse().map((entry) => (
+              <div key={entry._id} className="table-row">
+                <span>{new Date(entry.at).toLocaleString()}</span>
+                <span>{HISTORY_LABELS[entry.action]}</span>
+                <span>
+                  {entry.from?.fullName && `${entry.from.fullName} → `}
+                  {entry.to?.fullName}
+                </span>
+                <span className="muted">by {entry.actor?.fullName || 'a former user'}</span>
+                <span className="muted">{entry.note}</span>
+              </div>
+            ))}
+          </div>
+        </section>
+      )}
+
+      {confirmIdentityModal}
     </AppShell>
   );
 };
@@ -1,8 +1,10 @@
 import React, { useEffect, useState } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import AppShell from '../components/AppShell';
+import UserPicker from '../components/UserPicker';
 import useAuthStore from '../store/authStore';
 import apiClient from '../lib/api';
+import { hasPermission, PROJECT_ROLE_LABELS } from '../lib/permissions';
 
 const ProjectEdit = () => {
   const { id } = useParams();
@@ -17,12 +19,25 @@ const ProjectEdit = () => {
     projectLead: '',
   });
   const [developers, setDevelopers] = useState([]);
-  const [projectLeads, setProjectLeads] = useState([]);
+  const [currentUsers, setCurrentUsers] = useState([]);
   const [assignedDevelopers, setAssignedDevelopers] = useState([]);
+  const [coLeads, setCoLeads] = useState([]);
+  const [leadCandidates, setLeadCandidates] = useState([]);
+  const [handOver, setHandOver] = useState({ newLead: '', keepPreviousLead: true, note: '' });
+  const [handingOver, setHandingOver] = useState(false);
+  const [teams, setTeams] = useState([]);
+  const [projectTeams, setProjectTeams] = useState([]);
+  const [assignedTeams, setAssignedTeams] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [memberCandidates, setMemberCandidates] = useState([]);
+  const [newMember, setNewMember] = useState({ user: '', role: 'viewer' });
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState('');
 
+  // Maintainers without a global project permission can only remove assignees
+  const canAssign = hasPermission(user, 'project:create', 'project:update', 'project:update:any');
+
   useEffect(() => {
     const loadProject = async () => {
       try {
@@ -38,6 +53,17 @@ const ProjectEdit = () => {
           projectLead: project.projectLead?._id || '',
         });
         setAssignedDevelopers(project.assignedDevelopers?.map((dev) => dev._id) || []);
+        // Names for the pickers before they page through the directory
+        setCurrentUsers([project.projectLead, ...(project.assignedDevelopers || [])].filter(Boolean));
+        setCoLeads(project.coLeads?.map((coLead) => coLead._id) || []);
+        setAssignedTeams(project.teams?.map((team) => team._id) || []);
+        setMembers(
+          project.members?.map((member) => ({ user: member.user._id, role: member.role })) || []
+        );
+
+        // Maintainers without a global project permission choose among the current assignees
+        setDevelopers(project.assignedDevelopers || []);
+        setProjectTeams(project.teams || []);
       } catch (err) {
         setError('Failed to load project.');
       } finally {
@@ -53,17 +79,18 @@ const ProjectEdit = () => {
       if (!user) return;
 
       try {
-        if (user.role === 'admin') {
-          const [leadResponse, devResponse] = await Promise.all([
-            apiClient.get('/users', { params: { role: 'project-lead' } }),
-            apiClient.get('/users', { params: { role: 'developer' } }),
-          ]);
-
-          setProjectLeads(leadResponse.data.data.users || []);
-          setDevelopers(devResponse.data.data.users || []);
-        } else if (user.role === 'project-lead') {
-          const response = await apiClient.get('/users/assignable');
-          setDevelopers(response.data.data.users || []);
+        const [candidateResponse, leadCandidateResponse] = await Promise.all([
+          apiClient.get(`/projects/${id}/member-candidates`),
+          apiClient.get(`/projects/${id}/member-candidates`, {
+            params: { permission: 'project:lead' },
+          }),
+        ]);
+        setMemberCandidates(candidateResponse.data.data.users || []);
+        setLeadCandidates(leadCandidateResponse.data.data.users || []);
+
+        if (canAssign) {
+          const teamResponse = await apiClient.get('/teams');
+          setTeams(teamResponse.data.data.teams || []);
         }
       } catch (err) {
         setError('Unable to load user directory.');
@@ -71,7 +98,9 @@ const ProjectEdit = () => {
     };
 
     loadUsers();
-  }, [user]);
+  }, [id, user, canAssign]);
+
+  const teamOptions = canAssign ? teams : projectTeams;
 
   const handleChange = (event) => {
     const { name, value } = event.target;
@@ -84,6 +113,63 @@ const ProjectEdit = () => {
     );
   };
 
+  const toggleTeam = (id) => {
+    setAssignedTeams((prev) =>
+      prev.includes(id) ? prev.filter((item) => item !== id) : [...prev, id]
+    );
+  };
+
+  const toggleCoLead = (id) => {
+    setCoLeads((prev) =>
+      prev.includes(id) ? prev.filter((item) => item !== id) : [...prev, id]
+    );
+  };
+
+  const handleHandOver = async (event) => {
+    event.preventDefault();
+    setHandingOver(true);
+    setError('');
+
+    try {
+      await apiClient.post(`/projects/${id}/hand-over`, handOver);
+      navigate(`/projects/${id}`);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to hand over the project.');
+    } finally {
+      setHandingOver(false);
+    }
+  };
+
+  const addMember = () => {
+    if (!newMember.user) return;
+    setMembers((prev) => [...prev, newMember]);
+    setNewMember({ user: '', role: 'viewer' });
+  };
+
+  const changeMemberRole = (userId, role) => {
+    setMembers((prev) =>
+      prev.map((member) => (member.user === userId ? { ...member, role } : member))
+    );
+  };
+
+  const removeMember = (userId) => {
+    setMembers((prev) => prev.filter((member) => member.user !== userId));
+  };
+
+  const candidateName = (userId) => {
+    const candidate = memberCandidates.find((item) => item._id === userId);
+    return candidate ? `${candidate.fullName} (${candidate.email})` : 'Unknown user';
+  };
+
+  // The lead and assigned developers are already on the project
+  const availableCandidates = memberCandidates.filter(
+    (candidate) =>
+      candidate._id !== formState.projectLead &&
+      !coLeads.includes(candidate._id) &&
+      !assignedDevelopers.includes(candidate._id) &&
+      !members.some((member) => member.user === candidate._id)
+  );
+
   const handleSubmit = async (event) => {
     event.preventDefault();
     setSaving(true);
@@ -92,10 +178,13 @@ const ProjectEdit = () => {
     try {
       const payload = {
         ...formState,
+        coLeads,
         assignedDevelopers,
+        teams: assignedTeams,
+        members,
       };
 
-      if (user?.role !== 'admin') {
+      if (!hasPermission(user, 'user:manage')) {
         delete payload.projectLead;
       }
 
@@ -194,23 +283,20 @@ const ProjectEdit = () => {
               </select>
             </div>
 
-            {user?.role === 'admin' && (
+            {hasPermission(user, 'user:manage') && (
               <div className="form-group">
                 <label htmlFor="projectLead">Project lead</label>
-                <select
+                {/* Choosing the lead needs the user directory (user:manage) */}
+                <UserPicker
                   id="projectLead"
-                  name="projectLead"
+                  endpoint="/users"
+                  params={{ permission: 'project:lead', active: true }}
                   value={formState.projectLead}
-                  onChange={handleChange}
-                  className="select"
-                >
-                  <option value="">Assign later</option>
-                  {projectLeads.map((lead) => (
-                    <option key={lead._id} value={lead._id}>
-                      {lead.fullName} ({lead.email})
-                    </option>
-                  ))}
-                </select>
+                  onChange={(projectLead) => setFormState((prev) => ({ ...prev, projectLead }))}
+                  initialUsers={currentUsers}
+                  noneLabel="Assign later"
+                  emptyText="No one who can lead projects matches."
+                />
               </div>
             )}
           </div>
@@ -218,24 +304,138 @@ const ProjectEdit = () => {
           <div className="divider" />
 
           <div className="form-group">
-            <label>Assigned developers</label>
+            <label>Co-leads</label>
             <div className="chip-list">
-              {developers.length === 0 && (
-                <p className="muted">No developers available yet.</p>
+              {leadCandidates.filter((lead) => lead._id !== formState.projectLead).length === 0 && (
+                <p className="muted">No other users can lead projects.</p>
               )}
-              {developers.map((dev) => (
-                <label key={dev._id} className="chip">
+              {leadCandidates
+                .filter((lead) => lead._id !== formState.projectLead)
+                .map((lead) => (
+                  <label key={lead._id} className="chip">
+                    <input
+                      type="checkbox"
+                      checked={coLeads.includes(lead._id)}
+                      onChange={() => toggleCoLead(lead._id)}
+                    />
+                    <span>{lead.fullName}</span>
+                  </label>
+                ))}
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="assignedDevelopers">Assigned developers</label>
+            {canAssign ? (
+              <UserPicker
+                id="assignedDevelopers"
+                endpoint="/users/assignable"
+                multiple
+                value={assignedDevelopers}
+                onChange={setAssignedDevelopers}
+                initialUsers={currentUsers}
+                noneLabel="No developers assigned."
+                emptyText="No developers match."
+              />
+            ) : (
+              <div className="chip-list">
+                {developers.length === 0 && (
+                  <p className="muted">No developers assigned.</p>
+                )}
+                {developers.map((dev) => (
+                  <label key={dev._id} className="chip">
+                    <input
+                      type="checkbox"
+                      checked={assignedDevelopers.includes(dev._id)}
+                      onChange={() => toggleDeveloper(dev._id)}
+                    />
+                    <span>{dev.fullName}</span>
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label>Assigned teams</label>
+            <p className="muted">Everyone in a team gets access, including people who join it later.</p>
+            <div className="chip-list">
+              {teamOptions.length === 0 && <p className="muted">No teams defined yet.</p>}
+              {teamOptions.map((team) => (
+                <label key={team._id} className="chip">
                   <input
                     type="checkbox"
-                    checked={assignedDevelopers.includes(dev._id)}
-                    onChange={() => toggleDeveloper(dev._id)}
+                    checked={assignedTeams.includes(team._id)}
+                    onChange={() => toggleTeam(team._id)}
                   />
-                  <span>{dev.fullName}</span>
+                  <span>
+                    {team.name}
+                    {team.members && ` (${team.members.length})`}
+                  </span>
                 </label>
               ))}
             </div>
           </div>
 
+          <div className="form-group">
+            <label>Members</label>
+            <p className="muted">
+              Project roles apply on this project only: viewers read, contributors also post
+              messages, maintainers also edit the project and its documents.
+            </p>
+            {members.length === 0 && <p className="muted">No members yet.</p>}
+            {members.map((member) => (
+              <div key={member.user} className="form-actions">
+                <span>{candidateName(member.user)}</span>
+                <select
+                  value={member.role}
+                  onChange={(event) => changeMemberRole(member.user, event.target.value)}
+                  className="select"
+                  aria-label="Project role"
+                >
+                  {Object.entries(PROJECT_ROLE_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+                <button className="btn btn-ghost" type="button" onClick={() => removeMember(member.user)}>
+                  Remove
+                </button>
+              </div>
+            ))}
+            <div className="form-actions">
+              <select
+                value={newMember.user}
+                onChange={(event) => setNewMember((prev) => ({ ...prev, user: event.target.value }))}
+                className="select"
+                aria-label="New member"
+              >
+                <option value="">Select a user</option>
+                {availableCandidates.map((candidate) => (
+                  <option key={candidate._id} value={candidate._id}>
+                    {candidate.fullName} ({candidate.email})
+                  </option>
+                ))}
+              </select>
+              <select
+                value={newMember.role}
+                onChange={(event) => setNewMember((prev) => ({ ...prev, role: event.target.value }))}
+                className="select"
+                aria-label="New member role"
+              >
+                {Object.entries(PROJECT_ROLE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <button className="btn btn-secondary" type="button" onClick={addMember} disabled={!newMember.user}>
+                Add Member
+              </button>
+            </div>
+          </div>
+
           <div className="form-actions">
             <button className="btn btn-primary" type="submit" disabled={saving}>
               {saving ? 'Saving...' : 'Save Changes'}
@@ -250,6 +450,66 @@ const ProjectEdit = () => {
           </div>
         </form>
       </section>
+
+      <section className="card">
+        <h2>Hand Over Leadership</h2>
+        <p className="muted">
+          Makes another user the project lead, gives them access to the project documents and
+          posts a note in the project thread.
+        </p>
+        <form className="form" onSubmit={handleHandOver}>
+          <div className="form-grid">
+            <div className="form-group">
+              <label htmlFor="newLead">New project lead</label>
+              <select
+                id="newLead"
+                value={handOver.newLead}
+                onChange={(event) => setHandOver((prev) => ({ ...prev, newLead: event.target.value }))}
+                className="select"
+                required
+              >
+                <option value="">Select a user</option>
+                {leadCandidates
+                  .filter((lead) => lead._id !== formState.projectLead)
+                  .map((lead) => (
+                    <option key={lead._id} value={lead._id}>
+                      {lead.fullName} ({lead.email})
+                    </option>
+                  ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="handOverNote">Note</label>
+              <input
+                id="handOverNote"
+                value={handOver.note}
+                onChange={(event) => setHandOver((prev) => ({ ...prev, note: event.target.value }))}
+                className="input"
+                placeholder="e.g. Covering during leave until March"
+                maxLength={500}
+              />
+            </div>
+          </div>
+
+          <label className="chip">
+            <input
+              type="checkbox"
+              checked={handOver.keepPreviousLead}
+              onChange={(event) =>
+                setHandOver((prev) => ({ ...prev, keepPreviousLead: event.target.checked }))
+              }
+            />
+            <span>Keep the current lead as a co-lead</span>
+          </label>
+
+          <div className="form-actions">
+            <button className="btn btn-secondary" type="submit" disabled={handingOver || !handOver.newLead}>
+              {handingOver ? 'Handing over...' : 'Hand Over'}
+            </button>
+          </div>
+        </form>
+      </section>
     </AppShell>
   );
 };
@@ -0,0 +1,130 @@
+/**
+ * SECURITY: Reset Password Page
+ *
+ * 1. Reads the single-use token from the emailed link
+ * 2. Live feedback from the server password policy
+ * 3. Passwords cleared from state after submission
+ * 4. All sessions are signed out by the backend on success
+ */
+
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import apiClient from '../lib/api';
+import PasswordChecklist from '../components/PasswordChecklist';
+
+const ResetPassword = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+
+  const validateForm = () => {
+    if (newPassword !== confirmPassword) {
+      setError('Passwords do not match');
+      return false;
+    }
+
+    return true;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!validateForm()) {
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      const response = await apiClient.post('/auth/reset-password', {
+        token,
+        newPassword,
+        confirmPassword,
+      });
+      setSuccessMessage(response.data.message);
+    } catch (err) {
+      const data = err.response?.data;
+      setError(data?.errors?.[0]?.message || data?.message || 'Password reset failed');
+    } finally {
+      // SECURITY: Clear passwords from memory
+      setNewPassword('');
+      setConfirmPassword('');
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <img src="/favicon.svg" alt="PixelForge Nexus" className="login-logo" />
+        <h1>PixelForge Nexus</h1>
+        <h2>Choose a New Password</h2>
+
+        {!token ? (
+          <div className="banner error">
+            This reset link is invalid. Request a new one below.
+          </div>
+        ) : successMessage ? (
+          <>
+            <div className="banner success">{successMessage}</div>
+            <button type="button" className="btn btn-primary" onClick={() => navigate('/login')}>
+              Go to Login
+            </button>
+          </>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            {error && <div className="banner error">{error}</div>}
+
+            <div className="form-group">
+              <label htmlFor="newPassword">New password</label>
+              <input
+                id="newPassword"
+                type="password"
+                value={newPassword}
+                onChange={(e) => setNewPassword(e.target.value)}
+                disabled={isLoading}
+                autoComplete="new-password"
+                autoFocus
+              />
+              <PasswordChecklist password={newPassword} />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="confirmPassword">Confirm new password</label>
+              <input
+                id="confirmPassword"
+                type="password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                disabled={isLoading}
+                autoComplete="new-password"
+              />
+            </div>
+
+            <button type="submit" disabled={isLoading} className="btn btn-primary">
+              {isLoading ? 'Saving...' : 'Reset Password'}
+            </button>
+          </form>
+        )}
+
+        <div className="login-info">
+          <p>
+            <Link to="/forgot-password">Request a new reset link</Link>
+          </p>
+          <p>
+            <Link to="/login">Back to login</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
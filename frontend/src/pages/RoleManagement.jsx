@@ -0,0 +1,225 @@
+/**
+ * SECURITY: Role Management Page (role:manage)
+ *
+ * 1. Shows every permission and which roles grant it
+ * 2. Built-in roles are read-only; custom roles are named permission sets
+ * 3. A role still held by users cannot be deleted (enforced by the API)
+ */
+
+import React, { useEffect, useState } from 'react';
+import AppShell from '../components/AppShell';
+import apiClient from '../lib/api';
+
+const emptyForm = {
+  name: '',
+  description: '',
+  permissions: [],
+};
+
+const RoleManagement = () => {
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+  const [editingRole, setEditingRole] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+
+  const loadRoles = async () => {
+    try {
+      setLoading(true);
+      const response = await apiClient.get('/roles');
+      setRoles(response.data.data.roles || []);
+      setPermissions(response.data.data.permissions || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load roles.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadRoles();
+  }, []);
+
+  const resetForm = () => {
+    setEditingRole(null);
+    setForm(emptyForm);
+  };
+
+  const startEdit = (role) => {
+    setEditingRole(role);
+    setForm({
+      name: role.name,
+      description: role.description || '',
+      permissions: role.permissions,
+    });
+    setError('');
+    setSuccessMessage('');
+  };
+
+  const togglePermission = (name) => {
+    setForm((prev) => ({
+      ...prev,
+      permissions: prev.permissions.includes(name)
+        ? prev.permissions.filter((item) => item !== name)
+        : [...prev.permissions, name],
+    }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError('');
+    setSuccessMessage('');
+
+    try {
+      const response = editingRole
+        ? await apiClient.put(`/roles/${editingRole._id}`, {
+            description: form.description,
+            permissions: form.permissions,
+          })
+        : await apiClient.post('/roles', form);
+      setSuccessMessage(response.data.message);
+      resetForm();
+      loadRoles();
+    } catch (err) {
+      const data = err.response?.data;
+      setError(data?.errors?.[0]?.message || data?.errors?.[0] || data?.message || 'Failed to save role.');
+    }
+  };
+
+  const handleDelete = async (role) => {
+    if (!window.confirm(`Delete the ${role.name} role?`)) return;
+
+    setError('');
+    setSuccessMessage('');
+
+    try {
+      const response = await apiClient.delete(`/roles/${role._id}`);
+      setSuccessMessage(response.data.message);
+      if (editingRole?._id === role._id) resetForm();
+      loadRoles();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete role.');
+    }
+  };
+
+  return (
+    <AppShell title="Roles" subtitle="Permission sets for built-in and custom roles.">
+      {error && <div className="banner error">{error}</div>}
+      {successMessage && <div className="banner success">{successMessage}</div>}
+
+      <section className="card">
+        <h2>{editingRole ? `Edit ${editingRole.name}` : 'Create Custom Role'}</h2>
+        <form className="form" onSubmit={handleSubmit}>
+          <div className="form-grid">
+            <div className="form-group">
+              <label htmlFor="roleName">Name</label>
+              <input
+                id="roleName"
+                className="input"
+                value={form.name}
+                onChange={(event) => setForm((prev) => ({ ...prev, name: event.target.value }))}
+                placeholder="e.g. qa-engineer"
+                disabled={Boolean(editingRole)}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="roleDescription">Description</label>
+              <input
+                id="roleDescription"
+                className="input"
+                value={form.description}
+                onChange={(event) =>
+                  setForm((prev) => ({ ...prev, description: event.target.value }))
+                }
+                maxLength={200}
+              />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label>Permissions</label>
+            <div className="chip-list">
+              {permissions.map((permission) => (
+                <label key={permission.name} className="chip" title={permission.description}>
+                  <input
+                    type="checkbox"
+                    checked={form.permissions.includes(permission.name)}
+                    onChange={() => togglePermission(permission.name)}
+                  />
+                  <span>{permission.name}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="form-actions">
+            <button className="btn btn-primary" type="submit">
+              {editingRole ? 'Save Role' : 'Create Role'}
+            </button>
+            {editingRole && (
+              <button className="btn btn-ghost" type="button" onClick={resetForm}>
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      </section>
+
+      <section className="card">
+        <div className="section-header">
+          <div>
+            <h2>Roles</h2>
+            <p className="muted">Changes apply to every user with the role on their next request.</p>
+          </div>
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading roles...</div>
+        ) : (
+          <div className="table">
+            <div className="table-row header">
+              <span>Role</span>
+              <span>Description</span>
+              <span>Permissions</span>
+              <span>Users</span>
+              <span>Actions</span>
+            </div>
+            {roles.map((role) => (
+              <div key={role.name} className="table-row">
+                <span className={`role-tag ${role.name}`}>{role.name}</span>
+                <span>{role.description || <span className="muted">No description</span>}</span>
+                <span title={role.permissions.join(', ')}>
+                  {role.permissions.length} of {permissions.length}
+                </span>
+                <span>{role.userCount}</span>
+                <div className="table-actions">
+                  {role.builtIn ? (
+                    <span className="muted">Built-in</span>
+                  ) : (
+                    <>
+                      <button className="btn btn-ghost" onClick={() => startEdit(role)}>
+                        Edit
+                      </button>
+                      <button
+                        className="btn btn-danger"
+                        disabled={role.userCount > 0}
+                        onClick={() => handleDelete(role)}
+                      >
+                        Delete
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+    </AppShell>
+  );
+};
+
+export default RoleManagement;
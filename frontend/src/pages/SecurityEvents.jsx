@@ -0,0 +1,258 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import AppShell from '../components/AppShell';
+import { describeDevice } from '../components/SessionsPanel';
+import apiClient from '../lib/api';
+import { hasPermission } from '../lib/permissions';
+import useAuthStore from '../store/authStore';
+
+const EVENT_LABELS = {
+  'new-device': 'New device or network',
+  'new-device-and-ip': 'New device on a new network',
+  'login-burst': 'Sign-ins from several networks',
+  'login-after-lockout': 'Sign-in after lockout',
+};
+
+const describeDetails = (event) => {
+  switch (event.type) {
+    case 'login-burst':
+      return `IPs within ${event.details.windowMinutes} min: ${event.details.ips.join(', ')}`;
+    case 'login-after-lockout':
+      return `${event.details.failedAttempts} failed attempts before this sign-in`;
+    default:
+      return '';
+  }
+};
+
+const SecurityEvents = () => {
+  const { user } = useAuthStore();
+  const canAuditImpersonation = hasPermission(user, 'user:impersonate');
+  const [events, setEvents] = useState([]);
+  const [openCount, setOpenCount] = useState(0);
+  const [status, setStatus] = useState('open');
+  const [notes, setNotes] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [impersonations, setImpersonations] = useState([]);
+  const [auditSession, setAuditSession] = useState(null);
+  const [auditRequests, setAuditRequests] = useState([]);
+
+  const loadEvents = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await apiClient.get('/security-events', { params: { status } });
+      setEvents(response.data.data.events || []);
+      setOpenCount(response.data.data.openCount || 0);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load security events.');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    loadEvents();
+  }, [loadEvents]);
+
+  const loadImpersonations = async () => {
+    try {
+      const response = await apiClient.get('/impersonation');
+      setImpersonations(response.data.data.impersonations || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load impersonation audit.');
+    }
+  };
+
+  useEffect(() => {
+    if (canAuditImpersonation) {
+      loadImpersonations();
+    }
+  }, [canAuditImpersonation]);
+
+  const loadAuditRequests = async (session) => {
+    try {
+      const response = await apiClient.get(`/impersonation/${session._id}/requests`);
+      setAuditSession(session);
+      setAuditRequests(response.data.data.requests || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load impersonated requests.');
+    }
+  };
+
+  const handleAcknowledge = async (event) => {
+    try {
+      await apiClient.post(`/security-events/${event._id}/acknowledge`, {
+        note: notes[event._id] || '',
+      });
+      setNotes((prev) => ({ ...prev, [event._id]: '' }));
+      await loadEvents();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to acknowledge event.');
+    }
+  };
+
+  return (
+    <AppShell
+      title="Security Events"
+      subtitle="Suspicious sign-ins and impersonation audit."
+    >
+      {error && <div className="banner error">{error}</div>}
+
+      <section className="card">
+        <div className="section-header">
+          <div>
+            <h2>Sign-in Alerts</h2>
+            <p className="muted">{openCount} open event(s).</p>
+          </div>
+          <select
+            className="select"
+            value={status}
+            onChange={(event) => setStatus(event.target.value)}
+          >
+            <option value="open">Open</option>
+            <option value="acknowledged">Acknowledged</option>
+            <option value="all">All</option>
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading events...</div>
+        ) : events.length === 0 ? (
+          <p className="muted">No security events.</p>
+        ) : (
+          <div className="doc-list">
+            {events.map((event) => (
+              <div key={event._id} className="doc-item">
+                <div>
+                  <strong>
+                    <span className={`status-badge severity-${event.severity}`}>
+                      {event.severity}
+                    </span>{' '}
+                    {EVENT_LABELS[event.type] || event.type} ·{' '}
+                    {event.user ? `${event.user.fullName} (${event.user.username})` : 'Deleted user'}
+                  </strong>
+                  <span className="muted">
+                    {new Date(event.createdAt).toLocaleString()} · {event.method} ·{' '}
+                    {describeDevice(event.userAgent)} · IP {event.ip || 'unknown'}
+                  </span>
+                  {describeDetails(event) && (
+                    <span className="muted">{describeDetails(event)}</span>
+                  )}
+                  {event.acknowledgedAt && (
+                    <span className="muted">
+                      Acknowledged by {event.acknowledgedBy?.fullName || 'unknown'} on{' '}
+                      {new Date(event.acknowledgedAt).toLocaleString()}
+                      {event.acknowledgeNote && ` · ${event.acknowledgeNote}`}
+                    </span>
+                  )}
+                </div>
+                {!event.acknowledgedAt && (
+                  <div className="doc-actions">
+                    <input
+                      className="input"
+                      placeholder="Note (optional)"
+                      maxLength={500}
+                      value={notes[event._id] || ''}
+                      onChange={(input) =>
+                        setNotes((prev) => ({ ...prev, [event._id]: input.target.value }))
+                      }
+                    />
+                    <button className="btn btn-primary" onClick={() => handleAcknowledge(event)}>
+                      Acknowledge
+                    </button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+
+      {canAuditImpersonation && (
+        <section className="card">
+          <div className="section-header">
+            <div>
+              <h2>Impersonation Audit</h2>
+              <p className="muted">"View as user" sessions and every request made in them.</p>
+            </div>
+          </div>
+
+          {impersonations.length === 0 ? (
+            <p className="muted">No impersonation sessions.</p>
+          ) : (
+            <div className="doc-list">
+              {impersonations.map((session) => (
+                <div key={session._id} className="doc-item">
+                  <div>
+                    <strong>
+                      {session.admin?.fullName || 'Deleted admin'} as{' '}
+                      {session.target?.fullName || 'deleted user'}
+                      {session.active && ' · Active'}
+                    </strong>
+                    <span className="muted">
+                      {new Date(session.createdAt).toLocaleString()} · Reason: {session.reason} ·{' '}
+                      {session.requestCount} request(s), {session.blockedCount} blocked
+                    </span>
+                  </div>
+                  <div className="doc-actions">
+                    <button className="btn btn-ghost" onClick={() => loadAuditRequests(session)}>
+                      Requests
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </section>
+      )}
+
+      {auditSession && (
+        <section className="card">
+          <div className="section-header">
+            <div>
+              <h2>Impersonated Requests</h2>
+              <p className="muted">
+                {auditSession.admin?.fullName} as {auditSession.target?.fullName}
+              </p>
+            </div>
+            <button
+              className="btn btn-ghost"
+              onClick={() => {
+                setAuditSession(null);
+                setAuditRequests([]);
+              }}
+            >
+              Close
+            </button>
+          </div>
+          {auditRequests.length === 0 ? (
+            <p className="muted">No requests recorded.</p>
+          ) : (
+            <div className="table">
+              <div className="table-row header">
+                <span>Time</span>
+                <span>Request</span>
+                <span>Status</span>
+                <span>Blocked</span>
+              </div>
+              {auditRequests.map((entry) => (
+                <div key={entry._id} className="table-row">
+                  <span>{new Date(entry.createdAt).toLocaleTimeString()}</span>
+                  <span>
+                    <code>
+                      {entry.method} {entry.path}
+                    </code>
+                  </span>
+                  <span>{entry.statusCode}</span>
+                  <span>{entry.blocked ? 'Yes' : 'No'}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </section>
+      )}
+    </AppShell>
+  );
+};
+
+export default SecurityEvents;
@@ -0,0 +1,68 @@
+/**
+ * SECURITY: Single Sign-On Callback Page
+ *
+ * 1. Reads the one-time login code from the URL fragment (never sent to servers or logs)
+ * 2. Removes it from the address bar and history before redeeming it
+ * 3. Redeems it exactly once, even under React strict mode double effects
+ * 4. Hands over to the login page when the account requires MFA
+ */
+
+import React, { useEffect, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import useAuthStore from '../store/authStore';
+
+const SsoCallback = () => {
+  const navigate = useNavigate();
+  const { completeSsoLogin, error } = useAuthStore();
+  const redeemed = useRef(false);
+
+  useEffect(() => {
+    if (redeemed.current) {
+      return;
+    }
+    redeemed.current = true;
+
+    const code = new URLSearchParams(window.location.hash.slice(1)).get('code');
+
+    // SECURITY: Drop the code from the URL before anything else can read it
+    window.history.replaceState(null, '', window.location.pathname);
+
+    if (!code) {
+      navigate('/login?sso_error=failed', { replace: true });
+      return;
+    }
+
+    completeSsoLogin(code).then((result) => {
+      if (result.success) {
+        navigate('/dashboard', { replace: true });
+      } else if (result.mfaRequired) {
+        navigate('/login', { replace: true });
+      }
+    });
+  }, [completeSsoLogin, navigate]);
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <img src="/favicon.svg" alt="PixelForge Nexus" className="login-logo" />
+        <h1>PixelForge Nexus</h1>
+        <h2>Single Sign-On</h2>
+
+        {error ? (
+          <>
+            <div className="banner error">{error}</div>
+            <div className="login-info">
+              <p>
+                <Link to="/login">Back to login</Link>
+              </p>
+            </div>
+          </>
+        ) : (
+          <div className="loading">Signing you in...</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SsoCallback;
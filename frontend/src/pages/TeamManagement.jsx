@@ -0,0 +1,239 @@
+/**
+ * SECURITY: Team Management Page (team:manage)
+ *
+ * 1. Teams group users so whole teams can be assigned to projects
+ * 2. Membership changes apply to every project the team is assigned to
+ * 3. Deleting a team removes it from its projects (enforced by the API)
+ */
+
+import React, { useEffect, useState } from 'react';
+import AppShell from '../components/AppShell';
+import apiClient from '../lib/api';
+
+const emptyForm = {
+  name: '',
+  description: '',
+  lead: '',
+  members: [],
+};
+
+const TeamManagement = () => {
+  const [teams, setTeams] = useState([]);
+  const [candidates, setCandidates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+  const [editingTeam, setEditingTeam] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+
+  const loadTeams = async () => {
+    try {
+      setLoading(true);
+      const [teamResponse, candidateResponse] = await Promise.all([
+        apiClient.get('/teams'),
+        apiClient.get('/teams/candidates'),
+      ]);
+      setTeams(teamResponse.data.data.teams || []);
+      setCandidates(candidateResponse.data.data.users || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load teams.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadTeams();
+  }, []);
+
+  const resetForm = () => {
+    setEditingTeam(null);
+    setForm(emptyForm);
+  };
+
+  const startEdit = (team) => {
+    setEditingTeam(team);
+    setForm({
+      name: team.name,
+      description: team.description || '',
+      lead: team.lead?._id || '',
+      members: team.members.map((member) => member._id),
+    });
+    setError('');
+    setSuccessMessage('');
+  };
+
+  const toggleMember = (id) => {
+    setForm((prev) => ({
+      ...prev,
+      members: prev.members.includes(id)
+        ? prev.members.filter((item) => item !== id)
+        : [...prev.members, id],
+    }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError('');
+    setSuccessMessage('');
+
+    try {
+      const response = editingTeam
+        ? await apiClient.put(`/teams/${editingTeam._id}`, form)
+        : await apiClient.post('/teams', form);
+      setSuccessMessage(response.data.message);
+      resetForm();
+      loadTeams();
+    } catch (err) {
+      const data = err.response?.data;
+      setError(data?.errors?.[0]?.message || data?.errors?.[0] || data?.message || 'Failed to save team.');
+    }
+  };
+
+  const handleDelete = async (team) => {
+    const warning = team.projectCount
+      ? ` It will be removed from ${team.projectCount} project(s) and its members lose that access.`
+      : '';
+    if (!window.confirm(`Delete the ${team.name} team?${warning}`)) return;
+
+    setError('');
+    setSuccessMessage('');
+
+    try {
+      const response = await apiClient.delete(`/teams/${team._id}`);
+      setSuccessMessage(response.data.message);
+      if (editingTeam?._id === team._id) resetForm();
+      loadTeams();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete team.');
+    }
+  };
+
+  return (
+    <AppShell title="Teams" subtitle="Groups of people to assign to projects together.">
+      {error && <div className="banner error">{error}</div>}
+      {successMessage && <div className="banner success">{successMessage}</div>}
+
+      <section className="card">
+        <h2>{editingTeam ? `Edit ${editingTeam.name}` : 'Create Team'}</h2>
+        <form className="form" onSubmit={handleSubmit}>
+          <div className="form-grid">
+            <div className="form-group">
+              <label htmlFor="teamName">Name</label>
+              <input
+                id="teamName"
+                className="input"
+                value={form.name}
+                onChange={(event) => setForm((prev) => ({ ...prev, name: event.target.value }))}
+                placeholder="e.g. Platform"
+                maxLength={100}
+                required
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="teamLead">Team lead</label>
+              <select
+                id="teamLead"
+                className="select"
+                value={form.lead}
+                onChange={(event) => setForm((prev) => ({ ...prev, lead: event.target.value }))}
+              >
+                <option value="">No lead</option>
+                {candidates.map((candidate) => (
+                  <option key={candidate._id} value={candidate._id}>
+                    {candidate.fullName} ({candidate.email})
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group full">
+              <label htmlFor="teamDescription">Description</label>
+              <input
+                id="teamDescription"
+                className="input"
+                value={form.description}
+                onChange={(event) =>
+                  setForm((prev) => ({ ...prev, description: event.target.value }))
+                }
+                maxLength={500}
+              />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label>Members</label>
+            <div className="chip-list">
+              {candidates.map((candidate) => (
+                <label key={candidate._id} className="chip">
+                  <input
+                    type="checkbox"
+                    checked={form.members.includes(candidate._id) || form.lead === candidate._id}
+                    disabled={form.lead === candidate._id}
+                    onChange={() => toggleMember(candidate._id)}
+                  />
+                  <span>{candidate.fullName}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="form-actions">
+            <button className="btn btn-primary" type="submit">
+              {editingTeam ? 'Save Team' : 'Create Team'}
+            </button>
+            {editingTeam && (
+              <button className="btn btn-ghost" type="button" onClick={resetForm}>
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      </section>
+
+      <section className="card">
+        <div className="section-header">
+          <div>
+            <h2>Teams</h2>
+            <p className="muted">Membership changes apply to every project the team is assigned to.</p>
+          </div>
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading teams...</div>
+        ) : teams.length === 0 ? (
+          <p className="muted">No teams yet.</p>
+        ) : (
+          <div className="table">
+            <div className="table-row header">
+              <span>Team</span>
+              <span>Lead</span>
+              <span>Members</span>
+              <span>Projects</span>
+              <span>Actions</span>
+            </div>
+            {teams.map((team) => (
+              <div key={team._id} className="table-row">
+                <span title={team.description}>{team.name}</span>
+                <span>{team.lead?.fullName || <span className="muted">None</span>}</span>
+                <span title={team.members.map((member) => member.fullName).join(', ')}>
+                  {team.members.length}
+                </span>
+                <span>{team.projectCount}</span>
+                <div className="table-actions">
+                  <button className="btn btn-ghost" onClick={() => startEdit(team)}>
+                    Edit
+                  </button>
+                  <button className="btn btn-danger" onClick={() => handleDelete(team)}>
+                    Delete
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+    </AppShell>
+  );
+};
+
+export default TeamManagement;
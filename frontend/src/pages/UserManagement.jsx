@@ -1,46 +1,173 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
 import AppShell from '../components/AppShell';
+import { ApiTokenItem } from '../components/ApiTokensPanel';
+import { useConfirmIdentity } from '../components/ConfirmIdentityModal';
+import PasswordChecklist from '../components/PasswordChecklist';
+import Pager from '../components/Pager';
+import { describeDevice } from '../components/SessionsPanel';
+import UserImportWizard from '../components/UserImportWizard';
 import useAuthStore from '../store/authStore';
 import apiClient from '../lib/api';
+import { hasPermission } from '../lib/permissions';
+
+const ATTEMPT_OUTCOMES = {
+  success: 'Signed in',
+  'invalid-password': 'Wrong password',
+  'invalid-mfa': 'Wrong MFA code',
+  locked: 'Blocked (locked)',
+  inactive: 'Blocked (inactive)',
+};
+
+// SECURITY: Holders of these cannot be impersonated (enforced by the API)
+const ADMIN_PERMISSIONS = ['user:manage', 'user:impersonate', 'role:manage'];
+
+// Describe who a role is for; anyone giving roles may hand them out
+const ROLE_TRAIT_PERMISSIONS = ['project:assignable', 'message:request-completion'];
+
+const roleLabel = (name) =>
+  name
+    .split('-')
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+
+// Directory status filter -> query parameters
+const STATUS_FILTERS = {
+  active: { active: true },
+  inactive: { active: false },
+  locked: { locked: true },
+};
+
+const SORT_OPTIONS = {
+  name: 'Name (A-Z)',
+  '-name': 'Name (Z-A)',
+  email: 'Email',
+  '-createdAt': 'Newest first',
+  createdAt: 'Oldest first',
+  '-lastLogin': 'Recent sign-in',
+};
+
+const PAGE_SIZE = 25;
+const SEARCH_DELAY_MS = 300;
 
 const emptyCreateForm = {
-  username: '',
   email: '',
-  password: '',
   fullName: '',
   role: 'developer',
 };
 
 const UserManagement = () => {
-  const { user } = useAuthStore();
+  const navigate = useNavigate();
+  const { user, startImpersonation } = useAuthStore();
+  const { runWithReauth, confirmIdentityModal } = useConfirmIdentity();
   const [users, setUsers] = useState([]);
+  const [paging, setPaging] = useState({ page: 1, pages: 1, total: 0 });
+  const [page, setPage] = useState(1);
+  const [search, setSearch] = useState('');
+  const [searchQuery, setSearchQuery] = useState('');
   const [filterRole, setFilterRole] = useState('');
+  const [filterStatus, setFilterStatus] = useState('');
+  const [sort, setSort] = useState('name');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
 
   const [createForm, setCreateForm] = useState(emptyCreateForm);
   const [editingUser, setEditingUser] = useState(null);
   const [editForm, setEditForm] = useState({});
   const [resetPasswordId, setResetPasswordId] = useState(null);
   const [tempPassword, setTempPassword] = useState('');
+  const [tokensUser, setTokensUser] = useState(null);
+  const [userTokens, setUserTokens] = useState([]);
+  const [viewAsUser, setViewAsUser] = useState(null);
+  const [viewAsReason, setViewAsReason] = useState('');
+  const [attemptsUser, setAttemptsUser] = useState(null);
+  const [loginHistory, setLoginHistory] = useState(null);
+  const [invitations, setInvitations] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [deletion, setDeletion] = useState(null);
+  const [successor, setSuccessor] = useState('');
+
+  const canImpersonate = hasPermission(user, 'user:impersonate');
+  const adminRoleNames = roles
+    .filter((role) => role.permissions.some((permission) => ADMIN_PERMISSIONS.includes(permission)))
+    .map((role) => role.name);
+  const toRoleOption = (role) => (
+    <option key={role.name} value={role.name}>
+      {roleLabel(role.name)}
+    </option>
+  );
+  const roleOptions = roles.map(toRoleOption);
+  // The server refuses roles with permissions the admin does not hold
+  const canGrant = (role) => role.permissions.every(
+    (permission) => ROLE_TRAIT_PERMISSIONS.includes(permission) || hasPermission(user, permission)
+  );
+  const grantableRoleOptions = roles.filter(canGrant).map(toRoleOption);
+  const editRoleOptions = roles
+    .filter((role) => canGrant(role) || role.name === editForm.role)
+    .map(toRoleOption);
+
+  useEffect(() => {
+    apiClient
+      .get('/roles')
+      .then((response) => setRoles(response.data.data.roles || []))
+      .catch(() => setError('Failed to load roles.'));
+  }, []);
 
-  const loadUsers = async () => {
+  const loadUsers = useCallback(async () => {
     try {
       setLoading(true);
       const response = await apiClient.get('/users', {
-        params: filterRole ? { role: filterRole } : {},
+        params: {
+          ...(searchQuery && { search: searchQuery }),
+          ...(filterRole && { role: filterRole }),
+          ...STATUS_FILTERS[filterStatus],
+          sort,
+          page,
+          limit: PAGE_SIZE,
+        },
       });
-      setUsers(response.data.data.users || []);
+      const { users: pageUsers, ...pageInfo } = response.data.data;
+      setUsers(pageUsers || []);
+      setPaging(pageInfo);
     } catch (err) {
       setError('Failed to load users.');
     } finally {
       setLoading(false);
     }
-  };
+  }, [searchQuery, filterRole, filterStatus, sort, page]);
 
   useEffect(() => {
     loadUsers();
-  }, [filterRole]);
+  }, [loadUsers]);
+
+  // Search once typing pauses, from the first page
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setSearchQuery(search.trim());
+      setPage(1);
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  // Any other filter change also starts from the first page
+  const changeFilter = (setter) => (event) => {
+    setter(event.target.value);
+    setPage(1);
+  };
+
+  const loadInvitations = async () => {
+    try {
+      const response = await apiClient.get('/invitations');
+      setInvitations(response.data.data.invitations || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load invitations.');
+    }
+  };
+
+  useEffect(() => {
+    loadInvitations();
+  }, []);
 
   const handleCreateChange = (event) => {
     const { name, value } = event.target;
@@ -52,16 +179,48 @@ const UserManagement = () => {
     setEditForm((prev) => ({ ...prev, [name]: value }));
   };
 
-  const handleCreateUser = async (event) => {
+  const handleInviteUser = async (event) => {
     event.preventDefault();
     setError('');
+    setSuccessMessage('');
 
     try {
-      await apiClient.post('/users', createForm);
+      const response = await apiClient.post('/invitations', createForm);
       setCreateForm(emptyCreateForm);
-      await loadUsers();
+      setSuccessMessage(response.data.message);
+      await loadInvitations();
     } catch (err) {
-      setError(err.response?.data?.message || 'Failed to create user.');
+      setError(
+        err.response?.data?.errors?.[0]?.message ||
+          err.response?.data?.message ||
+          'Failed to send invitation.'
+      );
+    }
+  };
+
+  const handleResendInvitation = async (invitation) => {
+    setError('');
+    setSuccessMessage('');
+
+    try {
+      const response = await apiClient.post(`/invitations/${invitation._id}/resend`);
+      setSuccessMessage(response.data.message);
+      await loadInvitations();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to resend invitation.');
+    }
+  };
+
+  const handleRevokeInvitation = async (invitation) => {
+    if (!window.confirm(`Revoke the invitation for ${invitation.email}?`)) return;
+    setError('');
+    setSuccessMessage('');
+
+    try {
+      await apiClient.delete(`/invitations/${invitation._id}`);
+      await loadInvitations();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to revoke invitation.');
     }
   };
 
@@ -97,24 +256,140 @@ const UserManagement = () => {
     }
   };
 
-  const handleDelete = async (userId) => {
+  const handleImported = async (message) => {
+    setError('');
+    setSuccessMessage(message);
+    await loadInvitations();
+  };
+
+  const handleExport = async (format) => {
+    try {
+      const response = await apiClient.get('/users/export', {
+        params: { format },
+        responseType: 'blob',
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `users-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Failed to export users.');
+    }
+  };
+
+  const loadDeletionPreview = async (userId) => {
+    try {
+      const response = await apiClient.get(`/users/${userId}/deletion-preview`);
+      setDeletion(response.data.data);
+      setSuccessor('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load what the deletion affects.');
+    }
+  };
+
+  const handleDelete = async (event) => {
+    event.preventDefault();
+    setError('');
+    setSuccessMessage('');
+
     try {
-      await apiClient.delete(`/users/${userId}`);
+      const response = await runWithReauth(() =>
+        apiClient.delete(`/users/${deletion.user._id}`, {
+          data: deletion.requiresSuccessor ? { successor } : {},
+        })
+      );
+      setSuccessMessage(response.data.message);
+      setDeletion(null);
       await loadUsers();
     } catch (err) {
-      setError('Failed to delete user.');
+      setError(err.response?.data?.message || 'Failed to delete user.');
     }
   };
 
+  const handleDisableMfa = async (userId) => {
+    try {
+      await runWithReauth(() => apiClient.delete(`/users/${userId}/mfa`));
+      await loadUsers();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to disable MFA.');
+    }
+  };
+
+  const handleRevokeSessions = async (userId) => {
+    try {
+      await apiClient.delete(`/users/${userId}/sessions`);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to sign out user sessions.');
+    }
+  };
+
+  const loadUserTokens = async (selectedUser) => {
+    try {
+      const response = await apiClient.get(`/users/${selectedUser._id}/tokens`);
+      setTokensUser(selectedUser);
+      setUserTokens(response.data.data.tokens || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load API tokens.');
+    }
+  };
+
+  const handleRevokeUserToken = async (token) => {
+    try {
+      await apiClient.delete(`/users/${tokensUser._id}/tokens/${token._id}`);
+      await loadUserTokens(tokensUser);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to revoke API token.');
+    }
+  };
+
+  const loadLoginAttempts = async (selectedUser) => {
+    try {
+      const response = await apiClient.get(`/users/${selectedUser._id}/login-attempts`);
+      setAttemptsUser(selectedUser);
+      setLoginHistory(response.data.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load login attempts.');
+    }
+  };
+
+  const handleUnlock = async (selectedUser) => {
+    try {
+      await apiClient.post(`/users/${selectedUser._id}/unlock`);
+      await loadUsers();
+      if (attemptsUser?._id === selectedUser._id) {
+        await loadLoginAttempts(selectedUser);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to unlock user.');
+    }
+  };
+
+  const handleViewAs = async (event) => {
+    event.preventDefault();
+
+    const result = await startImpersonation(viewAsUser._id, viewAsReason);
+
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+
+    navigate('/dashboard');
+  };
+
   const handleResetPassword = async (event) => {
     event.preventDefault();
 
     if (!resetPasswordId) return;
 
     try {
-      await apiClient.post(`/users/${resetPasswordId}/reset-password`, {
-        tempPassword,
-      });
+      await runWithReauth(() =>
+        apiClient.post(`/users/${resetPasswordId}/reset-password`, {
+          tempPassword,
+        })
+      );
       setResetPasswordId(null);
       setTempPassword('');
     } catch (err) {
@@ -128,11 +403,15 @@ const UserManagement = () => {
       subtitle="Admin controls for roles, access, and lifecycle."
     >
       {error && <div className="banner error">{error}</div>}
+      {successMessage && <div className="banner success">{successMessage}</div>}
 
       <div className="grid two-col">
         <section className="card">
-          <h2>Create User</h2>
-          <form className="form" onSubmit={handleCreateUser}>
+          <h2>Invite User</h2>
+          <p className="muted">
+            The user gets a single-use link by email and chooses their own password.
+          </p>
+          <form className="form" onSubmit={handleInviteUser}>
             <div className="form-group">
               <label htmlFor="fullName">Full name</label>
               <input
@@ -145,39 +424,17 @@ const UserManagement = () => {
               />
             </div>
             <div className="form-group">
-              <label htmlFor="username">Username (email)</label>
-              <input
-                id="username"
-                name="username"
-                className="input"
-                value={createForm.username}
-                onChange={handleCreateChange}
-                required
-              />
-            </div>
-            <div className="form-group">
-              <label htmlFor="email">Email</label>
+              <label htmlFor="email">Email (also the username)</label>
               <input
                 id="email"
                 name="email"
+                type="email"
                 className="input"
                 value={createForm.email}
                 onChange={handleCreateChange}
                 required
               />
             </div>
-            <div className="form-group">
-              <label htmlFor="password">Temporary password</label>
-              <input
-                id="password"
-                name="password"
-                type="password"
-                className="input"
-                value={createForm.password}
-                onChange={handleCreateChange}
-                required
-              />
-            </div>
             <div className="form-group">
               <label htmlFor="role">Role</label>
               <select
@@ -187,13 +444,11 @@ const UserManagement = () => {
                 value={createForm.role}
                 onChange={handleCreateChange}
               >
-                <option value="admin">Admin</option>
-                <option value="project-lead">Project Lead</option>
-                <option value="developer">Developer</option>
+                {grantableRoleOptions}
               </select>
             </div>
             <button className="btn btn-primary" type="submit">
-              Create User
+              Send Invitation
             </button>
           </form>
         </section>
@@ -233,9 +488,7 @@ const UserManagement = () => {
                   value={editForm.role || 'developer'}
                   onChange={handleEditChange}
                 >
-                  <option value="admin">Admin</option>
-                  <option value="project-lead">Project Lead</option>
-                  <option value="developer">Developer</option>
+                  {editRoleOptions}
                 </select>
               </div>
               <div className="form-group">
@@ -273,26 +526,118 @@ const UserManagement = () => {
         </section>
       </div>
 
+      <UserImportWizard onImported={handleImported} />
+
+      <section className="card">
+        <div className="section-header">
+          <div>
+            <h2>Pending Invitations</h2>
+            <p className="muted">Resending issues a new link; the previous one stops working.</p>
+          </div>
+        </div>
+
+        {invitations.length === 0 ? (
+          <p className="muted">No pending invitations.</p>
+        ) : (
+          <div className="doc-list">
+            {invitations.map((invitation) => (
+              <div key={invitation._id} className="doc-item">
+                <div>
+                  <strong>
+                    {invitation.fullName} ({invitation.email}) ·{' '}
+                    <span className={`role-tag ${invitation.role}`}>{invitation.role}</span>
+                  </strong>
+                  <span className="muted">
+                    Invited by {invitation.invitedBy?.fullName || 'unknown'} ·{' '}
+                    {invitation.status === 'expired'
+                      ? `Expired ${new Date(invitation.expiresAt).toLocaleString()}`
+                      : `Expires ${new Date(invitation.expiresAt).toLocaleString()}`}{' '}
+                    · Sent {invitation.sentCount} time(s)
+                  </span>
+                </div>
+                <div className="doc-actions">
+                  <button
+                    className="btn btn-ghost"
+                    onClick={() => handleResendInvitation(invitation)}
+                  >
+                    Resend
+                  </button>
+                  <button
+                    className="btn btn-danger"
+                    onClick={() => handleRevokeInvitation(invitation)}
+                  >
+                    Revoke
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+
       <section className="card">
         <div className="section-header">
           <div>
             <h2>User Directory</h2>
-            <p className="muted">All active accounts and role assignments.</p>
+            <p className="muted">Accounts in this organization and their role assignments.</p>
+          </div>
+          <div className="page-actions">
+            <button className="btn btn-ghost" onClick={() => handleExport('csv')}>
+              Export CSV
+            </button>
+            <button className="btn btn-ghost" onClick={() => handleExport('json')}>
+              Export JSON
+            </button>
           </div>
+        </div>
+
+        <div className="page-actions directory-filters">
+          <input
+            type="search"
+            className="input"
+            value={search}
+            onChange={(event) => setSearch(event.target.value)}
+            placeholder="Search by name or email"
+            aria-label="Search users"
+          />
           <select
             className="select"
             value={filterRole}
-            onChange={(event) => setFilterRole(event.target.value)}
+            onChange={changeFilter(setFilterRole)}
+            aria-label="Filter by role"
           >
             <option value="">All roles</option>
-            <option value="admin">Admin</option>
-            <option value="project-lead">Project Lead</option>
-            <option value="developer">Developer</option>
+            {roleOptions}
+          </select>
+          <select
+            className="select"
+            value={filterStatus}
+            onChange={changeFilter(setFilterStatus)}
+            aria-label="Filter by status"
+          >
+            <option value="">All statuses</option>
+            <option value="active">Active</option>
+            <option value="inactive">Inactive</option>
+            <option value="locked">Locked</option>
+          </select>
+          <select
+            className="select"
+            value={sort}
+            onChange={changeFilter(setSort)}
+            aria-label="Sort users"
+          >
+            {Object.entries(SORT_OPTIONS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
           </select>
         </div>
 
         {loading ? (
           <div className="loading">Loading users...</div>
+        ) : users.length === 0 ? (
+          <p className="muted">No users match these filters.</p>
         ) : (
           <div className="table">
             <div className="table-row header">
@@ -307,7 +652,18 @@ const UserManagement = () => {
                 <span>{item.fullName}</span>
                 <span>{item.email}</span>
                 <span className={`role-tag ${item.role}`}>{item.role}</span>
-                <span>{item.isActive ? 'Active' : 'Inactive'}</span>
+                <span>
+                  {item.isActive ? 'Active' : 'Inactive'}
+                  {item.mustChangePassword && (
+                    <span className="muted"> · Password change pending</span>
+                  )}
+                  {item.authProvider === 'oidc' && <span className="muted"> · SSO</span>}
+                  {item.isLocked && (
+                    <span className="muted">
+                      {' '}· Locked until {new Date(item.lockUntil).toLocaleString()}
+                    </span>
+                  )}
+                </span>
                 <div className="table-actions">
                   <button className="btn btn-ghost" onClick={() => startEdit(item)}>
                     Edit
@@ -318,6 +674,52 @@ const UserManagement = () => {
                   >
                     Reset Password
                   </button>
+                  <button
+                    className="btn btn-ghost"
+                    disabled={item._id === user?._id}
+                    onClick={() => handleRevokeSessions(item._id)}
+                  >
+                    Sign Out Everywhere
+                  </button>
+                  <button
+                    className="btn btn-ghost"
+                    onClick={() => loadUserTokens(item)}
+                  >
+                    API Tokens
+                  </button>
+                  <button
+                    className="btn btn-ghost"
+                    onClick={() => loadLoginAttempts(item)}
+                  >
+                    Login History
+                  </button>
+                  {canImpersonate && !adminRoleNames.includes(item.role) && item.isActive && (
+                    <button
+                      className="btn btn-ghost"
+                      onClick={() => {
+                        setViewAsUser(item);
+                        setViewAsReason('');
+                      }}
+                    >
+                      View As
+                    </button>
+                  )}
+                  {item.isLocked && (
+                    <button
+                      className="btn btn-ghost"
+                      onClick={() => handleUnlock(item)}
+                    >
+                      Unlock
+                    </button>
+                  )}
+                  {item.mfaEnabled && (
+                    <button
+                      className="btn btn-ghost"
+                      onClick={() => handleDisableMfa(item._id)}
+                    >
+                      Disable MFA
+                    </button>
+                  )}
                   <button
                     className="btn btn-ghost"
                     disabled={item._id === user?._id}
@@ -328,7 +730,7 @@ const UserManagement = () => {
                   <button
                     className="btn btn-danger"
                     disabled={item._id === user?._id}
-                    onClick={() => handleDelete(item._id)}
+                    onClick={() => loadDeletionPreview(item._id)}
                   >
                     Delete
                   </button>
@@ -337,6 +739,14 @@ const UserManagement = () => {
             ))}
           </div>
         )}
+
+        <Pager
+          page={paging.page}
+          pages={paging.pages}
+          total={paging.total}
+          disabled={loading}
+          onChange={setPage}
+        />
       </section>
 
       {resetPasswordId && (
@@ -353,6 +763,7 @@ const UserManagement = () => {
                 onChange={(event) => setTempPassword(event.target.value)}
                 required
               />
+              <PasswordChecklist password={tempPassword} />
             </div>
             <div className="form-actions">
               <button className="btn btn-primary" type="submit">
@@ -372,6 +783,183 @@ const UserManagement = () => {
           </form>
         </section>
       )}
+
+      {deletion && (
+        <section className="card">
+          <h2>
+            {deletion.removesFromOrganizationOnly ? 'Remove' : 'Delete'} {deletion.user.fullName}
+          </h2>
+          <p className="muted">
+            {deletion.removesFromOrganizationOnly
+              ? 'This account also belongs to other organizations. It only leaves this one.'
+              : 'The account can no longer sign in. Messages and project history keep showing the name.'}
+          </p>
+          <ul className="muted">
+            <li>{deletion.ownedProjects.length} project(s) created or led by this user</li>
+            <li>{deletion.uploadedDocuments} uploaded document(s)</li>
+            <li>{deletion.coLedProjects} co-led and {deletion.assignedProjects} assigned project(s)</li>
+            <li>{deletion.teams} team(s) and {deletion.documentAccess} document access entries</li>
+            <li>{deletion.messages} message(s), kept under the user's name</li>
+          </ul>
+          <form className="form" onSubmit={handleDelete}>
+            {deletion.requiresSuccessor && (
+              <div className="form-group">
+                <label htmlFor="successor">Hand projects and documents over to</label>
+                <select
+                  id="successor"
+                  className="select"
+                  value={successor}
+                  onChange={(event) => setSuccessor(event.target.value)}
+                  required
+                >
+                  <option value="">Choose a successor</option>
+                  {deletion.successors.map((candidate) => (
+                    <option key={candidate._id} value={candidate._id}>
+                      {candidate.fullName} ({candidate.email})
+                    </option>
+                  ))}
+                </select>
+                {deletion.ownedProjects.length > 0 && (
+                  <p className="muted">
+                    Takes over {deletion.ownedProjects.map((project) => project.name).join(', ')}.
+                    Only users who may lead projects are listed.
+                  </p>
+                )}
+              </div>
+            )}
+            <div className="form-actions">
+              <button className="btn btn-danger" type="submit">
+                {deletion.removesFromOrganizationOnly ? 'Remove User' : 'Delete User'}
+              </button>
+              <button className="btn btn-ghost" type="button" onClick={() => setDeletion(null)}>
+                Cancel
+              </button>
+            </div>
+          </form>
+        </section>
+      )}
+
+      {viewAsUser && (
+        <section className="card">
+          <h2>View as {viewAsUser.fullName}</h2>
+          <p className="muted">
+            You will see the app exactly as this user does. Changes are restricted and every
+            request is logged with your name.
+          </p>
+          <form className="form" onSubmit={handleViewAs}>
+            <div className="form-group">
+              <label htmlFor="viewAsReason">Reason (e.g. support ticket)</label>
+              <input
+                id="viewAsReason"
+                className="input"
+                value={viewAsReason}
+                maxLength={500}
+                onChange={(event) => setViewAsReason(event.target.value)}
+                required
+              />
+            </div>
+            <div className="form-actions">
+              <button className="btn btn-primary" type="submit">
+                Start Viewing
+              </button>
+              <button
+                className="btn btn-ghost"
+                type="button"
+                onClick={() => setViewAsUser(null)}
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        </section>
+      )}
+
+      {tokensUser && (
+        <section className="card">
+          <div className="section-header">
+            <div>
+              <h2>API Tokens</h2>
+              <p className="muted">Active personal access tokens of {tokensUser.fullName}.</p>
+            </div>
+            <button
+              className="btn btn-ghost"
+              onClick={() => {
+                setTokensUser(null);
+                setUserTokens([]);
+              }}
+            >
+              Close
+            </button>
+          </div>
+          {userTokens.length === 0 ? (
+            <p className="muted">No active API tokens.</p>
+          ) : (
+            <div className="doc-list">
+              {userTokens.map((token) => (
+                <ApiTokenItem
+                  key={token._id}
+                  token={token}
+                  onRevoke={handleRevokeUserToken}
+                />
+              ))}
+            </div>
+          )}
+        </section>
+      )}
+
+      {attemptsUser && loginHistory && (
+        <section className="card">
+          <div className="section-header">
+            <div>
+              <h2>Login History</h2>
+              <p className="muted">
+                Recent sign-in attempts of {attemptsUser.fullName}.{' '}
+                {loginHistory.isLocked
+                  ? `Locked until ${new Date(loginHistory.lockUntil).toLocaleString()}.`
+                  : 'Not locked.'}
+              </p>
+            </div>
+            <div className="table-actions">
+              {loginHistory.isLocked && (
+                <button className="btn btn-primary" onClick={() => handleUnlock(attemptsUser)}>
+                  Unlock
+                </button>
+              )}
+              <button
+                className="btn btn-ghost"
+                onClick={() => {
+                  setAttemptsUser(null);
+                  setLoginHistory(null);
+                }}
+              >
+                Close
+              </button>
+            </div>
+          </div>
+          {loginHistory.attempts.length === 0 ? (
+            <p className="muted">No login attempts recorded.</p>
+          ) : (
+            <div className="doc-list">
+              {loginHistory.attempts.map((attempt) => (
+                <div key={attempt._id} className="doc-item">
+                  <div>
+                    <strong>
+                      {ATTEMPT_OUTCOMES[attempt.outcome] || attempt.outcome}
+                      {attempt.lockedAccount && ' · Account locked'}
+                    </strong>
+                    <span className="muted">
+                      {new Date(attempt.createdAt).toLocaleString()} · {attempt.method} ·{' '}
+                      {describeDevice(attempt.userAgent)} · IP {attempt.ip || 'unknown'}
+                    </span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </section>
+      )}
+
+      {confirmIdentityModal}
     </AppShell>
   );
 };
@@ -3,13 +3,23 @@
  * 
  * Centralized state management for:
  * 1. Authentication status
- * 2. User information with role
- * 3. Login/logout operations
+ * 2. User information with role and permissions
+ * 3. Login/logout operations (including MFA step and SSO)
  * 4. Token management
+ * 5. Admin "view as user" (impersonation) start and exit
+ * 6. Organizations the user can switch between, and the active one
  */
 
 import { create } from 'zustand';
-import apiClient, { setTokens, clearStorage, getTokens } from '../lib/api';
+import apiClient, {
+  setTokens,
+  clearStorage,
+  getTokens,
+  getImpersonation,
+  beginImpersonation,
+  restoreImpersonator,
+  setActiveOrganization,
+} from '../lib/api';
 
 /**
  * SECURITY: Auth Store
@@ -19,6 +29,10 @@ export const useAuthStore = create((set) => ({
   isAuthenticated: false,
   isLoading: false,
   error: null,
+  mfaToken: null,
+  impersonation: null,
+  organizations: [],
+  organization: null,
 
   /**
    * SECURITY: Initialize auth state from storage
@@ -31,7 +45,14 @@ export const useAuthStore = create((set) => ({
       set({
         user: JSON.parse(user),
         isAuthenticated: true,
+        impersonation: getImpersonation(),
       });
+
+      // Permissions may have changed since the user was cached (role edits)
+      apiClient
+        .get('/auth/me')
+        .then((response) => useAuthStore.getState().setUser(response.data.data.user))
+        .catch(() => {});
     }
   },
 
@@ -47,10 +68,20 @@ export const useAuthStore = create((set) => ({
         password,
       });
 
-      const { user, accessToken, refreshToken } = response.data.data;
+      // SECURITY: Second factor required - keep only the restricted temp token
+      if (response.data.mfaRequired) {
+        set({
+          mfaToken: response.data.tempToken,
+          isLoading: false,
+          error: null,
+        });
+        return { success: false, mfaRequired: true };
+      }
+
+      const { user, accessToken, refreshToken, csrfToken } = response.data.data;
 
-      // SECURITY: Store tokens and user
-      setTokens(accessToken, refreshToken);
+      // SECURITY: Store tokens and user (refresh token absent in cookie mode)
+      setTokens(accessToken, refreshToken, csrfToken);
       localStorage.setItem('user', JSON.stringify(user));
 
       set({
@@ -71,14 +102,190 @@ export const useAuthStore = create((set) => ({
     }
   },
 
+  /**
+   * SECURITY: Finish SSO login by redeeming the one-time code from the callback URL
+   */
+  completeSsoLogin: async (code) => {
+    set({ isLoading: true, error: null });
+
+    try {
+      const response = await apiClient.post('/auth/oidc/exchange', { code });
+
+      // SECURITY: Local MFA still applies to SSO accounts that enrolled it
+      if (response.data.mfaRequired) {
+        set({
+          mfaToken: response.data.tempToken,
+          isLoading: false,
+          error: null,
+        });
+        return { success: false, mfaRequired: true };
+      }
+
+      const { user, accessToken, refreshToken, csrfToken } = response.data.data;
+
+      setTokens(accessToken, refreshToken, csrfToken);
+      localStorage.setItem('user', JSON.stringify(user));
+
+      set({
+        user,
+        isAuthenticated: true,
+        isLoading: false,
+        error: null,
+      });
+
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Single sign-on failed';
+      set({
+        isLoading: false,
+        error: message,
+      });
+      return { success: false, error: message };
+    }
+  },
+
+  /**
+   * SECURITY: Complete MFA login with a TOTP or recovery code
+   */
+  verifyMfa: async ({ code, recoveryCode }) => {
+    set({ isLoading: true, error: null });
+
+    try {
+      const response = await apiClient.post('/auth/mfa/verify', {
+        tempToken: useAuthStore.getState().mfaToken,
+        ...(recoveryCode ? { recoveryCode } : { code }),
+      });
+
+      const {
+        user,
+        accessToken,
+        refreshToken,
+        csrfToken,
+        recoveryCodesRemaining,
+      } = response.data.data;
+
+      setTokens(accessToken, refreshToken, csrfToken);
+      localStorage.setItem('user', JSON.stringify(user));
+
+      set({
+        user,
+        isAuthenticated: true,
+        isLoading: false,
+        error: null,
+        mfaToken: null,
+      });
+
+      return { success: true, recoveryCodesRemaining };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Verification failed';
+      // SECURITY: Expired MFA session requires a fresh password login
+      set({
+        isLoading: false,
+        error: message,
+        ...(error.response?.status === 401 && !message.startsWith('Invalid verification')
+          ? { mfaToken: null }
+          : {}),
+      });
+      return { success: false, error: message };
+    }
+  },
+
+  /**
+   * SECURITY: Abandon a pending MFA login
+   */
+  cancelMfa: () => {
+    set({ mfaToken: null, error: null });
+  },
+
+  /**
+   * Replace the cached user (after profile or security changes)
+   */
+  setUser: (user) => {
+    localStorage.setItem('user', JSON.stringify(user));
+    set({ user });
+  },
+
+  /**
+   * Organizations the user can switch to, and the one the server resolved
+   */
+  loadOrganizations: async () => {
+    try {
+      const response = await apiClient.get('/organizations');
+      const { organizations, current } = response.data.data;
+      set({ organizations, organization: current });
+    } catch (error) {
+      set({ organizations: [], organization: null });
+    }
+  },
+
+  /**
+   * SECURITY: Switch workspace
+   * Every loaded record belongs to the previous organization, so the app reloads.
+   * Role and permissions differ per organization, so the cached user is
+   * refreshed first
+   */
+  switchOrganization: async (organizationId) => {
+    setActiveOrganization(organizationId);
+
+    try {
+      const response = await apiClient.get('/auth/me');
+      localStorage.setItem('user', JSON.stringify(response.data.data.user));
+    } catch (error) {
+      // The reload checks the session again
+    }
+    window.location.assign('/dashboard');
+  },
+
+  /**
+   * SECURITY: View the app as another user (admin only, reason required)
+   */
+  startImpersonation: async (userId, reason) => {
+    try {
+      const response = await apiClient.post('/impersonation', { userId, reason });
+      const { accessToken, user, impersonation } = response.data.data;
+
+      beginImpersonation(accessToken, user, impersonation);
+      set({ user, impersonation, error: null });
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.errors?.[0] || error.response?.data?.message || 'Failed to view as user',
+      };
+    }
+  },
+
+  /**
+   * SECURITY: End impersonation and return to the admin's own session
+   */
+  stopImpersonation: async () => {
+    try {
+      await apiClient.delete('/impersonation/current');
+    } catch (error) {
+      // Session may already have expired; the token is discarded either way
+    }
+
+    const admin = restoreImpersonator();
+    set({ user: admin, impersonation: null });
+  },
+
   /**
    * SECURITY: Logout and clear tokens
    */
   logout: async () => {
+    // The admin's own session is the one to sign out
+    if (useAuthStore.getState().impersonation) {
+      await useAuthStore.getState().stopImpersonation();
+    }
+
     set({ isLoading: true });
 
     try {
-      await apiClient.post('/auth/logout');
+      // SECURITY: Let the server revoke the refresh token family
+      // (cookie mode: the cookie is sent automatically and cleared by the server)
+      const { refreshToken } = getTokens();
+      await apiClient.post('/auth/logout', refreshToken ? { refreshToken } : {});
     } catch (error) {
       console.error('Logout error:', error);
     }
@@ -91,6 +298,9 @@ export const useAuthStore = create((set) => ({
       isAuthenticated: false,
       isLoading: false,
       error: null,
+      impersonation: null,
+      organizations: [],
+      organization: null,
     });
   },
 
@@ -138,7 +348,12 @@ export const useAuthStore = create((set) => ({
         confirmPassword,
       });
 
+      // Refresh cached user (clears passwordExpired)
+      const { user } = response.data.data;
+      localStorage.setItem('user', JSON.stringify(user));
+
       set({
+        user,
         isLoading: false,
         error: null,
       });